@@ -12,7 +12,7 @@ function placeImagesInGrid(rows, cols) {
     var height = artBoardRect[1] - artBoardRect[3]; // top - bottom
 
     var gridWidth = width / cols;
-    var gridHeight = width / cols;
+    var gridHeight = height / rows;
 
     var placedItems = [];
     var scaleIncrement = 0;
@@ -1,3 +1,5 @@
+#include "../lib/lib.js";
+
 // alert("Hello, World!");
 
 if (app.documents.length > 0) {
@@ -19,6 +21,10 @@ if (app.documents.length > 0) {
 
     var placedItems = [];
 
+    // Seeds the tile picker and records the seed on the document.
+    // Use _randomSeed(_recordedSeed()) instead to redraw a saved layout.
+    _randomSeed();
+
     for (var row = 0; row < rows; row++) {
         for (var col = 0; col < cols; col++) {
 
@@ -34,7 +40,7 @@ if (app.documents.length > 0) {
             rect_1.position = [col * gridWidth + (gridWidth/2), row * gridHeight - (gridHeight/2)];
             rect_1.move(group, ElementPlacement.PLACEATEND);
 
-            var random = Math.random()
+            var random = _randomFloat(0, 1);
 
             var rect_2;
             var rect_2_centerX;
@@ -0,0 +1,2355 @@
+// A series of functions to create shapes and text in Illustrator by Alvin Ashiatey
+// Mirrors the surface of InDesign/lib/lib.js: coordinates are measured in points
+// from the top-left corner of the active artboard with y growing downwards, so
+// the same sketch code runs in both apps.
+
+/**
+ * Gets the active document
+ * @returns {Document} The active Illustrator document
+ * @private
+ */
+function _doc() {
+  return app.activeDocument;
+}
+
+/**
+ * Gets the active artboard of the document
+ * @returns {Artboard} The active Illustrator artboard
+ * @private
+ */
+function _artboard() {
+  var doc = _doc();
+  return doc.artboards[doc.artboards.getActiveArtboardIndex()];
+}
+
+/**
+ * Converts top-left, y-down artboard coordinates to Illustrator's y-up document coordinates
+ * @param {number} x - The x-coordinate from the artboard's left edge
+ * @param {number} y - The y-coordinate from the artboard's top edge
+ * @returns {Array<number>} The [x, y] position in document coordinates
+ * @private
+ */
+function _toDocument(x, y) {
+  var artboardRect = _artboard().artboardRect; // [left, top, right, bottom]
+  return [artboardRect[0] + x, artboardRect[1] - y];
+}
+
+/**
+ * Creates a rectangular path from top-left, y-down edges
+ * @param {number} top - The y-coordinate of the top edge
+ * @param {number} left - The x-coordinate of the left edge
+ * @param {number} bottom - The y-coordinate of the bottom edge
+ * @param {number} right - The x-coordinate of the right edge
+ * @param {boolean} [oval] - Whether to create an ellipse instead of a rectangle
+ * @returns {PathItem} The created path item
+ * @private
+ */
+function _boundsPath(top, left, bottom, right, oval) {
+  var doc = _doc();
+  var position = _toDocument(Math.min(left, right), Math.min(top, bottom));
+  var width = Math.abs(right - left);
+  var height = Math.abs(bottom - top);
+  if (oval) {
+    return doc.pathItems.ellipse(position[1], position[0], width, height);
+  }
+  return doc.pathItems.rectangle(position[1], position[0], width, height);
+}
+
+/**
+ * Wraps a page item in the chainable object returned by the shape, text and image functions
+ * Every styling method returns the wrapper, so calls can be chained. The item itself
+ * is available as wrapper.item, and under the name the constructor has always used
+ * (wrapper.rect, wrapper.circle, wrapper.frame, ...).
+ * @param {PageItem} item - The Illustrator page item
+ * @param {string} [name] - Extra property name for the item (e.g., "rect")
+ * @returns {Object} The wrapper, with the methods fillColor(color), stroke(weight, color),
+ *   noStroke(), centerTo(keyObject), flip(direction), rotate(angle), and the getters
+ *   bounds(), center(), width() and height() in artboard coordinates
+ * @example
+ * _rect(10, 10, 110, 60).fillColor("#f00").stroke(2, "#000").rotate(15);
+ */
+function _wrap(item, name) {
+  var wrapper = { item: item };
+  if (name) {
+    wrapper[name] = item;
+  }
+
+  wrapper.fillColor = function (color) {
+    _setFillColor(item, color);
+    return wrapper;
+  };
+  wrapper.stroke = function (weight, color) {
+    _setStroke(item, weight, color);
+    return wrapper;
+  };
+  wrapper.noStroke = function () {
+    _noStroke(item);
+    return wrapper;
+  };
+  wrapper.centerTo = function (keyObject) {
+    _centerTo(item, keyObject);
+    return wrapper;
+  };
+  wrapper.flip = function (direction) {
+    _flip(item, direction);
+    return wrapper;
+  };
+  wrapper.rotate = function (angle) {
+    _rotate(item, angle);
+    return wrapper;
+  };
+
+  // Getters, as [top, left, bottom, right] from the artboard's top-left like InDesign
+  wrapper.bounds = function () {
+    var artboardRect = _artboard().artboardRect;
+    var b = item.geometricBounds; // [left, top, right, bottom], y up
+    return [
+      artboardRect[1] - b[1],
+      b[0] - artboardRect[0],
+      artboardRect[1] - b[3],
+      b[2] - artboardRect[0],
+    ];
+  };
+  wrapper.center = function () {
+    var b = wrapper.bounds();
+    return [(b[1] + b[3]) / 2, (b[0] + b[2]) / 2];
+  };
+  wrapper.width = function () {
+    return item.geometricBounds[2] - item.geometricBounds[0];
+  };
+  wrapper.height = function () {
+    return item.geometricBounds[1] - item.geometricBounds[3];
+  };
+
+  return wrapper;
+}
+
+/**
+ * Creates a rectangle on the active artboard
+ * @param {number} x - The x-coordinate of the rectangle's left edge
+ * @param {number} y - The y-coordinate of the rectangle's top edge
+ * @param {number} width - The x-coordinate of the rectangle's right edge (same convention as InDesign's _rect)
+ * @param {number} height - The y-coordinate of the rectangle's bottom edge (same convention as InDesign's _rect)
+ * @returns {Object} The rectangle wrapper with chainable methods (see _wrap)
+ * @example
+ * // Create a rectangle at (10, 10) with width 100 and height 50
+ * var myRect = _rect(10, 10, 110, 60);
+ */
+function _rect(x, y, width, height) {
+  var rect = _boundsPath(y, x, height, width);
+  return _wrap(rect, "rect");
+}
+
+/**
+ * Creates a straight line between two points
+ * @param {number} x1 - Starting x-coordinate
+ * @param {number} y1 - Starting y-coordinate
+ * @param {number} x2 - Ending x-coordinate
+ * @param {number} y2 - Ending y-coordinate
+ * @returns {Object} The line wrapper with chainable methods (see _wrap)
+ * @example
+ * // Create a diagonal line from (0,0) to (100,100)
+ * var myLine = _line(0, 0, 100, 100);
+ */
+function _line(x1, y1, x2, y2) {
+  var line = _doc().pathItems.add();
+  line.setEntirePath([_toDocument(x1, y1), _toDocument(x2, y2)]);
+  line.filled = false;
+  line.stroked = true;
+  return _wrap(line, "line");
+}
+
+/**
+ * Creates a circle, anchored at its top-left corner like InDesign's _circle
+ * @param {number} x - X-coordinate of the circle's left edge
+ * @param {number} y - Y-coordinate of the circle's top edge
+ * @param {number} radius - Size of the circle
+ * @returns {Object} The circle wrapper with chainable methods (see _wrap)
+ * @example
+ * var myCircle = _circle(100, 100, 50);
+ */
+function _circle(x, y, radius) {
+  var circle = _boundsPath(y, x, y + radius, x + radius, true);
+  return _wrap(circle, "circle");
+}
+
+/**
+ * Creates an ellipse with specified center point and dimensions
+ * @param {number} x - X-coordinate of the ellipse's center
+ * @param {number} y - Y-coordinate of the ellipse's center
+ * @param {number} width - Width of the ellipse
+ * @param {number} height - Height of the ellipse
+ * @returns {Object} The ellipse wrapper with chainable methods (see _wrap)
+ * @example
+ * // Create an ellipse centered at (100,100) with width 200 and height 100
+ * var myEllipse = _ellipse(100, 100, 200, 100);
+ */
+function _ellipse(x, y, width, height) {
+  var ellipse = _boundsPath(
+    y - height / 2,
+    x - width / 2,
+    y + height / 2,
+    x + width / 2,
+    true
+  );
+  return _wrap(ellipse, "ellipse");
+}
+
+/**
+ * Creates a polygon or star fitted to the given bounds
+ * @param {Number} x - X coordinate for top-left corner
+ * @param {Number} y - Y coordinate for top-left corner
+ * @param {Number} width - Width of the polygon
+ * @param {Number} height - Height of the polygon
+ * @param {Number} sides - Number of sides (3 or greater)
+ * @param {Number} [cornerRadius] - Accepted for compatibility with InDesign; Illustrator scripting cannot round corners
+ * @param {Number} [starInset] - Creates a star shape when > 0 (0-100%) (optional)
+ * @param {Boolean} [reversed] - Whether to reverse the polygon orientation (optional)
+ * @returns {Object} The polygon wrapper with chainable methods (see _wrap), or null on error
+ * @example
+ * // Create a hexagon
+ * var hex = _polygon(100, 100, 100, 100, 6);
+ * // Create a star
+ * var star = _polygon(100, 100, 100, 100, 5, 0, 50);
+ */
+function _polygon(
+  x,
+  y,
+  width,
+  height,
+  sides,
+  cornerRadius,
+  starInset,
+  reversed
+) {
+  try {
+    starInset = starInset || 0;
+    reversed = reversed || false;
+
+    // Validate inputs
+    if (sides < 3) {
+      throw new Error("Number of sides must be 3 or greater");
+    }
+    if (width <= 0 || height <= 0) {
+      throw new Error("Width and height must be greater than 0");
+    }
+    if (starInset < 0 || starInset > 100) {
+      throw new Error("Star inset must be between 0 and 100");
+    }
+
+    var doc = _doc();
+    var center = _toDocument(x + width / 2, y + height / 2);
+    var radius = Math.min(width, height) / 2;
+    var polygon =
+      starInset > 0
+        ? doc.pathItems.star(
+            center[0],
+            center[1],
+            radius,
+            radius * (1 - starInset / 100),
+            sides,
+            reversed
+          )
+        : doc.pathItems.polygon(center[0], center[1], radius, sides, reversed);
+
+    // Stretch the regular shape to the requested bounds
+    var topLeft = _toDocument(x, y);
+    polygon.width = width;
+    polygon.height = height;
+    polygon.position = topLeft;
+
+    return _wrap(polygon, "polygon");
+  } catch (e) {
+    alert("Error creating polygon: " + e.message);
+    return null;
+  }
+}
+
+/**
+ * Creates a custom polygon using specified points
+ * @param {Array<Array<number>>} points - An array of points where each point is an array of [x, y] coordinates
+ * @returns {Object} The polygon wrapper with chainable methods (see _wrap), or null on error
+ * @example
+ * var customPolygon = _polygonCustom([[100, 100], [150, 100], [200, 200]]);
+ */
+function _polygonCustom(points) {
+  try {
+    if (points.length < 3) {
+      throw new Error("A polygon must have at least 3 points");
+    }
+
+    var documentPoints = [];
+    for (var i = 0; i < points.length; i++) {
+      documentPoints.push(_toDocument(points[i][0], points[i][1]));
+    }
+
+    var polygon = _doc().pathItems.add();
+    polygon.setEntirePath(documentPoints);
+    polygon.closed = true;
+
+    return _wrap(polygon, "polygon");
+  } catch (e) {
+    alert("Error creating custom polygon: " + e.message);
+    return null;
+  }
+}
+
+// PATH FUNCTIONS
+
+// Vertices of the shape being drawn between _beginShape and _endShape
+var _shapeVertices = null;
+
+/**
+ * Starts recording a freeform shape, like beginShape in p5.js
+ * Add points with _vertex, _bezierVertex, _quadraticVertex and _curveVertex,
+ * then draw the shape with _endShape.
+ * @example
+ * // A wave
+ * _beginShape();
+ * _vertex(50, 200);
+ * _bezierVertex(100, 100, 150, 300, 200, 200);
+ * _quadraticVertex(250, 100, 300, 200);
+ * var wave = _endShape();
+ */
+function _beginShape() {
+  _shapeVertices = [];
+}
+
+/**
+ * Adds a corner point to the current shape
+ * @param {number} x - The x-coordinate of the point
+ * @param {number} y - The y-coordinate of the point
+ * @returns {boolean} - Success status
+ * @example
+ * _vertex(100, 100);
+ */
+function _vertex(x, y) {
+  return _addShapeVertex("vertex", { point: [x, y] });
+}
+
+/**
+ * Adds a cubic bezier curve from the previous point of the current shape
+ * @param {number} cx1 - X-coordinate of the first control point
+ * @param {number} cy1 - Y-coordinate of the first control point
+ * @param {number} cx2 - X-coordinate of the second control point
+ * @param {number} cy2 - Y-coordinate of the second control point
+ * @param {number} x - X-coordinate of the end point
+ * @param {number} y - Y-coordinate of the end point
+ * @returns {boolean} - Success status
+ * @example
+ * _vertex(0, 100);
+ * _bezierVertex(0, 0, 100, 0, 100, 100);
+ */
+function _bezierVertex(cx1, cy1, cx2, cy2, x, y) {
+  return _addShapeVertex("bezier", {
+    point: [x, y],
+    control1: [cx1, cy1],
+    control2: [cx2, cy2],
+  });
+}
+
+/**
+ * Adds a quadratic bezier curve from the previous point of the current shape
+ * @param {number} cx - X-coordinate of the control point
+ * @param {number} cy - Y-coordinate of the control point
+ * @param {number} x - X-coordinate of the end point
+ * @param {number} y - Y-coordinate of the end point
+ * @returns {boolean} - Success status
+ * @example
+ * _vertex(0, 100);
+ * _quadraticVertex(50, 0, 100, 100);
+ */
+function _quadraticVertex(cx, cy, x, y) {
+  return _addShapeVertex("quadratic", { point: [x, y], control: [cx, cy] });
+}
+
+/**
+ * Adds a point of a smooth Catmull-Rom curve to the current shape
+ * As in p5.js, the curve runs through every point of a series of _curveVertex
+ * calls except the first and last, which only steer the curve's ends. A series
+ * needs at least 4 points.
+ * @param {number} x - The x-coordinate of the point
+ * @param {number} y - The y-coordinate of the point
+ * @returns {boolean} - Success status
+ * @example
+ * _beginShape();
+ * _curveVertex(0, 0);
+ * _curveVertex(50, 100);
+ * _curveVertex(150, 50);
+ * _curveVertex(250, 150);
+ * _curveVertex(300, 100);
+ * _endShape();
+ */
+function _curveVertex(x, y) {
+  return _addShapeVertex("curve", { point: [x, y] });
+}
+
+/**
+ * Records a vertex of the current shape
+ * @private
+ */
+function _addShapeVertex(type, vertex) {
+  try {
+    if (!_shapeVertices) {
+      throw new Error("Call _beginShape before adding vertices");
+    }
+    vertex.type = type;
+    _shapeVertices.push(vertex);
+    return true;
+  } catch (e) {
+    alert("Error adding vertex: " + e.message);
+    return false;
+  }
+}
+
+/**
+ * Turns recorded shape vertices into path points with bezier handles
+ * @param {Array<Object>} vertices - The vertices recorded since _beginShape
+ * @param {boolean} close - Whether the path is closed
+ * @returns {Array<Object>} Points as {anchor, left, right}, each an [x, y] position
+ * @private
+ */
+function _shapePoints(vertices, close) {
+  var points = [];
+  var i = 0;
+
+  function point(anchor) {
+    var p = { anchor: anchor, left: anchor, right: anchor };
+    points.push(p);
+    return p;
+  }
+
+  function previous(name) {
+    if (points.length === 0) {
+      throw new Error(name + " needs a vertex before it");
+    }
+    return points[points.length - 1];
+  }
+
+  while (i < vertices.length) {
+    var v = vertices[i];
+    if (v.type === "curve") {
+      // Collect the whole series of curve vertices
+      var run = [];
+      while (i < vertices.length && vertices[i].type === "curve") {
+        run.push(vertices[i].point);
+        i++;
+      }
+      if (run.length < 4) {
+        throw new Error(
+          "_curveVertex needs at least 4 points in a row, got " + run.length
+        );
+      }
+      point(run[1]);
+      for (var j = 1; j < run.length - 2; j++) {
+        // Catmull-Rom segment run[j] -> run[j + 1] as a cubic bezier
+        var p0 = run[j - 1],
+          p1 = run[j],
+          p2 = run[j + 1],
+          p3 = run[j + 2];
+        points[points.length - 1].right = [
+          p1[0] + (p2[0] - p0[0]) / 6,
+          p1[1] + (p2[1] - p0[1]) / 6,
+        ];
+        point(p2).left = [
+          p2[0] - (p3[0] - p1[0]) / 6,
+          p2[1] - (p3[1] - p1[1]) / 6,
+        ];
+      }
+      continue;
+    }
+
+    if (v.type === "bezier") {
+      previous("_bezierVertex").right = v.control1;
+      point(v.point).left = v.control2;
+    } else if (v.type === "quadratic") {
+      // Raise the quadratic curve to a cubic one
+      var start = previous("_quadraticVertex").anchor;
+      var c = v.control;
+      points[points.length - 1].right = [
+        start[0] + (2 / 3) * (c[0] - start[0]),
+        start[1] + (2 / 3) * (c[1] - start[1]),
+      ];
+      point(v.point).left = [
+        v.point[0] + (2 / 3) * (c[0] - v.point[0]),
+        v.point[1] + (2 / 3) * (c[1] - v.point[1]),
+      ];
+    } else {
+      point(v.point);
+    }
+    i++;
+  }
+
+  if (points.length < 2) {
+    throw new Error("A shape needs at least 2 points");
+  }
+
+  // A closed shape that ends where it started keeps one point there
+  var first = points[0];
+  var last = points[points.length - 1];
+  if (
+    close &&
+    points.length > 2 &&
+    first.anchor[0] === last.anchor[0] &&
+    first.anchor[1] === last.anchor[1]
+  ) {
+    first.left = last.left;
+    points.pop();
+  }
+  return points;
+}
+
+/**
+ * Draws the shape recorded since _beginShape, like endShape in p5.js
+ * @param {boolean|string} [close] - Pass true or "close" to close the path
+ * @returns {Object} The shape wrapper with chainable methods (see _wrap), or null on error
+ * @example
+ * _beginShape();
+ * _vertex(100, 100);
+ * _bezierVertex(150, 50, 200, 150, 250, 100);
+ * _vertex(250, 200);
+ * _endShape(true).fillColor("#FFC600");
+ */
+function _endShape(close) {
+  try {
+    if (!_shapeVertices) {
+      throw new Error("Call _beginShape before _endShape");
+    }
+    close = close === true || String(close).toLowerCase() === "close";
+    var points = _shapePoints(_shapeVertices, close);
+    _shapeVertices = null;
+
+    var shape = _doc().pathItems.add();
+    for (var i = 0; i < points.length; i++) {
+      var pathPoint = shape.pathPoints.add();
+      pathPoint.anchor = _toDocument(points[i].anchor[0], points[i].anchor[1]);
+      pathPoint.leftDirection = _toDocument(
+        points[i].left[0],
+        points[i].left[1]
+      );
+      pathPoint.rightDirection = _toDocument(
+        points[i].right[0],
+        points[i].right[1]
+      );
+      pathPoint.pointType = PointType.CORNER;
+    }
+    shape.closed = close;
+    return _wrap(shape, "polygon");
+  } catch (e) {
+    _shapeVertices = null;
+    alert("Error drawing shape: " + e.message);
+    return null;
+  }
+}
+
+// GRID FUNCTIONS
+
+/**
+ * Gets the area of the active artboard that a grid is laid out in
+ * @param {string} bounds - "margin", "page" or "bleed"
+ * @param {number} margin - Inset from the artboard edges used by "margin"
+ * @param {number} bleed - Outset from the artboard edges used by "bleed"
+ * @returns {Object} The area as {top, left, bottom, right} in top-left, y-down coordinates
+ * @private
+ */
+function _gridArea(bounds, margin, bleed) {
+  var artboardRect = _artboard().artboardRect; // [left, top, right, bottom]
+  var width = artboardRect[2] - artboardRect[0];
+  var height = artboardRect[1] - artboardRect[3];
+  var inset;
+
+  switch (bounds.toLowerCase()) {
+    case "page":
+      inset = 0;
+      break;
+    case "margin":
+      inset = margin;
+      break;
+    case "bleed":
+      inset = -bleed;
+      break;
+    default:
+      throw new Error("Invalid grid bounds: " + bounds);
+  }
+  return {
+    top: inset,
+    left: inset,
+    bottom: height - inset,
+    right: width - inset,
+  };
+}
+
+/**
+ * Creates a grid cell object
+ * @private
+ */
+function _gridCell(row, col, index, x, y, width, height) {
+  return {
+    row: row,
+    col: col,
+    index: index,
+    x: x,
+    y: y,
+    width: width,
+    height: height,
+    cx: x + width / 2,
+    cy: y + height / 2,
+    bounds: [y, x, y + height, x + width],
+  };
+}
+
+/**
+ * Lays out a grid of rows and columns on the active artboard and returns its cells
+ * @param {Object} options - The grid settings
+ * @param {number} options.rows - Number of rows
+ * @param {number} options.cols - Number of columns
+ * @param {number} [options.gutter=0] - Space between cells
+ * @param {number} [options.rowGutter] - Space between rows (defaults to gutter)
+ * @param {number} [options.colGutter] - Space between columns (defaults to gutter)
+ * @param {string} [options.bounds="margin"] - The area to fill: "margin", "page" or "bleed"
+ * @param {number} [options.margin=0] - Inset from the artboard edges used by "margin" (Illustrator has no margin guides)
+ * @param {number} [options.bleed=0] - Outset from the artboard edges used by "bleed"
+ * @returns {Object} The grid with its cells and helpers, or null on error
+ * @example
+ * var grid = _grid({ rows: 5, cols: 5, gutter: 6 });
+ * grid.each(function (cell) {
+ *   _rect(cell.x, cell.y, cell.x + cell.width, cell.y + cell.height);
+ * });
+ * // A cell spanning two rows and three columns
+ * var hero = grid.span(0, 0, 2, 3);
+ */
+function _grid(options) {
+  try {
+    options = options || {};
+    var rows = options.rows == undefined ? 1 : options.rows;
+    var cols = options.cols == undefined ? 1 : options.cols;
+    var gutter = options.gutter || 0;
+    var rowGutter = options.rowGutter == undefined ? gutter : options.rowGutter;
+    var colGutter = options.colGutter == undefined ? gutter : options.colGutter;
+
+    if (rows < 1 || cols < 1 || rows % 1 !== 0 || cols % 1 !== 0) {
+      throw new Error("Rows and columns must be whole numbers of 1 or more");
+    }
+
+    var area = _gridArea(
+      options.bounds || "margin",
+      options.margin || 0,
+      options.bleed || 0
+    );
+    var areaWidth = area.right - area.left;
+    var areaHeight = area.bottom - area.top;
+    var cellWidth = (areaWidth - colGutter * (cols - 1)) / cols;
+    var cellHeight = (areaHeight - rowGutter * (rows - 1)) / rows;
+
+    if (cellWidth <= 0 || cellHeight <= 0) {
+      throw new Error("Gutters leave no room for the grid cells");
+    }
+
+    var cells = [];
+    for (var row = 0; row < rows; row++) {
+      for (var col = 0; col < cols; col++) {
+        cells.push(
+          _gridCell(
+            row,
+            col,
+            cells.length,
+            area.left + col * (cellWidth + colGutter),
+            area.top + row * (cellHeight + rowGutter),
+            cellWidth,
+            cellHeight
+          )
+        );
+      }
+    }
+
+    var grid = {
+      cells: cells,
+      rows: rows,
+      cols: cols,
+      x: area.left,
+      y: area.top,
+      width: areaWidth,
+      height: areaHeight,
+      cell: function (row, col) {
+        if (row < 0 || row >= rows || col < 0 || col >= cols) {
+          return null;
+        }
+        return cells[row * cols + col];
+      },
+      span: function (row, col, rowSpan, colSpan) {
+        var first = grid.cell(row, col);
+        var last = grid.cell(row + rowSpan - 1, col + colSpan - 1);
+        if (!first || !last) {
+          alert("Error spanning grid cells: span is outside the grid");
+          return null;
+        }
+        var spanned = _gridCell(
+          row,
+          col,
+          first.index,
+          first.x,
+          first.y,
+          last.x + last.width - first.x,
+          last.y + last.height - first.y
+        );
+        spanned.rowSpan = rowSpan;
+        spanned.colSpan = colSpan;
+        return spanned;
+      },
+      ordered: function (order) {
+        return _gridOrder(cells, rows, cols, order || "rows");
+      },
+      each: function (fn, order) {
+        var ordered = grid.ordered(order);
+        for (var i = 0; i < ordered.length; i++) {
+          fn(ordered[i], i);
+        }
+        return grid;
+      },
+      guides: function () {
+        for (var c = 0; c < cols; c++) {
+          var left = cells[c].x;
+          _guide("vertical", left);
+          _guide("vertical", left + cellWidth);
+        }
+        for (var r = 0; r < rows; r++) {
+          var top = cells[r * cols].y;
+          _guide("horizontal", top);
+          _guide("horizontal", top + cellHeight);
+        }
+        return grid;
+      },
+    };
+    return grid;
+  } catch (e) {
+    alert("Error creating grid: " + e.message);
+    return null;
+  }
+}
+
+/**
+ * Returns grid cells in the requested iteration order
+ * @param {Array<Object>} cells - The cells in row-major order
+ * @param {number} rows - Number of rows
+ * @param {number} cols - Number of columns
+ * @param {string} order - "rows", "columns", "snake", "reverse" or "random"
+ * @returns {Array<Object>} The reordered cells
+ * @private
+ */
+function _gridOrder(cells, rows, cols, order) {
+  var ordered = [];
+  var row, col;
+  switch (order.toLowerCase()) {
+    case "rows":
+      return cells.slice(0);
+    case "columns":
+      for (col = 0; col < cols; col++) {
+        for (row = 0; row < rows; row++) {
+          ordered.push(cells[row * cols + col]);
+        }
+      }
+      return ordered;
+    case "snake":
+      // Left to right on even rows, right to left on odd rows
+      for (row = 0; row < rows; row++) {
+        for (col = 0; col < cols; col++) {
+          var c = row % 2 === 0 ? col : cols - 1 - col;
+          ordered.push(cells[row * cols + c]);
+        }
+      }
+      return ordered;
+    case "reverse":
+      return cells.slice(0).reverse();
+    case "random":
+      return _shuffle(cells);
+    default:
+      throw new Error("Invalid grid order: " + order);
+  }
+}
+
+/**
+ * Adds a guide across the active artboard
+ * @param {string} orientation - The orientation of the guide ("horizontal" or "vertical")
+ * @param {number} position - The position of the guide from the artboard's top or left edge
+ * @returns {PathItem} The created guide path
+ * @example
+ * var myGuide = _guide("horizontal", 100);
+ */
+function _guide(orientation, position) {
+  try {
+    var artboardRect = _artboard().artboardRect;
+    var width = artboardRect[2] - artboardRect[0];
+    var height = artboardRect[1] - artboardRect[3];
+    var guide = _doc().pathItems.add();
+    if (orientation.toLowerCase() === "horizontal") {
+      guide.setEntirePath([
+        _toDocument(0, position),
+        _toDocument(width, position),
+      ]);
+    } else {
+      guide.setEntirePath([
+        _toDocument(position, 0),
+        _toDocument(position, height),
+      ]);
+    }
+    guide.guides = true;
+    return guide;
+  } catch (e) {
+    alert("Error adding guide: " + e.message);
+    return null;
+  }
+}
+
+// COLOR FUNCTIONS
+
+/**
+ * Sets the fill color of a shape
+ * @param {PageItem} shape - The Illustrator path item
+ * @param {Color|String} color - The fill color (Illustrator color object or any color string _color accepts)
+ * @example
+ * // Set red fill color
+ * _setFillColor(myShape, "#FF0000");
+ */
+function _setFillColor(shape, color) {
+  if (typeof color === "string") {
+    color = _color(color);
+  }
+  if (color) {
+    shape.filled = true;
+    shape.fillColor = color;
+  }
+}
+
+/**
+ * Sets the stroke of a shape with specified weight and color.
+ * @param {PageItem} shape - The Illustrator path item.
+ * @param {number} weight - The stroke weight.
+ * @param {Color|String} [color] - The stroke color (Illustrator color object or any color string _color accepts).
+ * @example
+ * // Set black 2pt stroke
+ * _setStroke(myShape, 2, "#000000");
+ */
+function _setStroke(shape, weight, color) {
+  if (typeof color === "string") {
+    color = _color(color);
+  }
+  shape.stroked = true;
+  shape.strokeWidth = weight;
+  if (color) {
+    shape.strokeColor = color;
+  }
+}
+
+/**
+ * Removes the stroke from a shape.
+ * @param {PageItem} shape - The Illustrator path item.
+ * @example
+ * _noStroke(myShape);
+ */
+function _noStroke(shape) {
+  shape.stroked = false;
+}
+
+/**
+ * Converts a hex color string to RGB array
+ * Accepts 3, 4, 6 or 8 digits, with or without the leading "#". The alpha
+ * digits of 4 and 8 digit colors are ignored (see _parseColor).
+ * @param {string} hex - The hex color string (e.g., "#FF0000", "#F00", "FFC600")
+ * @returns {Array<number>} Array of [r,g,b] values (0-255)
+ * @throws {Error} If the string is not a valid hex color
+ * @example
+ * var rgbColor = _hexToRGB("#FF0000"); // Returns [255, 0, 0]
+ * var white = _hexToRGB("fff"); // Returns [255, 255, 255]
+ */
+function _hexToRGB(hex) {
+  return _parseHex(hex).slice(0, 3);
+}
+
+/**
+ * Parses a hex color string into [r, g, b, alpha]
+ * @private
+ */
+function _parseHex(hex) {
+  var digits = String(hex)
+    .replace(/^\s+|\s+$/g, "")
+    .replace(/^#/, "");
+  if (!/^[0-9a-f]+$/i.test(digits)) {
+    throw new Error("Invalid hex color: " + hex);
+  }
+  if (digits.length === 3 || digits.length === 4) {
+    digits = digits.replace(/(.)/g, "$1$1");
+  }
+  if (digits.length !== 6 && digits.length !== 8) {
+    throw new Error("Invalid hex color: " + hex);
+  }
+  var alpha = digits.length === 8 ? parseInt(digits.substring(6, 8), 16) : 255;
+  return [
+    parseInt(digits.substring(0, 2), 16),
+    parseInt(digits.substring(2, 4), 16),
+    parseInt(digits.substring(4, 6), 16),
+    Math.round((alpha / 255) * 100) / 100,
+  ];
+}
+
+/**
+ * Stores a color as a named swatch, updating the swatch if it already exists
+ * @param {string} name - The swatch name
+ * @param {Color} color - The Illustrator color object
+ * @returns {Color} The swatch's color
+ * @private
+ */
+function _swatch(name, color) {
+  var doc = _doc();
+  var swatch;
+  try {
+    swatch = doc.swatches.getByName(name);
+  } catch (e) {
+    swatch = doc.swatches.add();
+    swatch.name = name;
+  }
+  swatch.color = color;
+  return swatch.color;
+}
+
+/**
+ * Creates or retrieves a color swatch in the document
+ * Takes any color string _parseColor understands: hex ("#FF0000", "#F00", "FFC600"),
+ * CSS names ("tomato"), rgb(), hsl(), hsb(), cmyk() and lab(). The name of an existing
+ * swatch returns that swatch's color, and "none" or "transparent" returns no color.
+ * Color objects are returned as is.
+ * @param {string|Color} clr - The color string (e.g., "#FF0000")
+ * @returns {Color} The Illustrator color object, or null if the color is not recognized
+ * @example
+ * var redColor = _color("#FF0000");
+ * var coral = _color("hsl(16, 100%, 66%)");
+ */
+function _color(clr) {
+  if (typeof clr !== "string") {
+    return clr;
+  }
+  try {
+    var name = clr.replace(/^\s+|\s+$/g, "");
+    var lower = name.toLowerCase();
+    if (lower === "none" || lower === "transparent") {
+      return new NoColor();
+    }
+
+    // Document swatches win over CSS color names, e.g. "Black"
+    if (!/^#|\(/.test(name)) {
+      try {
+        return _doc().swatches.getByName(name).color;
+      } catch (e) {
+        // Not a swatch, parse it as a color below
+      }
+    }
+
+    var parsed = _parseColor(name);
+    return _swatch(name, _colorObject(parsed.space, parsed.values));
+  } catch (e) {
+    alert("Error creating color: " + e.message);
+    return null;
+  }
+}
+
+/**
+ * Builds an unnamed Illustrator color object
+ * @param {string} space - "RGB", "CMYK" or "LAB"
+ * @param {Array<number>} values - The color values in that space
+ * @returns {Color} The Illustrator color object
+ * @private
+ */
+function _colorObject(space, values) {
+  var color;
+  if (space === "CMYK") {
+    color = new CMYKColor();
+    color.cyan = values[0];
+    color.magenta = values[1];
+    color.yellow = values[2];
+    color.black = values[3];
+  } else if (space === "LAB") {
+    color = new LabColor();
+    color.l = values[0];
+    color.a = values[1];
+    color.b = values[2];
+  } else {
+    color = new RGBColor();
+    color.red = values[0];
+    color.green = values[1];
+    color.blue = values[2];
+  }
+  return color;
+}
+
+/**
+ * Creates or retrieves an RGB color swatch in the document
+ * @param {number} r - Red value (0-255)
+ * @param {number} g - Green value (0-255)
+ * @param {number} b - Blue value (0-255)
+ * @param {string} [name] - Optional name for the color. If not provided, generates one
+ * @returns {RGBColor} The Illustrator color object
+ * @example
+ * var redColor = _colorRGB(255, 0, 0);
+ */
+function _colorRGB(r, g, b, name) {
+  var color = new RGBColor();
+  color.red = Math.min(255, Math.max(0, Math.round(r)));
+  color.green = Math.min(255, Math.max(0, Math.round(g)));
+  color.blue = Math.min(255, Math.max(0, Math.round(b)));
+  return _swatch(
+    name || "RGB_" + color.red + "_" + color.green + "_" + color.blue,
+    color
+  );
+}
+
+/**
+ * Creates or retrieves a CMYK color swatch in the document
+ * @param {number} c - Cyan value (0-100)
+ * @param {number} m - Magenta value (0-100)
+ * @param {number} y - Yellow value (0-100)
+ * @param {number} k - Black value (0-100)
+ * @param {string} [name] - Optional name for the color. If not provided, generates one
+ * @returns {CMYKColor} The Illustrator color object
+ * @example
+ * var magentaColor = _colorCMYK(0, 100, 0, 0);
+ */
+function _colorCMYK(c, m, y, k, name) {
+  var color = new CMYKColor();
+  color.cyan = Math.min(100, Math.max(0, Math.round(c)));
+  color.magenta = Math.min(100, Math.max(0, Math.round(m)));
+  color.yellow = Math.min(100, Math.max(0, Math.round(y)));
+  color.black = Math.min(100, Math.max(0, Math.round(k)));
+  return _swatch(
+    name ||
+      "CMYK_" +
+        color.cyan +
+        "_" +
+        color.magenta +
+        "_" +
+        color.yellow +
+        "_" +
+        color.black,
+    color
+  );
+}
+
+/**
+ * Creates or retrieves a color swatch from HSL values
+ * The color is stored as RGB, since Illustrator has no HSL color space.
+ * @param {number} h - Hue (0-360)
+ * @param {number} s - Saturation (0-100)
+ * @param {number} l - Lightness (0-100)
+ * @param {string} [name] - Optional name for the color. If not provided, generates one
+ * @returns {RGBColor} The Illustrator color object
+ * @example
+ * var coral = _colorHSL(16, 100, 66);
+ */
+function _colorHSL(h, s, l, name) {
+  h = ((Math.round(h) % 360) + 360) % 360;
+  s = Math.min(100, Math.max(0, Math.round(s)));
+  l = Math.min(100, Math.max(0, Math.round(l)));
+  return _swatch(
+    name || "HSL_" + h + "_" + s + "_" + l,
+    _colorObject("RGB", _hslToRGB(h, s, l))
+  );
+}
+
+/**
+ * Creates or retrieves a color swatch from HSB (also called HSV) values
+ * The color is stored as RGB, like the HSB sliders in Illustrator's Color panel.
+ * @param {number} h - Hue (0-360)
+ * @param {number} s - Saturation (0-100)
+ * @param {number} b - Brightness (0-100)
+ * @param {string} [name] - Optional name for the color. If not provided, generates one
+ * @returns {RGBColor} The Illustrator color object
+ * @example
+ * var orange = _colorHSB(30, 100, 100);
+ */
+function _colorHSB(h, s, b, name) {
+  h = ((Math.round(h) % 360) + 360) % 360;
+  s = Math.min(100, Math.max(0, Math.round(s)));
+  b = Math.min(100, Math.max(0, Math.round(b)));
+  return _swatch(
+    name || "HSB_" + h + "_" + s + "_" + b,
+    _colorObject("RGB", _hsbToRGB(h, s, b))
+  );
+}
+
+/**
+ * Creates or retrieves a Lab color swatch in the document
+ * @param {number} l - Lightness (0-100)
+ * @param {number} a - Green-red axis (-128 to 127)
+ * @param {number} b - Blue-yellow axis (-128 to 127)
+ * @param {string} [name] - Optional name for the color. If not provided, generates one
+ * @returns {LabColor} The Illustrator color object
+ * @example
+ * var teal = _colorLab(60, -40, -10);
+ */
+function _colorLab(l, a, b, name) {
+  l = Math.min(100, Math.max(0, Math.round(l)));
+  a = Math.min(127, Math.max(-128, Math.round(a)));
+  b = Math.min(127, Math.max(-128, Math.round(b)));
+  return _swatch(
+    name || "LAB_" + l + "_" + a + "_" + b,
+    _colorObject("LAB", [l, a, b])
+  );
+}
+
+/**
+ * Generates a palette of colors from a base color and stores it as a swatch group
+ * The colors are named "<group name> 1", "<group name> 2", ... and are updated in
+ * place when the palette is generated again with the same group name. The group then
+ * holds just the new colors.
+ * @param {string|Array<number>} base - The base color (any color string or [r,g,b] array)
+ * @param {string} [scheme="complementary"] - 'complementary', 'triadic', 'analogous', 'tetradic' or 'monochrome'
+ * @param {number} [n] - Number of colors. Defaults to the scheme's own count
+ *   (2, 3, 5, 4 and 5). Larger palettes add shades and tints of the scheme's hues.
+ * @param {string} [groupName] - Name of the swatch group. Defaults to the scheme and base color
+ * @returns {Array<RGBColor>|null} The colors, starting with the base color, or null on error
+ * @example
+ * var colors = _palette("#FFC600", "triadic", 6);
+ * _setFillColor(_rect(0, 0, 100, 100), _randomChoice(colors));
+ */
+function _palette(base, scheme, n, groupName) {
+  var doc = _doc();
+  try {
+    if (!scheme) scheme = "complementary";
+    var rgb = _toRGB(base);
+    var values = _paletteRGB(rgb, scheme, n);
+    if (!groupName) {
+      groupName = scheme + " " + _rgbToHex(rgb[0], rgb[1], rgb[2]);
+    }
+
+    var group;
+    try {
+      group = doc.swatchGroups.getByName(groupName);
+    } catch (e) {
+      group = doc.swatchGroups.add();
+      group.name = groupName;
+    }
+
+    var colors = [];
+    var names = {};
+    for (var i = 0; i < values.length; i++) {
+      var name = groupName + " " + (i + 1);
+      colors.push(_colorRGB(values[i][0], values[i][1], values[i][2], name));
+      group.addSwatch(doc.swatches.getByName(name));
+      names[name] = true;
+    }
+
+    // Drop the members that are no longer in the palette (e.g., after a smaller n).
+    // Swatch groups cannot give up a single swatch, so the swatch is removed.
+    var members = group.getAllSwatches();
+    for (var m = 0; m < members.length; m++) {
+      if (names[members[m].name] !== true) {
+        members[m].remove();
+      }
+    }
+    return colors;
+  } catch (e) {
+    alert("Error creating palette: " + e.message);
+    return null;
+  }
+}
+
+/**
+ * Computes the RGB values of a palette around a base color
+ * @param {Array<number>} rgb - The base color as [r,g,b]
+ * @param {string} scheme - The color scheme
+ * @param {number} [n] - Number of colors
+ * @returns {Array<Array<number>>} The palette as [r,g,b] arrays, starting with the base color
+ * @private
+ */
+function _paletteRGB(rgb, scheme, n) {
+  // Hue offsets of each scheme; the palette size defaults to their count
+  const schemeMap = {
+    complementary: [0, 180],
+    triadic: [0, 120, 240],
+    analogous: [0, -30, 30, -60, 60],
+    tetradic: [0, 90, 180, 270],
+    monochrome: [0, 0, 0, 0, 0],
+  };
+  var offsets = schemeMap[String(scheme).toLowerCase()];
+  if (!offsets) {
+    throw new Error(
+      "Invalid palette scheme. Valid schemes are: " +
+        Object.keys(schemeMap).join(", ")
+    );
+  }
+  if (n == undefined) n = offsets.length;
+  if (n < 1 || Math.floor(n) !== n) {
+    throw new Error("Palette size must be a whole number of at least 1");
+  }
+
+  var hsl = _rgbToHSL(rgb[0], rgb[1], rgb[2]);
+  var colors = [[rgb[0], rgb[1], rgb[2]]];
+  for (var i = 1; i < n; i++) {
+    var hue = hsl[0];
+    var lightness = hsl[2];
+    if (String(scheme).toLowerCase() === "monochrome") {
+      // Alternate darker and lighter shades, 12 points of lightness apart
+      lightness += (i % 2 ? -1 : 1) * Math.ceil(i / 2) * 12;
+    } else {
+      // Past the scheme's own hues, repeat them as alternating shades and tints
+      var round = Math.floor(i / offsets.length);
+      hue += offsets[i % offsets.length];
+      lightness += (round % 2 ? -1 : 1) * Math.ceil(round / 2) * 15;
+    }
+    lightness = Math.min(95, Math.max(5, lightness));
+    colors.push(_hslToRGB(hue, hsl[1], lightness));
+  }
+  return colors;
+}
+
+// CSS color names understood by _parseColor and every function that takes a color string
+var _cssColors = {
+  aliceblue: "f0f8ff",
+  antiquewhite: "faebd7",
+  aqua: "00ffff",
+  aquamarine: "7fffd4",
+  azure: "f0ffff",
+  beige: "f5f5dc",
+  bisque: "ffe4c4",
+  black: "000000",
+  blanchedalmond: "ffebcd",
+  blue: "0000ff",
+  blueviolet: "8a2be2",
+  brown: "a52a2a",
+  burlywood: "deb887",
+  cadetblue: "5f9ea0",
+  chartreuse: "7fff00",
+  chocolate: "d2691e",
+  coral: "ff7f50",
+  cornflowerblue: "6495ed",
+  cornsilk: "fff8dc",
+  crimson: "dc143c",
+  cyan: "00ffff",
+  darkblue: "00008b",
+  darkcyan: "008b8b",
+  darkgoldenrod: "b8860b",
+  darkgray: "a9a9a9",
+  darkgreen: "006400",
+  darkgrey: "a9a9a9",
+  darkkhaki: "bdb76b",
+  darkmagenta: "8b008b",
+  darkolivegreen: "556b2f",
+  darkorange: "ff8c00",
+  darkorchid: "9932cc",
+  darkred: "8b0000",
+  darksalmon: "e9967a",
+  darkseagreen: "8fbc8f",
+  darkslateblue: "483d8b",
+  darkslategray: "2f4f4f",
+  darkslategrey: "2f4f4f",
+  darkturquoise: "00ced1",
+  darkviolet: "9400d3",
+  deeppink: "ff1493",
+  deepskyblue: "00bfff",
+  dimgray: "696969",
+  dimgrey: "696969",
+  dodgerblue: "1e90ff",
+  firebrick: "b22222",
+  floralwhite: "fffaf0",
+  forestgreen: "228b22",
+  fuchsia: "ff00ff",
+  gainsboro: "dcdcdc",
+  ghostwhite: "f8f8ff",
+  gold: "ffd700",
+  goldenrod: "daa520",
+  gray: "808080",
+  green: "008000",
+  greenyellow: "adff2f",
+  grey: "808080",
+  honeydew: "f0fff0",
+  hotpink: "ff69b4",
+  indianred: "cd5c5c",
+  indigo: "4b0082",
+  ivory: "fffff0",
+  khaki: "f0e68c",
+  lavender: "e6e6fa",
+  lavenderblush: "fff0f5",
+  lawngreen: "7cfc00",
+  lemonchiffon: "fffacd",
+  lightblue: "add8e6",
+  lightcoral: "f08080",
+  lightcyan: "e0ffff",
+  lightgoldenrodyellow: "fafad2",
+  lightgray: "d3d3d3",
+  lightgreen: "90ee90",
+  lightgrey: "d3d3d3",
+  lightpink: "ffb6c1",
+  lightsalmon: "ffa07a",
+  lightseagreen: "20b2aa",
+  lightskyblue: "87cefa",
+  lightslategray: "778899",
+  lightslategrey: "778899",
+  lightsteelblue: "b0c4de",
+  lightyellow: "ffffe0",
+  lime: "00ff00",
+  limegreen: "32cd32",
+  linen: "faf0e6",
+  magenta: "ff00ff",
+  maroon: "800000",
+  mediumaquamarine: "66cdaa",
+  mediumblue: "0000cd",
+  mediumorchid: "ba55d3",
+  mediumpurple: "9370db",
+  mediumseagreen: "3cb371",
+  mediumslateblue: "7b68ee",
+  mediumspringgreen: "00fa9a",
+  mediumturquoise: "48d1cc",
+  mediumvioletred: "c71585",
+  midnightblue: "191970",
+  mintcream: "f5fffa",
+  mistyrose: "ffe4e1",
+  moccasin: "ffe4b5",
+  navajowhite: "ffdead",
+  navy: "000080",
+  oldlace: "fdf5e6",
+  olive: "808000",
+  olivedrab: "6b8e23",
+  orange: "ffa500",
+  orangered: "ff4500",
+  orchid: "da70d6",
+  palegoldenrod: "eee8aa",
+  palegreen: "98fb98",
+  paleturquoise: "afeeee",
+  palevioletred: "db7093",
+  papayawhip: "ffefd5",
+  peachpuff: "ffdab9",
+  peru: "cd853f",
+  pink: "ffc0cb",
+  plum: "dda0dd",
+  powderblue: "b0e0e6",
+  purple: "800080",
+  rebeccapurple: "663399",
+  red: "ff0000",
+  rosybrown: "bc8f8f",
+  royalblue: "4169e1",
+  saddlebrown: "8b4513",
+  salmon: "fa8072",
+  sandybrown: "f4a460",
+  seagreen: "2e8b57",
+  seashell: "fff5ee",
+  sienna: "a0522d",
+  silver: "c0c0c0",
+  skyblue: "87ceeb",
+  slateblue: "6a5acd",
+  slategray: "708090",
+  slategrey: "708090",
+  snow: "fffafa",
+  springgreen: "00ff7f",
+  steelblue: "4682b4",
+  tan: "d2b48c",
+  teal: "008080",
+  thistle: "d8bfd8",
+  tomato: "ff6347",
+  turquoise: "40e0d0",
+  violet: "ee82ee",
+  wheat: "f5deb3",
+  white: "ffffff",
+  whitesmoke: "f5f5f5",
+  yellow: "ffff00",
+  yellowgreen: "9acd32",
+};
+
+/**
+ * Parses a CSS-style color string
+ * Understands hex ("#F00", "FFC600", "#FF000080"), CSS color names ("tomato"),
+ * and the functional forms rgb(), rgba(), hsl(), hsla(), hsb(), hsv(), cmyk() and lab().
+ * Both comma and space separated arguments work, with an optional alpha after a "/".
+ * HSL and HSB colors are converted to RGB.
+ * @param {string} str - The color string
+ * @returns {Object} {space: "RGB"|"CMYK"|"LAB", values: Array<number>, alpha: number (0-1)}
+ * @throws {Error} If the string is not a recognized color
+ * @example
+ * _parseColor("hsl(120, 100%, 25%)"); // {space: "RGB", values: [0, 128, 0], alpha: 1}
+ * _parseColor("cmyk(0, 100, 0, 0)"); // {space: "CMYK", values: [0, 100, 0, 0], alpha: 1}
+ */
+function _parseColor(str) {
+  var text = String(str)
+    .replace(/^\s+|\s+$/g, "")
+    .toLowerCase();
+  var hex = _cssColors.hasOwnProperty(text) ? _cssColors[text] : text;
+  if (/^#?([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.test(hex)) {
+    var rgba = _parseHex(hex);
+    return { space: "RGB", values: rgba.slice(0, 3), alpha: rgba[3] };
+  }
+
+  var match = text.match(/^([a-z]+)\((.*)\)$/);
+  if (!match) {
+    throw new Error("Unrecognized color: " + str);
+  }
+  var fn = match[1].replace(/a$/, "");
+  if (fn === "hsv") fn = "hsb";
+  var counts = { rgb: 3, hsl: 3, hsb: 3, cmyk: 4, lab: 3 };
+  var count = counts[fn];
+  var args = match[2].replace(/^[\s,]+|[\s,]+$/g, "").split(/\s*[,\/]\s*|\s+/);
+  if (!count || (args.length !== count && args.length !== count + 1)) {
+    throw new Error("Unrecognized color: " + str);
+  }
+
+  var values = [];
+  for (var i = 0; i < count; i++) {
+    values.push(_colorArgument(args[i], fn, i, str));
+  }
+  var alpha = 1;
+  if (args.length > count) {
+    alpha = _colorArgument(args[count], "alpha", 0, str);
+    alpha = Math.min(1, Math.max(0, alpha));
+  }
+
+  // Documents have no HSL or HSB color space, so those are stored as RGB
+  if (fn === "hsl") {
+    values = _hslToRGB(values[0], values[1], values[2]);
+    fn = "rgb";
+  } else if (fn === "hsb") {
+    values = _hsbToRGB(values[0], values[1], values[2]);
+    fn = "rgb";
+  }
+  return { space: fn.toUpperCase(), values: values, alpha: alpha };
+}
+
+/**
+ * Reads one argument of a functional color, resolving percentages and angle units
+ * @private
+ */
+function _colorArgument(arg, fn, index, str) {
+  var match = /^(-?(?:\d+\.?\d*|\.\d+))(%|deg|turn|rad)?$/.exec(arg);
+  if (!match) {
+    throw new Error("Unrecognized color: " + str);
+  }
+  var value = parseFloat(match[1]);
+  var unit = match[2];
+
+  if (unit === "%") {
+    // Percentages are of the channel's full range
+    if (fn === "rgb") return (value / 100) * 255;
+    if (fn === "alpha") return value / 100;
+    if (fn === "lab" && index > 0) return (value / 100) * 125;
+    return value;
+  }
+  if (unit === "turn") return value * 360;
+  if (unit === "rad") return (value * 180) / Math.PI;
+  return value;
+}
+
+/**
+ * Converts RGB values to a hex color string
+ * @param {number} r - Red value (0-255)
+ * @param {number} g - Green value (0-255)
+ * @param {number} b - Blue value (0-255)
+ * @returns {string} The hex color string (e.g., "#FF0000")
+ * @example
+ * var hex = _rgbToHex(255, 198, 0); // Returns "#FFC600"
+ */
+function _rgbToHex(r, g, b) {
+  var hex = "#";
+  var channels = [r, g, b];
+  for (var i = 0; i < 3; i++) {
+    var value = Math.min(255, Math.max(0, Math.round(channels[i])));
+    hex += (value < 16 ? "0" : "") + value.toString(16).toUpperCase();
+  }
+  return hex;
+}
+
+/**
+ * Converts RGB values to HSL
+ * @param {number} r - Red value (0-255)
+ * @param {number} g - Green value (0-255)
+ * @param {number} b - Blue value (0-255)
+ * @returns {Array<number>} Array of [h,s,l] values (hue 0-360, saturation and lightness 0-100)
+ * @example
+ * var hsl = _rgbToHSL(255, 0, 0); // Returns [0, 100, 50]
+ */
+function _rgbToHSL(r, g, b) {
+  r /= 255;
+  g /= 255;
+  b /= 255;
+  var max = Math.max(r, g, b);
+  var min = Math.min(r, g, b);
+  var l = (max + min) / 2;
+  var d = max - min;
+  var s = d === 0 ? 0 : d / (1 - Math.abs(2 * l - 1));
+  return [_hue(r, g, b, max, d), s * 100, l * 100];
+}
+
+/**
+ * Converts HSL values to RGB
+ * @param {number} h - Hue (0-360)
+ * @param {number} s - Saturation (0-100)
+ * @param {number} l - Lightness (0-100)
+ * @returns {Array<number>} Array of [r,g,b] values (0-255)
+ * @example
+ * var rgb = _hslToRGB(120, 100, 25); // Returns [0, 128, 0]
+ */
+function _hslToRGB(h, s, l) {
+  s = Math.min(100, Math.max(0, s)) / 100;
+  l = Math.min(100, Math.max(0, l)) / 100;
+  var c = (1 - Math.abs(2 * l - 1)) * s;
+  return _hueToRGB(h, c, l - c / 2);
+}
+
+/**
+ * Converts RGB values to HSB (also called HSV)
+ * @param {number} r - Red value (0-255)
+ * @param {number} g - Green value (0-255)
+ * @param {number} b - Blue value (0-255)
+ * @returns {Array<number>} Array of [h,s,b] values (hue 0-360, saturation and brightness 0-100)
+ * @example
+ * var hsb = _rgbToHSB(255, 128, 0); // Returns [30.1..., 100, 100]
+ */
+function _rgbToHSB(r, g, b) {
+  r /= 255;
+  g /= 255;
+  b /= 255;
+  var max = Math.max(r, g, b);
+  var d = max - Math.min(r, g, b);
+  var s = max === 0 ? 0 : d / max;
+  return [_hue(r, g, b, max, d), s * 100, max * 100];
+}
+
+/**
+ * Converts HSB (also called HSV) values to RGB
+ * @param {number} h - Hue (0-360)
+ * @param {number} s - Saturation (0-100)
+ * @param {number} b - Brightness (0-100)
+ * @returns {Array<number>} Array of [r,g,b] values (0-255)
+ * @example
+ * var rgb = _hsbToRGB(210, 50, 100); // Returns [128, 191, 255]
+ */
+function _hsbToRGB(h, s, b) {
+  s = Math.min(100, Math.max(0, s)) / 100;
+  b = Math.min(100, Math.max(0, b)) / 100;
+  var c = b * s;
+  return _hueToRGB(h, c, b - c);
+}
+
+/**
+ * Hue in degrees of normalized RGB values, shared by HSL and HSB
+ * @private
+ */
+function _hue(r, g, b, max, d) {
+  if (d === 0) return 0;
+  var h;
+  if (max === r) h = ((g - b) / d) % 6;
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+  h *= 60;
+  return h < 0 ? h + 360 : h;
+}
+
+/**
+ * RGB from a hue, chroma and lightness offset, shared by HSL and HSB
+ * @private
+ */
+function _hueToRGB(h, c, m) {
+  h = ((h % 360) + 360) % 360;
+  var x = c * (1 - Math.abs(((h / 60) % 2) - 1));
+  var rgb;
+  if (h < 60) rgb = [c, x, 0];
+  else if (h < 120) rgb = [x, c, 0];
+  else if (h < 180) rgb = [0, c, x];
+  else if (h < 240) rgb = [0, x, c];
+  else if (h < 300) rgb = [x, 0, c];
+  else rgb = [c, 0, x];
+  for (var i = 0; i < 3; i++) {
+    rgb[i] = Math.round((rgb[i] + m) * 255);
+  }
+  return rgb;
+}
+
+/**
+ * Converts RGB values to CMYK using a simple, profile-free formula
+ * Use it for quick previews; for print, let InDesign convert with its color profiles.
+ * @param {number} r - Red value (0-255)
+ * @param {number} g - Green value (0-255)
+ * @param {number} b - Blue value (0-255)
+ * @returns {Array<number>} Array of [c,m,y,k] values (0-100)
+ * @example
+ * var cmyk = _rgbToCMYK(255, 0, 0); // Returns [0, 100, 100, 0]
+ */
+function _rgbToCMYK(r, g, b) {
+  r /= 255;
+  g /= 255;
+  b /= 255;
+  var k = 1 - Math.max(r, g, b);
+  if (k === 1) return [0, 0, 0, 100];
+  return [
+    ((1 - r - k) / (1 - k)) * 100,
+    ((1 - g - k) / (1 - k)) * 100,
+    ((1 - b - k) / (1 - k)) * 100,
+    k * 100,
+  ];
+}
+
+/**
+ * Converts CMYK values to RGB using a simple, profile-free formula
+ * @param {number} c - Cyan value (0-100)
+ * @param {number} m - Magenta value (0-100)
+ * @param {number} y - Yellow value (0-100)
+ * @param {number} k - Black value (0-100)
+ * @returns {Array<number>} Array of [r,g,b] values (0-255)
+ * @example
+ * var rgb = _cmykToRGB(0, 100, 100, 0); // Returns [255, 0, 0]
+ */
+function _cmykToRGB(c, m, y, k) {
+  var white = 255 * (1 - k / 100);
+  return [
+    Math.round(white * (1 - c / 100)),
+    Math.round(white * (1 - m / 100)),
+    Math.round(white * (1 - y / 100)),
+  ];
+}
+
+/**
+ * Converts sRGB values to CIE Lab (D50 white point, as used by InDesign and CSS)
+ * @param {number} r - Red value (0-255)
+ * @param {number} g - Green value (0-255)
+ * @param {number} b - Blue value (0-255)
+ * @returns {Array<number>} Array of [L,a,b] values (L 0-100, a and b about -128 to 127)
+ * @example
+ * var lab = _rgbToLab(255, 255, 255); // Returns [100, 0, 0]
+ */
+function _rgbToLab(r, g, b) {
+  var lr = _srgbToLinear(r / 255);
+  var lg = _srgbToLinear(g / 255);
+  var lb = _srgbToLinear(b / 255);
+
+  // Linear sRGB to XYZ, adapted to D50 and divided by the D50 white point
+  var x = (0.4360747 * lr + 0.3850649 * lg + 0.1430804 * lb) / 0.96422;
+  var y = 0.2225045 * lr + 0.7168786 * lg + 0.0606169 * lb;
+  var z = (0.0139322 * lr + 0.0971045 * lg + 0.7141733 * lb) / 0.82521;
+
+  var fx = _labF(x);
+  var fy = _labF(y);
+  var fz = _labF(z);
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/**
+ * Converts CIE Lab values (D50 white point) to sRGB
+ * Colors outside the sRGB gamut are clipped.
+ * @param {number} l - Lightness (0-100)
+ * @param {number} a - Green-red axis
+ * @param {number} b - Blue-yellow axis
+ * @returns {Array<number>} Array of [r,g,b] values (0-255)
+ * @example
+ * var rgb = _labToRGB(53.24, 80.09, 67.2); // Returns a red
+ */
+function _labToRGB(l, a, b) {
+  var fy = (l + 16) / 116;
+  var x = _labFInverse(fy + a / 500) * 0.96422;
+  var y = _labFInverse(fy);
+  var z = _labFInverse(fy - b / 200) * 0.82521;
+
+  var linear = [
+    3.1338561 * x - 1.6168667 * y - 0.4906146 * z,
+    -0.9787684 * x + 1.9161415 * y + 0.033454 * z,
+    0.0719453 * x - 0.2289914 * y + 1.4052427 * z,
+  ];
+  var rgb = [];
+  for (var i = 0; i < 3; i++) {
+    var value = Math.round(_linearToSRGB(linear[i]) * 255);
+    rgb.push(Math.min(255, Math.max(0, value)));
+  }
+  return rgb;
+}
+
+/**
+ * sRGB transfer functions and the Lab companding function
+ * @private
+ */
+function _srgbToLinear(v) {
+  return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+/** @private */
+function _linearToSRGB(v) {
+  return v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+}
+
+/** @private */
+function _labF(t) {
+  return t > 216 / 24389 ? Math.pow(t, 1 / 3) : ((24389 / 27) * t + 16) / 116;
+}
+
+/** @private */
+function _labFInverse(t) {
+  return t * t * t > 216 / 24389 ? t * t * t : (116 * t - 16) / (24389 / 27);
+}
+
+/**
+ * Converts color values between color models
+ * @param {Array<number>|string} values - The color values, or a hex string when converting from "hex"
+ * @param {string} fromModel - The current model ('rgb', 'hex', 'hsl', 'hsb', 'cmyk', 'lab')
+ * @param {string} toModel - The desired model ('rgb', 'hex', 'hsl', 'hsb', 'cmyk', 'lab')
+ * @returns {Array<number>|string} The converted values, or a hex string when converting to "hex"
+ * @throws {Error} If either model is unknown
+ * @example
+ * var cmyk = _convertColor([0, 100, 50], "hsl", "cmyk"); // Returns [0, 100, 100, 0]
+ * var hex = _convertColor([0, 100, 100, 0], "cmyk", "hex"); // Returns "#FF0000"
+ */
+function _convertColor(values, fromModel, toModel) {
+  var toRGB = {
+    rgb: function (v) {
+      return [v[0], v[1], v[2]];
+    },
+    hex: function (v) {
+      return _hexToRGB(v);
+    },
+    hsl: function (v) {
+      return _hslToRGB(v[0], v[1], v[2]);
+    },
+    hsb: function (v) {
+      return _hsbToRGB(v[0], v[1], v[2]);
+    },
+    cmyk: function (v) {
+      return _cmykToRGB(v[0], v[1], v[2], v[3]);
+    },
+    lab: function (v) {
+      return _labToRGB(v[0], v[1], v[2]);
+    },
+  };
+  var fromRGB = {
+    rgb: function (v) {
+      return v;
+    },
+    hex: function (v) {
+      return _rgbToHex(v[0], v[1], v[2]);
+    },
+    hsl: function (v) {
+      return _rgbToHSL(v[0], v[1], v[2]);
+    },
+    hsb: function (v) {
+      return _rgbToHSB(v[0], v[1], v[2]);
+    },
+    cmyk: function (v) {
+      return _rgbToCMYK(v[0], v[1], v[2]);
+    },
+    lab: function (v) {
+      return _rgbToLab(v[0], v[1], v[2]);
+    },
+  };
+
+  var from = String(fromModel).toLowerCase().replace("hsv", "hsb");
+  var to = String(toModel).toLowerCase().replace("hsv", "hsb");
+  if (!toRGB[from] || !fromRGB[to]) {
+    throw new Error(
+      "Invalid color model. Valid models are: rgb, hex, hsl, hsb, cmyk, lab"
+    );
+  }
+  if (from === to) {
+    return from === "hex" ? values : values.slice(0);
+  }
+  return fromRGB[to](toRGB[from](values));
+}
+
+/**
+ * Reads a color given as an [r,g,b] array or any color string as RGB values
+ * @private
+ */
+function _toRGB(color) {
+  if (typeof color !== "string") {
+    return color;
+  }
+  var parsed = _parseColor(color);
+  return parsed.space === "RGB"
+    ? parsed.values
+    : _convertColor(parsed.values, parsed.space, "rgb");
+}
+
+// TEXT FUNCTIONS
+
+/**
+ * Creates an area text frame on the active artboard
+ * @param {number} x - The x-coordinate of the text frame's left edge
+ * @param {number} y - The y-coordinate of the text frame's top edge
+ * @param {number} width - The x-coordinate of the frame's right edge (same convention as InDesign's _textFrame)
+ * @param {number} height - The y-coordinate of the frame's bottom edge (same convention as InDesign's _textFrame)
+ * @param {string} text - The text content to place in the frame
+ * @returns {Object} The text frame wrapper with chainable methods (see _wrap), plus fontSize,
+ *   fontColor, fontName and textJustification
+ * @example
+ * var myText = _textFrame(10, 10, 200, 50, "Hello World");
+ */
+function _textFrame(x, y, width, height, text) {
+  var textFrame = _doc().textFrames.areaText(_boundsPath(y, x, height, width));
+  textFrame.contents = text;
+  var wrapper = _wrap(textFrame, "frame");
+  wrapper.fontSize = function (size) {
+    _setFontSize(textFrame, size);
+    return wrapper;
+  };
+  wrapper.fontColor = function (color) {
+    _setFontColor(textFrame, color);
+    return wrapper;
+  };
+  wrapper.fontName = function (name) {
+    _setFontName(textFrame, name);
+    return wrapper;
+  };
+  wrapper.textJustification = function (justification) {
+    _setTextJustification(textFrame, justification);
+    return wrapper;
+  };
+  return wrapper;
+}
+
+/**
+ * Sets the font size for a text frame
+ * @param {TextFrame} textFrame - The Illustrator text frame object
+ * @param {number} fontSize - The desired font size
+ * @example
+ * _setFontSize(myTextFrame, 12);
+ */
+function _setFontSize(textFrame, fontSize) {
+  try {
+    textFrame.textRange.characterAttributes.size = fontSize;
+    return true;
+  } catch (e) {
+    alert("Error setting font size: " + e.message);
+    return false;
+  }
+}
+
+/**
+ * Sets the font color for a text frame
+ * @param {TextFrame} textFrame - The Illustrator text frame object
+ * @param {Color|String} color - The font color (Illustrator color object or hex string)
+ * @example
+ * _setFontColor(myTextFrame, "#FF0000");
+ */
+function _setFontColor(textFrame, color) {
+  try {
+    if (typeof color === "string") {
+      color = _color(color);
+    }
+    textFrame.textRange.characterAttributes.fillColor = color;
+    return true;
+  } catch (e) {
+    alert("Error setting font color: " + e.message);
+    return false;
+  }
+}
+
+/**
+ * Sets the font name for a text frame
+ * @param {TextFrame} textFrame - The Illustrator text frame object
+ * @param {string} fontName - The PostScript or full name of the font
+ * @example
+ * _setFontName(myTextFrame, "ArialMT");
+ */
+function _setFontName(textFrame, fontName) {
+  try {
+    textFrame.textRange.characterAttributes.textFont =
+      app.textFonts.getByName(fontName);
+    return true;
+  } catch (e) {
+    alert("Error setting font name: " + e.message);
+    return false;
+  }
+}
+
+/**
+ * Sets the text justification for a text frame
+ * @param {TextFrame} textFrame - The Illustrator text frame object
+ * @param {Justification|string} justification - The desired text justification (e.g., Justification.CENTER or "center")
+ * @returns {boolean} - Success status
+ * @example
+ * _setTextJustification(myTextFrame, "center");
+ */
+function _setTextJustification(textFrame, justification) {
+  const justificationMap = {
+    left: Justification.LEFT,
+    center: Justification.CENTER,
+    right: Justification.RIGHT,
+    justify: Justification.FULLJUSTIFY,
+  };
+
+  try {
+    if (typeof justification === "string") {
+      if (!justificationMap[justification.toLowerCase()]) {
+        throw new Error("Invalid justification value: " + justification);
+      }
+      justification = justificationMap[justification.toLowerCase()];
+    }
+    textFrame.textRange.paragraphAttributes.justification = justification;
+    return true;
+  } catch (e) {
+    alert("Error setting text justification: " + e.message);
+    return false;
+  }
+}
+
+// IMAGE FUNCTIONS
+
+/**
+ * Places an image file, scaled to fill and clipped to the given rectangle
+ * @param {string} src - File path to the image
+ * @param {number} x - The x-coordinate of the image container's left edge
+ * @param {number} y - The y-coordinate of the image container's top edge
+ * @param {number} width - The width of the image container
+ * @param {number} height - The height of the image container
+ * @returns {Object} The image wrapper with chainable methods (see _wrap), with the placed
+ *   image as wrapper.image, or null on error
+ * @example
+ * var myImage = _image("/path/to/image.jpg", 10, 10, 200, 150);
+ */
+function _image(src, x, y, width, height) {
+  try {
+    var doc = _doc();
+    var group = doc.groupItems.add();
+
+    var placedItem = doc.placedItems.add();
+    placedItem.file = new File(src);
+
+    // Scale proportionally so the image covers the container
+    var scale =
+      Math.max(width / placedItem.width, height / placedItem.height) * 100;
+    placedItem.resize(scale, scale);
+
+    var center = _toDocument(x + width / 2, y + height / 2);
+    placedItem.position = [
+      center[0] - placedItem.width / 2,
+      center[1] + placedItem.height / 2,
+    ];
+
+    // Clip the image to the container
+    var mask = _boundsPath(y, x, y + height, x + width);
+    mask.stroked = false;
+    mask.filled = false;
+    mask.move(group, ElementPlacement.PLACEATBEGINNING);
+    placedItem.move(group, ElementPlacement.PLACEATEND);
+    group.clipped = true;
+
+    var wrapper = _wrap(group, "frame");
+    wrapper.image = placedItem;
+    return wrapper;
+  } catch (e) {
+    alert("Error placing image: " + e.message);
+    return null;
+  }
+}
+
+// UTILITY FUNCTIONS
+
+/**
+ * Displays an alert message
+ * @param {string} msg - The message to display in the alert dialog
+ * @example
+ * _yell("Hello World!");
+ */
+function _yell(msg) {
+  alert(msg);
+}
+
+/**
+ * Centers a centeringObject to a keyObject both vertically and horizontally
+ * @param {PageItem} centeringObject - The Illustrator item to be centered
+ * @param {PageItem} [keyObject=null] - The item to center to. If null, centers to the active artboard.
+ * @returns {boolean} - Success status
+ * @example
+ * // Center a rectangle to another rectangle
+ * _centerTo(myRect, keyRect);
+ * // Center a rectangle to the artboard
+ * _centerTo(myRect);
+ */
+function _centerTo(centeringObject, keyObject) {
+  try {
+    // Accept the wrappers returned by _wrap as the key object
+    if (keyObject && keyObject.item && keyObject.centerTo) {
+      keyObject = keyObject.item;
+    }
+    // Bounds are [left, top, right, bottom]
+    var keyBounds = keyObject
+      ? keyObject.geometricBounds
+      : _artboard().artboardRect;
+    var bounds = centeringObject.geometricBounds;
+
+    var deltaX =
+      (keyBounds[0] + keyBounds[2]) / 2 - (bounds[0] + bounds[2]) / 2;
+    var deltaY =
+      (keyBounds[1] + keyBounds[3]) / 2 - (bounds[1] + bounds[3]) / 2;
+    centeringObject.translate(deltaX, deltaY);
+
+    return true;
+  } catch (e) {
+    alert("Error centering object: " + e.message);
+    return false;
+  }
+}
+
+/**
+ * Flips an object either horizontally or vertically around its center
+ * @param {PageItem} object - The Illustrator item to be flipped
+ * @param {string} direction - The direction to flip ("horizontal" or "vertical")
+ * @returns {boolean} - Success status
+ * @example
+ * _flip(myRect, "horizontal");
+ */
+function _flip(object, direction) {
+  try {
+    switch (direction.toLowerCase()) {
+      case "horizontal":
+        object.resize(-100, 100);
+        break;
+      case "vertical":
+        object.resize(100, -100);
+        break;
+      default:
+        throw new Error("Invalid flip direction: " + direction);
+    }
+
+    return true;
+  } catch (e) {
+    alert("Error flipping object: " + e.message);
+    return false;
+  }
+}
+
+/**
+ * Rotates an object around its center by a specified angle
+ * @param {PageItem} object - The Illustrator item to be rotated
+ * @param {number} angle - The angle to rotate the object (in degrees, counterclockwise)
+ * @returns {boolean} - Success status
+ * @example
+ * _rotate(myRect, 45);
+ */
+function _rotate(object, angle) {
+  try {
+    object.rotate(angle);
+    return true;
+  } catch (e) {
+    alert("Error rotating object: " + e.message);
+    return false;
+  }
+}
+
+/**
+ * Linearly interpolates between two values
+ * @param {number} val1 - First value
+ * @param {number} val2 - Second value
+ * @param {number} t - Interpolation value (0 to 1)
+ * @returns {number} The interpolated value
+ * @example
+ * var half = _lerp(0, 100, 0.5); // Returns 50
+ */
+function _lerp(val1, val2, t) {
+  return val1 * (1 - t) + val2 * t;
+}
+
+/**
+ * Maps a value from one range to another
+ * @param {number} val - The value to map
+ * @param {number} min - The lower bound of the current range
+ * @param {number} max - The upper bound of the current range
+ * @param {number} newMin - The lower bound of the target range
+ * @param {number} newMax - The upper bound of the target range
+ * @returns {number} The mapped value in the new range
+ * @example
+ * var mapped = _map(50, 0, 100, 0, 1); // Returns 0.5
+ */
+function _map(val, min, max, newMin, newMax) {
+  return ((val - min) * (newMax - newMin)) / (max - min) + newMin;
+}
+
+// RANDOM FUNCTIONS
+
+// State of the seeded random number generator shared by every random helper
+var _seedValue, _seedState;
+
+// XMP namespace the seed is recorded under (documents have no labels in Illustrator)
+var _seedNamespace = "http://ns.sketch-lib.org/random/1.0/";
+
+/**
+ * Seeds the random number generator used by every random helper in the library
+ * Uses the same generator as InDesign/lib/lib.js, so a seed produces the same
+ * sequence in both apps. The seed is also stored in the active document's XMP
+ * metadata, so a layout can be regenerated later with the same seed.
+ * @param {number} [seed] - An integer seed. If omitted, one is picked from the clock
+ * @returns {number} The seed in use
+ * @example
+ * // Always produce the same layout
+ * _randomSeed(42);
+ * // Reproduce the layout of a saved document
+ * _randomSeed(_recordedSeed());
+ */
+function _randomSeed(seed) {
+  if (seed === undefined || seed === null || isNaN(seed)) {
+    seed = new Date().getTime() % 4294967296;
+  }
+  _seedValue = Math.floor(Math.abs(seed)) % 4294967296;
+  _seedState = _seedValue | 0;
+  try {
+    var doc = _doc();
+    var meta = _documentXMP(doc);
+    meta.setProperty(_seedNamespace, "randomSeed", String(_seedValue));
+    doc.XMPString = meta.serialize();
+  } catch (e) {
+    // No open document to record the seed on
+  }
+  return _seedValue;
+}
+
+/**
+ * Returns the seed recorded on a document by _randomSeed
+ * @param {Document} [doc] - The Illustrator document (defaults to the active document)
+ * @returns {number|null} The recorded seed, or null if none was recorded
+ * @example
+ * var seed = _recordedSeed();
+ */
+function _recordedSeed(doc) {
+  try {
+    var property = _documentXMP(doc || _doc()).getProperty(
+      _seedNamespace,
+      "randomSeed"
+    );
+    return property ? Number(property.value) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Reads the XMP metadata of a document, loading the XMP library on first use
+ * @param {Document} doc - The Illustrator document
+ * @returns {XMPMeta} The document's metadata
+ * @private
+ */
+function _documentXMP(doc) {
+  if (!ExternalObject.AdobeXMPScript) {
+    ExternalObject.AdobeXMPScript = new ExternalObject("lib:AdobeXMPScript");
+  }
+  XMPMeta.registerNamespace(_seedNamespace, "sketch");
+  return new XMPMeta(doc.XMPString);
+}
+
+/**
+ * Multiplies two 32-bit integers (ExtendScript has no Math.imul)
+ * @private
+ */
+function _imul(a, b) {
+  var ah = (a >>> 16) & 0xffff;
+  var al = a & 0xffff;
+  var bh = (b >>> 16) & 0xffff;
+  var bl = b & 0xffff;
+  return (al * bl + (((ah * bl + al * bh) << 16) >>> 0)) | 0;
+}
+
+/**
+ * Returns the next number from the seeded generator (mulberry32)
+ * @returns {number} A number between 0 (inclusive) and 1 (exclusive)
+ * @private
+ */
+function _rng() {
+  if (_seedState === undefined) {
+    _randomSeed();
+  }
+  _seedState = (_seedState + 0x6d2b79f5) | 0;
+  var t = _imul(_seedState ^ (_seedState >>> 15), 1 | _seedState);
+  t = (t + _imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Generates a random integer between two values
+ * @param {number} min - The minimum value (inclusive)
+ * @param {number} max - The maximum value (exclusive)
+ * @returns {number} A random integer between min and max
+ * @example
+ * var dice = _random(1, 7);
+ */
+function _random(min, max) {
+  return Math.floor(_rng() * (max - min) + min);
+}
+
+/**
+ * Generates a random floating point number between two values
+ * @param {number} min - The minimum value (inclusive)
+ * @param {number} max - The maximum value (exclusive)
+ * @returns {number} A random number between min and max
+ * @example
+ * var angle = _randomFloat(0, 360);
+ */
+function _randomFloat(min, max) {
+  return _rng() * (max - min) + min;
+}
+
+/**
+ * Picks a random element from an array
+ * @param {Array} array - The array to pick from
+ * @returns {*} A random element, or undefined if the array is empty
+ * @example
+ * var color = _randomChoice(["#FFC600", "#914E72", "#00A95C"]);
+ */
+function _randomChoice(array) {
+  if (!array || array.length === 0) {
+    return undefined;
+  }
+  return array[Math.floor(_rng() * array.length)];
+}
+
+/**
+ * Generates a normally distributed random number
+ * @param {number} [mean=0] - The mean of the distribution
+ * @param {number} [sd=1] - The standard deviation of the distribution
+ * @returns {number} A random number
+ * @example
+ * var size = _randomGaussian(24, 4);
+ */
+function _randomGaussian(mean, sd) {
+  if (mean == undefined) mean = 0;
+  if (sd == undefined) sd = 1;
+
+  // Box-Muller transform; 1 - _rng() avoids log(0)
+  var u = 1 - _rng();
+  var v = _rng();
+  return mean + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Returns a shuffled copy of an array (Fisher-Yates)
+ * @param {Array} array - The array to shuffle
+ * @returns {Array} A new array with the same elements in random order
+ * @example
+ * var order = _shuffle([0, 1, 2, 3, 4]);
+ */
+function _shuffle(array) {
+  var result = array.slice(0);
+  for (var i = result.length - 1; i > 0; i--) {
+    var j = Math.floor(_rng() * (i + 1));
+    var tmp = result[i];
+    result[i] = result[j];
+    result[j] = tmp;
+  }
+  return result;
+}
+
+// NOISE FUNCTIONS
+
+// Lookup table and settings for _noise; the table is built on first use
+var _noiseTable,
+  _noiseOctaves = 4,
+  _noiseFalloff = 0.5;
+
+/**
+ * Seeds the noise generator so _noise returns the same values on every run
+ * Without a call to _noiseSeed the noise is seeded from the random generator,
+ * so _randomSeed alone is enough to reproduce a layout.
+ * @param {number} seed - An integer seed
+ * @returns {number} The seed in use
+ * @example
+ * _noiseSeed(99);
+ */
+function _noiseSeed(seed) {
+  seed = Math.floor(Math.abs(seed)) % 4294967296;
+  var state = seed | 0;
+  _noiseTable = [];
+  // A private mulberry32 stream, so seeding noise leaves _random untouched
+  for (var i = 0; i < 4096; i++) {
+    state = (state + 0x6d2b79f5) | 0;
+    var t = _imul(state ^ (state >>> 15), 1 | state);
+    t = (t + _imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    _noiseTable[i] = ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+  return seed;
+}
+
+/**
+ * Adjusts the character of _noise, like noiseDetail in p5.js
+ * Each octave adds finer detail at the given fraction of the previous octave's strength.
+ * @param {number} octaves - Number of octaves (default 4)
+ * @param {number} [falloff] - Strength of each octave relative to the previous one (default 0.5)
+ * @example
+ * // Smoother, blobbier noise
+ * _noiseDetail(2, 0.4);
+ */
+function _noiseDetail(octaves, falloff) {
+  if (octaves > 0) _noiseOctaves = Math.floor(octaves);
+  if (falloff > 0) _noiseFalloff = falloff;
+}
+
+/**
+ * Returns Perlin noise at the given coordinates, like noise in p5.js
+ * Nearby coordinates give similar values; steps of 0.005-0.03 give smooth variation.
+ * @param {number} x - x-coordinate in noise space
+ * @param {number} [y=0] - y-coordinate in noise space
+ * @param {number} [z=0] - z-coordinate in noise space
+ * @returns {number} A value between 0 and 1
+ * @example
+ * // Wavy row of circles
+ * for (var i = 0; i < 40; i++) {
+ *   var y = _map(_noise(i * 0.1), 0, 1, 100, 400);
+ *   _circle(i * 15, y, 5);
+ * }
+ */
+function _noise(x, y, z) {
+  if (!_noiseTable) {
+    _noiseSeed(Math.floor(_rng() * 4294967296));
+  }
+  x = Math.abs(x || 0);
+  y = Math.abs(y || 0);
+  z = Math.abs(z || 0);
+
+  var xi = Math.floor(x),
+    yi = Math.floor(y),
+    zi = Math.floor(z);
+  var xf = x - xi,
+    yf = y - yi,
+    zf = z - zi;
+  var result = 0,
+    amplitude = 0.5;
+
+  for (var o = 0; o < _noiseOctaves; o++) {
+    // Lattice offset of the cell; y and z wrap at 16 and 256 entries
+    var of = xi + (yi << 4) + (zi << 8);
+    var rxf = _noiseFade(xf),
+      ryf = _noiseFade(yf);
+
+    var n1 = _noiseTable[of & 4095];
+    n1 += rxf * (_noiseTable[(of + 1) & 4095] - n1);
+    var n2 = _noiseTable[(of + 16) & 4095];
+    n2 += rxf * (_noiseTable[(of + 17) & 4095] - n2);
+    n1 += ryf * (n2 - n1);
+
+    of += 256;
+    n2 = _noiseTable[of & 4095];
+    n2 += rxf * (_noiseTable[(of + 1) & 4095] - n2);
+    var n3 = _noiseTable[(of + 16) & 4095];
+    n3 += rxf * (_noiseTable[(of + 17) & 4095] - n3);
+    n2 += ryf * (n3 - n2);
+
+    n1 += _noiseFade(zf) * (n2 - n1);
+    result += n1 * amplitude;
+    amplitude *= _noiseFalloff;
+
+    // Next octave samples at twice the frequency
+    xi <<= 1;
+    xf *= 2;
+    yi <<= 1;
+    yf *= 2;
+    zi <<= 1;
+    zf *= 2;
+    if (xf >= 1) {
+      xi++;
+      xf--;
+    }
+    if (yf >= 1) {
+      yi++;
+      yf--;
+    }
+    if (zf >= 1) {
+      zi++;
+      zf--;
+    }
+  }
+  return result;
+}
+
+/**
+ * Cosine easing between lattice points
+ * @private
+ */
+function _noiseFade(t) {
+  return 0.5 * (1 - Math.cos(t * Math.PI));
+}
@@ -0,0 +1,133 @@
+// Tests for lib/lib.js against the mock Illustrator object model
+// Run with: node --test Illustrator/test/*.test.js
+
+const assert = require("assert");
+const { describe, it, beforeEach } = require("node:test");
+const { loadLib } = require("./mock");
+
+// Values created inside the vm context have their own Array prototype
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function anchorsOf(item) {
+  return plain(item.pathPoints.map((point) => point.anchor));
+}
+
+describe("artboard coordinates", () => {
+  let lib;
+  beforeEach(() => {
+    lib = loadLib();
+  });
+
+  it("maps top-left, y-down points to y-up document points", () => {
+    assert.deepStrictEqual(plain(lib._toDocument(0, 0)), [0, 792]);
+    assert.deepStrictEqual(plain(lib._toDocument(10, 20)), [10, 772]);
+    assert.deepStrictEqual(plain(lib._toDocument(612, 792)), [612, 0]);
+  });
+
+  it("measures from the active artboard", () => {
+    lib = loadLib({
+      artboards: [
+        [0, 792, 612, 0],
+        [700, 500, 1312, -292],
+      ],
+    });
+    lib.app.activeDocument.artboards.setActiveArtboardIndex(1);
+    assert.deepStrictEqual(plain(lib._toDocument(10, 20)), [710, 480]);
+
+    const rect = lib._rect(10, 20, 110, 60);
+    assert.deepStrictEqual(
+      plain(rect.rect.geometricBounds),
+      [710, 480, 810, 440]
+    );
+    assert.deepStrictEqual(plain(rect.bounds()), [20, 10, 60, 110]);
+  });
+
+  it("draws rectangles from their edges and reads them back", () => {
+    const rect = lib._rect(10, 20, 110, 60);
+    assert.deepStrictEqual(
+      plain(rect.rect.geometricBounds),
+      [10, 772, 110, 732]
+    );
+    assert.deepStrictEqual(plain(rect.bounds()), [20, 10, 60, 110]);
+    assert.deepStrictEqual(plain(rect.center()), [60, 40]);
+    assert.strictEqual(rect.width(), 100);
+    assert.strictEqual(rect.height(), 40);
+
+    // Edges given the other way round make the same rectangle
+    assert.deepStrictEqual(
+      plain(lib._rect(110, 60, 10, 20).bounds()),
+      [20, 10, 60, 110]
+    );
+  });
+
+  it("draws circles from their corner and ellipses from their center", () => {
+    assert.deepStrictEqual(
+      plain(lib._circle(10, 20, 50).bounds()),
+      [20, 10, 70, 60]
+    );
+    assert.deepStrictEqual(
+      plain(lib._ellipse(100, 100, 200, 100).bounds()),
+      [50, 0, 150, 200]
+    );
+  });
+
+  it("flips the points of lines, polygons and guides", () => {
+    assert.deepStrictEqual(anchorsOf(lib._line(0, 0, 100, 50).line), [
+      [0, 792],
+      [100, 742],
+    ]);
+
+    const polygon = lib._polygonCustom(
+      lib.evaluate("[[0, 0], [10, 0], [10, 20]]")
+    ).polygon;
+    assert.deepStrictEqual(anchorsOf(polygon), [
+      [0, 792],
+      [10, 792],
+      [10, 772],
+    ]);
+    assert.strictEqual(polygon.closed, true);
+
+    const guide = lib._guide("horizontal", 100);
+    assert.deepStrictEqual(anchorsOf(guide), [
+      [0, 692],
+      [612, 692],
+    ]);
+    assert.strictEqual(guide.guides, true);
+    assert.deepStrictEqual(anchorsOf(lib._guide("vertical", 36)), [
+      [36, 792],
+      [36, 0],
+    ]);
+  });
+
+  it("lays out grid cells from the artboard's top-left corner", () => {
+    const grid = lib._grid({ rows: 2, cols: 2, gutter: 12, margin: 36 });
+    assert.deepStrictEqual(plain(grid.cells[0].bounds), [36, 36, 390, 300]);
+    assert.deepStrictEqual(plain(grid.cells[3].bounds), [402, 312, 756, 576]);
+  });
+});
+
+describe("colors", () => {
+  let lib;
+  beforeEach(() => {
+    lib = loadLib();
+  });
+
+  it("updates a named palette in place, dropping colors it no longer uses", () => {
+    const doc = lib.app.activeDocument;
+    lib._palette("#FFC600", "complementary", 3, "Brand");
+    const colors = lib._palette("#914E72", "complementary", 2, "Brand");
+    assert.deepStrictEqual(
+      [colors[0].red, colors[0].green, colors[0].blue],
+      [145, 78, 114]
+    );
+    const group = doc.swatchGroups.getByName("Brand");
+    assert.deepStrictEqual(
+      group.getAllSwatches().map((swatch) => swatch.name),
+      ["Brand 1", "Brand 2"]
+    );
+    assert.throws(() => doc.swatches.getByName("Brand 3"), /No such element/);
+    assert.strictEqual(doc.swatchGroups.length, 1);
+  });
+});
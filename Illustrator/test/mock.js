@@ -0,0 +1,176 @@
+// A headless mock of the subset of the Illustrator object model used by lib/lib.js
+// Loads the library into a Node vm context so it can be tested without Illustrator.
+// Like Illustrator, the document is y-up: an artboard's top is its largest y.
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const LIB_PATH = path.join(__dirname, "..", "lib", "lib.js");
+
+// A path whose bounds follow the anchors of its points
+class PathItem {
+  constructor(doc, points) {
+    this._doc = doc;
+    this.pathPoints = [];
+    this.filled = true;
+    this.stroked = true;
+    this.closed = false;
+    this.guides = false;
+    if (points) this.setEntirePath(points);
+  }
+
+  setEntirePath(points) {
+    this.pathPoints = points.map((anchor) => ({ anchor: anchor.slice() }));
+  }
+
+  // [left, top, right, bottom], with top above bottom
+  get geometricBounds() {
+    const xs = this.pathPoints.map((p) => p.anchor[0]);
+    const ys = this.pathPoints.map((p) => p.anchor[1]);
+    return [Math.min(...xs), Math.max(...ys), Math.max(...xs), Math.min(...ys)];
+  }
+
+  remove() {
+    const items = this._doc.pathItems;
+    items.splice(items.indexOf(this), 1);
+  }
+}
+
+// An array of path items with Illustrator's path constructors
+function createPathItems(doc) {
+  const items = [];
+  const add = (item) => {
+    items.push(item);
+    return item;
+  };
+  items.add = () => add(new PathItem(doc));
+  items.rectangle = (top, left, width, height) =>
+    add(
+      new PathItem(doc, [
+        [left, top],
+        [left + width, top],
+        [left + width, top - height],
+        [left, top - height],
+      ])
+    );
+  // The anchors of an ellipse sit at the middle of each side of its bounds
+  items.ellipse = (top, left, width, height) =>
+    add(
+      new PathItem(doc, [
+        [left, top - height / 2],
+        [left + width / 2, top],
+        [left + width, top - height / 2],
+        [left + width / 2, top - height],
+      ])
+    );
+  return items;
+}
+
+class Swatch {
+  constructor(doc) {
+    this._doc = doc;
+    this.name = "";
+    this.color = null;
+  }
+
+  // Removing a swatch also takes it out of its swatch groups
+  remove() {
+    const swatches = this._doc.swatches;
+    swatches.splice(swatches.indexOf(this), 1);
+    this._doc.swatchGroups.forEach((group) => {
+      const index = group._swatches.indexOf(this);
+      if (index !== -1) group._swatches.splice(index, 1);
+    });
+  }
+}
+
+class SwatchGroup {
+  constructor() {
+    this.name = "";
+    this._swatches = [];
+  }
+
+  addSwatch(swatch) {
+    if (this._swatches.indexOf(swatch) === -1) this._swatches.push(swatch);
+  }
+
+  getAllSwatches() {
+    return this._swatches.slice();
+  }
+}
+
+// An array with add() and a getByName() that throws for missing names, as in Illustrator
+function createNamedItems(create) {
+  const items = [];
+  items.add = () => {
+    const item = create();
+    items.push(item);
+    return item;
+  };
+  items.getByName = (name) => {
+    const found = items.find((item) => item.name === name);
+    if (!found) throw new Error("No such element");
+    return found;
+  };
+  return items;
+}
+
+class Document {
+  constructor(artboardRects) {
+    this.artboards = artboardRects.map((artboardRect) => ({ artboardRect }));
+    this.artboards._active = 0;
+    this.artboards.getActiveArtboardIndex = () => this.artboards._active;
+    this.artboards.setActiveArtboardIndex = (index) => {
+      this.artboards._active = index;
+    };
+    this.pathItems = createPathItems(this);
+    this.swatches = createNamedItems(() => new Swatch(this));
+    this.swatchGroups = createNamedItems(() => new SwatchGroup());
+  }
+}
+
+/**
+ * Creates the global scope of a mock Illustrator session with one open document
+ * @param {Object} [options]
+ * @param {Array<Array<number>>} [options.artboards] - Artboard rects as [left, top, right, bottom]
+ *   (defaults to one letter-sized artboard at the origin)
+ * @returns {Object} The globals: app, alert, the color classes and an alerts log
+ */
+function createIllustrator(options) {
+  options = options || {};
+  const alerts = [];
+  const doc = new Document(options.artboards || [[0, 792, 612, 0]]);
+
+  class RGBColor {}
+  class CMYKColor {}
+  class LabColor {}
+  class NoColor {}
+
+  return {
+    app: { activeDocument: doc, documents: [doc] },
+    RGBColor,
+    CMYKColor,
+    LabColor,
+    NoColor,
+    alerts,
+    alert: (message) => alerts.push(String(message)),
+  };
+}
+
+/**
+ * Creates a mock Illustrator session and loads lib/lib.js into it
+ * @param {Object} [options] - See createIllustrator
+ * @returns {Object} The vm context; library functions and globals are available as properties
+ */
+function loadLib(options) {
+  const context = vm.createContext(createIllustrator(options));
+  vm.runInContext(fs.readFileSync(LIB_PATH, "utf8"), context, {
+    filename: LIB_PATH,
+  });
+  // Evaluates code inside the session, e.g. to build arrays the library accepts
+  context.evaluate = (code) => vm.runInContext(code, context);
+  return context;
+}
+
+module.exports = { createIllustrator, loadLib };
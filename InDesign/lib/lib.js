@@ -3,6 +3,9 @@
 // Global variables to store the width and height of the page
 var _width, _height, _marginWidth, _marginHeight;
 
+// Index of the page that shapes and frames are drawn on (see _page)
+var _pageIndex = 0;
+
 /**
  * Gets the active document or creates a new one if none exists
  * @returns {Document} The active InDesign document
@@ -58,8 +61,8 @@ function _setPageSize(doc, size) {
 /**
  * Sets the page size of the document by specific dimensions
  * @param {Document} doc - The InDesign document
- * @param {number} width - The width of the page (in points)
- * @param {number} height - The height of the page (in points)
+ * @param {number|string} width - The width of the page (in current document units, or with a unit such as "210mm")
+ * @param {number|string} height - The height of the page (in current document units, or with a unit such as "297mm")
  * @returns {boolean} - Success status
  * @example
  * // Set the page size to 8.5 x 11 inches (612 x 792 points)
@@ -67,6 +70,8 @@ function _setPageSize(doc, size) {
  */
 function _setPageSizeByDimensions(doc, width, height) {
   try {
+    width = _measure(width, "x");
+    height = _measure(height, "y");
     var page = doc.pages.item(0);
     page.resize(
       CoordinateSpaces.INNER_COORDINATES,
@@ -88,13 +93,14 @@ function _setPageSizeByDimensions(doc, width, height) {
 /**
  * Gets the margin settings of the document
  * @param {Document} doc - The InDesign document
+ * @param {Page|number} [page] - The page to read the margins of (defaults to the current page)
  * @returns {Object} - An object containing the margin settings (top, left, bottom, right)
  * @example
  * var margins = _margin(_doc());
  * alert("Top margin: " + margins.top);
  */
-function _getBounds(doc) {
-  var page = doc.pages.item(0);
+function _getBounds(doc, page) {
+  page = _targetPage(page, doc);
   var marginPreferences = page.marginPreferences;
   return {
     top: marginPreferences.top,
@@ -134,6 +140,11 @@ function _clear(doc) {
     // Clear the default layer
     removeAllItems(doc.layers.item(0).pageItems);
 
+    _pageIndex = 0;
+    _matrix = [1, 0, 0, 1, 0, 0];
+    _stateStack = [];
+    _currentRectMode = null;
+    _currentEllipseMode = null;
     return true;
   } catch (e) {
     alert("Error clearing document: " + e.message);
@@ -141,60 +152,403 @@ function _clear(doc) {
   }
 }
 
+// PAGE FUNCTIONS
+
+/**
+ * Resolves the page a shape or frame should be drawn on
+ * @param {Page|number} [page] - A page object or a zero-based page index. If omitted, the current page (see _page)
+ * @param {Document} [doc] - The InDesign document (defaults to the active document)
+ * @returns {Page} The InDesign page object
+ * @private
+ */
+function _targetPage(page, doc) {
+  doc = doc || _doc();
+  if (page === undefined || page === null) {
+    page = _pageIndex;
+  }
+  if (typeof page === "number") {
+    if (page < 0 || page >= doc.pages.length) {
+      throw new Error(
+        "Page " +
+          page +
+          " does not exist (document has " +
+          doc.pages.length +
+          " pages)"
+      );
+    }
+    return doc.pages.item(page);
+  }
+  return page;
+}
+
+/**
+ * Gets the position of a page's top-left corner on the rulers
+ * Coordinates given to the drawing functions are measured from the page they draw
+ * on. With the spread as ruler origin (as in facing-pages documents), a right-hand
+ * page starts at its spread's middle, so its shapes are moved by this offset.
+ * @param {Page} page - The InDesign page object
+ * @returns {Array<number>} The offset as [x, y]
+ * @private
+ */
+function _pageOrigin(page) {
+  return [page.bounds[1], page.bounds[0]];
+}
+
+/**
+ * Sets the page that subsequent shapes and frames are drawn on
+ * @param {number} index - Zero-based index of the page
+ * @returns {Page} The page object, or null if it does not exist
+ * @example
+ * // Draw on the third page
+ * _page(2);
+ * _rect(10, 10, 110, 60);
+ */
+function _page(index) {
+  try {
+    var page = _targetPage(index);
+    _pageIndex = index;
+    return page;
+  } catch (e) {
+    alert("Error selecting page: " + e.message);
+    return null;
+  }
+}
+
+/**
+ * Adds a page at the end of the document and makes it the current page
+ * Coordinates are measured from the top-left corner of each page, so the same
+ * numbers work on the left and right pages of a spread.
+ * @returns {Page} The new page object
+ * @example
+ * // Build a 40-page zine, with a frame inside the margins of left and right pages alike
+ * for (var i = 1; i < 40; i++) {
+ *   _addPage();
+ *   _textFrame(36, 36, 576, 756, "Page " + (i + 1));
+ * }
+ */
+function _addPage() {
+  try {
+    var doc = _doc();
+    var page = doc.pages.add(LocationOptions.AT_END);
+    _pageIndex = doc.pages.length - 1;
+    return page;
+  } catch (e) {
+    alert("Error adding page: " + e.message);
+    return null;
+  }
+}
+
+/**
+ * Returns the page that shapes and frames are currently drawn on
+ * @returns {Page} The current page object
+ * @example
+ * var page = _currentPage();
+ */
+function _currentPage() {
+  return _targetPage();
+}
+
+// SHAPE FUNCTIONS
+
+// Geometry modes set by _rectMode and _ellipseMode; null keeps the original conventions
+var _currentRectMode = null;
+var _currentEllipseMode = null;
+
+/**
+ * Wraps a page item in the chainable object returned by the shape, text and image functions
+ * Every styling method returns the wrapper, so calls can be chained. The item itself
+ * is available as wrapper.item, and under the name the constructor has always used
+ * (wrapper.rect, wrapper.circle, wrapper.frame, ...).
+ * @param {PageItem} item - The InDesign page item
+ * @param {string} [name] - Extra property name for the item (e.g., "rect")
+ * @returns {Object} The wrapper, with these methods:
+ *   fillColor(color, options), stroke(weight, color, options), noStroke(), cornerRadius(radius),
+ *   centerTo(keyObject), flip(direction), rotate(angle), objectStyle(style), opacity(value),
+ *   blendMode(mode), dropShadow(options), innerGlow(options), outerGlow(options), feather(options),
+ *   directionalFeather(options), and the getters bounds(), center(), width() and height()
+ * @example
+ * _rect(10, 10, 110, 60).fillColor("#f00").stroke(2, "#000").rotate(15);
+ * // Wrap an item made without the library
+ * var frame = _wrap(_doc().rectangles.item(0));
+ * frame.opacity(50);
+ */
+function _wrap(item, name) {
+  var wrapper = { item: item };
+  if (name) {
+    wrapper[name] = item;
+  }
+
+  wrapper.fillColor = function (color, options) {
+    _setFillColor(item, color, options);
+    return wrapper;
+  };
+  wrapper.stroke = function (weight, color, options) {
+    _setStroke(item, weight, color, options);
+    return wrapper;
+  };
+  wrapper.noStroke = function () {
+    _noStroke(item);
+    return wrapper;
+  };
+  wrapper.cornerRadius = function (radius) {
+    _cornerOption(item, CornerOptions.ROUNDED_CORNER, radius);
+    return wrapper;
+  };
+  wrapper.centerTo = function (keyObject) {
+    _centerTo(item, keyObject);
+    return wrapper;
+  };
+  wrapper.flip = function (direction) {
+    _flip(item, direction);
+    return wrapper;
+  };
+  wrapper.rotate = function (angle) {
+    _rotate(item, angle);
+    return wrapper;
+  };
+  wrapper.objectStyle = function (style) {
+    _setObjectStyle(item, style);
+    return wrapper;
+  };
+
+  // Getters, measured from the item's geometric bounds
+  wrapper.bounds = function () {
+    var b = item.geometricBounds;
+    return [b[0], b[1], b[2], b[3]];
+  };
+  wrapper.center = function () {
+    var b = item.geometricBounds;
+    return [(b[1] + b[3]) / 2, (b[0] + b[2]) / 2];
+  };
+  wrapper.width = function () {
+    return item.geometricBounds[3] - item.geometricBounds[1];
+  };
+  wrapper.height = function () {
+    return item.geometricBounds[2] - item.geometricBounds[0];
+  };
+
+  return _withEffects(wrapper, item);
+}
+
+/**
+ * Sets how _rect, _square, _textFrame, _image and the polygon functions read their numbers
+ * Like rectMode in p5.js:
+ *   "corner"  - x, y is the top-left corner, followed by the width and height
+ *   "corners" - x, y is one corner and the next two numbers are the opposite corner,
+ *               in any order
+ *   "center"  - x, y is the center, followed by the width and height
+ * Without a mode every function keeps its original convention: _rect and _textFrame
+ * read "corners", the others "corner". _push and _pop save and restore the mode.
+ * @param {string} [mode] - "corner", "corners" or "center" (leave out to restore the original conventions)
+ * @returns {boolean} - Success status
+ * @example
+ * _rectMode("center");
+ * _rect(300, 400, 100, 50); // 100 wide and 50 high, centered on (300, 400)
+ * _image("photo.jpg", 300, 200, 200, 150); // same convention
+ */
+function _rectMode(mode) {
+  try {
+    _currentRectMode = _geometryMode(mode, ["corner", "corners", "center"]);
+    return true;
+  } catch (e) {
+    alert("Error setting rect mode: " + e.message);
+    return false;
+  }
+}
+
+/**
+ * Sets how _ellipse and _circle read their numbers
+ * Like ellipseMode in p5.js:
+ *   "center"  - x, y is the center, followed by the width and height
+ *   "radius"  - x, y is the center, followed by the horizontal and vertical radius
+ *   "corner"  - x, y is the top-left corner of the bounding box, followed by the width and height
+ *   "corners" - x, y is one corner of the bounding box and the next two numbers are the
+ *               opposite corner, in any order
+ * _circle takes a single radius in every mode. Without a mode the functions keep their
+ * original conventions: _ellipse reads "center", and _circle draws from its top-left
+ * corner with the radius as the diameter. _push and _pop save and restore the mode.
+ * @param {string} [mode] - "center", "radius", "corner" or "corners" (leave out to restore the original conventions)
+ * @returns {boolean} - Success status
+ * @example
+ * _ellipseMode("center");
+ * _circle(100, 100, 50); // 100 across, centered on (100, 100)
+ * _ellipseMode("corner");
+ * _ellipse(0, 0, 200, 100); // fills the box from (0, 0) to (200, 100)
+ */
+function _ellipseMode(mode) {
+  try {
+    _currentEllipseMode = _geometryMode(mode, [
+      "center",
+      "radius",
+      "corner",
+      "corners",
+    ]);
+    return true;
+  } catch (e) {
+    alert("Error setting ellipse mode: " + e.message);
+    return false;
+  }
+}
+
+/**
+ * Checks a geometry mode name
+ * @param {string} [mode] - The mode, or undefined for the original conventions
+ * @param {Array<string>} modes - The valid modes
+ * @returns {string|null} The mode in lower case, or null
+ * @private
+ */
+function _geometryMode(mode, modes) {
+  if (mode === undefined || mode === null) {
+    return null;
+  }
+  var name = String(mode).toLowerCase();
+  for (var i = 0; i < modes.length; i++) {
+    if (modes[i] === name) {
+      return name;
+    }
+  }
+  throw new Error(
+    "Invalid mode: " + mode + ". Valid modes are: " + modes.join(", ")
+  );
+}
+
+/**
+ * Gets the bounds of a rectangular item in the current rect mode
+ * @param {number|string} x - The first number of the rect mode
+ * @param {number|string} y - The second number of the rect mode
+ * @param {number|string} a - The third number (width or right edge)
+ * @param {number|string} b - The fourth number (height or bottom edge)
+ * @param {string} original - The mode the function used before rect modes existed
+ * @returns {Array<number>} The bounds as [top, left, bottom, right]
+ * @private
+ */
+function _rectBounds(x, y, a, b, original) {
+  x = _measure(x, "x");
+  y = _measure(y, "y");
+  a = _measure(a, "x");
+  b = _measure(b, "y");
+  switch (_currentRectMode || original) {
+    case "corners":
+      return _cornersBounds(x, y, a, b);
+    case "center":
+      return [y - b / 2, x - a / 2, y + b / 2, x + a / 2];
+    default:
+      return [y, x, y + b, x + a];
+  }
+}
+
+/**
+ * Gets the bounds of the box between two opposite corners, given in any order
+ * @param {number} x1 - X-coordinate of one corner
+ * @param {number} y1 - Y-coordinate of one corner
+ * @param {number} x2 - X-coordinate of the opposite corner
+ * @param {number} y2 - Y-coordinate of the opposite corner
+ * @returns {Array<number>} The bounds as [top, left, bottom, right]
+ * @private
+ */
+function _cornersBounds(x1, y1, x2, y2) {
+  return [
+    Math.min(y1, y2),
+    Math.min(x1, x2),
+    Math.max(y1, y2),
+    Math.max(x1, x2),
+  ];
+}
+
+/**
+ * Gets the width and height arguments of a square in the current rect mode
+ * @param {number|string} x - The x-coordinate
+ * @param {number|string} y - The y-coordinate
+ * @param {number|string} size - The side length
+ * @returns {Array<number|string>} The third and fourth arguments for _rectBounds
+ * @private
+ */
+function _squareExtent(x, y, size) {
+  if (_currentRectMode !== "corners") {
+    return [size, size];
+  }
+  return [
+    _measure(x, "x") + _measure(size, "x"),
+    _measure(y, "y") + _measure(size, "y"),
+  ];
+}
+
+/**
+ * Gets the bounds of an ellipse in the current ellipse mode
+ * @param {number|string} x - The first number of the ellipse mode
+ * @param {number|string} y - The second number of the ellipse mode
+ * @param {number|string} a - The third number (width, radius or right edge)
+ * @param {number|string} b - The fourth number (height, radius or bottom edge)
+ * @returns {Array<number>} The bounds as [top, left, bottom, right]
+ * @private
+ */
+function _ellipseBounds(x, y, a, b) {
+  x = _measure(x, "x");
+  y = _measure(y, "y");
+  a = _measure(a, "x");
+  b = _measure(b, "y");
+  switch (_currentEllipseMode || "center") {
+    case "radius":
+      return [y - b, x - a, y + b, x + a];
+    case "corner":
+      return [y, x, y + b, x + a];
+    case "corners":
+      return _cornersBounds(x, y, a, b);
+    default:
+      return [y - b / 2, x - a / 2, y + b / 2, x + a / 2];
+  }
+}
+
 /**
- * Creates a rectangle on the first page of the active document
- * @param {number} x - The x-coordinate of the rectangle's left edge (in current document units)
- * @param {number} y - The y-coordinate of the rectangle's top edge (in current document units)
- * @param {number} width - The width of the rectangle (in current document units)
- * @param {number} height - The height of the rectangle (in current document units)
- * @returns {Object} The created rectangle object with methods for styling
+ * Creates a rectangle on the current page of the active document
+ * The numbers are read in the current rect mode (see _rectMode). Without one, the
+ * third and fourth numbers are the right and bottom edges.
+ * @param {number|string} x - The x-coordinate of the rectangle's left edge (in current document units)
+ * @param {number|string} y - The y-coordinate of the rectangle's top edge (in current document units)
+ * @param {number|string} width - The right edge, or the width in "corner" and "center" mode
+ * @param {number|string} height - The bottom edge, or the height in "corner" and "center" mode
+ * @param {Page|number} [page] - The page to draw on (defaults to the current page)
+ * @returns {Object} The rectangle wrapper with chainable methods (see _wrap), or null on error
  * @example
  * // Create a rectangle at (10, 10) with width 100 and height 50
  * var myRect = _rect(10, 10, 110, 60);
+ * // Create the same rectangle on the second page
+ * var onPageTwo = _rect(10, 10, 110, 60, 1);
+ * // Any coordinate can carry its own unit, whatever the ruler units are
+ * var metric = _rect("10mm", "10mm", "110mm", "60mm");
  */
-function _rect(x, y, width, height) {
-  var doc = _doc();
-  var page = doc.pages.item(0);
-  var rect = page.rectangles.add();
-  rect.geometricBounds = [y, x, height, width];
-  return {
-    rect: rect,
-    fillColor: function (color) {
-      _setFillColor(rect, color);
-    },
-    stroke: function (weight, color) {
-      _setStroke(rect, weight, color);
-    },
-    noStroke: function () {
-      _noStroke(rect);
-    },
-    centerTo: function (keyObject) {
-      _centerTo(rect, keyObject);
-    },
-    flip: function (direction) {
-      _flip(rect, direction);
-    },
-    rotate: function (angle) {
-      _rotate(rect, angle);
-    },
-  };
+function _rect(x, y, width, height, page) {
+  try {
+    page = _targetPage(page);
+    var bounds = _rectBounds(x, y, width, height, "corners");
+    var rect = page.rectangles.add();
+    rect.geometricBounds = bounds;
+    _applyMatrix(rect, page);
+    return _wrap(rect, "rect");
+  } catch (e) {
+    alert("Error creating rectangle: " + e.message);
+    return null;
+  }
 }
 
 /**
  * Creates a rectangle with rounded corners
- * @param {number} x - The x-coordinate of the rectangle's left edge
- * @param {number} y - The y-coordinate of the rectangle's top edge
- * @param {number} width - The width of the rectangle
- * @param {number} height - The height of the rectangle
+ * @param {number|string} x - The x-coordinate of the rectangle's left edge
+ * @param {number|string} y - The y-coordinate of the rectangle's top edge
+ * @param {number|string} width - The width of the rectangle
+ * @param {number|string} height - The height of the rectangle
  * @param {number} cornerRadius - The radius of the rounded corners
- * @returns {Rectangle} The created rectangle object
+ * @param {Page|number} [page] - The page to draw on (defaults to the current page)
+ * @returns {Object} The rectangle wrapper with chainable methods (see _wrap), or null on error
  * @example
  * // Create a rounded rectangle at (10,10) size 100x50 with 5pt corner radius
  * var myRect = _roundedRectangle(10, 10, 100, 50, 5);
  */
-function _roundedRectangle(x, y, width, height, cornerRadius) {
-  var rect = _rect(x, y, width, height);
-  _cornerOption(rect, CornerOptions.ROUNDED_CORNER, cornerRadius);
+function _roundedRectangle(x, y, width, height, cornerRadius, page) {
+  var rect = _rect(x, y, width, height, page);
+  if (rect) {
+    _cornerOption(rect.rect, CornerOptions.ROUNDED_CORNER, cornerRadius);
+  }
   return rect;
 }
 
@@ -202,12 +556,13 @@ function _roundedRectangle(x, y, width, height, cornerRadius) {
  * Sets the corner options for a shape
  * @param {PageItem} shape - The InDesign shape object
  * @param {CornerOptions} cornerType - The type of corner (e.g., CornerOptions.ROUNDED_CORNER)
- * @param {number} cornerSize - The size of the corner radius
+ * @param {number|string} cornerSize - The size of the corner radius
  * @example
  * // Set rounded corners with a radius of 5 points
  * _cornerOption(myShape, CornerOptions.ROUNDED_CORNER, 5);
  */
 function _cornerOption(shape, cornerType, cornerSize) {
+  cornerSize = _measure(cornerSize);
   var corners = ["bottomLeft", "bottomRight", "topLeft", "topRight"];
   for (var i = 0; i < corners.length; i++) {
     shape[corners[i] + "CornerOption"] = cornerType;
@@ -217,17 +572,28 @@ function _cornerOption(shape, cornerType, cornerSize) {
 
 /**
  * Creates a square with optional rounded corners
- * @param {number} x - The x-coordinate of the square's left edge (in current document units)
- * @param {number} y - The y-coordinate of the square's top edge (in current document units)
- * @param {number} sideLength - The length of each side of the square (in current document units)
- * @param {number} [cornerRadius=0] - The radius of the rounded corners (in current document units)
- * @returns {Rectangle} The created square object
+ * In "corner" and "corners" rect mode x, y is the top-left corner, in "center" mode the
+ * center (see _rectMode). Without a mode the square is drawn like _rect(x, y, sideLength,
+ * sideLength), so the side length is read as the right and bottom edges.
+ * @param {number|string} x - The x-coordinate of the square's left edge (in current document units)
+ * @param {number|string} y - The y-coordinate of the square's top edge (in current document units)
+ * @param {number|string} sideLength - The length of each side of the square (in current document units)
+ * @param {Page|number} [page] - The page to draw on (defaults to the current page)
+ * @returns {Object} The square wrapper with chainable methods (see _wrap), or null on error
  * @example
- * // Create a square at (10, 10) with sides of 100 and corner radius of 5
- * var mySquare = _square(10, 10, 100, 5);
+ * // Create a square at (10, 10) with sides of 100
+ * _rectMode("corner");
+ * var mySquare = _square(10, 10, 100);
  */
-function _square(x, y, sideLength) {
-  return _rect(x, y, sideLength, sideLength);
+function _square(x, y, sideLength, page) {
+  var extent;
+  try {
+    extent = _squareExtent(x, y, sideLength);
+  } catch (e) {
+    alert("Error creating square: " + e.message);
+    return null;
+  }
+  return _rect(x, y, extent[0], extent[1], page);
 }
 
 /**
@@ -260,122 +626,114 @@ function _yell(msg) {
 
 /**
  * Creates a straight line between two points
- * @param {number} x1 - Starting x-coordinate
- * @param {number} y1 - Starting y-coordinate
- * @param {number} x2 - Ending x-coordinate
- * @param {number} y2 - Ending y-coordinate
- * @returns {object} The created line object with methods for styling
+ * @param {number|string} x1 - Starting x-coordinate
+ * @param {number|string} y1 - Starting y-coordinate
+ * @param {number|string} x2 - Ending x-coordinate
+ * @param {number|string} y2 - Ending y-coordinate
+ * @param {Page|number} [page] - The page to draw on (defaults to the current page)
+ * @returns {Object} The line wrapper with chainable methods (see _wrap), or null on error
  * @example
  * // Create a diagonal line from (0,0) to (100,100)
  * var myLine = _line(0, 0, 100, 100);
  */
-function _line(x1, y1, x2, y2) {
-  var doc = _doc();
-  var page = doc.pages.item(0);
-  var line = page.graphicLines.add();
-  line.paths[0].pathPoints[0].anchor = [x1, y1];
-  line.paths[0].pathPoints[1].anchor = [x2, y2];
-  return {
-    line: line,
-    stroke: function (weight, color) {
-      _setStroke(line, weight, color);
-    },
-    noStroke: function () {
-      _noStroke(line);
-    },
-    centerTo: function (keyObject) {
-      _centerTo(line, keyObject);
-    },
-    flip: function (direction) {
-      _flip(line, direction);
-    },
-    rotate: function (angle) {
-      _rotate(line, angle);
-    },
-  };
+function _line(x1, y1, x2, y2, page) {
+  try {
+    page = _targetPage(page);
+    var start = _measurePoint([x1, y1]);
+    var end = _measurePoint([x2, y2]);
+    var line = page.graphicLines.add();
+    line.paths[0].pathPoints[0].anchor = start;
+    line.paths[0].pathPoints[1].anchor = end;
+    _applyMatrix(line, page);
+    return _wrap(line, "line");
+  } catch (e) {
+    alert("Error creating line: " + e.message);
+    return null;
+  }
 }
 
 /**
- * Creates a circle with specified center point and radius
- * @param {number} x - X-coordinate of the circle's center
- * @param {number} y - Y-coordinate of the circle's center
- * @param {number} radius - Radius of the circle
- * @returns {object} The created circle object with methods for styling
+ * Creates a circle
+ * In "center" and "radius" ellipse mode x, y is the center, in "corner" and "corners"
+ * mode the top-left corner (see _ellipseMode). Without a mode, x, y is the top-left
+ * corner and the radius is used as the diameter.
+ * @param {number|string} x - X-coordinate of the circle's center or top-left corner
+ * @param {number|string} y - Y-coordinate of the circle's center or top-left corner
+ * @param {number|string} radius - Radius of the circle
+ * @param {Page|number} [page] - The page to draw on (defaults to the current page)
+ * @returns {Object} The circle wrapper with chainable methods (see _wrap), or null on error
  * @example
  * // Create a circle centered at (100,100) with radius 50
+ * _ellipseMode("center");
  * var myCircle = _circle(100, 100, 50);
  */
-function _circle(x, y, radius) {
-  var doc = _doc();
-  var page = doc.pages.item(0);
-  var circle = page.ovals.add();
-  circle.geometricBounds = [y, x, y + radius, x + radius];
-  return {
-    circle: circle,
-    noStroke: function () {
-      _noStroke(circle);
-    },
-    fillColor: function (color) {
-      _setFillColor(circle, color);
-    },
-    centerTo: function (keyObject) {
-      _centerTo(circle, keyObject);
-    },
-  };
+function _circle(x, y, radius, page) {
+  try {
+    x = _measure(x, "x");
+    y = _measure(y, "y");
+    radius = _measure(radius);
+    var bounds;
+    if (!_currentEllipseMode) {
+      bounds = [y, x, y + radius, x + radius];
+    } else if (_currentEllipseMode === "radius") {
+      bounds = _ellipseBounds(x, y, radius, radius);
+    } else if (_currentEllipseMode === "corners") {
+      bounds = _ellipseBounds(x, y, x + radius * 2, y + radius * 2);
+    } else {
+      bounds = _ellipseBounds(x, y, radius * 2, radius * 2);
+    }
+    page = _targetPage(page);
+    var circle = page.ovals.add();
+    circle.geometricBounds = bounds;
+    _applyMatrix(circle, page);
+    return _wrap(circle, "circle");
+  } catch (e) {
+    alert("Error creating circle: " + e.message);
+    return null;
+  }
 }
 
 /**
  * Creates an ellipse with specified center point and dimensions
- * @param {number} x - X-coordinate of the ellipse's center
- * @param {number} y - Y-coordinate of the ellipse's center
- * @param {number} width - Width of the ellipse
- * @param {number} height - Height of the ellipse
- * @returns {object} The created ellipse object with methods for styling
+ * The numbers are read in the current ellipse mode (see _ellipseMode), which
+ * defaults to "center".
+ * @param {number|string} x - X-coordinate of the ellipse's center
+ * @param {number|string} y - Y-coordinate of the ellipse's center
+ * @param {number|string} width - Width of the ellipse (the horizontal radius or right edge in "radius" and "corners" mode)
+ * @param {number|string} height - Height of the ellipse (the vertical radius or bottom edge in "radius" and "corners" mode)
+ * @param {Page|number} [page] - The page to draw on (defaults to the current page)
+ * @returns {Object} The ellipse wrapper with chainable methods (see _wrap), or null on error
  * @example
  * // Create an ellipse centered at (100,100) with width 200 and height 100
  * var myEllipse = _ellipse(100, 100, 200, 100);
  */
-function _ellipse(x, y, width, height) {
-  var doc = _doc();
-  var page = doc.pages.item(0);
-  var ellipse = page.ovals.add();
-  ellipse.geometricBounds = [
-    y - height / 2,
-    x - width / 2,
-    y + height / 2,
-    x + width / 2,
-  ];
-  return {
-    ellipse: ellipse,
-    noStroke: function () {
-      _noStroke(ellipse);
-    },
-    fillColor: function (color) {
-      _setFillColor(ellipse, color);
-    },
-    centerTo: function (keyObject) {
-      _centerTo(ellipse, keyObject);
-    },
-    flip: function (direction) {
-      _flip(ellipse, direction);
-    },
-    rotate: function (angle) {
-      _rotate(ellipse, angle);
-    },
-  };
+function _ellipse(x, y, width, height, page) {
+  try {
+    var bounds = _ellipseBounds(x, y, width, height);
+    page = _targetPage(page);
+    var ellipse = page.ovals.add();
+    ellipse.geometricBounds = bounds;
+    _applyMatrix(ellipse, page);
+    return _wrap(ellipse, "ellipse");
+  } catch (e) {
+    alert("Error creating ellipse: " + e.message);
+    return null;
+  }
 }
 
 /**
- * Creates a polygon on the active page
- * @param {Number} x - X coordinate for top-left corner
- * @param {Number} y - Y coordinate for top-left corner
- * @param {Number} width - Width of the polygon
- * @param {Number} height - Height of the polygon
+ * Creates a polygon on the current page
+ * The bounding box is read in the current rect mode (see _rectMode), which defaults to "corner".
+ * @param {Number|String} x - X coordinate for top-left corner
+ * @param {Number|String} y - Y coordinate for top-left corner
+ * @param {Number|String} width - Width of the polygon (the right edge in "corners" mode)
+ * @param {Number|String} height - Height of the polygon (the bottom edge in "corners" mode)
  * @param {Number} sides - Number of sides (3 or greater)
- * @param {Number} [cornerRadius] - Radius for rounded corners (optional)
+ * @param {Number|String} [cornerRadius] - Radius for rounded corners (optional)
  * @param {Number} [starInset] - Creates a star shape when > 0 (0-100%) (optional)
  * @param {Boolean} [reversed] - Whether to reverse the polygon orientation (optional)
- * @returns {Polygon} The created polygon object
+ * @param {Page|number} [page] - The page to draw on (defaults to the current page)
+ * @returns {Object} The polygon wrapper with chainable methods (see _wrap), or null on error
  * @example
  * // Create a hexagon
  * var hex = _polygon(100, 100, 100, 100, 6);
@@ -390,11 +748,13 @@ function _polygon(
   sides,
   cornerRadius,
   starInset,
-  reversed
+  reversed,
+  page
 ) {
   try {
+    var bounds = _rectBounds(x, y, width, height, "corner");
     // Set defaults for optional parameters
-    cornerRadius = cornerRadius || 0;
+    cornerRadius = _measure(cornerRadius || 0);
     starInset = starInset || 0;
     reversed = reversed || false;
 
@@ -402,7 +762,7 @@ function _polygon(
     if (sides < 3) {
       throw new Error("Number of sides must be 3 or greater");
     }
-    if (width <= 0 || height <= 0) {
+    if (bounds[3] <= bounds[1] || bounds[2] <= bounds[0]) {
       throw new Error("Width and height must be greater than 0");
     }
     if (cornerRadius < 0) {
@@ -412,36 +772,19 @@ function _polygon(
       throw new Error("Star inset must be between 0 and 100");
     }
 
-    var doc = _doc();
-    var page = doc.layoutWindows[0].activePage;
+    page = _targetPage(page);
 
     // Create the polygon
     var polygon = page.polygons.add({
-      geometricBounds: [y, x, y + height, x + width],
+      geometricBounds: bounds,
       numberOfSides: sides,
       insetPercentage: starInset,
       cornerRadius: cornerRadius,
       reversed: reversed,
     });
+    _applyMatrix(polygon, page);
 
-    return {
-      polygon: polygon,
-      noStroke: function () {
-        _noStroke(polygon);
-      },
-      fillColor: function (color) {
-        _setFillColor(polygon, color);
-      },
-      centerTo: function (keyObject) {
-        _centerTo(polygon, keyObject);
-      },
-      flip: function (direction) {
-        _flip(polygon, direction);
-      },
-      rotate: function (angle) {
-        _rotate(polygon, angle);
-      },
-    };
+    return _wrap(polygon, "polygon");
   } catch (e) {
     alert("Error creating polygon: " + e.message);
     return null;
@@ -449,9 +792,10 @@ function _polygon(
 }
 
 /**
- * Creates a custom polygon on the active page using specified points
- * @param {Array<Array<number>>} points - An array of points where each point is an array of [x, y] coordinates
- * @returns {Polygon} The created polygon object
+ * Creates a custom polygon on the current page using specified points
+ * @param {Array<Array<number|string>>} points - An array of points where each point is an array of [x, y] coordinates
+ * @param {Page|number} [page] - The page to draw on (defaults to the current page)
+ * @returns {Object} The polygon wrapper with chainable methods (see _wrap), or null on error
  * @example
  * // Create a custom polygon
  * var points = [
@@ -462,37 +806,24 @@ function _polygon(
  * ];
  * var customPolygon = _polygonCustom(points);
  */
-function _polygonCustom(points) {
+function _polygonCustom(points, page) {
   try {
     if (points.length < 3) {
       throw new Error("A polygon must have at least 3 points");
     }
 
-    var doc = _doc();
-    var page = doc.layoutWindows[0].activePage;
+    page = _targetPage(page);
 
     // Create the polygon
+    var path = [];
+    for (var i = 0; i < points.length; i++) {
+      path.push(_measurePoint(points[i]));
+    }
     var polygon = page.polygons.add();
-    polygon.paths[0].entirePath = points;
+    polygon.paths[0].entirePath = path;
+    _applyMatrix(polygon, page);
 
-    return {
-      polygon: polygon,
-      noStroke: function () {
-        _noStroke(polygon);
-      },
-      fillColor: function (color) {
-        _setFillColor(polygon, color);
-      },
-      centerTo: function (keyObject) {
-        _centerTo(polygon, keyObject);
-      },
-      flip: function (direction) {
-        _flip(polygon, direction);
-      },
-      rotate: function (angle) {
-        _rotate(polygon, angle);
-      },
-    };
+    return _wrap(polygon, "polygon");
   } catch (e) {
     alert("Error creating custom polygon: " + e.message);
     return null;
@@ -500,62 +831,81 @@ function _polygonCustom(points) {
 }
 
 /**
- * Creates an equilateral triangle on the active page
- * @param {Number} x - X coordinate for top-left corner
- * @param {Number} y - Y coordinate for top-left corner
- * @param {Number} size - Size of the triangle (width/height will be equal)
- * @param {Number} [cornerRadius] - Radius for rounded corners (optional)
+ * Creates an equilateral triangle on the current page
+ * The bounding box is read like _square in the current rect mode (see _rectMode), which defaults to "corner".
+ * @param {Number|String} x - X coordinate for top-left corner
+ * @param {Number|String} y - Y coordinate for top-left corner
+ * @param {Number|String} size - Size of the triangle (width/height will be equal)
+ * @param {Number|String} [cornerRadius] - Radius for rounded corners (optional)
  * @param {Boolean} [reversed] - Whether to reverse the triangle orientation (optional)
- * @returns {Polygon} The created triangle object
+ * @param {Page|number} [page] - The page to draw on (defaults to the current page)
+ * @returns {Object} The triangle wrapper with chainable methods (see _wrap), or null on error
  * @example
  * // Create a basic triangle
  * var tri = _triangle(100, 100, 50);
  * // Create a rounded triangle
  * var roundTri = _triangle(100, 100, 50, 5);
  */
-function _triangle(x, y, size, cornerRadius, reversed) {
-  return _polygon(x, y, size, size, 3, cornerRadius || 0, 0, reversed || false);
+function _triangle(x, y, size, cornerRadius, reversed, page) {
+  var extent = _squareExtent(x, y, size);
+  return _polygon(
+    x,
+    y,
+    extent[0],
+    extent[1],
+    3,
+    cornerRadius || 0,
+    0,
+    reversed || false,
+    page
+  );
 }
 
 /**
- * Creates a right-angle triangle on the active page
- * @param {number} x - X coordinate for the top-left corner
- * @param {number} y - Y coordinate for the top-left corner
- * @param {number} width - Width of the triangle's base
- * @param {number} height - Height of the triangle's height
- * @returns {Polygon} The created right-angle triangle object
+ * Creates a right-angle triangle on the current page
+ * The bounding box is read in the current rect mode (see _rectMode), which defaults to "corner".
+ * @param {number|string} x - X coordinate for the top-left corner
+ * @param {number|string} y - Y coordinate for the top-left corner
+ * @param {number|string} width - Width of the triangle's base
+ * @param {number|string} height - Height of the triangle's height
+ * @param {Page|number} [page] - The page to draw on (defaults to the current page)
+ * @returns {Object} The triangle wrapper with chainable methods (see _wrap), or null on error
  * @example
  * // Create a right-angle triangle
  * var rightTriangle = _rightAngleTriangle(100, 100, 50, 50);
  */
-function _rightAngleTriangle(x, y, width, height) {
+function _rightAngleTriangle(x, y, width, height, page) {
+  var bounds = _rectBounds(x, y, width, height, "corner");
   var points = [
-    [x, y],
-    [x + width, y],
-    [x + width, y + height],
+    [bounds[1], bounds[0]],
+    [bounds[3], bounds[0]],
+    [bounds[3], bounds[2]],
   ];
-  return _polygonCustom(points);
+  return _polygonCustom(points, page);
 }
 
 /**
- * Adds a guide to the document
+ * Adds a guide to a page of the document
  * @param {string} orientation - The orientation of the guide ("horizontal" or "vertical")
- * @param {number} position - The position of the guide (in points)
+ * @param {number|string} position - The position of the guide (in points)
+ * @param {Page|number} [page] - The page to add the guide to (defaults to the current page)
  * @returns {Guide} The created guide object
  * @example
  * // Add a horizontal guide at 100 points
  * var myGuide = _guide("horizontal", 100);
  */
-function _guide(orientation, position) {
+function _guide(orientation, position, page) {
   try {
     var guideLayer = _layer("Guides");
+    var horizontal = orientation.toLowerCase() === "horizontal";
+    position = _measure(position, horizontal ? "y" : "x");
 
-    var guide = guideLayer.guides.add();
-    guide.orientation =
-      orientation.toLowerCase() === "horizontal"
-        ? HorizontalOrVertical.HORIZONTAL
-        : HorizontalOrVertical.VERTICAL;
-    guide.location = position;
+    page = _targetPage(page);
+    var guide = page.guides.add(guideLayer);
+    guide.orientation = horizontal
+      ? HorizontalOrVertical.HORIZONTAL
+      : HorizontalOrVertical.VERTICAL;
+    guide.location = position + _pageOrigin(page)[horizontal ? 1 : 0];
 
     return { guide: guide };
   } catch (e) {
@@ -564,133 +914,713 @@ function _guide(orientation, position) {
   }
 }
 
+// PATH FUNCTIONS
+
+// Vertices of the shape being drawn between _beginShape and _endShape
+var _shapeVertices = null;
+
 /**
- * Sets the fill color of a shape
- * @param {PageItem} shape - The InDesign shape object
- * @param {Color|String} color - The fill color (InDesign color object or hex string)
+ * Starts recording a freeform shape, like beginShape in p5.js
+ * Add points with _vertex, _bezierVertex, _quadraticVertex and _curveVertex,
+ * then draw the shape with _endShape.
  * @example
- * // Set red fill color
- * _setFillColor(myShape, "#FF0000");
+ * // A wave
+ * _beginShape();
+ * _vertex(50, 200);
+ * _bezierVertex(100, 100, 150, 300, 200, 200);
+ * _quadraticVertex(250, 100, 300, 200);
+ * var wave = _endShape();
  */
-function _setFillColor(shape, color) {
-  if (typeof color === "string") {
-    color = _color(color);
-  }
-  shape.fillColor = color;
+function _beginShape() {
+  _shapeVertices = [];
 }
 
 /**
- * Sets the stroke of a shape with specified weight and color.
- * @param {PageItem} shape - The InDesign shape object.
- * @param {number} weight - The stroke weight.
- * @param {Color|String} color - The stroke color (InDesign color object or hex string).
+ * Adds a corner point to the current shape
+ * @param {number|string} x - The x-coordinate of the point
+ * @param {number|string} y - The y-coordinate of the point
+ * @returns {boolean} - Success status
  * @example
- * // Set black 2pt stroke
- * setStroke(myShape, 2, "#000000");
+ * _vertex(100, 100);
  */
-function _setStroke(shape, weight, color) {
-  shape.strokeWeight = weight;
-  shape.strokeColor = color;
+function _vertex(x, y) {
+  return _addShapeVertex("vertex", { point: [x, y] });
 }
 
 /**
- * Removes the stroke from a shape.
- * @param {PageItem} shape - The InDesign shape object.
+ * Adds a cubic bezier curve from the previous point of the current shape
+ * @param {number|string} cx1 - X-coordinate of the first control point
+ * @param {number|string} cy1 - Y-coordinate of the first control point
+ * @param {number|string} cx2 - X-coordinate of the second control point
+ * @param {number|string} cy2 - Y-coordinate of the second control point
+ * @param {number|string} x - X-coordinate of the end point
+ * @param {number|string} y - Y-coordinate of the end point
+ * @returns {boolean} - Success status
  * @example
- * // Remove stroke from the shape
- * noStroke(myShape);
+ * _vertex(0, 100);
+ * _bezierVertex(0, 0, 100, 0, 100, 100);
  */
-function _noStroke(shape) {
-  shape.strokeWeight = 0;
+function _bezierVertex(cx1, cy1, cx2, cy2, x, y) {
+  return _addShapeVertex("bezier", {
+    point: [x, y],
+    control1: [cx1, cy1],
+    control2: [cx2, cy2],
+  });
 }
 
 /**
- * Converts a hex color string to RGB array
- * @param {string} hex - The hex color string (e.g., "#FF0000")
- * @returns {Array<number>} Array of [r,g,b] values (0-255)
+ * Adds a quadratic bezier curve from the previous point of the current shape
+ * @param {number|string} cx - X-coordinate of the control point
+ * @param {number|string} cy - Y-coordinate of the control point
+ * @param {number|string} x - X-coordinate of the end point
+ * @param {number|string} y - Y-coordinate of the end point
+ * @returns {boolean} - Success status
  * @example
- * var rgbColor = _hexToRGB("#FF0000"); // Returns [255, 0, 0]
+ * _vertex(0, 100);
+ * _quadraticVertex(50, 0, 100, 100);
  */
-function _hexToRGB(hex) {
-  var r = parseInt(hex.substring(1, 3), 16);
-  var g = parseInt(hex.substring(3, 5), 16);
-  var b = parseInt(hex.substring(5, 7), 16);
-  return [r, g, b];
+function _quadraticVertex(cx, cy, x, y) {
+  return _addShapeVertex("quadratic", { point: [x, y], control: [cx, cy] });
 }
 
 /**
- * Creates or retrieves a color in the document
- * @param {string} clr - The hex color string (e.g., "#FF0000")
- * @returns {Color} The InDesign color object
+ * Adds a point of a smooth Catmull-Rom curve to the current shape
+ * As in p5.js, the curve runs through every point of a series of _curveVertex
+ * calls except the first and last, which only steer the curve's ends. A series
+ * needs at least 4 points.
+ * @param {number|string} x - The x-coordinate of the point
+ * @param {number|string} y - The y-coordinate of the point
+ * @returns {boolean} - Success status
  * @example
- * var redColor = _colors("#FF0000");
+ * _beginShape();
+ * _curveVertex(0, 0);
+ * _curveVertex(50, 100);
+ * _curveVertex(150, 50);
+ * _curveVertex(250, 150);
+ * _curveVertex(300, 100);
+ * _endShape();
  */
-function _color(clr) {
-  var doc = _doc();
-  var color;
+function _curveVertex(x, y) {
+  return _addShapeVertex("curve", { point: [x, y] });
+}
+
+/**
+ * Records a vertex of the current shape
+ * @private
+ */
+function _addShapeVertex(type, vertex) {
   try {
-    color = doc.colors.item(clr);
-    color.properties = {
-      model: ColorModel.PROCESS,
-      space: ColorSpace.RGB,
-      colorValue: _hexToRGB(clr),
-    };
+    if (!_shapeVertices) {
+      throw new Error("Call _beginShape before adding vertices");
+    }
+    for (var key in vertex) {
+      if (vertex.hasOwnProperty(key)) {
+        vertex[key] = _measurePoint(vertex[key]);
+      }
+    }
+    vertex.type = type;
+    _shapeVertices.push(vertex);
+    return true;
   } catch (e) {
-    color = doc.colors.add({
-      name: clr,
-      model: ColorModel.PROCESS,
-      space: ColorSpace.RGB,
-      colorValue: _hexToRGB(clr),
-    });
+    alert("Error adding vertex: " + e.message);
+    return false;
   }
-  return color;
 }
 
 /**
- * Creates or retrieves an RGB color in the document
- * @param {number} r - Red value (0-255)
- * @param {number} g - Green value (0-255)
- * @param {number} b - Blue value (0-255)
- * @param {string} [name] - Optional name for the color. If not provided, generates one
- * @returns {Color} The InDesign color object
- * @example
- * var redColor = _colorRGB(255, 0, 0);
- * var namedBlue = _colorRGB(0, 0, 255, "MyBlue");
+ * Turns recorded shape vertices into path points with bezier handles
+ * @param {Array<Object>} vertices - The vertices recorded since _beginShape
+ * @param {boolean} close - Whether the path is closed
+ * @returns {Array<Object>} Points as {anchor, left, right}, each an [x, y] position
+ * @private
  */
-function _colorRGB(r, g, b, name) {
-  var doc = _doc();
+function _shapePoints(vertices, close) {
+  var points = [];
+  var i = 0;
 
-  // Validate RGB values
-  r = Math.min(255, Math.max(0, Math.round(r)));
-  g = Math.min(255, Math.max(0, Math.round(g)));
-  b = Math.min(255, Math.max(0, Math.round(b)));
+  function point(anchor) {
+    var p = { anchor: anchor, left: anchor, right: anchor };
+    points.push(p);
+    return p;
+  }
 
-  // Generate color name if not provided
-  if (!name) {
-    name = "RGB_" + r + "_" + g + "_" + b;
+  function previous(name) {
+    if (points.length === 0) {
+      throw new Error(name + " needs a vertex before it");
+    }
+    return points[points.length - 1];
+  }
+
+  while (i < vertices.length) {
+    var v = vertices[i];
+    if (v.type === "curve") {
+      // Collect the whole series of curve vertices
+      var run = [];
+      while (i < vertices.length && vertices[i].type === "curve") {
+        run.push(vertices[i].point);
+        i++;
+      }
+      if (run.length < 4) {
+        throw new Error(
+          "_curveVertex needs at least 4 points in a row, got " + run.length
+        );
+      }
+      point(run[1]);
+      for (var j = 1; j < run.length - 2; j++) {
+        // Catmull-Rom segment run[j] -> run[j + 1] as a cubic bezier
+        var p0 = run[j - 1],
+          p1 = run[j],
+          p2 = run[j + 1],
+          p3 = run[j + 2];
+        points[points.length - 1].right = [
+          p1[0] + (p2[0] - p0[0]) / 6,
+          p1[1] + (p2[1] - p0[1]) / 6,
+        ];
+        point(p2).left = [
+          p2[0] - (p3[0] - p1[0]) / 6,
+          p2[1] - (p3[1] - p1[1]) / 6,
+        ];
+      }
+      continue;
+    }
+
+    if (v.type === "bezier") {
+      previous("_bezierVertex").right = v.control1;
+      point(v.point).left = v.control2;
+    } else if (v.type === "quadratic") {
+      // Raise the quadratic curve to a cubic one
+      var start = previous("_quadraticVertex").anchor;
+      var c = v.control;
+      points[points.length - 1].right = [
+        start[0] + (2 / 3) * (c[0] - start[0]),
+        start[1] + (2 / 3) * (c[1] - start[1]),
+      ];
+      point(v.point).left = [
+        v.point[0] + (2 / 3) * (c[0] - v.point[0]),
+        v.point[1] + (2 / 3) * (c[1] - v.point[1]),
+      ];
+    } else {
+      point(v.point);
+    }
+    i++;
+  }
+
+  if (points.length < 2) {
+    throw new Error("A shape needs at least 2 points");
+  }
+
+  // A closed shape that ends where it started keeps one point there
+  var first = points[0];
+  var last = points[points.length - 1];
+  if (
+    close &&
+    points.length > 2 &&
+    first.anchor[0] === last.anchor[0] &&
+    first.anchor[1] === last.anchor[1]
+  ) {
+    first.left = last.left;
+    points.pop();
+  }
+  return points;
+}
+
+/**
+ * Draws the shape recorded since _beginShape, like endShape in p5.js
+ * @param {boolean|string} [close] - Pass true or "close" to close the path
+ * @param {Page|number} [page] - The page to draw on (defaults to the current page)
+ * @returns {Object} The shape wrapper with chainable methods (see _wrap), or null on error
+ * @example
+ * _beginShape();
+ * _vertex(100, 100);
+ * _bezierVertex(150, 50, 200, 150, 250, 100);
+ * _vertex(250, 200);
+ * _endShape(true).fillColor("#FFC600");
+ */
+function _endShape(close, page) {
+  try {
+    if (!_shapeVertices) {
+      throw new Error("Call _beginShape before _endShape");
+    }
+    close = close === true || String(close).toLowerCase() === "close";
+    var points = _shapePoints(_shapeVertices, close);
+    _shapeVertices = null;
+
+    var entirePath = [];
+    for (var i = 0; i < points.length; i++) {
+      entirePath.push([points[i].left, points[i].anchor, points[i].right]);
+    }
+
+    page = _targetPage(page);
+    var shape = page.polygons.add();
+    shape.paths[0].entirePath = entirePath;
+    shape.paths[0].pathType = close ? PathType.CLOSED_PATH : PathType.OPEN_PATH;
+    _applyMatrix(shape, page);
+    return _wrap(shape, "polygon");
+  } catch (e) {
+    _shapeVertices = null;
+    alert("Error drawing shape: " + e.message);
+    return null;
+  }
+}
+
+// TRANSFORM FUNCTIONS
+
+// Current transformation matrix [a, b, c, d, e, f]. A point (x, y) is drawn at
+// (a * x + c * y + e, b * x + d * y + f).
+var _matrix = [1, 0, 0, 1, 0, 0];
+
+// States saved by _push
+var _stateStack = [];
+
+/**
+ * Saves the current transformation and rect and ellipse modes, like push in p5.js
+ * Everything changed after _push is undone by the matching _pop.
+ * @returns {boolean} - Success status
+ * @example
+ * // Draw a ring of rotated squares around (300, 400)
+ * for (var i = 0; i < 12; i++) {
+ *   _push();
+ *   _translate(300, 400);
+ *   _rotate(i * 30);
+ *   _rect(100, -10, 120, 10);
+ *   _pop();
+ * }
+ */
+function _push() {
+  _stateStack.push({
+    matrix: _matrix.slice(0),
+    rectMode: _currentRectMode,
+    ellipseMode: _currentEllipseMode,
+  });
+  return true;
+}
+
+/**
+ * Restores the transformation and modes saved by the last _push, like pop in p5.js
+ * @returns {boolean} - Success status
+ * @example
+ * _push();
+ * _translate(100, 100);
+ * _circle(0, 0, 20); // drawn at (100, 100)
+ * _pop();
+ * _circle(0, 0, 20); // drawn at (0, 0)
+ */
+function _pop() {
+  try {
+    if (_stateStack.length === 0) {
+      throw new Error("_pop called without a matching _push");
+    }
+    var state = _stateStack.pop();
+    _matrix = state.matrix;
+    _currentRectMode = state.rectMode;
+    _currentEllipseMode = state.ellipseMode;
+    return true;
+  } catch (e) {
+    alert("Error restoring state: " + e.message);
+    return false;
+  }
+}
+
+/**
+ * Moves the origin of everything drawn afterwards
+ * @param {number|string} x - Horizontal offset in document units
+ * @param {number|string} [y=0] - Vertical offset in document units
+ * @returns {boolean} - Success status
+ * @example
+ * // Draw the same rectangle in the middle of the page
+ * _translate(_width / 2, _height / 2);
+ * _rect(-50, -50, 50, 50);
+ */
+function _translate(x, y) {
+  try {
+    x = _measure(x, "x");
+    y = _measure(y || 0, "y");
+    if (typeof x !== "number" || typeof y !== "number") {
+      throw new Error("x and y must be numbers");
+    }
+    _multiplyMatrix([1, 0, 0, 1, x, y]);
+    return true;
+  } catch (e) {
+    alert("Error translating: " + e.message);
+    return false;
+  }
+}
+
+/**
+ * Scales everything drawn afterwards around the current origin
+ * Only shapes are scaled point by point; text and image frames are scaled as a whole.
+ * @param {number} sx - Horizontal scale factor (1 keeps the size)
+ * @param {number} [sy=sx] - Vertical scale factor
+ * @returns {boolean} - Success status
+ * @example
+ * // Draw at double size
+ * _scale(2);
+ * _circle(50, 50, 10);
+ * // Mirror horizontally
+ * _scale(-1, 1);
+ */
+function _scale(sx, sy) {
+  try {
+    if (sy === undefined) {
+      sy = sx;
+    }
+    if (typeof sx !== "number" || typeof sy !== "number") {
+      throw new Error("Scale factors must be numbers");
+    }
+    _multiplyMatrix([sx, 0, 0, sy, 0, 0]);
+    return true;
+  } catch (e) {
+    alert("Error scaling: " + e.message);
+    return false;
+  }
+}
+
+/**
+ * Rotates the current transformation around its origin (see _rotate)
+ * @param {number} angle - The angle to turn by (in degrees, clockwise)
+ * @returns {boolean} - Success status
+ * @private
+ */
+function _rotateMatrix(angle) {
+  try {
+    if (typeof angle !== "number") {
+      throw new Error("Angle must be a number");
+    }
+    var radians = (angle * Math.PI) / 180;
+    var cos = Math.cos(radians);
+    var sin = Math.sin(radians);
+    _multiplyMatrix([cos, sin, -sin, cos, 0, 0]);
+    return true;
+  } catch (e) {
+    alert("Error rotating: " + e.message);
+    return false;
+  }
+}
+
+/**
+ * Resets the transformation so shapes are drawn where their coordinates say
+ * Does not clear the states saved by _push.
+ * @returns {boolean} - Success status
+ * @example
+ * _resetMatrix();
+ */
+function _resetMatrix() {
+  _matrix = [1, 0, 0, 1, 0, 0];
+  return true;
+}
+
+/**
+ * Multiplies the current transformation by another one, so it applies first
+ * @param {Array<number>} m - The matrix [a, b, c, d, e, f]
+ * @private
+ */
+function _multiplyMatrix(m) {
+  var t = _matrix;
+  _matrix = [
+    t[0] * m[0] + t[2] * m[1],
+    t[1] * m[0] + t[3] * m[1],
+    t[0] * m[2] + t[2] * m[3],
+    t[1] * m[2] + t[3] * m[3],
+    t[0] * m[4] + t[2] * m[5] + t[4],
+    t[1] * m[4] + t[3] * m[5] + t[5],
+  ];
+}
+
+/**
+ * Maps a point through the current transformation
+ * @param {Array<number>} point - The point as [x, y]
+ * @returns {Array<number>} The transformed point as [x, y]
+ * @private
+ */
+function _transformPoint(point) {
+  var m = _matrix;
+  return [
+    m[0] * point[0] + m[2] * point[1] + m[4],
+    m[1] * point[0] + m[3] * point[1] + m[5],
+  ];
+}
+
+/**
+ * Moves the points of a shape through the current transformation and onto its page
+ * Curves stay exact, because their handles are transformed with their anchors.
+ * @param {PageItem} item - A rectangle, oval, polygon or graphic line
+ * @param {Page} page - The page the shape is drawn on (see _pageOrigin)
+ * @returns {PageItem} The item
+ * @private
+ */
+function _applyMatrix(item, page) {
+  var origin = _pageOrigin(page);
+  var m = _matrix.slice(0);
+  m[4] += origin[0];
+  m[5] += origin[1];
+  if (m[0] === 1 && m[1] === 0 && m[2] === 0 && m[3] === 1 && !m[4] && !m[5]) {
+    return item;
+  }
+  function move(point) {
+    var p = _transformPoint(point);
+    return [p[0] + origin[0], p[1] + origin[1]];
+  }
+  for (var i = 0; i < item.paths.length; i++) {
+    var path = item.paths[i];
+    var points = path.entirePath;
+    var transformed = [];
+    for (var j = 0; j < points.length; j++) {
+      // Either [x, y] or [leftDirection, anchor, rightDirection]
+      if (typeof points[j][0] === "number") {
+        transformed.push(move(points[j]));
+      } else {
+        transformed.push([
+          move(points[j][0]),
+          move(points[j][1]),
+          move(points[j][2]),
+        ]);
+      }
+    }
+    path.entirePath = transformed;
+  }
+  return item;
+}
+
+/**
+ * Moves a text or image frame through the current transformation and onto its page
+ * The frame is transformed as a whole around its top-left corner, so its
+ * contents rotate, scale and skew with it.
+ * @param {PageItem} frame - A text frame or image frame
+ * @param {Page} page - The page the frame is drawn on (see _pageOrigin)
+ * @returns {PageItem} The frame
+ * @private
+ */
+function _applyFrameMatrix(frame, page) {
+  var m = _matrix;
+  var bounds = frame.geometricBounds;
+  var pageOrigin = _pageOrigin(page);
+  var origin = _transformPoint([bounds[1], bounds[0]]);
+  origin = [origin[0] + pageOrigin[0], origin[1] + pageOrigin[1]];
+  if (origin[0] !== bounds[1] || origin[1] !== bounds[0]) {
+    frame.geometricBounds = [
+      origin[1],
+      origin[0],
+      origin[1] + bounds[2] - bounds[0],
+      origin[0] + bounds[3] - bounds[1],
+    ];
+  }
+  if (m[0] !== 1 || m[1] !== 0 || m[2] !== 0 || m[3] !== 1) {
+    var matrix = app.transformationMatrices.add(
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      [m[0], m[1], m[2], m[3], 0, 0]
+    );
+    frame.transform(
+      CoordinateSpaces.PASTEBOARD_COORDINATES,
+      AnchorPoint.TOP_LEFT_ANCHOR,
+      matrix
+    );
+  }
+  return frame;
+}
+
+// COLOR FUNCTIONS
+
+/**
+ * Sets the fill color of a shape
+ * @param {PageItem} shape - The InDesign shape object
+ * @param {Color|Gradient|String} color - The fill color (InDesign color, gradient or any color string _color accepts)
+ * @param {Object} [options] - Gradient options {angle, length}, overriding the gradient's own
+ * @example
+ * // Set red fill color
+ * _setFillColor(myShape, "#FF0000");
+ * _setFillColor(myShape, "rgb(255, 198, 0)");
+ * // Fill with a gradient running bottom to top
+ * _setFillColor(myShape, _gradient(["#FFC600", "#914E72"]), { angle: 90 });
+ */
+function _setFillColor(shape, color, options) {
+  if (typeof color === "string") {
+    color = _color(color);
+  }
+  if (color) {
+    shape.fillColor = color;
+    if (_isGradient(color)) {
+      _applyGradient(shape, "Fill", color, options);
+    }
+  }
+}
+
+/**
+ * Sets the stroke of a shape with specified weight and color.
+ * @param {PageItem} shape - The InDesign shape object.
+ * @param {number|string} weight - The stroke weight.
+ * @param {Color|Gradient|String} [color] - The stroke color (InDesign color, gradient or any color string _color accepts).
+ * @param {Object} [options] - Gradient options {angle, length}, overriding the gradient's own.
+ * @example
+ * // Set black 2pt stroke
+ * _setStroke(myShape, 2, "#000000");
+ */
+function _setStroke(shape, weight, color, options) {
+  if (typeof color === "string") {
+    color = _color(color);
+  }
+  shape.strokeWeight = _measure(weight, "type");
+  if (color) {
+    shape.strokeColor = color;
+    if (_isGradient(color)) {
+      _applyGradient(shape, "Stroke", color, options);
+    }
+  }
+}
+
+/**
+ * Removes the stroke from a shape.
+ * @param {PageItem} shape - The InDesign shape object.
+ * @example
+ * // Remove stroke from the shape
+ * noStroke(myShape);
+ */
+function _noStroke(shape) {
+  shape.strokeWeight = 0;
+}
+
+/**
+ * Converts a hex color string to RGB array
+ * Accepts 3, 4, 6 or 8 digits, with or without the leading "#". The alpha
+ * digits of 4 and 8 digit colors are ignored (see _parseColor).
+ * @param {string} hex - The hex color string (e.g., "#FF0000", "#F00", "FFC600")
+ * @returns {Array<number>} Array of [r,g,b] values (0-255)
+ * @throws {Error} If the string is not a valid hex color
+ * @example
+ * var rgbColor = _hexToRGB("#FF0000"); // Returns [255, 0, 0]
+ * var white = _hexToRGB("fff"); // Returns [255, 255, 255]
+ */
+function _hexToRGB(hex) {
+  return _parseHex(hex).slice(0, 3);
+}
+
+/**
+ * Parses a hex color string into [r, g, b, alpha]
+ * @private
+ */
+function _parseHex(hex) {
+  var digits = String(hex)
+    .replace(/^\s+|\s+$/g, "")
+    .replace(/^#/, "");
+  if (!/^[0-9a-f]+$/i.test(digits)) {
+    throw new Error("Invalid hex color: " + hex);
+  }
+  if (digits.length === 3 || digits.length === 4) {
+    digits = digits.replace(/(.)/g, "$1$1");
+  }
+  if (digits.length !== 6 && digits.length !== 8) {
+    throw new Error("Invalid hex color: " + hex);
+  }
+  var alpha = digits.length === 8 ? parseInt(digits.substring(6, 8), 16) : 255;
+  return [
+    parseInt(digits.substring(0, 2), 16),
+    parseInt(digits.substring(2, 4), 16),
+    parseInt(digits.substring(4, 6), 16),
+    Math.round((alpha / 255) * 100) / 100,
+  ];
+}
+
+/**
+ * Creates or retrieves a color in the document
+ * Takes any color string _parseColor understands: hex ("#FF0000", "#F00", "FFC600"),
+ * CSS names ("tomato"), rgb(), hsl(), hsb(), cmyk() and lab(). The name of an existing
+ * swatch ("Black", "Paper", a swatch you made) returns that swatch, and "none" or
+ * "transparent" returns the None swatch. Color and swatch objects are returned as is.
+ * @param {string|Color} clr - The color string (e.g., "#FF0000")
+ * @returns {Color|Swatch} The InDesign color or swatch, or null if the color is not recognized
+ * @example
+ * var redColor = _color("#FF0000");
+ * var coral = _color("hsl(16, 100%, 66%)");
+ * var paper = _color("Paper");
+ */
+function _color(clr) {
+  if (typeof clr !== "string") {
+    return clr;
+  }
+  var doc = _doc();
+  try {
+    var name = clr.replace(/^\s+|\s+$/g, "");
+    var lower = name.toLowerCase();
+    if (lower === "none" || lower === "transparent") {
+      return doc.swatches.itemByName("None");
+    }
+
+    // Document swatches win over CSS color names, e.g. "Black"
+    if (!/^#|\(/.test(name)) {
+      var swatch = doc.swatches.itemByName(name);
+      if (swatch.isValid) {
+        return swatch;
+      }
+    }
+
+    var parsed = _parseColor(name);
+    return _processColor(name, parsed.space, parsed.values);
+  } catch (e) {
+    alert("Error creating color: " + e.message);
+    return null;
   }
+}
 
+/**
+ * Creates a process color, or updates the color if one with that name exists
+ * @param {string} name - The color name
+ * @param {string} space - "RGB", "CMYK" or "LAB"
+ * @param {Array<number>} values - The color values in that space
+ * @returns {Color} The InDesign color object
+ * @private
+ */
+function _processColor(name, space, values) {
+  var doc = _doc();
   var color;
   try {
     // Try to get existing color
     color = doc.colors.item(name);
     color.properties = {
       model: ColorModel.PROCESS,
-      space: ColorSpace.RGB,
-      colorValue: [r, g, b],
+      space: ColorSpace[space],
+      colorValue: values,
     };
   } catch (e) {
     // Create new color if it doesn't exist
     color = doc.colors.add({
       name: name,
       model: ColorModel.PROCESS,
-      space: ColorSpace.RGB,
-      colorValue: [r, g, b],
+      space: ColorSpace[space],
+      colorValue: values,
     });
   }
   return color;
 }
 
+/**
+ * Creates or retrieves an RGB color in the document
+ * @param {number} r - Red value (0-255)
+ * @param {number} g - Green value (0-255)
+ * @param {number} b - Blue value (0-255)
+ * @param {string} [name] - Optional name for the color. If not provided, generates one
+ * @returns {Color} The InDesign color object
+ * @example
+ * var redColor = _colorRGB(255, 0, 0);
+ * var namedBlue = _colorRGB(0, 0, 255, "MyBlue");
+ */
+function _colorRGB(r, g, b, name) {
+  // Validate RGB values
+  r = Math.min(255, Math.max(0, Math.round(r)));
+  g = Math.min(255, Math.max(0, Math.round(g)));
+  b = Math.min(255, Math.max(0, Math.round(b)));
+
+  // Generate color name if not provided
+  if (!name) {
+    name = "RGB_" + r + "_" + g + "_" + b;
+  }
+
+  return _processColor(name, "RGB", [r, g, b]);
+}
+
 /**
  * Creates or retrieves a CMYK color in the document
  * @param {number} c - Cyan value (0-100)
@@ -704,8 +1634,6 @@ function _colorRGB(r, g, b, name) {
  * var namedGreen = _colorCMYK(100, 0, 100, 0, "MyGreen");
  */
 function _colorCMYK(c, m, y, k, name) {
-  var doc = _doc();
-
   // Validate CMYK values
   c = Math.min(100, Math.max(0, Math.round(c)));
   m = Math.min(100, Math.max(0, Math.round(m)));
@@ -717,30 +1645,80 @@ function _colorCMYK(c, m, y, k, name) {
     name = "CMYK_" + c + "_" + m + "_" + y + "_" + k;
   }
 
-  var color;
-  try {
-    // Try to get existing color
-    color = doc.colors.item(name);
-    color.properties = {
-      model: ColorModel.PROCESS,
-      space: ColorSpace.CMYK,
-      colorValue: [c, m, y, k],
-    };
-  } catch (e) {
-    // Create new color if it doesn't exist
-    color = doc.colors.add({
-      name: name,
-      model: ColorModel.PROCESS,
-      space: ColorSpace.CMYK,
-      colorValue: [c, m, y, k],
-    });
-  }
-  return color;
+  return _processColor(name, "CMYK", [c, m, y, k]);
 }
 
 /**
- * Returns all colors in the swatch
- * @returns {Array<Color>} An array of all color objects in the swatch
+ * Creates or retrieves a color from HSL values
+ * The color is stored as RGB, since InDesign has no HSL color space.
+ * @param {number} h - Hue (0-360)
+ * @param {number} s - Saturation (0-100)
+ * @param {number} l - Lightness (0-100)
+ * @param {string} [name] - Optional name for the color. If not provided, generates one
+ * @returns {Color} The InDesign color object
+ * @example
+ * // A ring of hues
+ * for (var i = 0; i < 12; i++) {
+ *   _setFillColor(_circle(i * 40, 100, 15).circle, _colorHSL(i * 30, 80, 55));
+ * }
+ */
+function _colorHSL(h, s, l, name) {
+  h = ((Math.round(h) % 360) + 360) % 360;
+  s = Math.min(100, Math.max(0, Math.round(s)));
+  l = Math.min(100, Math.max(0, Math.round(l)));
+  return _processColor(
+    name || "HSL_" + h + "_" + s + "_" + l,
+    "RGB",
+    _hslToRGB(h, s, l)
+  );
+}
+
+/**
+ * Creates or retrieves a color from HSB (also called HSV) values
+ * The color is stored as RGB, like the HSB sliders in InDesign's Color panel.
+ * @param {number} h - Hue (0-360)
+ * @param {number} s - Saturation (0-100)
+ * @param {number} b - Brightness (0-100)
+ * @param {string} [name] - Optional name for the color. If not provided, generates one
+ * @returns {Color} The InDesign color object
+ * @example
+ * var orange = _colorHSB(30, 100, 100);
+ */
+function _colorHSB(h, s, b, name) {
+  h = ((Math.round(h) % 360) + 360) % 360;
+  s = Math.min(100, Math.max(0, Math.round(s)));
+  b = Math.min(100, Math.max(0, Math.round(b)));
+  return _processColor(
+    name || "HSB_" + h + "_" + s + "_" + b,
+    "RGB",
+    _hsbToRGB(h, s, b)
+  );
+}
+
+/**
+ * Creates or retrieves a Lab color in the document
+ * @param {number} l - Lightness (0-100)
+ * @param {number} a - Green-red axis (-128 to 127)
+ * @param {number} b - Blue-yellow axis (-128 to 127)
+ * @param {string} [name] - Optional name for the color. If not provided, generates one
+ * @returns {Color} The InDesign color object
+ * @example
+ * var teal = _colorLab(60, -40, -10);
+ */
+function _colorLab(l, a, b, name) {
+  l = Math.min(100, Math.max(0, Math.round(l)));
+  a = Math.min(127, Math.max(-128, Math.round(a)));
+  b = Math.min(127, Math.max(-128, Math.round(b)));
+  return _processColor(name || "LAB_" + l + "_" + a + "_" + b, "LAB", [
+    l,
+    a,
+    b,
+  ]);
+}
+
+/**
+ * Returns all colors in the swatch
+ * @returns {Array<Color>} An array of all color objects in the swatch
  * @example
  * var allColors = _colors();
  * allColors.forEach(function(color) {
@@ -752,20 +1730,842 @@ function _colors() {
   return doc.colors.everyItem().getElements();
 }
 
+/**
+ * Generates a palette of colors from a base color and stores it as a swatch group
+ * The colors are named "<group name> 1", "<group name> 2", ... and are updated in
+ * place when the palette is generated again with the same group name. The group then
+ * holds just the new colors.
+ * @param {string|Array<number>} base - The base color (any color string or [r,g,b] array)
+ * @param {string} [scheme="complementary"] - 'complementary', 'triadic', 'analogous', 'tetradic' or 'monochrome'
+ * @param {number} [n] - Number of colors. Defaults to the scheme's own count
+ *   (2, 3, 5, 4 and 5). Larger palettes add shades and tints of the scheme's hues.
+ * @param {string} [groupName] - Name of the swatch group. Defaults to the scheme and base color
+ * @returns {Array<Color>|null} The colors, starting with the base color, or null on error
+ * @example
+ * var colors = _palette("#FFC600", "triadic", 6);
+ * _setFillColor(_rect(0, 0, 100, 100).rect, _randomChoice(colors));
+ */
+function _palette(base, scheme, n, groupName) {
+  var doc = _doc();
+  try {
+    if (!scheme) scheme = "complementary";
+    var rgb = _toRGB(base);
+    var values = _paletteRGB(rgb, scheme, n);
+    if (!groupName) {
+      groupName = scheme + " " + _rgbToHex(rgb[0], rgb[1], rgb[2]);
+    }
+
+    var colors = [];
+    for (var i = 0; i < values.length; i++) {
+      colors.push(
+        _colorRGB(
+          values[i][0],
+          values[i][1],
+          values[i][2],
+          groupName + " " + (i + 1)
+        )
+      );
+    }
+
+    var group = doc.colorGroups.itemByName(groupName);
+    if (!group.isValid) {
+      doc.colorGroups.add(groupName, colors);
+    } else {
+      // Drop the members that are no longer in the palette (e.g., after a
+      // smaller n), then add the colors the group does not hold yet
+      var names = {};
+      for (var c = 0; c < colors.length; c++) {
+        names[colors[c].name] = true;
+      }
+      var held = {};
+      var members = group.colorGroupSwatches.everyItem().getElements();
+      for (var m = 0; m < members.length; m++) {
+        var name = members[m].swatchItemRef.name;
+        if (names[name] === true) {
+          held[name] = true;
+        } else {
+          members[m].remove();
+        }
+      }
+      for (c = 0; c < colors.length; c++) {
+        if (!held[colors[c].name]) {
+          group.colorGroupSwatches.add(colors[c]);
+        }
+      }
+    }
+    return colors;
+  } catch (e) {
+    alert("Error creating palette: " + e.message);
+    return null;
+  }
+}
+
+/**
+ * Computes the RGB values of a palette around a base color
+ * @param {Array<number>} rgb - The base color as [r,g,b]
+ * @param {string} scheme - The color scheme
+ * @param {number} [n] - Number of colors
+ * @returns {Array<Array<number>>} The palette as [r,g,b] arrays, starting with the base color
+ * @private
+ */
+function _paletteRGB(rgb, scheme, n) {
+  // Hue offsets of each scheme; the palette size defaults to their count
+  const schemeMap = {
+    complementary: [0, 180],
+    triadic: [0, 120, 240],
+    analogous: [0, -30, 30, -60, 60],
+    tetradic: [0, 90, 180, 270],
+    monochrome: [0, 0, 0, 0, 0],
+  };
+  var offsets = schemeMap[String(scheme).toLowerCase()];
+  if (!offsets) {
+    throw new Error(
+      "Invalid palette scheme. Valid schemes are: " +
+        Object.keys(schemeMap).join(", ")
+    );
+  }
+  if (n == undefined) n = offsets.length;
+  if (n < 1 || Math.floor(n) !== n) {
+    throw new Error("Palette size must be a whole number of at least 1");
+  }
+
+  var hsl = _rgbToHSL(rgb[0], rgb[1], rgb[2]);
+  var colors = [[rgb[0], rgb[1], rgb[2]]];
+  for (var i = 1; i < n; i++) {
+    var hue = hsl[0];
+    var lightness = hsl[2];
+    if (String(scheme).toLowerCase() === "monochrome") {
+      // Alternate darker and lighter shades, 12 points of lightness apart
+      lightness += (i % 2 ? -1 : 1) * Math.ceil(i / 2) * 12;
+    } else {
+      // Past the scheme's own hues, repeat them as alternating shades and tints
+      var round = Math.floor(i / offsets.length);
+      hue += offsets[i % offsets.length];
+      lightness += (round % 2 ? -1 : 1) * Math.ceil(round / 2) * 15;
+    }
+    lightness = Math.min(95, Math.max(5, lightness));
+    colors.push(_hslToRGB(hue, hsl[1], lightness));
+  }
+  return colors;
+}
+
+/**
+ * Creates or updates a named gradient swatch
+ * Stops are spread evenly unless they give a location. A stop can be any color
+ * string, an [r,g,b] or [c,m,y,k] array, an InDesign color, or an object
+ * {color, location (0-100), midpoint (13-87)}. The angle and length are stored
+ * with the gradient and used whenever it is applied, unless the fill or stroke
+ * call passes its own.
+ * @param {Array} stops - The gradient stops (at least 2)
+ * @param {Object} [options] - Gradient options
+ * @param {string} [options.type="linear"] - 'linear' or 'radial'
+ * @param {number} [options.angle] - Angle of a linear gradient in degrees
+ * @param {number} [options.length] - Length of the gradient ramp (in current document units)
+ * @param {string} [options.name] - Swatch name. Defaults to the stop colors joined with " > "
+ * @returns {Gradient|null} The InDesign gradient, or null on error
+ * @example
+ * var sunset = _gradient(["#FFC600", "tomato", [145, 78, 114]], { angle: 90 });
+ * _rect(0, 0, 200, 300).fillColor(sunset);
+ * // Radial highlight placed off center
+ * var glow = _gradient([{ color: "#FFFFFF", location: 10 }, "Black"], { type: "radial" });
+ */
+function _gradient(stops, options) {
+  var doc = _doc();
+  options = options || {};
+  // Map of gradient type names to GradientType enum
+  const typeMap = {
+    linear: GradientType.LINEAR,
+    radial: GradientType.RADIAL,
+  };
+
+  try {
+    var type = typeMap[String(options.type || "linear").toLowerCase()];
+    if (!type) {
+      throw new Error(
+        "Invalid gradient type. Valid types are: " +
+          Object.keys(typeMap).join(", ")
+      );
+    }
+    if (!stops || stops.length < 2) {
+      throw new Error("A gradient needs at least 2 stops");
+    }
+
+    var colors = [];
+    var names = [];
+    for (var i = 0; i < stops.length; i++) {
+      var stop = stops[i];
+      var color = _gradientStopColor(stop && stop.color ? stop.color : stop);
+      if (!color) {
+        throw new Error("Invalid gradient stop " + (i + 1));
+      }
+      colors.push(color);
+      names.push(color.name);
+    }
+
+    var name = options.name || names.join(" > ");
+    var gradient = doc.gradients.itemByName(name);
+    if (!gradient.isValid) {
+      gradient = doc.gradients.add({ name: name });
+    }
+    gradient.type = type;
+
+    // New gradients come with two stops; match the number asked for
+    while (gradient.gradientStops.length < stops.length) {
+      gradient.gradientStops.add();
+    }
+    while (gradient.gradientStops.length > stops.length) {
+      gradient.gradientStops.item(-1).remove();
+    }
+    for (var s = 0; s < stops.length; s++) {
+      var gradientStop = gradient.gradientStops.item(s);
+      gradientStop.stopColor = colors[s];
+      gradientStop.location =
+        stops[s].location != undefined
+          ? stops[s].location
+          : (s / (stops.length - 1)) * 100;
+      if (stops[s].midpoint != undefined) {
+        gradientStop.midpoint = stops[s].midpoint;
+      }
+    }
+
+    gradient.insertLabel(
+      "gradientAngle",
+      options.angle != undefined ? String(options.angle) : ""
+    );
+    gradient.insertLabel(
+      "gradientLength",
+      options.length != undefined ? String(options.length) : ""
+    );
+    return gradient;
+  } catch (e) {
+    alert("Error creating gradient: " + e.message);
+    return null;
+  }
+}
+
+/**
+ * Resolves a gradient stop to an InDesign color
+ * @private
+ */
+function _gradientStopColor(color) {
+  if (color instanceof Array) {
+    return color.length === 4
+      ? _colorCMYK(color[0], color[1], color[2], color[3])
+      : _colorRGB(color[0], color[1], color[2]);
+  }
+  return _color(color);
+}
+
+/**
+ * Checks whether a swatch is a gradient
+ * @private
+ */
+function _isGradient(swatch) {
+  return !!swatch && swatch.constructor.name === "Gradient";
+}
+
+/**
+ * Sets the angle and length of a gradient fill or stroke on a page item
+ * Values passed in options win over the ones stored with the gradient by _gradient.
+ * @param {PageItem} shape - The InDesign page item
+ * @param {string} target - "Fill" or "Stroke"
+ * @param {Gradient} gradient - The applied gradient
+ * @param {Object} [options] - {angle, length}
+ * @private
+ */
+function _applyGradient(shape, target, gradient, options) {
+  options = options || {};
+  var angle = options.angle;
+  var length = options.length;
+  if (angle == undefined && gradient.extractLabel("gradientAngle") !== "") {
+    angle = Number(gradient.extractLabel("gradientAngle"));
+  }
+  if (length == undefined && gradient.extractLabel("gradientLength") !== "") {
+    length = Number(gradient.extractLabel("gradientLength"));
+  }
+  if (angle != undefined) {
+    shape["gradient" + target + "Angle"] = angle;
+  }
+  if (length != undefined) {
+    shape["gradient" + target + "Length"] = length;
+  }
+}
+
+// CSS color names understood by _parseColor and every function that takes a color string
+var _cssColors = {
+  aliceblue: "f0f8ff",
+  antiquewhite: "faebd7",
+  aqua: "00ffff",
+  aquamarine: "7fffd4",
+  azure: "f0ffff",
+  beige: "f5f5dc",
+  bisque: "ffe4c4",
+  black: "000000",
+  blanchedalmond: "ffebcd",
+  blue: "0000ff",
+  blueviolet: "8a2be2",
+  brown: "a52a2a",
+  burlywood: "deb887",
+  cadetblue: "5f9ea0",
+  chartreuse: "7fff00",
+  chocolate: "d2691e",
+  coral: "ff7f50",
+  cornflowerblue: "6495ed",
+  cornsilk: "fff8dc",
+  crimson: "dc143c",
+  cyan: "00ffff",
+  darkblue: "00008b",
+  darkcyan: "008b8b",
+  darkgoldenrod: "b8860b",
+  darkgray: "a9a9a9",
+  darkgreen: "006400",
+  darkgrey: "a9a9a9",
+  darkkhaki: "bdb76b",
+  darkmagenta: "8b008b",
+  darkolivegreen: "556b2f",
+  darkorange: "ff8c00",
+  darkorchid: "9932cc",
+  darkred: "8b0000",
+  darksalmon: "e9967a",
+  darkseagreen: "8fbc8f",
+  darkslateblue: "483d8b",
+  darkslategray: "2f4f4f",
+  darkslategrey: "2f4f4f",
+  darkturquoise: "00ced1",
+  darkviolet: "9400d3",
+  deeppink: "ff1493",
+  deepskyblue: "00bfff",
+  dimgray: "696969",
+  dimgrey: "696969",
+  dodgerblue: "1e90ff",
+  firebrick: "b22222",
+  floralwhite: "fffaf0",
+  forestgreen: "228b22",
+  fuchsia: "ff00ff",
+  gainsboro: "dcdcdc",
+  ghostwhite: "f8f8ff",
+  gold: "ffd700",
+  goldenrod: "daa520",
+  gray: "808080",
+  green: "008000",
+  greenyellow: "adff2f",
+  grey: "808080",
+  honeydew: "f0fff0",
+  hotpink: "ff69b4",
+  indianred: "cd5c5c",
+  indigo: "4b0082",
+  ivory: "fffff0",
+  khaki: "f0e68c",
+  lavender: "e6e6fa",
+  lavenderblush: "fff0f5",
+  lawngreen: "7cfc00",
+  lemonchiffon: "fffacd",
+  lightblue: "add8e6",
+  lightcoral: "f08080",
+  lightcyan: "e0ffff",
+  lightgoldenrodyellow: "fafad2",
+  lightgray: "d3d3d3",
+  lightgreen: "90ee90",
+  lightgrey: "d3d3d3",
+  lightpink: "ffb6c1",
+  lightsalmon: "ffa07a",
+  lightseagreen: "20b2aa",
+  lightskyblue: "87cefa",
+  lightslategray: "778899",
+  lightslategrey: "778899",
+  lightsteelblue: "b0c4de",
+  lightyellow: "ffffe0",
+  lime: "00ff00",
+  limegreen: "32cd32",
+  linen: "faf0e6",
+  magenta: "ff00ff",
+  maroon: "800000",
+  mediumaquamarine: "66cdaa",
+  mediumblue: "0000cd",
+  mediumorchid: "ba55d3",
+  mediumpurple: "9370db",
+  mediumseagreen: "3cb371",
+  mediumslateblue: "7b68ee",
+  mediumspringgreen: "00fa9a",
+  mediumturquoise: "48d1cc",
+  mediumvioletred: "c71585",
+  midnightblue: "191970",
+  mintcream: "f5fffa",
+  mistyrose: "ffe4e1",
+  moccasin: "ffe4b5",
+  navajowhite: "ffdead",
+  navy: "000080",
+  oldlace: "fdf5e6",
+  olive: "808000",
+  olivedrab: "6b8e23",
+  orange: "ffa500",
+  orangered: "ff4500",
+  orchid: "da70d6",
+  palegoldenrod: "eee8aa",
+  palegreen: "98fb98",
+  paleturquoise: "afeeee",
+  palevioletred: "db7093",
+  papayawhip: "ffefd5",
+  peachpuff: "ffdab9",
+  peru: "cd853f",
+  pink: "ffc0cb",
+  plum: "dda0dd",
+  powderblue: "b0e0e6",
+  purple: "800080",
+  rebeccapurple: "663399",
+  red: "ff0000",
+  rosybrown: "bc8f8f",
+  royalblue: "4169e1",
+  saddlebrown: "8b4513",
+  salmon: "fa8072",
+  sandybrown: "f4a460",
+  seagreen: "2e8b57",
+  seashell: "fff5ee",
+  sienna: "a0522d",
+  silver: "c0c0c0",
+  skyblue: "87ceeb",
+  slateblue: "6a5acd",
+  slategray: "708090",
+  slategrey: "708090",
+  snow: "fffafa",
+  springgreen: "00ff7f",
+  steelblue: "4682b4",
+  tan: "d2b48c",
+  teal: "008080",
+  thistle: "d8bfd8",
+  tomato: "ff6347",
+  turquoise: "40e0d0",
+  violet: "ee82ee",
+  wheat: "f5deb3",
+  white: "ffffff",
+  whitesmoke: "f5f5f5",
+  yellow: "ffff00",
+  yellowgreen: "9acd32",
+};
+
+/**
+ * Parses a CSS-style color string
+ * Understands hex ("#F00", "FFC600", "#FF000080"), CSS color names ("tomato"),
+ * and the functional forms rgb(), rgba(), hsl(), hsla(), hsb(), hsv(), cmyk() and lab().
+ * Both comma and space separated arguments work, with an optional alpha after a "/".
+ * HSL and HSB colors are converted to RGB.
+ * @param {string} str - The color string
+ * @returns {Object} {space: "RGB"|"CMYK"|"LAB", values: Array<number>, alpha: number (0-1)}
+ * @throws {Error} If the string is not a recognized color
+ * @example
+ * _parseColor("hsl(120, 100%, 25%)"); // {space: "RGB", values: [0, 128, 0], alpha: 1}
+ * _parseColor("cmyk(0, 100, 0, 0)"); // {space: "CMYK", values: [0, 100, 0, 0], alpha: 1}
+ */
+function _parseColor(str) {
+  var text = String(str)
+    .replace(/^\s+|\s+$/g, "")
+    .toLowerCase();
+  var hex = _cssColors.hasOwnProperty(text) ? _cssColors[text] : text;
+  if (/^#?([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.test(hex)) {
+    var rgba = _parseHex(hex);
+    return { space: "RGB", values: rgba.slice(0, 3), alpha: rgba[3] };
+  }
+
+  var match = text.match(/^([a-z]+)\((.*)\)$/);
+  if (!match) {
+    throw new Error("Unrecognized color: " + str);
+  }
+  var fn = match[1].replace(/a$/, "");
+  if (fn === "hsv") fn = "hsb";
+  var counts = { rgb: 3, hsl: 3, hsb: 3, cmyk: 4, lab: 3 };
+  var count = counts[fn];
+  var args = match[2].replace(/^[\s,]+|[\s,]+$/g, "").split(/\s*[,\/]\s*|\s+/);
+  if (!count || (args.length !== count && args.length !== count + 1)) {
+    throw new Error("Unrecognized color: " + str);
+  }
+
+  var values = [];
+  for (var i = 0; i < count; i++) {
+    values.push(_colorArgument(args[i], fn, i, str));
+  }
+  var alpha = 1;
+  if (args.length > count) {
+    alpha = _colorArgument(args[count], "alpha", 0, str);
+    alpha = Math.min(1, Math.max(0, alpha));
+  }
+
+  // Documents have no HSL or HSB color space, so those are stored as RGB
+  if (fn === "hsl") {
+    values = _hslToRGB(values[0], values[1], values[2]);
+    fn = "rgb";
+  } else if (fn === "hsb") {
+    values = _hsbToRGB(values[0], values[1], values[2]);
+    fn = "rgb";
+  }
+  return { space: fn.toUpperCase(), values: values, alpha: alpha };
+}
+
+/**
+ * Reads one argument of a functional color, resolving percentages and angle units
+ * @private
+ */
+function _colorArgument(arg, fn, index, str) {
+  var match = /^(-?(?:\d+\.?\d*|\.\d+))(%|deg|turn|rad)?$/.exec(arg);
+  if (!match) {
+    throw new Error("Unrecognized color: " + str);
+  }
+  var value = parseFloat(match[1]);
+  var unit = match[2];
+
+  if (unit === "%") {
+    // Percentages are of the channel's full range
+    if (fn === "rgb") return (value / 100) * 255;
+    if (fn === "alpha") return value / 100;
+    if (fn === "lab" && index > 0) return (value / 100) * 125;
+    return value;
+  }
+  if (unit === "turn") return value * 360;
+  if (unit === "rad") return (value * 180) / Math.PI;
+  return value;
+}
+
+/**
+ * Converts RGB values to a hex color string
+ * @param {number} r - Red value (0-255)
+ * @param {number} g - Green value (0-255)
+ * @param {number} b - Blue value (0-255)
+ * @returns {string} The hex color string (e.g., "#FF0000")
+ * @example
+ * var hex = _rgbToHex(255, 198, 0); // Returns "#FFC600"
+ */
+function _rgbToHex(r, g, b) {
+  var hex = "#";
+  var channels = [r, g, b];
+  for (var i = 0; i < 3; i++) {
+    var value = Math.min(255, Math.max(0, Math.round(channels[i])));
+    hex += (value < 16 ? "0" : "") + value.toString(16).toUpperCase();
+  }
+  return hex;
+}
+
+/**
+ * Converts RGB values to HSL
+ * @param {number} r - Red value (0-255)
+ * @param {number} g - Green value (0-255)
+ * @param {number} b - Blue value (0-255)
+ * @returns {Array<number>} Array of [h,s,l] values (hue 0-360, saturation and lightness 0-100)
+ * @example
+ * var hsl = _rgbToHSL(255, 0, 0); // Returns [0, 100, 50]
+ */
+function _rgbToHSL(r, g, b) {
+  r /= 255;
+  g /= 255;
+  b /= 255;
+  var max = Math.max(r, g, b);
+  var min = Math.min(r, g, b);
+  var l = (max + min) / 2;
+  var d = max - min;
+  var s = d === 0 ? 0 : d / (1 - Math.abs(2 * l - 1));
+  return [_hue(r, g, b, max, d), s * 100, l * 100];
+}
+
+/**
+ * Converts HSL values to RGB
+ * @param {number} h - Hue (0-360)
+ * @param {number} s - Saturation (0-100)
+ * @param {number} l - Lightness (0-100)
+ * @returns {Array<number>} Array of [r,g,b] values (0-255)
+ * @example
+ * var rgb = _hslToRGB(120, 100, 25); // Returns [0, 128, 0]
+ */
+function _hslToRGB(h, s, l) {
+  s = Math.min(100, Math.max(0, s)) / 100;
+  l = Math.min(100, Math.max(0, l)) / 100;
+  var c = (1 - Math.abs(2 * l - 1)) * s;
+  return _hueToRGB(h, c, l - c / 2);
+}
+
+/**
+ * Converts RGB values to HSB (also called HSV)
+ * @param {number} r - Red value (0-255)
+ * @param {number} g - Green value (0-255)
+ * @param {number} b - Blue value (0-255)
+ * @returns {Array<number>} Array of [h,s,b] values (hue 0-360, saturation and brightness 0-100)
+ * @example
+ * var hsb = _rgbToHSB(255, 128, 0); // Returns [30.1..., 100, 100]
+ */
+function _rgbToHSB(r, g, b) {
+  r /= 255;
+  g /= 255;
+  b /= 255;
+  var max = Math.max(r, g, b);
+  var d = max - Math.min(r, g, b);
+  var s = max === 0 ? 0 : d / max;
+  return [_hue(r, g, b, max, d), s * 100, max * 100];
+}
+
+/**
+ * Converts HSB (also called HSV) values to RGB
+ * @param {number} h - Hue (0-360)
+ * @param {number} s - Saturation (0-100)
+ * @param {number} b - Brightness (0-100)
+ * @returns {Array<number>} Array of [r,g,b] values (0-255)
+ * @example
+ * var rgb = _hsbToRGB(210, 50, 100); // Returns [128, 191, 255]
+ */
+function _hsbToRGB(h, s, b) {
+  s = Math.min(100, Math.max(0, s)) / 100;
+  b = Math.min(100, Math.max(0, b)) / 100;
+  var c = b * s;
+  return _hueToRGB(h, c, b - c);
+}
+
+/**
+ * Hue in degrees of normalized RGB values, shared by HSL and HSB
+ * @private
+ */
+function _hue(r, g, b, max, d) {
+  if (d === 0) return 0;
+  var h;
+  if (max === r) h = ((g - b) / d) % 6;
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+  h *= 60;
+  return h < 0 ? h + 360 : h;
+}
+
+/**
+ * RGB from a hue, chroma and lightness offset, shared by HSL and HSB
+ * @private
+ */
+function _hueToRGB(h, c, m) {
+  h = ((h % 360) + 360) % 360;
+  var x = c * (1 - Math.abs(((h / 60) % 2) - 1));
+  var rgb;
+  if (h < 60) rgb = [c, x, 0];
+  else if (h < 120) rgb = [x, c, 0];
+  else if (h < 180) rgb = [0, c, x];
+  else if (h < 240) rgb = [0, x, c];
+  else if (h < 300) rgb = [x, 0, c];
+  else rgb = [c, 0, x];
+  for (var i = 0; i < 3; i++) {
+    rgb[i] = Math.round((rgb[i] + m) * 255);
+  }
+  return rgb;
+}
+
+/**
+ * Converts RGB values to CMYK using a simple, profile-free formula
+ * Use it for quick previews; for print, let InDesign convert with its color profiles.
+ * @param {number} r - Red value (0-255)
+ * @param {number} g - Green value (0-255)
+ * @param {number} b - Blue value (0-255)
+ * @returns {Array<number>} Array of [c,m,y,k] values (0-100)
+ * @example
+ * var cmyk = _rgbToCMYK(255, 0, 0); // Returns [0, 100, 100, 0]
+ */
+function _rgbToCMYK(r, g, b) {
+  r /= 255;
+  g /= 255;
+  b /= 255;
+  var k = 1 - Math.max(r, g, b);
+  if (k === 1) return [0, 0, 0, 100];
+  return [
+    ((1 - r - k) / (1 - k)) * 100,
+    ((1 - g - k) / (1 - k)) * 100,
+    ((1 - b - k) / (1 - k)) * 100,
+    k * 100,
+  ];
+}
+
+/**
+ * Converts CMYK values to RGB using a simple, profile-free formula
+ * @param {number} c - Cyan value (0-100)
+ * @param {number} m - Magenta value (0-100)
+ * @param {number} y - Yellow value (0-100)
+ * @param {number} k - Black value (0-100)
+ * @returns {Array<number>} Array of [r,g,b] values (0-255)
+ * @example
+ * var rgb = _cmykToRGB(0, 100, 100, 0); // Returns [255, 0, 0]
+ */
+function _cmykToRGB(c, m, y, k) {
+  var white = 255 * (1 - k / 100);
+  return [
+    Math.round(white * (1 - c / 100)),
+    Math.round(white * (1 - m / 100)),
+    Math.round(white * (1 - y / 100)),
+  ];
+}
+
+/**
+ * Converts sRGB values to CIE Lab (D50 white point, as used by InDesign and CSS)
+ * @param {number} r - Red value (0-255)
+ * @param {number} g - Green value (0-255)
+ * @param {number} b - Blue value (0-255)
+ * @returns {Array<number>} Array of [L,a,b] values (L 0-100, a and b about -128 to 127)
+ * @example
+ * var lab = _rgbToLab(255, 255, 255); // Returns [100, 0, 0]
+ */
+function _rgbToLab(r, g, b) {
+  var lr = _srgbToLinear(r / 255);
+  var lg = _srgbToLinear(g / 255);
+  var lb = _srgbToLinear(b / 255);
+
+  // Linear sRGB to XYZ, adapted to D50 and divided by the D50 white point
+  var x = (0.4360747 * lr + 0.3850649 * lg + 0.1430804 * lb) / 0.96422;
+  var y = 0.2225045 * lr + 0.7168786 * lg + 0.0606169 * lb;
+  var z = (0.0139322 * lr + 0.0971045 * lg + 0.7141733 * lb) / 0.82521;
+
+  var fx = _labF(x);
+  var fy = _labF(y);
+  var fz = _labF(z);
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/**
+ * Converts CIE Lab values (D50 white point) to sRGB
+ * Colors outside the sRGB gamut are clipped.
+ * @param {number} l - Lightness (0-100)
+ * @param {number} a - Green-red axis
+ * @param {number} b - Blue-yellow axis
+ * @returns {Array<number>} Array of [r,g,b] values (0-255)
+ * @example
+ * var rgb = _labToRGB(53.24, 80.09, 67.2); // Returns a red
+ */
+function _labToRGB(l, a, b) {
+  var fy = (l + 16) / 116;
+  var x = _labFInverse(fy + a / 500) * 0.96422;
+  var y = _labFInverse(fy);
+  var z = _labFInverse(fy - b / 200) * 0.82521;
+
+  var linear = [
+    3.1338561 * x - 1.6168667 * y - 0.4906146 * z,
+    -0.9787684 * x + 1.9161415 * y + 0.033454 * z,
+    0.0719453 * x - 0.2289914 * y + 1.4052427 * z,
+  ];
+  var rgb = [];
+  for (var i = 0; i < 3; i++) {
+    var value = Math.round(_linearToSRGB(linear[i]) * 255);
+    rgb.push(Math.min(255, Math.max(0, value)));
+  }
+  return rgb;
+}
+
+/**
+ * sRGB transfer functions and the Lab companding function
+ * @private
+ */
+function _srgbToLinear(v) {
+  return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+/** @private */
+function _linearToSRGB(v) {
+  return v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+}
+
+/** @private */
+function _labF(t) {
+  return t > 216 / 24389 ? Math.pow(t, 1 / 3) : ((24389 / 27) * t + 16) / 116;
+}
+
+/** @private */
+function _labFInverse(t) {
+  return t * t * t > 216 / 24389 ? t * t * t : (116 * t - 16) / (24389 / 27);
+}
+
+/**
+ * Converts color values between color models
+ * @param {Array<number>|string} values - The color values, or a hex string when converting from "hex"
+ * @param {string} fromModel - The current model ('rgb', 'hex', 'hsl', 'hsb', 'cmyk', 'lab')
+ * @param {string} toModel - The desired model ('rgb', 'hex', 'hsl', 'hsb', 'cmyk', 'lab')
+ * @returns {Array<number>|string} The converted values, or a hex string when converting to "hex"
+ * @throws {Error} If either model is unknown
+ * @example
+ * var cmyk = _convertColor([0, 100, 50], "hsl", "cmyk"); // Returns [0, 100, 100, 0]
+ * var hex = _convertColor([0, 100, 100, 0], "cmyk", "hex"); // Returns "#FF0000"
+ */
+function _convertColor(values, fromModel, toModel) {
+  var toRGB = {
+    rgb: function (v) {
+      return [v[0], v[1], v[2]];
+    },
+    hex: function (v) {
+      return _hexToRGB(v);
+    },
+    hsl: function (v) {
+      return _hslToRGB(v[0], v[1], v[2]);
+    },
+    hsb: function (v) {
+      return _hsbToRGB(v[0], v[1], v[2]);
+    },
+    cmyk: function (v) {
+      return _cmykToRGB(v[0], v[1], v[2], v[3]);
+    },
+    lab: function (v) {
+      return _labToRGB(v[0], v[1], v[2]);
+    },
+  };
+  var fromRGB = {
+    rgb: function (v) {
+      return v;
+    },
+    hex: function (v) {
+      return _rgbToHex(v[0], v[1], v[2]);
+    },
+    hsl: function (v) {
+      return _rgbToHSL(v[0], v[1], v[2]);
+    },
+    hsb: function (v) {
+      return _rgbToHSB(v[0], v[1], v[2]);
+    },
+    cmyk: function (v) {
+      return _rgbToCMYK(v[0], v[1], v[2]);
+    },
+    lab: function (v) {
+      return _rgbToLab(v[0], v[1], v[2]);
+    },
+  };
+
+  var from = String(fromModel).toLowerCase().replace("hsv", "hsb");
+  var to = String(toModel).toLowerCase().replace("hsv", "hsb");
+  if (!toRGB[from] || !fromRGB[to]) {
+    throw new Error(
+      "Invalid color model. Valid models are: rgb, hex, hsl, hsb, cmyk, lab"
+    );
+  }
+  if (from === to) {
+    return from === "hex" ? values : values.slice(0);
+  }
+  return fromRGB[to](toRGB[from](values));
+}
+
+/**
+ * Reads a color given as an [r,g,b] array or any color string as RGB values
+ * @private
+ */
+function _toRGB(color) {
+  if (typeof color !== "string") {
+    return color;
+  }
+  var parsed = _parseColor(color);
+  return parsed.space === "RGB"
+    ? parsed.values
+    : _convertColor(parsed.values, parsed.space, "rgb");
+}
+
 /**
  * Linearly interpolates between two colors
- * @param {Array<number>} c1 - First color as RGB array [r,g,b]
- * @param {Array<number>} c2 - Second color as RGB array [r,g,b]
+ * @param {Array<number>|string} c1 - First color as RGB array [r,g,b] or color string
+ * @param {Array<number>|string} c2 - Second color as RGB array [r,g,b] or color string
  * @param {number} t - Interpolation value (0 to 1)
  * @returns {Array<number>} The interpolated RGB color
  * @example
  * // Get color halfway between red and blue
  * var purple = _lerpColor([255,0,0], [0,0,255], 0.5);
+ * var peach = _lerpColor("tomato", "#FFF", 0.5);
  */
 function _lerpColor(c1, c2, t) {
-  var r = Math.round(lerp(c1[0], c2[0], t));
-  var g = Math.round(lerp(c1[1], c2[1], t));
-  var b = Math.round(lerp(c1[2], c2[2], t));
+  c1 = _toRGB(c1);
+  c2 = _toRGB(c2);
+  var r = Math.round(_lerp(c1[0], c2[0], t));
+  var g = Math.round(_lerp(c1[1], c2[1], t));
+  var b = Math.round(_lerp(c1[2], c2[2], t));
   return [r, g, b];
 }
 
@@ -801,462 +2601,3048 @@ function _map(val, min, max, newMin, newMax) {
   return ((val - min) * (newMax - newMin)) / (max - min) + newMin;
 }
 
-// TEXT FUNCTIONS
+// GRID FUNCTIONS
 
 /**
- * Creates a text frame on the page
- * @param {number} x - The x-coordinate of the text frame's left edge
- * @param {number} y - The y-coordinate of the text frame's top edge
- * @param {number} width - The width of the text frame
- * @param {number} height - The height of the text frame
- * @param {string} text - The text content to place in the frame
- * @returns {object} The created text frame object with methods for styling
- * @example
- * // Create a text frame at (10,10) size 200x50 with "Hello World"
- * var myText = _textFrame(10, 10, 200, 50, "Hello World");
+ * Gets the area of a page that a grid is laid out in
+ * @param {Page} page - The InDesign page object
+ * @param {string} bounds - "margin", "page" or "bleed"
+ * @returns {Object} The area as {top, left, bottom, right}
+ * @private
  */
-function _textFrame(x, y, width, height, text) {
+function _gridArea(page, bounds) {
   var doc = _doc();
-  var page = doc.pages.item(0);
+  // Measured from the page's top-left corner, like the coordinates of the drawing functions
+  var pageBounds = page.bounds; // [y1, x1, y2, x2]
+  var area = {
+    top: 0,
+    left: 0,
+    bottom: pageBounds[2] - pageBounds[0],
+    right: pageBounds[3] - pageBounds[1],
+  };
+
+  switch (bounds.toLowerCase()) {
+    case "page":
+      break;
+    case "margin":
+      var margins = page.marginPreferences;
+      area.top += margins.top;
+      area.left += margins.left;
+      area.bottom -= margins.bottom;
+      area.right -= margins.right;
+      break;
+    case "bleed":
+      var prefs = doc.documentPreferences;
+      area.top -= prefs.documentBleedTopOffset;
+      area.left -= prefs.documentBleedInsideOrLeftOffset;
+      area.bottom += prefs.documentBleedBottomOffset;
+      area.right += prefs.documentBleedOutsideOrRightOffset;
+      break;
+    default:
+      throw new Error("Invalid grid bounds: " + bounds);
+  }
+  return area;
+}
+
+/**
+ * Creates a grid cell object
+ * @private
+ */
+function _gridCell(row, col, index, x, y, width, height) {
+  return {
+    row: row,
+    col: col,
+    index: index,
+    x: x,
+    y: y,
+    width: width,
+    height: height,
+    cx: x + width / 2,
+    cy: y + height / 2,
+    bounds: [y, x, y + height, x + width],
+  };
+}
+
+/**
+ * Lays out a grid of rows and columns on a page and returns its cells
+ * Cell coordinates are measured from the page's top-left corner, so they can be
+ * passed straight to the drawing functions.
+ * @param {Object} options - The grid settings
+ * @param {number} options.rows - Number of rows
+ * @param {number} options.cols - Number of columns
+ * @param {number|string} [options.gutter=0] - Space between cells
+ * @param {number|string} [options.rowGutter] - Space between rows (defaults to gutter)
+ * @param {number|string} [options.colGutter] - Space between columns (defaults to gutter)
+ * @param {string} [options.bounds="margin"] - The area to fill: "margin", "page" or "bleed"
+ * @param {Page|number} [options.page] - The page to lay out (defaults to the current page)
+ * @returns {Object} The grid with its cells and helpers, or null on error
+ * @example
+ * var grid = _grid({ rows: 5, cols: 5, gutter: 6 });
+ * grid.each(function (cell) {
+ *   _rect(cell.x, cell.y, cell.x + cell.width, cell.y + cell.height);
+ * });
+ * // A cell spanning two rows and three columns
+ * var hero = grid.span(0, 0, 2, 3);
+ */
+function _grid(options) {
+  try {
+    options = options || {};
+    var rows = options.rows == undefined ? 1 : options.rows;
+    var cols = options.cols == undefined ? 1 : options.cols;
+    var gutter = options.gutter || 0;
+    var rowGutter = _measure(
+      options.rowGutter == undefined ? gutter : options.rowGutter,
+      "y"
+    );
+    var colGutter = _measure(
+      options.colGutter == undefined ? gutter : options.colGutter,
+      "x"
+    );
+
+    if (rows < 1 || cols < 1 || rows % 1 !== 0 || cols % 1 !== 0) {
+      throw new Error("Rows and columns must be whole numbers of 1 or more");
+    }
+
+    var page = _targetPage(options.page);
+    var area = _gridArea(page, options.bounds || "margin");
+    var areaWidth = area.right - area.left;
+    var areaHeight = area.bottom - area.top;
+    var cellWidth = (areaWidth - colGutter * (cols - 1)) / cols;
+    var cellHeight = (areaHeight - rowGutter * (rows - 1)) / rows;
+
+    if (cellWidth <= 0 || cellHeight <= 0) {
+      throw new Error("Gutters leave no room for the grid cells");
+    }
+
+    var cells = [];
+    for (var row = 0; row < rows; row++) {
+      for (var col = 0; col < cols; col++) {
+        cells.push(
+          _gridCell(
+            row,
+            col,
+            cells.length,
+            area.left + col * (cellWidth + colGutter),
+            area.top + row * (cellHeight + rowGutter),
+            cellWidth,
+            cellHeight
+          )
+        );
+      }
+    }
+
+    var grid = {
+      cells: cells,
+      rows: rows,
+      cols: cols,
+      page: page,
+      x: area.left,
+      y: area.top,
+      width: areaWidth,
+      height: areaHeight,
+      cell: function (row, col) {
+        if (row < 0 || row >= rows || col < 0 || col >= cols) {
+          return null;
+        }
+        return cells[row * cols + col];
+      },
+      span: function (row, col, rowSpan, colSpan) {
+        var first = grid.cell(row, col);
+        var last = grid.cell(row + rowSpan - 1, col + colSpan - 1);
+        if (!first || !last) {
+          alert("Error spanning grid cells: span is outside the grid");
+          return null;
+        }
+        var spanned = _gridCell(
+          row,
+          col,
+          first.index,
+          first.x,
+          first.y,
+          last.x + last.width - first.x,
+          last.y + last.height - first.y
+        );
+        spanned.rowSpan = rowSpan;
+        spanned.colSpan = colSpan;
+        return spanned;
+      },
+      ordered: function (order) {
+        try {
+          return _gridOrder(cells, rows, cols, order || "rows");
+        } catch (e) {
+          alert("Error ordering grid cells: " + e.message);
+          return [];
+        }
+      },
+      each: function (fn, order) {
+        var ordered = grid.ordered(order);
+        for (var i = 0; i < ordered.length; i++) {
+          fn(ordered[i], i);
+        }
+        return grid;
+      },
+      guides: function () {
+        for (var c = 0; c < cols; c++) {
+          var left = cells[c].x;
+          _guide("vertical", left, page);
+          _guide("vertical", left + cellWidth, page);
+        }
+        for (var r = 0; r < rows; r++) {
+          var top = cells[r * cols].y;
+          _guide("horizontal", top, page);
+          _guide("horizontal", top + cellHeight, page);
+        }
+        return grid;
+      },
+    };
+    return grid;
+  } catch (e) {
+    alert("Error creating grid: " + e.message);
+    return null;
+  }
+}
+
+/**
+ * Returns grid cells in the requested iteration order
+ * @param {Array<Object>} cells - The cells in row-major order
+ * @param {number} rows - Number of rows
+ * @param {number} cols - Number of columns
+ * @param {string} order - "rows", "columns", "snake", "reverse" or "random"
+ * @returns {Array<Object>} The reordered cells
+ * @private
+ */
+function _gridOrder(cells, rows, cols, order) {
+  var ordered = [];
+  var row, col;
+  switch (order.toLowerCase()) {
+    case "rows":
+      return cells.slice(0);
+    case "columns":
+      for (col = 0; col < cols; col++) {
+        for (row = 0; row < rows; row++) {
+          ordered.push(cells[row * cols + col]);
+        }
+      }
+      return ordered;
+    case "snake":
+      // Left to right on even rows, right to left on odd rows
+      for (row = 0; row < rows; row++) {
+        for (col = 0; col < cols; col++) {
+          var c = row % 2 === 0 ? col : cols - 1 - col;
+          ordered.push(cells[row * cols + c]);
+        }
+      }
+      return ordered;
+    case "reverse":
+      return cells.slice(0).reverse();
+    case "random":
+      return _shuffle(cells);
+    default:
+      throw new Error("Invalid grid order: " + order);
+  }
+}
+
+// TEXT FUNCTIONS
+
+// Step names of the type scale, smallest first (see _typeScale)
+var _typeScaleSteps = [
+  "xsmall",
+  "small",
+  "body",
+  "h4",
+  "h3",
+  "h2",
+  "h1",
+  "display",
+];
+
+// Sizes of the current type scale, and the baseline grid increment (see _baselineGrid)
+var _typeSizes = null;
+var _baselineIncrement = null;
+
+/**
+ * Creates a text frame on the current page
+ * The numbers are read in the current rect mode (see _rectMode). Without one, the
+ * third and fourth numbers are the right and bottom edges, as in _rect.
+ * @param {number|string} x - The x-coordinate of the text frame's left edge
+ * @param {number|string} y - The y-coordinate of the text frame's top edge
+ * @param {number|string} width - The right edge, or the width in "corner" and "center" mode
+ * @param {number|string} height - The bottom edge, or the height in "corner" and "center" mode
+ * @param {string} text - The text content to place in the frame
+ * @param {Page|number} [page] - The page to draw on (defaults to the current page)
+ * @returns {Object} The text frame wrapper with chainable methods (see _wrap), plus fontSize,
+ *   fontColor, fontName, textJustification, verticalJustification, noHyphenation,
+ *   findReplace, paragraphStyle, and the getters overset(), characters() and words(),
+ *   or null on error
+ * @example
+ * // Create a text frame from (10,10) to (210,60) with "Hello World"
+ * var myText = _textFrame(10, 10, 210, 60, "Hello World");
+ * // The same frame, given its size
+ * _rectMode("corner");
+ * var sameText = _textFrame(10, 10, 200, 50, "Hello World");
+ */
+function _textFrame(x, y, width, height, text, page) {
+  try {
+    return _addTextFrame(
+      _rectBounds(x, y, width, height, "corners"),
+      text,
+      page
+    );
+  } catch (e) {
+    alert("Error creating text frame: " + e.message);
+    return null;
+  }
+}
+
+/**
+ * Creates a text frame with the given bounds
+ * @param {Array<number>} bounds - The frame's bounds as [top, left, bottom, right]
+ * @param {string} text - The text content to place in the frame
+ * @param {Page|number} [page] - The page to draw on (defaults to the current page)
+ * @returns {Object} The text frame wrapper (see _textFrame)
+ * @private
+ */
+function _addTextFrame(bounds, text, page) {
+  page = _targetPage(page);
   var textFrame = page.textFrames.add();
-  textFrame.geometricBounds = [y, x, height, width];
+  textFrame.geometricBounds = bounds;
   textFrame.contents = text;
-  return {
-    frame: textFrame,
-    fontSize: function (size) {
-      _setFontSize(textFrame, size);
-    },
-    fontColor: function (color) {
-      _setFontColor(textFrame, color);
-    },
-    fontName: function (name) {
-      _setFontName(textFrame, name);
-    },
-    centerTo: function (keyObject) {
-      _centerTo(textFrame, keyObject);
-    },
-    textJustification: function (justification) {
-      _setTextJustification(textFrame, justification);
-    },
-    verticalJustification: function (justification) {
-      _setVerticalJustification(textFrame, justification);
-    },
-    noHyphenation: function () {
-      _noHyphenation(textFrame);
-    },
-    findReplace: function (grep, replaceWith) {
-      _grepFindAndReplace(textFrame, grep, replaceWith);
-    },
-    characters: function () {
-      return _characters(textFrame);
-    },
-    words: function () {
-      return _words(textFrame);
-    },
-    flip: function (direction) {
-      _flip(textFrame, direction);
-    },
-    rotate: function (angle) {
-      _rotate(textFrame, angle);
-    },
+  _alignToGrid(textFrame);
+  _applyFrameMatrix(textFrame, page);
+  var wrapper = _withText(_wrap(textFrame, "frame"), textFrame);
+  wrapper.verticalJustification = function (justification) {
+    _setVerticalJustification(textFrame, justification);
+    return wrapper;
+  };
+  wrapper.findReplace = function (grep, replaceWith) {
+    _grepFindAndReplace(textFrame, grep, replaceWith);
+    return wrapper;
+  };
+  wrapper.overset = function () {
+    return _isOverset(textFrame);
+  };
+  return wrapper;
+}
+
+/**
+ * Adds the chainable text methods shared by text frames and text on a path
+ * @param {Object} wrapper - The wrapper object
+ * @param {TextFrame|TextPath} text - The text frame or text path it wraps
+ * @returns {Object} The wrapper, with fontSize, fontColor, fontName, textJustification,
+ *   noHyphenation, paragraphStyle, and the getters characters() and words()
+ * @private
+ */
+function _withText(wrapper, text) {
+  wrapper.fontSize = function (size) {
+    _setFontSize(text, size);
+    return wrapper;
+  };
+  wrapper.fontColor = function (color) {
+    _setFontColor(text, color);
+    return wrapper;
+  };
+  wrapper.fontName = function (name) {
+    _setFontName(text, name);
+    return wrapper;
+  };
+  wrapper.textJustification = function (justification) {
+    _setTextJustification(text, justification);
+    return wrapper;
+  };
+  wrapper.noHyphenation = function () {
+    _noHyphenation(text);
+    return wrapper;
+  };
+  wrapper.paragraphStyle = function (style) {
+    _setParagraphStyle(text, style);
+    return wrapper;
+  };
+  wrapper.characters = function () {
+    return _characters(text);
+  };
+  wrapper.words = function () {
+    return _words(text);
+  };
+  return wrapper;
+}
+
+/**
+ * Sets the font size for a text frame
+ * With a baseline grid set up (see _baselineGrid), the leading is snapped to the grid.
+ * @param {TextFrame} textFrame - The InDesign text frame object
+ * @param {number|string} fontSize - The desired font size, a size with a unit such as "12pt", or a step of the type scale (see _typeScale)
+ * @returns {boolean} - Success status
+ * @example
+ * // Set the font size to 12 points for a text frame
+ * _setFontSize(myTextFrame, 12);
+ * // Use the largest heading size of the type scale
+ * _setFontSize(myTextFrame, "h1");
+ */
+function _setFontSize(textFrame, fontSize) {
+  try {
+    fontSize = _fontSize(fontSize);
+    var text = textFrame.texts.item(0);
+    text.pointSize = fontSize;
+    if (_baselineIncrement) {
+      text.leading = _snapLeading(fontSize);
+    }
+    return true;
+  } catch (e) {
+    alert("Error setting font size: " + e.message);
+    return false;
+  }
+}
+
+/**
+ * Builds a modular type scale and makes its step names usable as font sizes
+ * Each step is the one below it times the ratio. After this call, _setFontSize and
+ * the fontSize method of text wrappers accept the step names.
+ * @param {number|string} [base=12] - The body size in points
+ * @param {number|string} [ratio="major third"] - The ratio between steps, as a number or one of
+ *   "minor second", "major second", "minor third", "major third", "perfect fourth",
+ *   "augmented fourth", "perfect fifth" or "golden"
+ * @returns {Object} The sizes in points, keyed by step: xsmall, small, body, h4, h3, h2, h1 and display,
+ *   or null on error
+ * @example
+ * var sizes = _typeScale(10, "perfect fourth");
+ * sizes.h1; // 31.57
+ * _textFrame(36, 36, 540, 100, "Omelas").fontSize("h1");
+ */
+function _typeScale(base, ratio) {
+  const ratioMap = {
+    minorsecond: 1.067,
+    majorsecond: 1.125,
+    minorthird: 1.2,
+    majorthird: 1.25,
+    perfectfourth: 1.333,
+    augmentedfourth: 1.414,
+    perfectfifth: 1.5,
+    golden: 1.618,
+  };
+
+  try {
+    base = base === undefined ? 12 : _measure(base, "type");
+    ratio = ratio === undefined ? "major third" : ratio;
+    if (typeof base !== "number" || base <= 0) {
+      throw new Error("Base size must be a number greater than 0");
+    }
+    if (typeof ratio === "string") {
+      var key = ratio.toLowerCase().replace(/[\s_-]/g, "");
+      if (!ratioMap[key]) {
+        throw new Error(
+          "Invalid type scale ratio: " +
+            ratio +
+            ". Valid ratios are: minor second, major second, minor third, major third, " +
+            "perfect fourth, augmented fourth, perfect fifth, golden"
+        );
+      }
+      ratio = ratioMap[key];
+    }
+    if (typeof ratio !== "number" || ratio <= 1) {
+      throw new Error("Type scale ratio must be a number greater than 1");
+    }
+
+    _typeSizes = _typeScaleSizes(base, ratio);
+    return _typeSizes;
+  } catch (e) {
+    alert("Error creating type scale: " + e.message);
+    return null;
+  }
+}
+
+/**
+ * Computes the sizes of a type scale without making it the current scale
+ * @param {number} base - The body size in points
+ * @param {number} ratio - The ratio between steps
+ * @returns {Object} The sizes in points, keyed by step (see _typeScale)
+ * @private
+ */
+function _typeScaleSizes(base, ratio) {
+  var steps = {};
+  for (var i = 0; i < _typeScaleSteps.length; i++) {
+    var size = base * Math.pow(ratio, i - 2);
+    steps[_typeScaleSteps[i]] = Math.round(size * 100) / 100;
+  }
+  return steps;
+}
+
+/**
+ * Sets up the document baseline grid and aligns text frames to it
+ * Every text frame on every page is aligned to the grid, and so are the frames
+ * made afterwards by _textFrame and _story. From then on, setting a font size also
+ * snaps the leading to the grid.
+ * @param {number|string} increment - The distance between grid lines, in the document's vertical
+ *   ruler units or as a string with a unit such as "12pt"
+ * @param {number|string} [start] - The distance of the first grid line from the top of the page,
+ *   in the same units (defaults to the top margin of the first page)
+ * @returns {boolean} - Success status
+ * @example
+ * _baselineGrid("12pt");
+ * _textFrame(36, 36, 540, 300, "Omelas").fontSize(30); // 36pt leading, three grid lines
+ */
+function _baselineGrid(increment, start) {
+  try {
+    increment = _measure(increment, "y");
+    if (typeof increment !== "number" || increment <= 0) {
+      throw new Error(
+        "Baseline grid increment must be a number greater than 0"
+      );
+    }
+    var doc = _doc();
+    if (start === undefined) {
+      start = doc.pages.item(0).marginPreferences.top;
+    }
+    start = _measure(start, "y");
+    doc.gridPreferences.baselineDivision = increment;
+    // baselineStart is measured from the top of the page, not the top margin
+    doc.gridPreferences.baselineGridRelativeOption =
+      BaselineGridRelativeOption.TOP_OF_PAGE_OF_BASELINE_GRID_RELATIVE_OPTION;
+    doc.gridPreferences.baselineStart = start;
+    doc.gridPreferences.baselineGridShown = true;
+    // Kept in the units of font sizes (points), which leading is snapped against
+    _baselineIncrement = (increment * _unitSize("y")) / _unitSize("type");
+
+    for (var i = 0; i < doc.pages.length; i++) {
+      var frames = doc.pages.item(i).textFrames;
+      for (var j = 0; j < frames.length; j++) {
+        _alignToGrid(frames.item(j));
+      }
+    }
+    return true;
+  } catch (e) {
+    alert("Error setting baseline grid: " + e.message);
+    return false;
+  }
+}
+
+/**
+ * Resolves a font size given in points or as a type scale step name
+ * @param {number|string} fontSize - The size, or a step name such as "h1" (see _typeScale)
+ * @returns {number} The size in points
+ * @private
+ */
+function _fontSize(fontSize) {
+  if (typeof fontSize !== "string") {
+    return fontSize;
+  }
+  if (/^\s*-?\.?\d/.test(fontSize)) {
+    return _measure(fontSize, "type");
+  }
+  var steps = _typeSizes || _typeScale();
+  if (!steps.hasOwnProperty(fontSize)) {
+    throw new Error(
+      "Unknown type scale step: " +
+        fontSize +
+        ". Valid steps are: " +
+        _typeScaleSteps.join(", ")
+    );
+  }
+  return steps[fontSize];
+}
+
+/**
+ * Rounds leading to the baseline grid
+ * Picks the multiple of the grid closest to 120% of the font size, but never less than the size.
+ * @param {number} fontSize - The font size in points
+ * @returns {number} The leading in points
+ * @private
+ */
+function _snapLeading(fontSize) {
+  var lines = Math.max(
+    Math.ceil(fontSize / _baselineIncrement),
+    Math.round((fontSize * 1.2) / _baselineIncrement)
+  );
+  return lines * _baselineIncrement;
+}
+
+/**
+ * Aligns the text of a frame or story to the baseline grid, if one is set up
+ * @param {TextFrame|Story} text - The text frame or story
+ * @private
+ */
+function _alignToGrid(text) {
+  if (_baselineIncrement) {
+    text.texts.item(0).alignToBaseline = true;
+  }
+}
+
+/**
+ * Sets the font color for a text frame
+ * @param {TextFrame} textFrame - The InDesign text frame object
+ * @param {Color|String} color - The font color (InDesign color object or hex string)
+ * @example
+ * // Set the font color to red
+ * _setFontColor(myTextFrame, "#FF0000");
+ */
+function _setFontColor(textFrame, color) {
+  try {
+    if (typeof color === "string") {
+      color = _color(color);
+    }
+    textFrame.texts.item(0).fillColor = color;
+    return true;
+  } catch (e) {
+    alert("Error setting font color: " + e.message);
+    return false;
+  }
+}
+
+/**
+ * Sets the font name for a text frame
+ * @param {TextFrame} textFrame - The InDesign text frame object
+ * @param {string} fontName - The desired font name
+ * @example
+ * // Set the font name to "Arial"
+ * _setFontName(myTextFrame, "Arial");
+ */
+function _setFontName(textFrame, fontName) {
+  try {
+    textFrame.texts.item(0).appliedFont = fontName;
+    return true;
+  } catch (e) {
+    alert("Error setting font name: " + e.message);
+    return false;
+  }
+}
+
+/**
+ * Sets the vertical justification for a text frame
+ * @param {TextFrame} textFrame - The InDesign text frame object
+ * @param {VerticalJustification|string} justification - The desired vertical justification (e.g., VerticalJustification.CENTER_ALIGN or "center")
+ * @returns {boolean} - Success status
+ * @example
+ * // Set the vertical justification to center
+ * _setVerticalJustification(myTextFrame, "center");
+ */
+function _setVerticalJustification(textFrame, justification) {
+  const justificationMap = {
+    top: VerticalJustification.TOP_ALIGN,
+    center: VerticalJustification.CENTER_ALIGN,
+    bottom: VerticalJustification.BOTTOM_ALIGN,
+    justify: VerticalJustification.JUSTIFY_ALIGN,
+  };
+
+  try {
+    if (typeof justification === "string") {
+      if (!justificationMap[justification.toLowerCase()]) {
+        throw new Error(
+          "Invalid vertical justification value: " + justification
+        );
+      }
+      justification = justificationMap[justification.toLowerCase()];
+    }
+    textFrame.textFramePreferences.verticalJustification = justification;
+    return true;
+  } catch (e) {
+    alert("Error setting vertical justification: " + e.message);
+    return false;
+  }
+}
+
+/**
+ * Sets the text justification for a text frame
+ * @param {TextFrame} textFrame - The InDesign text frame object
+ * @param {Justification|string} justification - The desired text justification (e.g., Justification.CENTER_ALIGN or "center")
+ * @returns {boolean} - Success status
+ * @example
+ * // Set the text justification to center
+ * _setTextJustification(myTextFrame, "center");
+ */
+function _setTextJustification(textFrame, justification) {
+  const justificationMap = {
+    left: Justification.LEFT_ALIGN,
+    center: Justification.CENTER_ALIGN,
+    right: Justification.RIGHT_ALIGN,
+    justify: Justification.FULLY_JUSTIFIED,
+  };
+
+  try {
+    if (typeof justification === "string") {
+      if (!justificationMap[justification.toLowerCase()]) {
+        throw new Error("Invalid justification value: " + justification);
+      }
+      justification = justificationMap[justification.toLowerCase()];
+    }
+    textFrame.texts.item(0).justification = justification;
+    return true;
+  } catch (e) {
+    alert("Error setting text justification: " + e.message);
+    return false;
+  }
+}
+
+/**
+ * Returns all characters in a text frame
+ * @param {TextFrame} textFrame - The InDesign text frame object
+ * @returns {Array<Character>} An array of all character objects in the text frame
+ * @example
+ * // Get all characters in a text frame
+ * var characters = _characters(myTextFrame);
+ */
+function _characters(textFrame) {
+  try {
+    return textFrame.characters.everyItem().getElements();
+  } catch (e) {
+    alert("Error getting characters: " + e.message);
+    return [];
+  }
+}
+
+/**
+ * Returns all words in a text frame
+ * @param {TextFrame} textFrame - The InDesign text frame object
+ * @returns {Array<Word>} An array of all word objects in the text frame
+ * @example
+ * // Get all words in a text frame
+ * var words = _words(myTextFrame);
+ */
+function _words(textFrame) {
+  try {
+    return textFrame.words.everyItem().getElements();
+  } catch (e) {
+    alert("Error getting words: " + e.message);
+    return [];
+  }
+}
+
+/**
+ * Creates a character style, or updates the existing style with the same name
+ * Like _paragraphStyle, the style is changed in place, so text that already uses
+ * it keeps the style and picks up the new properties.
+ * @param {string} styleName - The name of the character style
+ * @param {Object} properties - The properties to apply to the character style.
+ *   Lengths such as pointSize accept unit strings, and string colors are resolved with _color
+ * @returns {CharacterStyle} The character style object, or null on error
+ * @example
+ * // Create a character style named "BoldRed" with bold font and red color
+ * var boldRedStyle = _createCharacterStyle("BoldRed", { fontStyle: "Bold", fillColor: "Red" });
+ */
+function _createCharacterStyle(styleName, properties) {
+  try {
+    var charStyle = _styleByName(_doc().characterStyles, styleName);
+    _setStyleProperties(charStyle, properties);
+    return charStyle;
+  } catch (e) {
+    alert("Error creating character style: " + e.message);
+    return null;
+  }
+}
+
+/**
+ * Finds words in a text frame using GREP (regular expressions)
+ * @param {TextFrame} textFrame - The InDesign text frame object
+ * @param {string} grep - The GREP pattern to search for
+ * @returns {Array<Text>} An array of found text objects
+ * @example
+ * // Find all occurrences of the word "Omelas" in the text frame
+ * var foundWords = _grepFindText(myTextFrame, "Omelas");
+ */
+function _grepFindText(grep) {
+  try {
+    app.findGrepPreferences = app.changeGrepPreferences = null;
+    app.findGrepPreferences.findWhat = grep;
+    var foundItems = app.findGrepPreferences.getElements();
+    return foundItems;
+  } catch (e) {
+    alert("Error finding words: " + e.message);
+    return [];
+  }
+}
+
+/**
+ * Finds and replaces text in a text frame using GREP (regular expressions)
+ * @param {TextFrame} textFrame - The InDesign text frame object
+ * @param {string} grep - The GREP pattern to search for
+ * @param {string} replaceWith - The text to replace the found text with
+ * @returns {boolean} - Success status
+ * @example
+ * // Replace all occurrences of "Omelas" with "City" in the text frame
+ * _grepFindAndReplace(myTextFrame, "Omelas", "City");
+ */
+function _grepFindAndReplace(textFrame, grep, replaceWith) {
+  try {
+    app.findGrepPreferences = app.changeGrepPreferences = null;
+    app.findGrepPreferences.findWhat = grep;
+    app.changeGrepPreferences.changeTo = replaceWith;
+    textFrame.changeGrep();
+    return true;
+  } catch (e) {
+    alert("Error finding and replacing text: " + e.message);
+    return false;
+  }
+}
+
+/**
+ * Applies a character style to text found using a GREP pattern
+ * @param {TextFrame} textFrame - The InDesign text frame object
+ * @param {string} grep - The GREP pattern to search for
+ * @param {CharacterStyle} charStyle - The character style to apply
+ * @returns {boolean} - Success status
+ * @example
+ * // Apply the "BoldRed" character style to all occurrences of "Omelas" in the text frame
+ * _applyGrepCharacterStyle(myTextFrame, "Omelas", boldRedStyle);
+ */
+function _applyGrepCharacterStyle(textFrame, grep, charStyle) {
+  try {
+    app.findGrepPreferences = app.changeGrepPreferences = null;
+    app.findGrepPreferences.findWhat = grep;
+    app.changeGrepPreferences.appliedCharacterStyle = charStyle;
+    textFrame.changeGrep();
+    return true;
+  } catch (e) {
+    alert("Error applying GREP character style: " + e.message);
+    return false;
+  }
+}
+
+/**
+ * Disables hyphenation for a text frame
+ * @param {TextFrame} textFrame - The InDesign text frame object
+ * @returns {boolean} - Success status
+ * @example
+ * // Disable hyphenation for a text frame
+ * _noHyphenation(myTextFrame);
+ */
+function _noHyphenation(textFrame) {
+  try {
+    textFrame.texts.item(0).hyphenation = false;
+    return true;
+  } catch (e) {
+    alert("Error disabling hyphenation: " + e.message);
+    return false;
+  }
+}
+
+/**
+ * Flows text through threaded frames, adding pages until the whole story fits
+ * Each frame gets the same bounds on its page. New pages are added at the end of
+ * the document, and the last one becomes the current page (see _addPage).
+ * @param {string|File} source - The text, or a File (or the path of an existing file) to read it from
+ * @param {Object} [options] - Story options
+ * @param {Array<number|string>} [options.frameBounds] - Bounds of every frame on its page as [top, left, bottom, right]
+ *   (defaults to the page margins)
+ * @param {ParagraphStyle|string} [options.style] - Paragraph style (or style name) for the whole story
+ * @param {Page|number} [options.page] - The page of the first frame (defaults to the current page)
+ * @param {number} [options.maxPages=100] - Stops adding pages after this many frames, leaving the rest overset
+ * @returns {Object} An object with the story, its frames and overset(), which tells whether
+ *   text is still left over, or null on error
+ * @example
+ * // Lay out a long essay with a frame inside the margins of every page
+ * _paragraphStyle("Body", { pointSize: 10, leading: 14 });
+ * var essay = _story(File("~/Desktop/omelas.txt"), { style: "Body" });
+ * essay.frames.length; // pages used
+ * essay.overset(); // false once everything fits
+ */
+function _story(source, options) {
+  try {
+    options = options || {};
+    var text =
+      typeof source === "string" && !File(source).exists
+        ? source
+        : _readFile(source);
+    var maxPages = options.maxPages || 100;
+    var page = _targetPage(options.page);
+
+    var frame = _storyFrame(page, options.frameBounds);
+    var story = frame.parentStory;
+    story.contents = text;
+    if (options.style !== undefined) {
+      story.texts.item(0).appliedParagraphStyle = _findStyle(
+        _doc().paragraphStyles,
+        options.style,
+        "Paragraph"
+      );
+    }
+    _alignToGrid(story);
+
+    var frames = [frame];
+    // Overflow is only up to date once the story has been composed
+    story.recompose();
+    while (frame.overflows && frames.length < maxPages) {
+      page = _addPage();
+      if (!page) {
+        throw new Error("Could not add a page for the overset text");
+      }
+      var next = _storyFrame(page, options.frameBounds);
+      frame.nextTextFrame = next;
+      frame = next;
+      frames.push(frame);
+      story.recompose();
+    }
+
+    return {
+      story: story,
+      frames: frames,
+      overset: function () {
+        return _isOverset(story);
+      },
+    };
+  } catch (e) {
+    alert("Error creating story: " + e.message);
+    return null;
+  }
+}
+
+/**
+ * Adds an empty text frame for a story
+ * @param {Page} page - The page to add the frame to
+ * @param {Array<number>} [bounds] - Frame bounds as [top, left, bottom, right] (defaults to the page margins)
+ * @returns {TextFrame} The text frame
+ * @private
+ */
+function _storyFrame(page, bounds) {
+  if (!bounds) {
+    var margins = page.marginPreferences;
+    bounds = [
+      margins.top,
+      margins.left,
+      page.bounds[2] - page.bounds[0] - margins.bottom,
+      page.bounds[3] - page.bounds[1] - margins.right,
+    ];
+  }
+  var origin = _pageOrigin(page);
+  var frame = page.textFrames.add();
+  frame.geometricBounds = [
+    _measure(bounds[0], "y") + origin[1],
+    _measure(bounds[1], "x") + origin[0],
+    _measure(bounds[2], "y") + origin[1],
+    _measure(bounds[3], "x") + origin[0],
+  ];
+  return frame;
+}
+
+/**
+ * Checks whether a text frame or story has more text than fits
+ * @param {TextFrame|Story|Object} item - A text frame, a story, or the object returned by _textFrame or _story
+ * @returns {boolean} True if text is overset
+ * @example
+ * var intro = _textFrame(36, 36, 300, 100, longText);
+ * if (_isOverset(intro)) {
+ *   intro.fontSize(8);
+ * }
+ */
+function _isOverset(item) {
+  if (item.story) {
+    item = item.story;
+  } else if (item.item) {
+    item = item.item;
+  }
+  item.recompose();
+  return item.overflows;
+}
+
+/**
+ * Sets type along the path of a shape
+ * Works on any shape with a path: circles, ellipses, lines, polygons and freeform shapes.
+ * @param {Object|PageItem} shape - A shape wrapper (e.g., from _circle) or an InDesign page item
+ * @param {string} text - The text to set on the path
+ * @param {Object} [options] - Type on a path options
+ * @param {string} [options.align] - Alignment along the path: "left", "center", "right" or "justify"
+ * @param {PathEffect|string} [options.effect] - Path effect: "rainbow", "skew", "ribbon" (3D ribbon),
+ *   "stairStep" or "gravity"
+ * @param {boolean} [options.flip=false] - Sets the text on the other side of the path, running the other way
+ * @param {number} [options.startOffset] - Where the text starts, measured along the path from its first point
+ * @returns {Object} A wrapper with the text path (wrapper.textPath, also wrapper.item), its shape
+ *   (wrapper.shape), and the chainable text methods fontSize, fontColor, fontName, textJustification,
+ *   noHyphenation and paragraphStyle, or null on error
+ * @example
+ * // Type around a circle
+ * var ring = _circle(100, 100, 200).noStroke();
+ * _textOnPath(ring, "Those who walk away from Omelas", { align: "center" })
+ *   .fontSize(18)
+ *   .fontColor("#FF4500");
+ * // Type along a wave, on the underside
+ * _beginShape();
+ * _vertex(50, 300);
+ * _bezierVertex(150, 200, 250, 400, 350, 300);
+ * _textOnPath(_endShape(), "Waves", { flip: true, effect: "skew" });
+ */
+function _textOnPath(shape, text, options) {
+  const effectMap = {
+    rainbow: PathEffect.RAINBOW_PATH_EFFECT,
+    skew: PathEffect.SKEW_PATH_EFFECT,
+    ribbon: PathEffect.RIBBON_PATH_EFFECT,
+    "3dribbon": PathEffect.RIBBON_PATH_EFFECT,
+    stairstep: PathEffect.STAIR_STEP_PATH_EFFECT,
+    gravity: PathEffect.GRAVITY_PATH_EFFECT,
+  };
+
+  try {
+    options = options || {};
+    if (shape && shape.item) {
+      shape = shape.item;
+    }
+    if (!shape || !shape.textPaths) {
+      throw new Error("Text can only be set on a shape with a path");
+    }
+
+    var effect = options.effect;
+    if (typeof effect === "string") {
+      effect = effectMap[effect.toLowerCase().replace(/[\s_-]/g, "")];
+      if (!effect) {
+        throw new Error(
+          "Invalid path effect value: " +
+            options.effect +
+            ". Valid values are: rainbow, skew, ribbon, stairStep, gravity"
+        );
+      }
+    }
+
+    var textPath = shape.textPaths.add();
+    textPath.contents = text;
+    if (effect) {
+      textPath.pathEffect = effect;
+    }
+    if (options.flip !== undefined) {
+      textPath.flipPathEffect = options.flip
+        ? FlipValues.FLIPPED
+        : FlipValues.NOT_FLIPPED;
+    }
+    if (options.startOffset !== undefined) {
+      textPath.startBracket = options.startOffset;
+    }
+
+    var wrapper = _withText(
+      { item: textPath, textPath: textPath, shape: shape },
+      textPath
+    );
+    if (options.align !== undefined) {
+      wrapper.textJustification(options.align);
+    }
+    return wrapper;
+  } catch (e) {
+    alert("Error setting text on path: " + e.message);
+    return null;
+  }
+}
+
+/**
+ * Sets Markdown as the text of a frame or story, styled with paragraph and character styles
+ * Supports headings, paragraphs, bullet and numbered lists, block quotes, **strong**,
+ * *emphasis*, `inline code` and [links](https://example.com), which also become hyperlinks.
+ * Styles that do not exist yet are created with a few defaults (headings are sized with the
+ * type scale, see _typeScale); existing styles are used as they are.
+ * @param {Object|TextFrame} target - A text wrapper (from _textFrame, _story or _textOnPath) or a text frame
+ * @param {string|File} source - The Markdown, or a File to read it from
+ * @param {Object} [styleMap] - Style names (or styles) to use per element, overriding the defaults:
+ *   h1-h6 ("Heading 1"-"Heading 6"), paragraph ("Body"), bullet ("Bullet List"),
+ *   number ("Numbered List"), quote ("Quote"), strong ("Strong"), emphasis ("Emphasis"),
+ *   code ("Code") and link ("Link")
+ * @returns {Object|TextFrame} The target, or null on error
+ * @example
+ * var essay = _story(File("~/Desktop/omelas.md"));
+ * _markdown(essay, File("~/Desktop/omelas.md"), { paragraph: "Essay Body" });
+ * // Short copy in a single frame
+ * _markdown(_textFrame(36, 36, 300, 200, ""), "# Omelas\n\nThe *Festival* of **Summer**");
+ */
+function _markdown(target, source, styleMap) {
+  try {
+    // Headings use the current type scale, or the default one (see _typeScale),
+    // which is not made current
+    var sizes = _typeSizes || _typeScaleSizes(12, 1.25);
+    const defaults = {
+      h1: ["Heading 1", "paragraph", { pointSize: sizes.h1 }],
+      h2: ["Heading 2", "paragraph", { pointSize: sizes.h2 }],
+      h3: ["Heading 3", "paragraph", { pointSize: sizes.h3 }],
+      h4: ["Heading 4", "paragraph", { pointSize: sizes.h4 }],
+      h5: ["Heading 5", "paragraph", { pointSize: sizes.body }],
+      h6: ["Heading 6", "paragraph", { pointSize: sizes.small }],
+      paragraph: ["Body", "paragraph", {}],
+      bullet: [
+        "Bullet List",
+        "paragraph",
+        { bulletsAndNumberingListType: ListType.BULLET_LIST },
+      ],
+      number: [
+        "Numbered List",
+        "paragraph",
+        { bulletsAndNumberingListType: ListType.NUMBERED_LIST },
+      ],
+      quote: ["Quote", "paragraph", { leftIndent: 18 }],
+      strong: ["Strong", "character", { fontStyle: "Bold" }],
+      emphasis: ["Emphasis", "character", { fontStyle: "Italic" }],
+      code: ["Code", "character", { appliedFont: "Courier" }],
+      link: ["Link", "character", { underline: true }],
+    };
+
+    styleMap = styleMap || {};
+    for (var key in styleMap) {
+      if (styleMap.hasOwnProperty(key) && !defaults.hasOwnProperty(key)) {
+        throw new Error(
+          "Unknown Markdown element: " +
+            key +
+            ". Valid elements are: " +
+            Object.keys(defaults).join(", ")
+        );
+      }
+    }
+
+    var story = target.story;
+    if (!story) {
+      story = (target.item || target).parentStory;
+    }
+    var markdown = typeof source === "string" ? source : _readFile(source);
+    var parsed = _parseMarkdown(markdown);
+
+    // Resolve each style once, creating the missing ones
+    var doc = _doc();
+    var styles = {};
+    function style(element) {
+      if (!styles[element]) {
+        var spec = defaults[element];
+        styles[element] = _markdownStyle(
+          spec[1] === "paragraph" ? doc.paragraphStyles : doc.characterStyles,
+          styleMap.hasOwnProperty(element) ? styleMap[element] : spec[0],
+          spec[2]
+        );
+      }
+      return styles[element];
+    }
+
+    story.contents = parsed.text;
+    for (var i = 0; i < parsed.paragraphs.length; i++) {
+      var paragraph = story.paragraphs.item(i);
+      paragraph.appliedParagraphStyle = style(parsed.paragraphs[i].style);
+      if (parsed.paragraphs[i].restart) {
+        paragraph.numberingContinue = false;
+      }
+    }
+    // Spans are styled by position rather than with _applyGrepCharacterStyle: the
+    // Markdown markers are gone from the text, so a GREP search could not tell a
+    // styled word from the same word elsewhere in the story
+    for (var j = 0; j < parsed.spans.length; j++) {
+      var span = parsed.spans[j];
+      var text = story.characters
+        .itemByRange(span.start, span.end - 1)
+        .texts.item(0);
+      text.appliedCharacterStyle = style(span.style);
+      if (span.href) {
+        doc.hyperlinks.add(
+          doc.hyperlinkTextSources.add(text),
+          doc.hyperlinkURLDestinations.add(span.href)
+        );
+      }
+    }
+    return target;
+  } catch (e) {
+    alert("Error setting Markdown: " + e.message);
+    return null;
+  }
+}
+
+/**
+ * Parses Markdown into plain text with the positions of its styled parts
+ * Paragraphs in the text are separated by "\r", as in InDesign stories. Spans are
+ * listed outermost first, so inner styles can be applied over outer ones.
+ * @param {string} markdown - The Markdown source
+ * @returns {Object} An object with text, paragraphs (each {style, restart}, where style is
+ *   h1-h6, paragraph, bullet, number or quote, and restart marks the first item of a numbered
+ *   list) and spans (each {style, start, end, href}, where style is strong, emphasis, code or link)
+ * @example
+ * var parsed = _parseMarkdown("# Omelas\n\nThe **Festival**");
+ * // parsed.text: "Omelas\rThe Festival"
+ * // parsed.paragraphs: [{ style: "h1" }, { style: "paragraph" }]
+ * // parsed.spans: [{ style: "strong", start: 11, end: 19 }]
+ */
+function _parseMarkdown(markdown) {
+  var lines = String(markdown).replace(/\r\n?/g, "\n").split("\n");
+  var blocks = [];
+  var current = null;
+  var match;
+
+  for (var i = 0; i < lines.length; i++) {
+    var line = lines[i].replace(/\s+$/, "");
+    if (/^\s*$/.test(line)) {
+      current = null;
+    } else if ((match = /^(#{1,6})\s+(.*?)(\s+#+)?$/.exec(line))) {
+      blocks.push({ style: "h" + match[1].length, text: match[2] });
+      current = null;
+    } else if ((match = /^\s*[-*+]\s+(.*)$/.exec(line))) {
+      current = { style: "bullet", text: match[1] };
+      blocks.push(current);
+    } else if ((match = /^\s*\d+[.)]\s+(.*)$/.exec(line))) {
+      var previous = blocks[blocks.length - 1];
+      current = { style: "number", text: match[1] };
+      current.restart = !previous || previous.style !== "number";
+      blocks.push(current);
+    } else if ((match = /^\s*>\s?(.*)$/.exec(line))) {
+      if (match[1] === "") {
+        current = null;
+      } else if (current && current.style === "quote") {
+        current.text += " " + match[1];
+      } else {
+        current = { style: "quote", text: match[1] };
+        blocks.push(current);
+      }
+    } else if (current) {
+      // A continuation of the paragraph, list item or quote above
+      current.text += " " + line.replace(/^\s+/, "");
+    } else {
+      current = { style: "paragraph", text: line };
+      blocks.push(current);
+    }
+  }
+
+  var result = { text: "", paragraphs: [], spans: [] };
+  for (var b = 0; b < blocks.length; b++) {
+    if (b > 0) {
+      result.text += "\r";
+    }
+    var paragraph = { style: blocks[b].style };
+    if (blocks[b].restart) {
+      paragraph.restart = true;
+    }
+    result.paragraphs.push(paragraph);
+    result.text += _parseMarkdownInline(
+      blocks[b].text,
+      result.text.length,
+      result.spans
+    );
+  }
+  return result;
+}
+
+/**
+ * Parses the inline Markdown of one paragraph
+ * @param {string} text - The paragraph's Markdown
+ * @param {number} offset - Position of the paragraph in the story text
+ * @param {Array<Object>} spans - Styled spans found so far; new spans are appended
+ * @returns {string} The paragraph's plain text
+ * @private
+ */
+function _parseMarkdownInline(text, offset, spans) {
+  var out = "";
+  var i = 0;
+  var match, end, span;
+
+  while (i < text.length) {
+    var c = text.charAt(i);
+    var pair = text.substr(i, 2);
+    var start = offset + out.length;
+
+    if (c === "\\" && /[\\`*_\[\]()#>!.+-]/.test(text.charAt(i + 1))) {
+      out += text.charAt(i + 1);
+      i += 2;
+      continue;
+    }
+    if (c === "`" && (end = text.indexOf("`", i + 1)) > i + 1) {
+      out += text.substring(i + 1, end);
+      spans.push({ style: "code", start: start, end: offset + out.length });
+      i = end + 1;
+      continue;
+    }
+    if (
+      (pair === "**" || pair === "__") &&
+      (end = text.indexOf(pair, i + 2)) > i + 2
+    ) {
+      // In "***", the first star closes an emphasis inside the strong text
+      while (text.charAt(end + 2) === c) {
+        end++;
+      }
+      span = { style: "strong", start: start };
+      spans.push(span);
+      out += _parseMarkdownInline(text.substring(i + 2, end), start, spans);
+      span.end = offset + out.length;
+      i = end + 2;
+      continue;
+    }
+    if (
+      (c === "*" || (c === "_" && !/\w/.test(text.charAt(i - 1)))) &&
+      (end = text.indexOf(c, i + 1)) > i + 1
+    ) {
+      span = { style: "emphasis", start: start };
+      spans.push(span);
+      out += _parseMarkdownInline(text.substring(i + 1, end), start, spans);
+      span.end = offset + out.length;
+      i = end + 1;
+      continue;
+    }
+    if (
+      c === "[" &&
+      (match = /^\[([^\]]+)\]\(([^)\s]+)(\s+"[^"]*")?\)/.exec(
+        text.substring(i)
+      ))
+    ) {
+      span = { style: "link", start: start, href: match[2] };
+      spans.push(span);
+      out += _parseMarkdownInline(match[1], start, spans);
+      span.end = offset + out.length;
+      i += match[0].length;
+      continue;
+    }
+    out += c;
+    i++;
+  }
+  return out;
+}
+
+/**
+ * Returns a style for a Markdown element, creating it with default properties if needed
+ * @param {Object} styles - The style collection (doc.paragraphStyles or doc.characterStyles)
+ * @param {Object|string} style - The style or its name
+ * @param {Object} defaults - Properties for a newly created style
+ * @returns {Object} The style
+ * @private
+ */
+function _markdownStyle(styles, style, defaults) {
+  if (typeof style !== "string") {
+    return style;
+  }
+  var found = styles.itemByName(style);
+  if (!found.isValid) {
+    found = _styleByName(styles, style);
+    _setStyleProperties(found, defaults);
+  }
+  return found;
+}
+
+// STYLE FUNCTIONS
+
+/**
+ * Creates a paragraph style, or updates the existing style with the same name
+ * The style is changed in place, so text that already uses it picks up the new
+ * properties instead of losing its style.
+ * @param {string} name - The name of the paragraph style
+ * @param {Object} [properties] - Paragraph style properties (e.g., pointSize, leading, appliedFont).
+ *   String values for fillColor and strokeColor are resolved with _color
+ * @param {Object} [options] - Style relationships
+ * @param {ParagraphStyle|string} [options.basedOn] - The style (or style name) this one inherits from
+ * @param {ParagraphStyle|string} [options.nextStyle] - The style (or style name) of the paragraph that follows
+ * @returns {ParagraphStyle} The paragraph style, or null on error
+ * @example
+ * _paragraphStyle("Body", { appliedFont: "Helvetica", pointSize: 10, leading: 14 });
+ * _paragraphStyle("Heading", { pointSize: 24, fillColor: "#FF4500" }, { basedOn: "Body", nextStyle: "Body" });
+ * _textFrame(36, 36, 300, 100, "Omelas").paragraphStyle("Heading");
+ */
+function _paragraphStyle(name, properties, options) {
+  try {
+    options = options || {};
+    var styles = _doc().paragraphStyles;
+    var style = _styleByName(styles, name);
+    if (options.basedOn !== undefined) {
+      style.basedOn = _findStyle(styles, options.basedOn, "Paragraph");
+    }
+    if (options.nextStyle !== undefined) {
+      style.nextStyle = _findStyle(styles, options.nextStyle, "Paragraph");
+    }
+    _setStyleProperties(style, properties);
+    return style;
+  } catch (e) {
+    alert("Error creating paragraph style: " + e.message);
+    return null;
+  }
+}
+
+/**
+ * Creates an object style, or updates the existing style with the same name
+ * Like _paragraphStyle, the style is changed in place, so every frame that uses
+ * it is restyled.
+ * @param {string} name - The name of the object style
+ * @param {Object} [properties] - Object style properties (e.g., fillColor, strokeWeight, strokeColor).
+ *   String values for fillColor and strokeColor are resolved with _color
+ * @param {Object} [options] - Style relationships
+ * @param {ObjectStyle|string} [options.basedOn] - The style (or style name) this one inherits from
+ * @returns {ObjectStyle} The object style, or null on error
+ * @example
+ * _objectStyle("Card", { fillColor: "papayawhip", strokeWeight: 0.5, strokeColor: "#333" });
+ * _rect(36, 36, 236, 136).objectStyle("Card");
+ */
+function _objectStyle(name, properties, options) {
+  try {
+    options = options || {};
+    var styles = _doc().objectStyles;
+    var style = _styleByName(styles, name);
+    if (options.basedOn !== undefined) {
+      style.basedOn = _findStyle(styles, options.basedOn, "Object");
+    }
+    _setStyleProperties(style, properties);
+    return style;
+  } catch (e) {
+    alert("Error creating object style: " + e.message);
+    return null;
+  }
+}
+
+/**
+ * Creates a cell style for tables, or updates the existing style with the same name
+ * @param {string} name - The name of the cell style
+ * @param {Object} [properties] - Cell style properties (e.g., fillColor, topInset, appliedParagraphStyle).
+ *   String values for fillColor and strokeColor are resolved with _color
+ * @param {Object} [options] - Style relationships
+ * @param {CellStyle|string} [options.basedOn] - The style (or style name) this one inherits from
+ * @returns {CellStyle} The cell style, or null on error
+ * @example
+ * _cellStyle("Header", { fillColor: "#222", appliedParagraphStyle: _paragraphStyle("Header Text", { fillColor: "white" }) });
+ * _table(36, 36, 540, File("~/Desktop/prices.csv"), { headerStyle: "Header" });
+ */
+function _cellStyle(name, properties, options) {
+  try {
+    options = options || {};
+    var styles = _doc().cellStyles;
+    var style = _styleByName(styles, name);
+    if (options.basedOn !== undefined) {
+      style.basedOn = _findStyle(styles, options.basedOn, "Cell");
+    }
+    _setStyleProperties(style, properties);
+    return style;
+  } catch (e) {
+    alert("Error creating cell style: " + e.message);
+    return null;
+  }
+}
+
+/**
+ * Applies a paragraph style to all the text in a text frame
+ * @param {TextFrame} textFrame - The InDesign text frame object
+ * @param {ParagraphStyle|string} style - The paragraph style or its name
+ * @returns {boolean} - Success status
+ * @example
+ * _setParagraphStyle(myTextFrame, "Body");
+ */
+function _setParagraphStyle(textFrame, style) {
+  try {
+    style = _findStyle(_doc().paragraphStyles, style, "Paragraph");
+    textFrame.texts.item(0).appliedParagraphStyle = style;
+    return true;
+  } catch (e) {
+    alert("Error setting paragraph style: " + e.message);
+    return false;
+  }
+}
+
+/**
+ * Applies an object style to a page item
+ * @param {PageItem} item - The InDesign page item (e.g., Rectangle, TextFrame, etc.)
+ * @param {ObjectStyle|string} style - The object style or its name
+ * @returns {boolean} - Success status
+ * @example
+ * _setObjectStyle(myRect, "Card");
+ */
+function _setObjectStyle(item, style) {
+  try {
+    item.appliedObjectStyle = _findStyle(_doc().objectStyles, style, "Object");
+    return true;
+  } catch (e) {
+    alert("Error setting object style: " + e.message);
+    return false;
+  }
+}
+
+/**
+ * Returns the style with the given name, adding it if it does not exist yet
+ * @param {Object} styles - A style collection (e.g., doc.paragraphStyles)
+ * @param {string} name - The style name
+ * @returns {Object} The style
+ * @private
+ */
+function _styleByName(styles, name) {
+  if (!name) {
+    throw new Error("A style needs a name");
+  }
+  var style = styles.itemByName(name);
+  if (!style.isValid) {
+    style = styles.add({ name: name });
+  }
+  return style;
+}
+
+/**
+ * Resolves a style given as a style object or the name of an existing style
+ * @param {Object} styles - A style collection (e.g., doc.paragraphStyles)
+ * @param {Object|string} style - The style or its name
+ * @param {string} kind - The kind of style, for the error message (e.g., "Paragraph")
+ * @returns {Object} The style
+ * @private
+ */
+function _findStyle(styles, style, kind) {
+  if (typeof style !== "string") {
+    return style;
+  }
+  var found = styles.itemByName(style);
+  if (!found.isValid) {
+    throw new Error(kind + " style not found: " + style);
+  }
+  return found;
+}
+
+/**
+ * Copies properties onto a style, resolving color strings to swatches
+ * Sizes, indents, spacing and insets also accept unit strings such as "12pt" or "3mm".
+ * @param {Object} style - The style to update
+ * @param {Object} [properties] - The properties to set
+ * @private
+ */
+function _setStyleProperties(style, properties) {
+  // Axis that _measure reads each length property on
+  const lengthMap = {
+    pointSize: "type",
+    leading: "type",
+    baselineShift: "type",
+    strokeWeight: "type",
+    leftIndent: "x",
+    rightIndent: "x",
+    firstLineIndent: "x",
+    spaceBefore: "y",
+    spaceAfter: "y",
+    leftInset: "x",
+    rightInset: "x",
+    topInset: "y",
+    bottomInset: "y",
+  };
+
+  for (var prop in properties) {
+    if (properties.hasOwnProperty(prop)) {
+      var value = properties[prop];
+      if (lengthMap.hasOwnProperty(prop)) {
+        value = _measure(value, lengthMap[prop]);
+      }
+      if (
+        (prop === "fillColor" || prop === "strokeColor") &&
+        typeof value === "string"
+      ) {
+        value = _color(value);
+        if (!value) {
+          throw new Error("Invalid " + prop + ": " + properties[prop]);
+        }
+      }
+      style[prop] = value;
+    }
+  }
+}
+
+// TABLE FUNCTIONS
+
+/**
+ * Creates a table in a new text frame from rows of values or a CSV file
+ * The frame is as wide as the table and grows to fit its rows.
+ * @param {number|string} x - The x-coordinate of the table's left edge
+ * @param {number|string} y - The y-coordinate of the table's top edge
+ * @param {number|string} width - The width of the table
+ * @param {Array<Array>|string|File} data - Rows of cell values, or the path or File of a CSV file
+ * @param {Object} [options] - Table options
+ * @param {number} [options.headerRows=1] - Number of rows at the top that are header rows
+ * @param {Array<number|string>} [options.columnWidths] - Width of each column (defaults to equal widths)
+ * @param {CellStyle|string} [options.cellStyle] - Cell style (or style name) for the body cells (see _cellStyle)
+ * @param {CellStyle|string} [options.headerStyle] - Cell style (or style name) for the header cells
+ * @param {Color|string} [options.stripe] - Fill color of every other body row, starting with the second
+ * @param {string} [options.delimiter=","] - Field delimiter of the CSV file
+ * @param {Page|number} [options.page] - The page to draw on (defaults to the current page)
+ * @returns {Object} The text frame wrapper (see _textFrame) with the table as wrapper.table, plus
+ *   row(index), column(index) and cell(row, column), which return the cells with the chainable
+ *   methods fillColor, fontColor, fontSize and cellStyle, or null on error
+ * @example
+ * var prices = _table(36, 36, 540, [
+ *   ["Item", "Price"],
+ *   ["Bread", "$4"],
+ *   ["Milk", "$2"],
+ * ], { columnWidths: [400, 140], stripe: "#EEEEEE" });
+ * prices.row(0).fillColor("#222").fontColor("white");
+ * prices.cell(2, 1).fontColor("red");
+ * // From a CSV file, without a header row
+ * _table(36, 300, 540, "~/Desktop/schedule.csv", { headerRows: 0 });
+ */
+function _table(x, y, width, data, options) {
+  try {
+    options = options || {};
+    x = _measure(x, "x");
+    y = _measure(y, "y");
+    width = _measure(width, "x");
+    if (!(data instanceof Array)) {
+      data = _parseCSVRows(_readFile(data), options.delimiter);
+    }
+    if (data.length === 0) {
+      throw new Error("A table needs at least one row");
+    }
+    var columnCount = 0;
+    for (var r = 0; r < data.length; r++) {
+      columnCount = Math.max(columnCount, data[r].length);
+    }
+    var headerRows = options.headerRows === undefined ? 1 : options.headerRows;
+    headerRows = Math.min(headerRows, data.length);
+    var columnWidths = options.columnWidths;
+    if (columnWidths && columnWidths.length !== columnCount) {
+      throw new Error(
+        "columnWidths has " +
+          columnWidths.length +
+          " widths for " +
+          columnCount +
+          " columns"
+      );
+    }
+
+    // Resolve styles and colors before anything is drawn
+    var doc = _doc();
+    var cellStyle, headerStyle, stripe;
+    if (options.cellStyle !== undefined) {
+      cellStyle = _findStyle(doc.cellStyles, options.cellStyle, "Cell");
+    }
+    if (options.headerStyle !== undefined) {
+      headerStyle = _findStyle(doc.cellStyles, options.headerStyle, "Cell");
+    }
+    if (options.stripe !== undefined) {
+      stripe = _color(options.stripe);
+      if (!stripe) {
+        throw new Error("Invalid stripe color: " + options.stripe);
+      }
+    }
+
+    var wrapper = _addTextFrame(
+      [y, x, y + data.length * 20, x + width],
+      "",
+      options.page
+    );
+    var frame = wrapper.frame;
+    var table = frame.parentStory.insertionPoints.item(-1).tables.add({
+      headerRowCount: headerRows,
+      bodyRowCount: data.length - headerRows,
+      columnCount: columnCount,
+    });
+
+    var contents = [];
+    for (var i = 0; i < data.length; i++) {
+      for (var j = 0; j < columnCount; j++) {
+        var value = data[i][j];
+        contents.push(
+          value === undefined || value === null ? "" : String(value)
+        );
+      }
+    }
+    table.contents = contents;
+
+    for (var c = 0; c < columnCount; c++) {
+      table.columns.item(c).width = columnWidths
+        ? _measure(columnWidths[c], "x")
+        : width / columnCount;
+    }
+    for (var row = 0; row < data.length; row++) {
+      var style = row < headerRows ? headerStyle : cellStyle;
+      if (style) {
+        _tableCells(table.rows.item(row).cells).cellStyle(style);
+      }
+      if (stripe && row >= headerRows && (row - headerRows) % 2 === 1) {
+        _tableCells(table.rows.item(row).cells).fillColor(stripe);
+      }
+    }
+    frame.fit(FitOptions.FRAME_TO_CONTENT);
+
+    wrapper.table = table;
+    wrapper.row = function (index) {
+      return _tableCells(table.rows.item(index).cells);
+    };
+    wrapper.column = function (index) {
+      return _tableCells(table.columns.item(index).cells);
+    };
+    wrapper.cell = function (row, column) {
+      return _tableCells([table.rows.item(row).cells.item(column)]);
+    };
+    return wrapper;
+  } catch (e) {
+    alert("Error creating table: " + e.message);
+    return null;
+  }
+}
+
+/**
+ * Wraps table cells in an object with chainable styling methods
+ * @param {Cells|Array<Cell>} cells - A cells collection or an array of cells
+ * @returns {Object} The cells wrapper, with the cells as wrapper.cells and the methods
+ *   fillColor(color), fontColor(color), fontSize(size) and cellStyle(style)
+ * @private
+ */
+function _tableCells(cells) {
+  var list = cells instanceof Array ? cells : cells.everyItem().getElements();
+  var wrapper = { cells: list };
+
+  function each(fn) {
+    for (var i = 0; i < list.length; i++) {
+      fn(list[i]);
+    }
+    return wrapper;
+  }
+
+  wrapper.fillColor = function (color, options) {
+    return each(function (cell) {
+      _setFillColor(cell, color, options);
+    });
+  };
+  wrapper.fontColor = function (color) {
+    return each(function (cell) {
+      _setFontColor(cell, color);
+    });
+  };
+  wrapper.fontSize = function (size) {
+    return each(function (cell) {
+      _setFontSize(cell, size);
+    });
+  };
+  wrapper.cellStyle = function (style) {
+    try {
+      style = _findStyle(_doc().cellStyles, style, "Cell");
+    } catch (e) {
+      alert("Error setting cell style: " + e.message);
+      return wrapper;
+    }
+    return each(function (cell) {
+      cell.appliedCellStyle = style;
+    });
+  };
+  return wrapper;
+}
+
+// IMAGE FUNCTIONS
+
+/**
+ * Places an image file in a rectangle on the current page
+ * The numbers are read in the current rect mode (see _rectMode), which defaults to "corner".
+ * @param {string} src - File path to the image
+ * @param {number|string} x - The x-coordinate of the image container's left edge
+ * @param {number|string} y - The y-coordinate of the image container's top edge
+ * @param {number|string} width - The width of the image container (the right edge in "corners" mode)
+ * @param {number|string} height - The height of the image container (the bottom edge in "corners" mode)
+ * @param {Page|number} [page] - The page to draw on (defaults to the current page)
+ * @returns {Object} The image wrapper with chainable methods (see _wrap), plus
+ *   fit(mode, options) (see _fitImage) and textWrap, or null on error
+ * @example
+ * // Place an image at (10, 10) with width 200 and height 150
+ * var myImage = _image("/path/to/image.jpg", 10, 10, 200, 150);
+ * // Show the whole image instead of filling the frame
+ * myImage.fit("contain");
+ */
+function _image(src, x, y, width, height, page) {
+  try {
+    return _placeImage(src, _rectBounds(x, y, width, height, "corner"), page);
+  } catch (e) {
+    alert("Error placing image: " + e.message);
+    return null;
+  }
+}
+
+/**
+ * Places an image file in a new rectangle with the given bounds
+ * Errors are thrown, so callers decide how to report them.
+ * @param {string} src - File path to the image
+ * @param {Array<number>} bounds - The rectangle's bounds as [top, left, bottom, right]
+ * @param {Page|number} [page] - The page to draw on (defaults to the current page)
+ * @returns {Object} The image wrapper (see _image)
+ * @private
+ */
+function _placeImage(src, bounds, page) {
+  page = _targetPage(page);
+  var imageFrame = page.rectangles.add();
+  imageFrame.geometricBounds = bounds;
+  imageFrame.place(File(src));
+  imageFrame.strokeWeight = 0;
+  _fitImage(imageFrame, "cover");
+  _applyFrameMatrix(imageFrame, page);
+  var wrapper = _wrap(imageFrame, "frame");
+  wrapper.fit = function (mode, options) {
+    _fitImage(imageFrame, mode, options);
+    return wrapper;
+  };
+  wrapper.textWrap = function (offset) {
+    _setTextWrap(imageFrame, offset);
+    return wrapper;
+  };
+  return wrapper;
+}
+
+/**
+ * Fits an image to its frame, optionally cropping around a focal point
+ * The focal point works like CSS object-position: [0, 0] keeps the image's top-left corner
+ * in view, [1, 1] its bottom-right corner, and [0.5, 0.5] (the default) centers it.
+ * @param {Rectangle} imageFrame - The rectangle object containing the placed image
+ * @param {string|FitOptions} [mode="cover"] - "cover" (fill the frame, cropping the image),
+ *   "contain" (show the whole image), "fill" (stretch the image to the frame),
+ *   "frameToContent" (resize the frame to the image) or "center" (keep the image's size)
+ * @param {Object} [options] - Cropping options (focal point and offset are ignored by "frameToContent")
+ * @param {Array<number>} [options.focal=[0.5, 0.5]] - The point of the image to keep in view, from 0 to 1 on each axis
+ * @param {number} [options.scale=1] - Scales the fitted image, e.g. 1.2 to zoom in by 20%
+ * @param {Array<number|string>} [options.offset] - Moves the image by [x, y] after it is positioned
+ * @returns {boolean} - Success status
+ * @example
+ * // Keep a face in the upper third of the photo in view
+ * _fitImage(myImageFrame, "cover", { focal: [0.5, 0.3] });
+ * // The same, through the image wrapper, zoomed in a little
+ * _image("/path/to/portrait.jpg", 0, 0, 200, 200).fit("cover", { focal: [0.5, 0.3], scale: 1.1 });
+ */
+function _fitImage(imageFrame, mode, options) {
+  const fitMap = {
+    cover: FitOptions.FILL_PROPORTIONALLY,
+    contain: FitOptions.PROPORTIONALLY,
+    fill: FitOptions.CONTENT_TO_FRAME,
+    frametocontent: FitOptions.FRAME_TO_CONTENT,
+    center: FitOptions.CENTER_CONTENT,
+  };
+
+  try {
+    options = options || {};
+    var fitOption = mode === undefined ? "cover" : mode;
+    if (typeof fitOption === "string") {
+      fitOption = fitMap[fitOption.toLowerCase().replace(/[\s_-]/g, "")];
+      if (!fitOption) {
+        throw new Error(
+          "Invalid fit mode: " +
+            mode +
+            ". Valid modes are: cover, contain, fill, frameToContent, center"
+        );
+      }
+    }
+    var focal = options.focal || [0.5, 0.5];
+    _checkRange("Focal point x", focal[0], 0, 1);
+    _checkRange("Focal point y", focal[1], 0, 1);
+    var scale = options.scale === undefined ? 1 : options.scale;
+    if (typeof scale !== "number" || scale <= 0) {
+      throw new Error(
+        "Scale must be a number greater than 0 (got " + scale + ")"
+      );
+    }
+    var offset = _measurePoint(options.offset || [0, 0]);
+
+    var graphic =
+      imageFrame.graphics.length > 0 ? imageFrame.graphics[0] : null;
+    if (fitOption === FitOptions.FRAME_TO_CONTENT) {
+      if (graphic && scale !== 1) {
+        graphic.horizontalScale *= scale;
+        graphic.verticalScale *= scale;
+      }
+      imageFrame.fit(fitOption);
+      return true;
+    }
+
+    imageFrame.fit(fitOption);
+    if (!graphic) {
+      return true;
+    }
+    if (scale !== 1) {
+      graphic.horizontalScale *= scale;
+      graphic.verticalScale *= scale;
+    }
+
+    // Line up the focal point of the image with the same point of the frame
+    var frame = imageFrame.geometricBounds;
+    var bounds = graphic.geometricBounds;
+    var left =
+      frame[1] + (frame[3] - frame[1] - (bounds[3] - bounds[1])) * focal[0];
+    var top =
+      frame[0] + (frame[2] - frame[0] - (bounds[2] - bounds[0])) * focal[1];
+    var dx = left + offset[0] - bounds[1];
+    var dy = top + offset[1] - bounds[0];
+    if (dx !== 0 || dy !== 0) {
+      graphic.move(undefined, [dx, dy]);
+    }
+    return true;
+  } catch (e) {
+    alert("Error fitting image: " + e.message);
+    return false;
+  }
+}
+
+/**
+ * Sets the blend mode for an image
+ * Same as _setBlendMode, which works on any page item.
+ * @param {Rectangle} imageFrame - The rectangle object containing the placed image
+ * @param {BlendMode|string} blendMode - The desired blend mode (e.g., BlendMode.MULTIPLY or "multiply")
+ * @returns {boolean} - Success status
+ * @example
+ * // Set the blend mode to multiply for an image
+ * _setImageBlendMode(myImageFrame, "multiply");
+ */
+function _setImageBlendMode(imageFrame, blendMode) {
+  return _setBlendMode(imageFrame, blendMode);
+}
+
+/**
+ * Sets text wrap options for an image
+ * @param {Rectangle} imageFrame - The rectangle object containing the placed image
+ * @param {number|string} offset - The offset distance for the text wrap (in points)
+ * @returns {boolean} - Success status
+ * @example
+ * // Set text wrap with a 10-point offset for an image
+ * _setTextWrap(myImageFrame, 10);
+ */
+function _setTextWrap(imageFrame, offset) {
+  try {
+    offset = _measure(offset);
+    imageFrame.textWrapPreferences.textWrapMode =
+      TextWrapModes.BOUNDING_BOX_TEXT_WRAP;
+    imageFrame.textWrapPreferences.textWrapOffset = [
+      offset,
+      offset,
+      offset,
+      offset,
+    ];
+    return true;
+  } catch (e) {
+    alert("Error setting text wrap: " + e.message);
+    return false;
+  }
+}
+
+/**
+ * Places every image in a folder into the cells of a grid, adding pages as needed
+ * Starts on the current page and fills one grid per page; the last page used
+ * becomes the current page.
+ * @param {string|Folder} folder - The folder with the images
+ * @param {Object} [options] - Layout options
+ * @param {Array<string>} [options.extensions] - File extensions to include
+ *   (defaults to jpg, jpeg, png, gif, tif, tiff and psd)
+ * @param {string|Function} [options.sort="name"] - "name" (natural order, so img2 comes before img10),
+ *   "random" (see _randomSeed), or a function comparing two File objects
+ * @param {Object} [options.grid] - Grid settings, as for _grid (defaults to 3 rows and 3 columns).
+ *   grid.order sets the order cells are filled in (see _grid's ordered)
+ * @param {string|FitOptions} [options.fit="cover"] - How images fit their cells (see _fitImage)
+ * @param {Array<number>} [options.focal] - The point of each image to keep in view when it is cropped (see _fitImage)
+ * @returns {Array<Object>} The image wrappers (see _image), in placement order, or null on error
+ * @example
+ * // A contact sheet of 4 x 5 photos per page
+ * var photos = _imageFolder("~/Desktop/shoot", { grid: { rows: 5, cols: 4, gutter: 6 } });
+ * // Shuffled portfolio spreads, one image per page
+ * _imageFolder("~/Desktop/portfolio", { sort: "random", grid: { rows: 1, cols: 1, bounds: "bleed" } });
+ */
+function _imageFolder(folder, options) {
+  try {
+    options = options || {};
+    folder = Folder(folder);
+    if (!folder.exists) {
+      throw new Error("Folder not found: " + folder.fsName);
+    }
+
+    var extensions = options.extensions || [
+      "jpg",
+      "jpeg",
+      "png",
+      "gif",
+      "tif",
+      "tiff",
+      "psd",
+    ];
+    var pattern = [];
+    for (var e = 0; e < extensions.length; e++) {
+      pattern.push(extensions[e].replace(/^\./, "").toLowerCase());
+    }
+    var extension = new RegExp("\\.(" + pattern.join("|") + ")$", "i");
+    var files = folder.getFiles(function (file) {
+      return file instanceof File && extension.test(file.name);
+    });
+    if (files.length === 0) {
+      throw new Error("No images found in " + folder.fsName);
+    }
+
+    var sort = options.sort || "name";
+    if (typeof sort === "function") {
+      files.sort(sort);
+    } else if (sort === "name") {
+      files.sort(function (a, b) {
+        return _naturalCompare(a.name, b.name);
+      });
+    } else if (sort === "random") {
+      files = _shuffle(files);
+    } else {
+      throw new Error(
+        "Invalid sort: " + sort + ". Valid sorts are: name, random"
+      );
+    }
+
+    var gridOptions = options.grid || { rows: 3, cols: 3 };
+    var images = [];
+    var cells = [];
+    for (var i = 0; i < files.length; i++) {
+      if (cells.length === 0) {
+        var settings = {};
+        for (var key in gridOptions) {
+          if (gridOptions.hasOwnProperty(key)) {
+            settings[key] = gridOptions[key];
+          }
+        }
+        settings.page = i === 0 ? _currentPage() : _addPage();
+        var grid = _grid(settings);
+        if (!grid) {
+          throw new Error("Could not lay out the grid");
+        }
+        cells = grid.ordered(gridOptions.order);
+      }
+      var cell = cells.shift();
+      // An image that cannot be placed is reported and skipped
+      try {
+        var image = _placeImage(files[i].fsName, cell.bounds, settings.page);
+      } catch (e) {
+        alert("Error placing image: " + e.message);
+        continue;
+      }
+      if (options.fit !== undefined || options.focal !== undefined) {
+        image.fit(options.fit, { focal: options.focal });
+      }
+      images.push(image);
+    }
+    return images;
+  } catch (e) {
+    alert("Error placing image folder: " + e.message);
+    return null;
+  }
+}
+
+/**
+ * Compares two names with their numbers in numeric order ("img2" before "img10")
+ * @param {string} a - The first name
+ * @param {string} b - The second name
+ * @returns {number} A negative number, zero or a positive number, as for Array.sort
+ * @private
+ */
+function _naturalCompare(a, b) {
+  var x = a.toLowerCase().match(/\d+|\D+/g) || [];
+  var y = b.toLowerCase().match(/\d+|\D+/g) || [];
+  for (var i = 0; i < x.length && i < y.length; i++) {
+    if (x[i] === y[i]) {
+      continue;
+    }
+    if (/^\d/.test(x[i]) && /^\d/.test(y[i])) {
+      var difference = parseInt(x[i], 10) - parseInt(y[i], 10);
+      if (difference !== 0) {
+        return difference;
+      }
+      continue;
+    }
+    return x[i] < y[i] ? -1 : 1;
+  }
+  return x.length - y.length;
+}
+
+// EFFECT FUNCTIONS
+
+/**
+ * Adds chainable effect methods to a wrapper returned by a shape, text or image function
+ * Each method applies the effect to the wrapped page item and returns the wrapper,
+ * so calls can be chained: _rect(0, 0, 100, 100).opacity(50).dropShadow({ distance: 4 })
+ * @param {Object} wrapper - The wrapper object
+ * @param {PageItem} item - The InDesign page item it wraps
+ * @returns {Object} The wrapper
+ * @private
+ */
+function _withEffects(wrapper, item) {
+  wrapper.opacity = function (opacity) {
+    _setOpacity(item, opacity);
+    return wrapper;
+  };
+  wrapper.blendMode = function (mode) {
+    _setBlendMode(item, mode);
+    return wrapper;
+  };
+  wrapper.dropShadow = function (options) {
+    _dropShadow(item, options);
+    return wrapper;
+  };
+  wrapper.innerGlow = function (options) {
+    _innerGlow(item, options);
+    return wrapper;
+  };
+  wrapper.outerGlow = function (options) {
+    _outerGlow(item, options);
+    return wrapper;
+  };
+  wrapper.feather = function (options) {
+    _feather(item, options);
+    return wrapper;
+  };
+  wrapper.directionalFeather = function (options) {
+    _directionalFeather(item, options);
+    return wrapper;
+  };
+  return wrapper;
+}
+
+/**
+ * Sets the opacity of a page item
+ * @param {PageItem} item - The InDesign page item
+ * @param {number} opacity - The opacity (0-100)
+ * @returns {boolean} - Success status
+ * @example
+ * _setOpacity(myRect.rect, 40);
+ */
+function _setOpacity(item, opacity) {
+  try {
+    _checkRange("Opacity", opacity, 0, 100);
+    item.transparencySettings.blendingSettings.opacity = opacity;
+    return true;
+  } catch (e) {
+    alert("Error setting opacity: " + e.message);
+    return false;
+  }
+}
+
+/**
+ * Sets the blend mode of a page item
+ * @param {PageItem} item - The InDesign page item
+ * @param {BlendMode|string} blendMode - The desired blend mode (e.g., BlendMode.MULTIPLY, "multiply" or "softLight")
+ * @returns {boolean} - Success status
+ * @example
+ * _setBlendMode(myCircle.circle, "multiply");
+ */
+function _setBlendMode(item, blendMode) {
+  try {
+    item.transparencySettings.blendingSettings.blendMode =
+      _blendMode(blendMode);
+    return true;
+  } catch (e) {
+    alert("Error setting blend mode: " + e.message);
+    return false;
+  }
+}
+
+/**
+ * Resolves a blend mode name to the BlendMode enum
+ * Names are matched without regard to case, spaces, dashes or underscores,
+ * so "softLight", "soft-light" and "SOFT_LIGHT" are all BlendMode.SOFT_LIGHT.
+ * @param {BlendMode|string} blendMode - The blend mode or its name
+ * @returns {BlendMode} The blend mode
+ * @throws {Error} If the name is not a blend mode
+ * @private
+ */
+function _blendMode(blendMode) {
+  const blendModeMap = {
+    normal: BlendMode.NORMAL,
+    multiply: BlendMode.MULTIPLY,
+    screen: BlendMode.SCREEN,
+    overlay: BlendMode.OVERLAY,
+    softlight: BlendMode.SOFT_LIGHT,
+    hardlight: BlendMode.HARD_LIGHT,
+    colordodge: BlendMode.COLOR_DODGE,
+    colorburn: BlendMode.COLOR_BURN,
+    darken: BlendMode.DARKEN,
+    lighten: BlendMode.LIGHTEN,
+    difference: BlendMode.DIFFERENCE,
+    exclusion: BlendMode.EXCLUSION,
+    hue: BlendMode.HUE,
+    saturation: BlendMode.SATURATION,
+    color: BlendMode.COLOR,
+    luminosity: BlendMode.LUMINOSITY,
   };
+
+  if (typeof blendMode !== "string") {
+    return blendMode;
+  }
+  var key = blendMode.toLowerCase().replace(/[\s_-]/g, "");
+  if (!blendModeMap[key]) {
+    throw new Error("Invalid blend mode value: " + blendMode);
+  }
+  return blendModeMap[key];
 }
 
 /**
- * Sets the font size for a text frame
- * @param {TextFrame} textFrame - The InDesign text frame object
- * @param {number} fontSize - The desired font size
+ * Adds a drop shadow to a page item
+ * @param {PageItem} item - The InDesign page item
+ * @param {Object|boolean} [options] - Shadow settings, or false to remove the shadow
+ * @param {Color|string} [options.color="Black"] - Shadow color
+ * @param {number} [options.opacity=75] - Opacity (0-100)
+ * @param {string} [options.blendMode="multiply"] - Blend mode
+ * @param {number|string} [options.distance] - Distance from the item (0-1000 points)
+ * @param {number} [options.angle] - Light angle in degrees (-180 to 180)
+ * @param {number|string} [options.xOffset] - Horizontal offset (-1000 to 1000 points), instead of distance and angle
+ * @param {number|string} [options.yOffset] - Vertical offset (-1000 to 1000 points), instead of distance and angle
+ * @param {number|string} [options.size] - Blur size (0-144 points)
+ * @param {number} [options.spread] - Spread (0-100)
+ * @param {number} [options.noise] - Noise (0-100)
+ * @returns {boolean} - Success status
  * @example
- * // Set the font size to 12 points for a text frame
- * _setFontSize(myTextFrame, 12);
+ * _dropShadow(myRect.rect, { distance: 6, angle: 135, size: 8, opacity: 50 });
+ * // Lengths can carry their own unit
+ * _dropShadow(myRect.rect, { distance: "2mm", size: "3mm" });
  */
-function _setFontSize(textFrame, fontSize) {
+function _dropShadow(item, options) {
   try {
-    textFrame.texts.item(0).pointSize = fontSize;
+    var settings = item.transparencySettings.dropShadowSettings;
+    if (options === false) {
+      settings.mode = ShadowMode.NONE;
+      return true;
+    }
+    _applyEffectOptions(settings, options, "drop shadow", {
+      color: "color",
+      opacity: [0, 100],
+      blendMode: "blendMode",
+      distance: { length: [0, 1000] },
+      angle: [-180, 180],
+      xOffset: { length: [-1000, 1000] },
+      yOffset: { length: [-1000, 1000] },
+      size: { length: [0, 144] },
+      spread: [0, 100],
+      noise: [0, 100],
+    });
+    if (options && options.angle != undefined) {
+      settings.useGlobalLight = false;
+    }
+    settings.mode = ShadowMode.DROP;
     return true;
   } catch (e) {
-    alert("Error setting font size: " + e.message);
+    alert("Error setting drop shadow: " + e.message);
     return false;
   }
 }
 
 /**
- * Sets the font color for a text frame
- * @param {TextFrame} textFrame - The InDesign text frame object
- * @param {Color|String} color - The font color (InDesign color object or hex string)
+ * Adds an inner glow to a page item
+ * @param {PageItem} item - The InDesign page item
+ * @param {Object|boolean} [options] - Glow settings, or false to remove the glow
+ * @param {Color|string} [options.color] - Glow color
+ * @param {number} [options.opacity] - Opacity (0-100)
+ * @param {string} [options.blendMode="screen"] - Blend mode
+ * @param {string} [options.technique] - 'softer' or 'precise'
+ * @param {string} [options.source] - 'edge' or 'center'
+ * @param {number|string} [options.size] - Size (0-144 points)
+ * @param {number} [options.choke] - Choke (0-100)
+ * @param {number} [options.noise] - Noise (0-100)
+ * @returns {boolean} - Success status
  * @example
- * // Set the font color to red
- * _setFontColor(myTextFrame, "#FF0000");
+ * _innerGlow(myCircle.circle, { color: "#FFC600", size: 12 });
  */
-function _setFontColor(textFrame, color) {
+function _innerGlow(item, options) {
   try {
-    if (typeof color === "string") {
-      color = _color(color);
+    var settings = item.transparencySettings.innerGlowSettings;
+    if (options === false) {
+      settings.applied = false;
+      return true;
     }
-    textFrame.texts.item(0).fillColor = color;
+    _applyEffectOptions(settings, options, "inner glow", {
+      color: "color",
+      opacity: [0, 100],
+      blendMode: "blendMode",
+      technique: {
+        softer: GlowTechnique.SOFTER,
+        precise: GlowTechnique.PRECISE,
+      },
+      source: {
+        edge: InnerGlowSource.EDGE_SOURCED,
+        center: InnerGlowSource.CENTER_SOURCED,
+      },
+      size: { length: [0, 144] },
+      choke: [0, 100],
+      noise: [0, 100],
+    });
+    settings.applied = true;
     return true;
   } catch (e) {
-    alert("Error setting font color: " + e.message);
+    alert("Error setting inner glow: " + e.message);
     return false;
   }
 }
 
 /**
- * Sets the font name for a text frame
- * @param {TextFrame} textFrame - The InDesign text frame object
- * @param {string} fontName - The desired font name
+ * Adds an outer glow to a page item
+ * @param {PageItem} item - The InDesign page item
+ * @param {Object|boolean} [options] - Glow settings, or false to remove the glow
+ * @param {Color|string} [options.color] - Glow color
+ * @param {number} [options.opacity] - Opacity (0-100)
+ * @param {string} [options.blendMode="screen"] - Blend mode
+ * @param {string} [options.technique] - 'softer' or 'precise'
+ * @param {number|string} [options.size] - Size (0-144 points)
+ * @param {number} [options.spread] - Spread (0-100)
+ * @param {number} [options.noise] - Noise (0-100)
+ * @returns {boolean} - Success status
  * @example
- * // Set the font name to "Arial"
- * _setFontName(myTextFrame, "Arial");
+ * _outerGlow(myText.frame, { color: "tomato", size: 18, opacity: 60 });
  */
-function _setFontName(textFrame, fontName) {
+function _outerGlow(item, options) {
   try {
-    textFrame.texts.item(0).appliedFont = fontName;
+    var settings = item.transparencySettings.outerGlowSettings;
+    if (options === false) {
+      settings.applied = false;
+      return true;
+    }
+    _applyEffectOptions(settings, options, "outer glow", {
+      color: "color",
+      opacity: [0, 100],
+      blendMode: "blendMode",
+      technique: {
+        softer: GlowTechnique.SOFTER,
+        precise: GlowTechnique.PRECISE,
+      },
+      size: { length: [0, 144] },
+      spread: [0, 100],
+      noise: [0, 100],
+    });
+    settings.applied = true;
     return true;
   } catch (e) {
-    alert("Error setting font name: " + e.message);
+    alert("Error setting outer glow: " + e.message);
     return false;
   }
 }
 
 /**
- * Sets the vertical justification for a text frame
- * @param {TextFrame} textFrame - The InDesign text frame object
- * @param {VerticalJustification|string} justification - The desired vertical justification (e.g., VerticalJustification.CENTER_ALIGN or "center")
+ * Feathers the edges of a page item
+ * @param {PageItem} item - The InDesign page item
+ * @param {Object|boolean} [options] - Feather settings, or false to remove the feather
+ * @param {number|string} [options.width] - Feather width (0-144 points)
+ * @param {string} [options.corners] - 'diffusion', 'rounded' or 'sharp'
+ * @param {number} [options.choke] - Choke (0-100)
+ * @param {number} [options.noise] - Noise (0-100)
  * @returns {boolean} - Success status
  * @example
- * // Set the vertical justification to center
- * _setVerticalJustification(myTextFrame, "center");
+ * _feather(myImage.frame, { width: 24, corners: "rounded" });
  */
-function _setVerticalJustification(textFrame, justification) {
-  const justificationMap = {
-    top: VerticalJustification.TOP_ALIGN,
-    center: VerticalJustification.CENTER_ALIGN,
-    bottom: VerticalJustification.BOTTOM_ALIGN,
-    justify: VerticalJustification.JUSTIFY_ALIGN,
-  };
-
+function _feather(item, options) {
   try {
-    if (typeof justification === "string") {
-      if (!justificationMap[justification.toLowerCase()]) {
-        throw new Error(
-          "Invalid vertical justification value: " + justification
-        );
-      }
-      justification = justificationMap[justification.toLowerCase()];
+    var settings = item.transparencySettings.featherSettings;
+    if (options === false) {
+      settings.mode = FeatherMode.NONE;
+      return true;
     }
-    textFrame.textFramePreferences.verticalJustification = justification;
+    _applyEffectOptions(settings, options, "feather", {
+      width: { length: [0, 144] },
+      corners: {
+        property: "cornerType",
+        diffusion: FeatherCornerType.DIFFUSION,
+        rounded: FeatherCornerType.ROUNDED,
+        sharp: FeatherCornerType.SHARP,
+      },
+      choke: { property: "chokeAmount", range: [0, 100] },
+      noise: [0, 100],
+    });
+    settings.mode = FeatherMode.STANDARD;
     return true;
   } catch (e) {
-    alert("Error setting vertical justification: " + e.message);
+    alert("Error setting feather: " + e.message);
     return false;
   }
 }
 
 /**
- * Sets the text justification for a text frame
- * @param {TextFrame} textFrame - The InDesign text frame object
- * @param {Justification|string} justification - The desired text justification (e.g., Justification.CENTER_ALIGN or "center")
+ * Feathers the edges of a page item by different amounts on each side
+ * @param {PageItem} item - The InDesign page item
+ * @param {Object|boolean} [options] - Feather settings, or false to remove the feather
+ * @param {number|string} [options.top] - Top feather width (0-144 points)
+ * @param {number|string} [options.right] - Right feather width (0-144 points)
+ * @param {number|string} [options.bottom] - Bottom feather width (0-144 points)
+ * @param {number|string} [options.left] - Left feather width (0-144 points)
+ * @param {number} [options.angle] - Angle of the feather in degrees (-180 to 180)
+ * @param {string} [options.shape] - 'leading', 'all' or 'none' (which edges follow the shape)
+ * @param {number} [options.choke] - Choke (0-100)
+ * @param {number} [options.noise] - Noise (0-100)
  * @returns {boolean} - Success status
  * @example
- * // Set the text justification to center
- * _setTextJustification(myTextFrame, "center");
+ * // Fade the bottom of an image
+ * _directionalFeather(myImage.frame, { bottom: 72 });
  */
-function _setTextJustification(textFrame, justification) {
-  const justificationMap = {
-    left: Justification.LEFT_ALIGN,
-    center: Justification.CENTER_ALIGN,
-    right: Justification.RIGHT_ALIGN,
-    justify: Justification.FULLY_JUSTIFIED,
-  };
-
+function _directionalFeather(item, options) {
   try {
-    if (typeof justification === "string") {
-      if (!justificationMap[justification.toLowerCase()]) {
-        throw new Error("Invalid justification value: " + justification);
-      }
-      justification = justificationMap[justification.toLowerCase()];
+    var settings = item.transparencySettings.directionalFeatherSettings;
+    if (options === false) {
+      settings.applied = false;
+      return true;
     }
-    textFrame.texts.item(0).justification = justification;
+    _applyEffectOptions(settings, options, "directional feather", {
+      top: { property: "topWidth", length: [0, 144] },
+      right: { property: "rightWidth", length: [0, 144] },
+      bottom: { property: "bottomWidth", length: [0, 144] },
+      left: { property: "leftWidth", length: [0, 144] },
+      angle: [-180, 180],
+      shape: {
+        property: "followShapeMode",
+        leading: FollowShapeModeOptions.LEADING_EDGE,
+        all: FollowShapeModeOptions.ALL_EDGES,
+        none: FollowShapeModeOptions.NONE,
+      },
+      choke: { property: "chokeAmount", range: [0, 100] },
+      noise: [0, 100],
+    });
+    settings.applied = true;
     return true;
   } catch (e) {
-    alert("Error setting text justification: " + e.message);
+    alert("Error setting directional feather: " + e.message);
     return false;
   }
 }
 
 /**
- * Returns all characters in a text frame
- * @param {TextFrame} textFrame - The InDesign text frame object
- * @returns {Array<Character>} An array of all character objects in the text frame
- * @example
- * // Get all characters in a text frame
- * var characters = _characters(myTextFrame);
+ * Validates effect options against a spec and copies them onto an effect's settings
+ * A spec entry is a [min, max] range, "color", "blendMode", or a map of names to
+ * enum values. Entries can be wrapped as {property, range} or {property, ...names}
+ * when the InDesign property name differs from the option name. A {length: [min, max]}
+ * entry is a range in points that also accepts unit strings such as "2mm".
+ * @param {Object} settings - The InDesign effect settings object
+ * @param {Object} [options] - The options passed by the user
+ * @param {string} effect - Name of the effect, for error messages
+ * @param {Object} spec - The valid options
+ * @throws {Error} On unknown options or out of range values
+ * @private
  */
-function _characters(textFrame) {
-  try {
-    return textFrame.characters.everyItem().getElements();
-  } catch (e) {
-    alert("Error getting characters: " + e.message);
-    return [];
+function _applyEffectOptions(settings, options, effect, spec) {
+  for (var key in options) {
+    if (!options.hasOwnProperty(key)) continue;
+    var rule = spec[key];
+    var value = options[key];
+    if (!rule) {
+      throw new Error(
+        "Unknown " +
+          effect +
+          " option: " +
+          key +
+          ". Valid options are: " +
+          Object.keys(spec).join(", ")
+      );
+    }
+
+    var property = rule.property || key;
+    var isLength = rule.length instanceof Array;
+    if (rule.range) rule = rule.range;
+    if (isLength) rule = rule.length;
+
+    if (rule === "color") {
+      var color = _color(value);
+      if (!color) {
+        throw new Error("Invalid " + effect + " color: " + value);
+      }
+      settings.effectColor = color;
+    } else if (rule === "blendMode") {
+      settings.blendMode = _blendMode(value);
+    } else if (rule instanceof Array) {
+      if (isLength && typeof value === "string") {
+        try {
+          value = _measure(value, "type");
+        } catch (e) {
+          // Not a measurement; _checkRange reports it with the valid range
+        }
+      }
+      _checkRange(key, value, rule[0], rule[1]);
+      settings[property] = value;
+    } else {
+      var name = String(value).toLowerCase();
+      if (name === "property" || !rule.hasOwnProperty(name)) {
+        var names = [];
+        for (var n in rule) {
+          if (rule.hasOwnProperty(n) && n !== "property") names.push(n);
+        }
+        throw new Error(
+          "Invalid " +
+            key +
+            " value: " +
+            value +
+            ". Valid values are: " +
+            names.join(", ")
+        );
+      }
+      settings[property] = rule[name];
+    }
   }
 }
 
 /**
- * Returns all words in a text frame
- * @param {TextFrame} textFrame - The InDesign text frame object
- * @returns {Array<Word>} An array of all word objects in the text frame
+ * Throws if a value is not a number within a range
+ * @param {string} name - Name of the value, for the error message
+ * @param {number} value - The value to check
+ * @param {number} min - Lowest allowed value
+ * @param {number} max - Highest allowed value
+ * @throws {Error} If the value is not a number between min and max
+ * @private
+ */
+function _checkRange(name, value, min, max) {
+  if (typeof value !== "number" || isNaN(value) || value < min || value > max) {
+    throw new Error(
+      name.charAt(0).toUpperCase() +
+        name.substring(1) +
+        " must be a number between " +
+        min +
+        " and " +
+        max +
+        " (got " +
+        value +
+        ")"
+    );
+  }
+}
+
+// DATA FUNCTIONS
+
+/**
+ * Reads a text file
+ * @param {File|string} file - The file or path to read
+ * @returns {string} The file contents
  * @example
- * // Get all words in a text frame
- * var words = _words(myTextFrame);
+ * var text = _readFile("~/Desktop/copy.txt");
  */
-function _words(textFrame) {
-  try {
-    return textFrame.words.everyItem().getElements();
-  } catch (e) {
-    alert("Error getting words: " + e.message);
-    return [];
+function _readFile(file) {
+  file = File(file);
+  if (!file.exists) {
+    throw new Error("File not found: " + file.fsName);
   }
+  file.encoding = "UTF-8";
+  file.open("r");
+  var contents = file.read();
+  file.close();
+  return contents;
 }
 
 /**
- * Creates a character style in the document, removing any existing style with the same name
- * @param {string} styleName - The name of the character style
- * @param {Object} properties - The properties to apply to the character style
- * @returns {CharacterStyle} The created character style object
+ * Parses CSV text into rows of fields
+ * Supports quoted fields containing delimiters, line breaks and escaped ("") quotes.
+ * @param {string} text - The CSV text
+ * @param {string} [delimiter=","] - The field delimiter
+ * @returns {Array<Array<string>>} The rows
  * @example
- * // Create a character style named "BoldRed" with bold font and red color
- * var boldRedStyle = _createCharacterStyle("BoldRed", { fontStyle: "Bold", fillColor: "Red" });
+ * var rows = _parseCSVRows('name,city\n"Ashiatey, Alvin",Accra');
+ * // [["name", "city"], ["Ashiatey, Alvin", "Accra"]]
  */
-function _createCharacterStyle(styleName, properties) {
-  try {
-    var doc = _doc();
-    var charStyle;
+function _parseCSVRows(text, delimiter) {
+  delimiter = delimiter || ",";
+  var rows = [];
+  var row = [];
+  var field = "";
+  var quoted = false;
+  var i = 0;
 
-    // Check if the character style already exists and remove it
-    if (doc.characterStyles.itemByName(styleName).isValid) {
-      doc.characterStyles.itemByName(styleName).remove();
-    }
+  // Strip a UTF-8 byte order mark
+  if (text.charCodeAt(0) === 0xfeff) {
+    i = 1;
+  }
 
-    // Create a new character style
-    charStyle = doc.characterStyles.add({ name: styleName });
-    for (var prop in properties) {
-      if (properties.hasOwnProperty(prop)) {
-        charStyle[prop] = properties[prop];
+  for (; i < text.length; i++) {
+    var ch = text.charAt(i);
+    if (quoted) {
+      if (ch === '"') {
+        if (text.charAt(i + 1) === '"') {
+          field += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else {
+        field += ch;
       }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\r" || ch === "\n") {
+      if (ch === "\r" && text.charAt(i + 1) === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
     }
-    return charStyle;
-  } catch (e) {
-    alert("Error creating character style: " + e.message);
-    return null;
   }
+
+  if (quoted) {
+    throw new Error("Unterminated quoted field in CSV");
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
 }
 
 /**
- * Finds words in a text frame using GREP (regular expressions)
- * @param {TextFrame} textFrame - The InDesign text frame object
- * @param {string} grep - The GREP pattern to search for
- * @returns {Array<Text>} An array of found text objects
+ * Parses CSV text into records keyed by the header row
+ * Rows with no content are skipped.
+ * @param {string} text - The CSV text
+ * @param {string} [delimiter=","] - The field delimiter
+ * @returns {Array<Object>} The records
  * @example
- * // Find all occurrences of the word "Omelas" in the text frame
- * var foundWords = _grepFindText(myTextFrame, "Omelas");
+ * var records = _parseCSV("name,role\nAda,Engineer");
+ * // [{ name: "Ada", role: "Engineer" }]
  */
-function _grepFindText(grep) {
-  try {
-    app.findGrepPreferences = app.changeGrepPreferences = null;
-    app.findGrepPreferences.findWhat = grep;
-    var foundItems = app.findGrepPreferences.getElements();
-    return foundItems;
-  } catch (e) {
-    alert("Error finding words: " + e.message);
-    return [];
+function _parseCSV(text, delimiter) {
+  var rows = _parseCSVRows(text, delimiter);
+  var records = [];
+  if (rows.length === 0) {
+    return records;
+  }
+
+  var header = rows[0];
+  for (var h = 0; h < header.length; h++) {
+    header[h] = header[h].replace(/^\s+|\s+$/g, "");
+  }
+
+  for (var r = 1; r < rows.length; r++) {
+    var row = rows[r];
+    if (row.join("").replace(/\s+/g, "") === "") {
+      continue;
+    }
+    var record = {};
+    for (var c = 0; c < header.length; c++) {
+      record[header[c]] = c < row.length ? row[c] : "";
+    }
+    records.push(record);
   }
+  return records;
 }
 
 /**
- * Finds and replaces text in a text frame using GREP (regular expressions)
- * @param {TextFrame} textFrame - The InDesign text frame object
- * @param {string} grep - The GREP pattern to search for
- * @param {string} replaceWith - The text to replace the found text with
- * @returns {boolean} - Success status
+ * Parses JSON text (ExtendScript has no native JSON object)
+ * @param {string} text - The JSON text
+ * @returns {*} The parsed value
  * @example
- * // Replace all occurrences of "Omelas" with "City" in the text frame
- * _grepFindAndReplace(myTextFrame, "Omelas", "City");
+ * var data = _parseJSON('[{"name": "Ada"}]');
  */
-function _grepFindAndReplace(textFrame, grep, replaceWith) {
-  try {
-    app.findGrepPreferences = app.changeGrepPreferences = null;
-    app.findGrepPreferences.findWhat = grep;
-    app.changeGrepPreferences.changeTo = replaceWith;
-    textFrame.changeGrep();
-    return true;
-  } catch (e) {
-    alert("Error finding and replacing text: " + e.message);
-    return false;
+function _parseJSON(text) {
+  if (typeof JSON !== "undefined" && JSON.parse) {
+    return JSON.parse(text);
   }
+  // Only accept text made of JSON tokens before evaluating it
+  var stripped = text
+    .replace(/\\(?:["\\\/bfnrt]|u[0-9a-fA-F]{4})/g, "@")
+    .replace(
+      /"[^"\\\n\r]*"|true|false|null|-?\d+(?:\.\d*)?(?:[eE][+\-]?\d+)?/g,
+      "]"
+    )
+    .replace(/(?:^|:|,)(?:\s*\[)+/g, "");
+  if (!/^[\],:{}\s]*$/.test(stripped)) {
+    throw new Error("Invalid JSON");
+  }
+  return eval("(" + text + ")");
 }
 
 /**
- * Applies a character style to text found using a GREP pattern
- * @param {TextFrame} textFrame - The InDesign text frame object
- * @param {string} grep - The GREP pattern to search for
- * @param {CharacterStyle} charStyle - The character style to apply
- * @returns {boolean} - Success status
+ * Loads records from a CSV, TSV or JSON file
+ * JSON files may contain an array of records or a single record.
+ * @param {File|string} file - The data file
+ * @param {string} [delimiter] - CSV delimiter (defaults to tab for .tsv files, comma otherwise)
+ * @returns {Array<Object>} The records
  * @example
- * // Apply the "BoldRed" character style to all occurrences of "Omelas" in the text frame
- * _applyGrepCharacterStyle(myTextFrame, "Omelas", boldRedStyle);
+ * var records = _loadData("~/Desktop/badges.csv");
  */
-function _applyGrepCharacterStyle(textFrame, grep, charStyle) {
+function _loadData(file, delimiter) {
+  file = File(file);
+  var text = _readFile(file);
+  var extension = file.name.toLowerCase().replace(/^.*\./, "");
+
+  if (extension === "json") {
+    var data = _parseJSON(text);
+    return data instanceof Array ? data : [data];
+  }
+  return _parseCSV(text, delimiter || (extension === "tsv" ? "\t" : ","));
+}
+
+/**
+ * Resolves a path from a data file relative to a folder
+ * @param {string} path - An absolute path or one relative to the folder
+ * @param {Folder} folder - The folder relative paths start from
+ * @returns {File} The resolved file
+ * @private
+ */
+function _resolvePath(path, folder) {
+  if (/^(\/|~|[A-Za-z]:[\\\/])/.test(path)) {
+    return File(path);
+  }
+  return File(folder.fsName + "/" + path);
+}
+
+/**
+ * Generates pages from a CSV or JSON file, calling a template function for every record
+ * The first records are drawn on the current page; a new page is added whenever
+ * the current one is full. The template draws with the regular constructors,
+ * which target the record's page. A record fails when the template throws or when
+ * a library function it calls reports an error; those errors are collected in the
+ * report and shown in one alert at the end, instead of an alert each (an alert
+ * shown by the template itself also counts as an error).
+ * @param {File|string} file - The CSV, TSV or JSON data file
+ * @param {Function} templateFn - Called as templateFn(record, merge) where merge has
+ *   index, slot (position on the page), page, and image(column, x, y, width, height)
+ *   which places the image named in a record column like _image, throwing on errors
+ * @param {Object} [options] - Merge settings
+ * @param {number} [options.perPage=1] - Number of records per page
+ * @param {Folder|string} [options.imageFolder] - Folder for relative image paths (defaults to the data file's folder)
+ * @param {string} [options.delimiter] - CSV delimiter
+ * @returns {Object} A report {records, pages, failed} where failed lists {index, record, error}, or null on error
+ * @example
+ * // Four name badges per page
+ * var grid = _grid({ rows: 2, cols: 2, gutter: 12 });
+ * _dataMerge("~/Desktop/badges.csv", function (record, merge) {
+ *   var cell = grid.cells[merge.slot];
+ *   _textFrame(cell.x, cell.y, cell.x + cell.width, cell.y + 40, record.name);
+ *   merge.image("photo", cell.x, cell.y + 50, cell.width, 120);
+ * }, { perPage: 4 });
+ */
+function _dataMerge(file, templateFn, options) {
   try {
-    app.findGrepPreferences = app.changeGrepPreferences = null;
-    app.findGrepPreferences.findWhat = grep;
-    app.changeGrepPreferences.appliedCharacterStyle = charStyle;
-    textFrame.changeGrep();
-    return true;
+    options = options || {};
+    var perPage = options.perPage || 1;
+    file = File(file);
+    var imageFolder = options.imageFolder
+      ? Folder(options.imageFolder)
+      : file.parent;
+    var records = _loadData(file, options.delimiter);
+    var pages = [];
+    var failed = [];
+
+    for (var i = 0; i < records.length; i++) {
+      var slot = i % perPage;
+      if (slot === 0) {
+        pages.push(i === 0 ? _currentPage() : _addPage());
+      }
+      var merge = _mergeContext(
+        records[i],
+        i,
+        slot,
+        pages[pages.length - 1],
+        imageFolder
+      );
+
+      // Library functions report errors with alert and return null, so their
+      // alerts are collected as the record's errors while the template runs
+      var errors = [];
+      var showAlert = alert;
+      alert = function (message) {
+        errors.push(String(message));
+      };
+      try {
+        templateFn(records[i], merge);
+      } catch (e) {
+        errors.push(e.message);
+      } finally {
+        alert = showAlert;
+      }
+      if (errors.length > 0) {
+        failed.push({ index: i, record: records[i], error: errors.join("; ") });
+      }
+    }
+
+    if (failed.length > 0) {
+      var lines = [];
+      for (var f = 0; f < failed.length && f < 10; f++) {
+        lines.push("Record " + (failed[f].index + 1) + ": " + failed[f].error);
+      }
+      if (failed.length > 10) {
+        lines.push("... and " + (failed.length - 10) + " more");
+      }
+      alert(
+        failed.length +
+          " of " +
+          records.length +
+          " records failed:\n" +
+          lines.join("\n")
+      );
+    }
+
+    return { records: records.length, pages: pages, failed: failed };
   } catch (e) {
-    alert("Error applying GREP character style: " + e.message);
-    return false;
+    alert("Error merging data: " + e.message);
+    return null;
+  }
+}
+
+/**
+ * Creates the merge context handed to a _dataMerge template
+ * @private
+ */
+function _mergeContext(record, index, slot, page, imageFolder) {
+  return {
+    index: index,
+    slot: slot,
+    page: page,
+    image: function (column, x, y, width, height) {
+      var value = record[column];
+      if (value === undefined || value === "") {
+        throw new Error('No image in column "' + column + '"');
+      }
+      var imageFile = _resolvePath(String(value), imageFolder);
+      if (!imageFile.exists) {
+        throw new Error("Image not found: " + imageFile.fsName);
+      }
+      // Placed without _image, so errors fail the record without an alert of their own
+      return _placeImage(
+        imageFile.fsName,
+        _rectBounds(x, y, width, height, "corner"),
+        page
+      );
+    },
+  };
+}
+
+// EXPORT FUNCTIONS
+
+/**
+ * Fills the tokens of an output filename pattern
+ * Tokens: {name} document name, {page} page number, {date} YYYY-MM-DD,
+ * {time} HH-MM-SS, {seed} random seed (see _randomSeed)
+ * @param {string} pattern - The filename pattern
+ * @param {Object} [values] - Token values overriding the defaults
+ * @returns {string} The filename
+ * @private
+ */
+function _fillFilename(pattern, values) {
+  values = values || {};
+  var now = new Date();
+  var pad = function (n) {
+    return n < 10 ? "0" + n : String(n);
+  };
+  var tokens = {
+    name: _doc().name.replace(/\.indd$/i, ""),
+    page: "",
+    date:
+      now.getFullYear() +
+      "-" +
+      pad(now.getMonth() + 1) +
+      "-" +
+      pad(now.getDate()),
+    time:
+      pad(now.getHours()) +
+      "-" +
+      pad(now.getMinutes()) +
+      "-" +
+      pad(now.getSeconds()),
+    seed: _seedValue === undefined ? _recordedSeed() : _seedValue,
+  };
+  for (var key in values) {
+    if (values.hasOwnProperty(key)) {
+      tokens[key] = values[key];
+    }
+  }
+  return pattern.replace(/\{(\w+)\}/g, function (match, token) {
+    if (!tokens.hasOwnProperty(token)) {
+      return match;
+    }
+    return tokens[token] === null || tokens[token] === undefined
+      ? ""
+      : String(tokens[token]);
+  });
+}
+
+/**
+ * Creates the folder an export file is written to
+ * @param {string} path - The output path
+ * @returns {File} The output file
+ * @private
+ */
+function _exportFile(path) {
+  var file = File(path);
+  if (!file.parent.exists) {
+    file.parent.create();
+  }
+  return file;
+}
+
+/**
+ * Converts a page selection to an InDesign page range string
+ * @param {string|Array<number>} [pages] - "all", a range of page positions such as "1-3,5",
+ *   or an array of page positions (1 is the first page of the document)
+ * @returns {string} The page range
+ * @private
+ */
+function _pageRange(pages) {
+  if (pages === undefined || pages === null || pages === "all") {
+    return PageRange.ALL_PAGES;
+  }
+  var positions = _pagePositions(pages);
+  var range = [];
+  for (var i = 0; i < positions.length; i++) {
+    // "+n" addresses the nth page of the document regardless of numbering
+    range.push("+" + positions[i]);
   }
+  return range.join(",");
 }
 
 /**
- * Disables hyphenation for a text frame
- * @param {TextFrame} textFrame - The InDesign text frame object
- * @returns {boolean} - Success status
- * @example
- * // Disable hyphenation for a text frame
- * _noHyphenation(myTextFrame);
+ * Lists the pages in a page selection
+ * @param {string|Array<number>} [pages] - "all", a range of page positions such as "1-3,5", or an array of page positions
+ * @returns {Array<Page>} The pages
+ * @private
  */
-function _noHyphenation(textFrame) {
-  try {
-    textFrame.texts.item(0).hyphenation = false;
-    return true;
-  } catch (e) {
-    alert("Error disabling hyphenation: " + e.message);
-    return false;
+function _pagesIn(pages) {
+  var doc = _doc();
+  var positions = _pagePositions(pages);
+  var result = [];
+  for (var i = 0; i < positions.length; i++) {
+    result.push(doc.pages.item(positions[i] - 1));
   }
+  return result;
 }
 
-// IMAGE FUNCTIONS
+/**
+ * Lists the positions of the pages in a page selection
+ * @param {string|Array<number>} [pages] - "all", a range of page positions such as "1-3,5", or an array of page positions
+ * @returns {Array<number>} The page positions (1 is the first page of the document)
+ * @private
+ */
+function _pagePositions(pages) {
+  var doc = _doc();
+  var positions = [];
+  var i;
+  if (pages === undefined || pages === null || pages === "all") {
+    for (i = 1; i <= doc.pages.length; i++) {
+      positions.push(i);
+    }
+    return positions;
+  }
+
+  if (pages instanceof Array) {
+    positions = pages;
+  } else {
+    var parts = String(pages).split(",");
+    for (i = 0; i < parts.length; i++) {
+      var bounds = parts[i].replace(/[\s+]/g, "").split("-");
+      var first = parseInt(bounds[0], 10);
+      var last = bounds.length > 1 ? parseInt(bounds[1], 10) : first;
+      if (isNaN(first) || isNaN(last)) {
+        throw new Error("Invalid page range: " + pages);
+      }
+      for (var n = first; n <= last; n++) {
+        positions.push(n);
+      }
+    }
+  }
+  for (i = 0; i < positions.length; i++) {
+    if (positions[i] < 1 || positions[i] > doc.pages.length) {
+      throw new Error("Page " + positions[i] + " does not exist");
+    }
+  }
+  return positions;
+}
 
 /**
- * Places an image file in a rectangle on the page
- * @param {string} src - File path to the image
- * @param {number} x - The x-coordinate of the image container's left edge
- * @param {number} y - The y-coordinate of the image container's top edge
- * @param {number} width - The width of the image container
- * @param {number} height - The height of the image container
- * @returns {object} The created image object with methods for styling
+ * Exports the document as a PDF
+ * The PDF export preferences are restored afterwards, so the preset and options
+ * do not carry over to later exports.
+ * @param {string} path - Output path; may contain {name}, {date}, {time} and {seed} tokens
+ * @param {Object} [options] - Export settings
+ * @param {string} [options.preset] - Name of a PDF export preset (e.g. "[High Quality Print]"); the other options override its settings
+ * @param {string|Array<number>} [options.pages="all"] - A range of page positions such as "1-3,5" (1 is the first page, whatever the page numbering), or an array of page positions
+ * @param {boolean} [options.bleed] - Whether to include the document bleed
+ * @param {boolean} [options.marks] - Whether to add crop, bleed and registration marks
+ * @returns {File} The exported file, or null on error
  * @example
- * // Place an image at (10, 10) with width 200 and height 150
- * var myImage = _image("/path/to/image.jpg", 10, 10, 200, 150);
+ * _exportPDF("~/Desktop/poster-{seed}.pdf", { preset: "[Press Quality]", bleed: true, marks: true });
  */
-function _image(src, x, y, width, height) {
+function _exportPDF(path, options) {
+  var prefs = app.pdfExportPreferences;
+  var saved = prefs.properties;
   try {
+    options = options || {};
     var doc = _doc();
-    var page = doc.pages.item(0);
-    var imageFrame = page.rectangles.add();
-    imageFrame.geometricBounds = [y, x, y + height, x + width];
-    imageFrame.place(File(src));
-    imageFrame.strokeWeight = 0;
-    imageFrame.fit(FitOptions.FILL_PROPORTIONALLY);
-    return {
-      frame: imageFrame,
-      fit: function () {
-        imageFrame.fit(FitOptions.FILL_PROPORTIONALLY);
-      },
-      blendMode: function (mode) {
-        _setImageBlendMode(imageFrame, mode);
-      },
-      textWrap: function (offset) {
-        _setTextWrap(imageFrame, offset);
-      },
-      centerTo: function (keyObject) {
-        _centerTo(imageFrame, keyObject);
-      },
-      flip: function (direction) {
-        _flip(imageFrame, direction);
-      },
-      rotate: function (angle) {
-        _rotate(imageFrame, angle);
-      },
-      cornerRadius: function (radius) {
-        _cornerOption(imageFrame, CornerOptions.ROUNDED_CORNER, radius);
-      },
-    };
+    var preset;
+    if (options.preset) {
+      preset = app.pdfExportPresets.itemByName(options.preset);
+      if (!preset.isValid) {
+        throw new Error("PDF export preset not found: " + options.preset);
+      }
+    }
+
+    // Start from the preset, so the explicit options below win over it
+    if (preset) {
+      _copySettings(preset.properties, prefs);
+    }
+    prefs.pageRange = _pageRange(options.pages);
+    if (options.bleed !== undefined) {
+      prefs.useDocumentBleedWithPDF = options.bleed;
+    }
+    if (options.marks !== undefined) {
+      prefs.cropMarks = options.marks;
+      prefs.bleedMarks = options.marks;
+      prefs.registrationMarks = options.marks;
+    }
+
+    var file = _exportFile(_fillFilename(path));
+    doc.exportFile(ExportFormat.PDF_TYPE, file, false);
+    return file;
   } catch (e) {
-    alert("Error placing image: " + e.message);
+    alert("Error exporting PDF: " + e.message);
     return null;
+  } finally {
+    _copySettings(saved, prefs);
   }
 }
 
 /**
- * Sets the blend mode for an image
- * @param {Rectangle} imageFrame - The rectangle object containing the placed image
- * @param {BlendMode|string} blendMode - The desired blend mode (e.g., BlendMode.MULTIPLY or "multiply")
- * @returns {boolean} - Success status
- * @example
- * // Set the blend mode to multiply for an image
- * _setImageBlendMode(myImageFrame, "multiply");
+ * Copies settings, such as those of a PDF export preset, to the PDF export preferences
+ * @param {Object} settings - The settings (e.g., preset.properties)
+ * @param {PDFExportPreference} prefs - The preferences to change
+ * @private
  */
-function _setImageBlendMode(imageFrame, blendMode) {
-  const blendModeMap = {
-    normal: BlendMode.NORMAL,
-    multiply: BlendMode.MULTIPLY,
-    screen: BlendMode.SCREEN,
-    overlay: BlendMode.OVERLAY,
-    softLight: BlendMode.SOFT_LIGHT,
-    hardLight: BlendMode.HARD_LIGHT,
-    colorDodge: BlendMode.COLOR_DODGE,
-    colorBurn: BlendMode.COLOR_BURN,
-    darken: BlendMode.DARKEN,
-    lighten: BlendMode.LIGHTEN,
-    difference: BlendMode.DIFFERENCE,
-    exclusion: BlendMode.EXCLUSION,
-    hue: BlendMode.HUE,
-    saturation: BlendMode.SATURATION,
-    color: BlendMode.COLOR,
-    luminosity: BlendMode.LUMINOSITY,
+function _copySettings(settings, prefs) {
+  const skip = {
+    name: true,
+    parent: true,
+    index: true,
+    id: true,
+    isValid: true,
   };
-
-  try {
-    if (typeof blendMode === "string") {
-      if (!blendModeMap[blendMode.toLowerCase()]) {
-        throw new Error("Invalid blend mode value: " + blendMode);
-      }
-      blendMode = blendModeMap[blendMode.toLowerCase()];
+  for (var key in settings) {
+    if (!settings.hasOwnProperty(key) || skip[key]) continue;
+    try {
+      prefs[key] = settings[key];
+    } catch (e) {
+      // Read-only properties cannot be copied
     }
-    imageFrame.transparencySettings.blendingSettings.blendMode = blendMode;
-    return true;
-  } catch (e) {
-    alert("Error setting blend mode: " + e.message);
-    return false;
   }
 }
 
 /**
- * Sets text wrap options for an image
- * @param {Rectangle} imageFrame - The rectangle object containing the placed image
- * @param {number} offset - The offset distance for the text wrap (in points)
- * @returns {boolean} - Success status
+ * Exports pages of the document as PNG or JPEG images
+ * @param {string} path - Output path; may contain {name}, {page}, {date}, {time} and {seed} tokens
+ * @param {Object} [options] - Export settings
+ * @param {string} [options.format="png"] - "png" or "jpeg"
+ * @param {number} [options.resolution=72] - Resolution in pixels per inch
+ * @param {string|Array<number>} [options.pages="all"] - A range of page positions such as "1-3,5" (1 is the first page, whatever the page numbering), or an array of page positions
+ * @param {boolean} [options.perPage=true] - Export each page separately, filling {page} for every file
+ * @returns {Array<File>} The exported files, or null on error
  * @example
- * // Set text wrap with a 10-point offset for an image
- * _setTextWrap(myImageFrame, 10);
+ * // Render and save 50 variations unattended
+ * for (var i = 0; i < 50; i++) {
+ *   _clear(_doc());
+ *   _randomSeed(i);
+ *   draw();
+ *   _exportImage("~/Desktop/variations/{seed}-{page}.png", { resolution: 150 });
+ * }
  */
-function _setTextWrap(imageFrame, offset) {
+function _exportImage(path, options) {
+  const formatMap = {
+    png: {
+      type: ExportFormat.PNG_FORMAT,
+      prefs: "pngExportPreferences",
+      range: "pngExportRange",
+      ranges: PNGExportRangeEnum,
+    },
+    jpeg: {
+      type: ExportFormat.JPG,
+      prefs: "jpegExportPreferences",
+      range: "jpegExportRange",
+      ranges: ExportRangeOrAllPages,
+    },
+  };
+  formatMap.jpg = formatMap.jpeg;
+
   try {
-    imageFrame.textWrapPreferences.textWrapMode =
-      TextWrapModes.BOUNDING_BOX_TEXT_WRAP;
-    imageFrame.textWrapPreferences.textWrapOffset = [
-      offset,
-      offset,
-      offset,
-      offset,
-    ];
-    return true;
+    options = options || {};
+    var doc = _doc();
+    var format = formatMap[(options.format || "png").toLowerCase()];
+    if (!format) {
+      throw new Error("Invalid image format: " + options.format);
+    }
+
+    var prefs = app[format.prefs];
+    prefs.exportResolution = options.resolution || 72;
+    prefs[format.range] = format.ranges.EXPORT_RANGE;
+
+    var files = [];
+    if (options.perPage === false) {
+      var range = _pageRange(options.pages);
+      if (range === PageRange.ALL_PAGES) {
+        prefs[format.range] = format.ranges.EXPORT_ALL;
+      } else {
+        prefs.pageString = range;
+      }
+      var file = _exportFile(_fillFilename(path));
+      doc.exportFile(format.type, file, false);
+      files.push(file);
+      return files;
+    }
+
+    var pages = _pagesIn(options.pages);
+    for (var i = 0; i < pages.length; i++) {
+      prefs.pageString = "+" + (pages[i].documentOffset + 1);
+      var pageFile = _exportFile(
+        _fillFilename(path, { page: pages[i].documentOffset + 1 })
+      );
+      doc.exportFile(format.type, pageFile, false);
+      files.push(pageFile);
+    }
+    return files;
   } catch (e) {
-    alert("Error setting text wrap: " + e.message);
-    return false;
+    alert("Error exporting image: " + e.message);
+    return null;
   }
 }
 
@@ -1323,7 +5709,7 @@ function _alignFrame(frame, target, alignment) {
 /**
  * Centers a centeringObject to a keyObject both vertically and horizontally
  * @param {PageItem} centeringObject - The InDesign frame object to be centered (e.g., Rectangle, TextFrame, etc.)
- * @param {PageItem} [keyObject=null] - The InDesign frame object to center to (e.g., Rectangle, TextFrame, etc.). If null, centers to the page.
+ * @param {PageItem|Object} [keyObject=null] - The InDesign frame object or wrapper to center to (e.g., Rectangle, TextFrame, etc.). If null, centers to the page.
  * @returns {boolean} - Success status
  * @example
  * // Center a rectangle to another rectangle
@@ -1334,6 +5720,10 @@ function _alignFrame(frame, target, alignment) {
 function _centerTo(centeringObject, keyObject) {
   try {
     var doc = _doc();
+    // Accept the wrappers returned by _wrap as the key object
+    if (keyObject && keyObject.item && keyObject.centerTo) {
+      keyObject = keyObject.item;
+    }
     var alignTo = keyObject
       ? AlignDistributeBounds.KEY_OBJECT
       : AlignDistributeBounds.PAGE_BOUNDS;
@@ -1370,15 +5760,14 @@ function _centerTo(centeringObject, keyObject) {
  */
 function _centerFrame(frame) {
   try {
-    var doc = _doc();
-    var page = doc.pages.item(0);
+    var page = frame.parentPage || _targetPage();
     var pageWidth = page.bounds[3] - page.bounds[1];
     var pageHeight = page.bounds[2] - page.bounds[0];
     var frameWidth = frame.geometricBounds[3] - frame.geometricBounds[1];
     var frameHeight = frame.geometricBounds[2] - frame.geometricBounds[0];
 
-    var newX = (pageWidth - frameWidth) / 2;
-    var newY = (pageHeight - frameHeight) / 2;
+    var newX = page.bounds[1] + (pageWidth - frameWidth) / 2;
+    var newY = page.bounds[0] + (pageHeight - frameHeight) / 2;
 
     frame.geometricBounds = [newY, newX, newY + frameHeight, newX + frameWidth];
     return true;
@@ -1425,18 +5814,30 @@ function _flip(object, direction, referencePoint) {
 }
 
 /**
- * Rotates an object by a specified angle
- * @param {PageItem} object - The InDesign frame object to be rotated (e.g., Rectangle, TextFrame, etc.)
- * @param {number} angle - The angle to rotate the object (in degrees)
+ * Rotates everything drawn afterwards, or sets the rotation angle of an object
+ * Given just an angle, it works like rotate in p5.js: everything drawn afterwards
+ * turns around the current origin, relative to the current transformation and
+ * clockwise on the page. Given a page item, it sets InDesign's rotation angle,
+ * which is absolute and counter-clockwise.
+ * @param {PageItem|number} object - The InDesign frame object to be rotated (e.g., Rectangle, TextFrame, etc.),
+ *   or the angle to turn the transformation by (in degrees, clockwise)
+ * @param {number} [angle] - The angle to rotate the object to (in degrees, counter-clockwise)
  * @param {AnchorPoint} [referencePoint=AnchorPoint.CENTER_ANCHOR] - The reference point for the rotation (e.g., AnchorPoint.CENTER_ANCHOR)
  * @returns {boolean} - Success status
  * @example
+ * // Draw the next rectangle turned by 45 degrees around (100, 100)
+ * _translate(100, 100);
+ * _rotate(45);
+ * _rect(-25, -25, 25, 25);
  * // Rotate a rectangle by 45 degrees with center anchor point
  * _rotate(myRect, 45, AnchorPoint.CENTER_ANCHOR);
  * // Rotate a rectangle by 90 degrees with default center anchor point
  * _rotate(myRect, 90);
  */
 function _rotate(object, angle, referencePoint) {
+  if (typeof object !== "object") {
+    return _rotateMatrix(object);
+  }
   try {
     var doc = _doc();
     referencePoint = referencePoint || AnchorPoint.CENTER_ANCHOR;
@@ -1453,9 +5854,9 @@ function _rotate(object, angle, referencePoint) {
 /**
  * Positions a frame at a random position within given width and height bounds
  * @param {PageItem} frame - The InDesign frame object (Rectangle, TextFrame, Oval, etc.)
- * @param {number} maxWidth - The maximum width boundary in current document units
- * @param {number} maxHeight - The maximum height boundary in current document units
- * @param {number} [padding=0] - Optional padding from boundaries in current document units
+ * @param {number|string} maxWidth - The maximum width boundary in current document units
+ * @param {number|string} maxHeight - The maximum height boundary in current document units
+ * @param {number|string} [padding=0] - Optional padding from boundaries in current document units
  * @returns {boolean} - Success status
  * @example
  * // Position a rectangle randomly within 500x700 bounds with 10pt padding
@@ -1466,6 +5867,9 @@ function _randomPosFrame(frame, maxWidth, maxHeight, padding) {
   if (padding == undefined) padding = 0;
 
   try {
+    maxWidth = _measure(maxWidth, "x");
+    maxHeight = _measure(maxHeight, "y");
+    padding = _measure(padding);
     // Get frame dimensions from geometric bounds [y1, x1, y2, x2]
     var bounds = frame.geometricBounds;
     var frameWidth = bounds[3] - bounds[1];
@@ -1481,10 +5885,15 @@ function _randomPosFrame(frame, maxWidth, maxHeight, padding) {
     }
 
     // Calculate random position within bounds, accounting for padding
-    var randomX =
-      padding + Math.random() * (maxWidth - frameWidth - padding * 2);
-    var randomY =
-      padding + Math.random() * (maxHeight - frameHeight - padding * 2);
+    var randomX = padding + _rng() * (maxWidth - frameWidth - padding * 2);
+    var randomY = padding + _rng() * (maxHeight - frameHeight - padding * 2);
+
+    // Keep the frame on its own page of the spread
+    if (frame.parentPage) {
+      var origin = _pageOrigin(frame.parentPage);
+      randomX += origin[0];
+      randomY += origin[1];
+    }
 
     // Set new position while maintaining frame dimensions
     frame.geometricBounds = [
@@ -1514,9 +5923,292 @@ function _randomPosFrame(frame, maxWidth, maxHeight, padding) {
  * var dice = Math.floor(_random(1, 7));
  */
 function _random(min, max) {
-  return Math.floor(Math.random() * (max - min) + min);
+  return Math.floor(_rng() * (max - min) + min);
+}
+
+// RANDOM FUNCTIONS
+
+// State of the seeded random number generator shared by every random helper
+var _seedValue, _seedState;
+
+/**
+ * Seeds the random number generator used by every random helper in the library
+ * The seed is also stored on the active document under the "randomSeed" label,
+ * so a layout can be regenerated later with the same seed.
+ * @param {number} [seed] - An integer seed. If omitted, one is picked from the clock
+ * @returns {number} The seed in use
+ * @example
+ * // Always produce the same layout
+ * _randomSeed(42);
+ * // Reproduce the layout of a saved document
+ * _randomSeed(_recordedSeed());
+ */
+function _randomSeed(seed) {
+  if (seed === undefined || seed === null || isNaN(seed)) {
+    seed = new Date().getTime() % 4294967296;
+  }
+  _seedValue = Math.floor(Math.abs(seed)) % 4294967296;
+  _seedState = _seedValue | 0;
+  try {
+    _doc().insertLabel("randomSeed", String(_seedValue));
+  } catch (e) {
+    // No open document to record the seed on
+  }
+  return _seedValue;
+}
+
+/**
+ * Returns the seed recorded on a document by _randomSeed
+ * @param {Document} [doc] - The InDesign document (defaults to the active document)
+ * @returns {number|null} The recorded seed, or null if none was recorded
+ * @example
+ * var seed = _recordedSeed();
+ */
+function _recordedSeed(doc) {
+  try {
+    var label = (doc || _doc()).extractLabel("randomSeed");
+    return label === "" ? null : Number(label);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Multiplies two 32-bit integers (ExtendScript has no Math.imul)
+ * @private
+ */
+function _imul(a, b) {
+  var ah = (a >>> 16) & 0xffff;
+  var al = a & 0xffff;
+  var bh = (b >>> 16) & 0xffff;
+  var bl = b & 0xffff;
+  return (al * bl + (((ah * bl + al * bh) << 16) >>> 0)) | 0;
+}
+
+/**
+ * Returns the next number from the seeded generator (mulberry32)
+ * Seeds itself from the clock on first use if _randomSeed was not called.
+ * @returns {number} A number between 0 (inclusive) and 1 (exclusive)
+ * @private
+ */
+function _rng() {
+  if (_seedState === undefined) {
+    _randomSeed();
+  }
+  _seedState = (_seedState + 0x6d2b79f5) | 0;
+  var t = _imul(_seedState ^ (_seedState >>> 15), 1 | _seedState);
+  t = (t + _imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Generates a random floating point number between two values
+ * @param {number} min - The minimum value (inclusive)
+ * @param {number} max - The maximum value (exclusive)
+ * @returns {number} A random number between min and max
+ * @example
+ * var angle = _randomFloat(0, 360);
+ */
+function _randomFloat(min, max) {
+  return _rng() * (max - min) + min;
+}
+
+/**
+ * Generates a normally distributed random number
+ * @param {number} [mean=0] - The mean of the distribution
+ * @param {number} [sd=1] - The standard deviation of the distribution
+ * @returns {number} A random number
+ * @example
+ * // Font sizes clustered around 24pt
+ * var size = _randomGaussian(24, 4);
+ */
+function _randomGaussian(mean, sd) {
+  if (mean == undefined) mean = 0;
+  if (sd == undefined) sd = 1;
+
+  // Box-Muller transform; 1 - _rng() avoids log(0)
+  var u = 1 - _rng();
+  var v = _rng();
+  return mean + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Picks a random element from an array
+ * @param {Array} array - The array to pick from
+ * @returns {*} A random element, or undefined if the array is empty
+ * @example
+ * var color = _randomChoice(["#FFC600", "#914E72", "#00A95C"]);
+ */
+function _randomChoice(array) {
+  if (!array || array.length === 0) {
+    return undefined;
+  }
+  return array[Math.floor(_rng() * array.length)];
+}
+
+/**
+ * Returns a shuffled copy of an array (Fisher-Yates)
+ * @param {Array} array - The array to shuffle
+ * @returns {Array} A new array with the same elements in random order
+ * @example
+ * var order = _shuffle([0, 1, 2, 3, 4]);
+ */
+function _shuffle(array) {
+  var result = array.slice(0);
+  for (var i = result.length - 1; i > 0; i--) {
+    var j = Math.floor(_rng() * (i + 1));
+    var tmp = result[i];
+    result[i] = result[j];
+    result[j] = tmp;
+  }
+  return result;
+}
+
+// NOISE FUNCTIONS
+
+// Lookup table and settings for _noise; the table is built on first use
+var _noiseTable,
+  _noiseOctaves = 4,
+  _noiseFalloff = 0.5;
+
+/**
+ * Seeds the noise generator so _noise returns the same values on every run
+ * Without a call to _noiseSeed the noise is seeded from the random generator,
+ * so _randomSeed alone is enough to reproduce a layout.
+ * @param {number} seed - An integer seed
+ * @returns {number} The seed in use
+ * @example
+ * _noiseSeed(99);
+ */
+function _noiseSeed(seed) {
+  seed = Math.floor(Math.abs(seed)) % 4294967296;
+  var state = seed | 0;
+  _noiseTable = [];
+  // A private mulberry32 stream, so seeding noise leaves _random untouched
+  for (var i = 0; i < 4096; i++) {
+    state = (state + 0x6d2b79f5) | 0;
+    var t = _imul(state ^ (state >>> 15), 1 | state);
+    t = (t + _imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    _noiseTable[i] = ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+  return seed;
+}
+
+/**
+ * Adjusts the character of _noise, like noiseDetail in p5.js
+ * Each octave adds finer detail at the given fraction of the previous octave's strength.
+ * @param {number} octaves - Number of octaves (default 4)
+ * @param {number} [falloff] - Strength of each octave relative to the previous one (default 0.5)
+ * @example
+ * // Smoother, blobbier noise
+ * _noiseDetail(2, 0.4);
+ */
+function _noiseDetail(octaves, falloff) {
+  if (octaves > 0) _noiseOctaves = Math.floor(octaves);
+  if (falloff > 0) _noiseFalloff = falloff;
+}
+
+/**
+ * Returns Perlin noise at the given coordinates, like noise in p5.js
+ * Nearby coordinates give similar values; steps of 0.005-0.03 give smooth variation.
+ * @param {number} x - x-coordinate in noise space
+ * @param {number} [y=0] - y-coordinate in noise space
+ * @param {number} [z=0] - z-coordinate in noise space
+ * @returns {number} A value between 0 and 1
+ * @example
+ * // Wavy row of circles
+ * for (var i = 0; i < 40; i++) {
+ *   var y = _map(_noise(i * 0.1), 0, 1, 100, 400);
+ *   _circle(i * 15, y, 5);
+ * }
+ */
+function _noise(x, y, z) {
+  if (!_noiseTable) {
+    _noiseSeed(Math.floor(_rng() * 4294967296));
+  }
+  x = Math.abs(x || 0);
+  y = Math.abs(y || 0);
+  z = Math.abs(z || 0);
+
+  var xi = Math.floor(x),
+    yi = Math.floor(y),
+    zi = Math.floor(z);
+  var xf = x - xi,
+    yf = y - yi,
+    zf = z - zi;
+  var result = 0,
+    amplitude = 0.5;
+
+  for (var o = 0; o < _noiseOctaves; o++) {
+    // Lattice offset of the cell; y and z wrap at 16 and 256 entries
+    var of = xi + (yi << 4) + (zi << 8);
+    var rxf = _noiseFade(xf),
+      ryf = _noiseFade(yf);
+
+    var n1 = _noiseTable[of & 4095];
+    n1 += rxf * (_noiseTable[(of + 1) & 4095] - n1);
+    var n2 = _noiseTable[(of + 16) & 4095];
+    n2 += rxf * (_noiseTable[(of + 17) & 4095] - n2);
+    n1 += ryf * (n2 - n1);
+
+    of += 256;
+    n2 = _noiseTable[of & 4095];
+    n2 += rxf * (_noiseTable[(of + 1) & 4095] - n2);
+    var n3 = _noiseTable[(of + 16) & 4095];
+    n3 += rxf * (_noiseTable[(of + 17) & 4095] - n3);
+    n2 += ryf * (n3 - n2);
+
+    n1 += _noiseFade(zf) * (n2 - n1);
+    result += n1 * amplitude;
+    amplitude *= _noiseFalloff;
+
+    // Next octave samples at twice the frequency
+    xi <<= 1;
+    xf *= 2;
+    yi <<= 1;
+    yf *= 2;
+    zi <<= 1;
+    zf *= 2;
+    if (xf >= 1) {
+      xi++;
+      xf--;
+    }
+    if (yf >= 1) {
+      yi++;
+      yf--;
+    }
+    if (zf >= 1) {
+      zi++;
+      zf--;
+    }
+  }
+  return result;
+}
+
+/**
+ * Cosine easing between lattice points
+ * @private
+ */
+function _noiseFade(t) {
+  return 0.5 * (1 - Math.cos(t * Math.PI));
 }
 
+// UNIT FUNCTIONS
+
+// Points per unit for unit-suffixed measurements such as "10mm" or "2in"
+// px is a CSS pixel (1/96 inch), "in" is short for inch and picas can also be written as "3p6"
+var _unitPoints = {
+  pt: 1,
+  px: 0.75,
+  mm: 2.834645669,
+  cm: 28.34645669,
+  inch: 72,
+  p: 12,
+  pc: 12,
+  ag: 72 / 14,
+  c: 12.7878,
+};
+
 /**
  * Sets the measurement units for a document
  * @param {Document} doc - The InDesign document
@@ -1565,31 +6257,142 @@ function _setMeasurementUnit(doc, unit) {
 
 /**
  * Converts a value from one unit to another
- * @param {number} value - The value to convert
- * @param {string} fromUnit - The current unit
+ * The value can also be a string that carries its own unit, such as "10mm",
+ * "2in" or "3p6" (3 picas 6 points); the second argument is then the target unit.
+ * @param {number|string} value - The value to convert
+ * @param {string} fromUnit - The current unit ('pt', 'px', 'mm', 'cm', 'in', 'inch', 'p', 'pc', 'ag', 'c')
  * @param {string} toUnit - The target unit
  * @returns {number} - The converted value
+ * @example
+ * _convertUnits(1, "inch", "pt"); // 72
+ * _convertUnits("3p6", "pt"); // 42
+ * _convertUnits("96px", "in"); // 1
  */
 function _convertUnits(value, fromUnit, toUnit) {
-  // Conversion factors to points
-  const toPoints = {
-    pt: 1,
-    mm: 2.834645669,
-    inch: 72, // Changed from 'in' to 'inch'
-    px: 1,
-    cm: 28.34645669,
-    p: 12, // picas
-    ag: 14.4, // agates
-    c: 12.7878, // ciceros
-  };
-
   try {
-    // Convert to points first
-    const points = value * toPoints[fromUnit.toLowerCase()];
-    // Then convert to target unit
-    return points / toPoints[toUnit.toLowerCase()];
+    if (typeof value === "string" && toUnit === undefined) {
+      toUnit = fromUnit;
+      fromUnit = undefined;
+    }
+    return _toPoints(value, fromUnit) / _toPoints(1, toUnit);
   } catch (e) {
     alert("Error converting units: " + e.message);
     return value;
   }
 }
+
+/**
+ * Converts a measurement to points
+ * @param {number|string} value - A number, or a string such as "10mm" or "3p6"
+ * @param {string} [unit] - The unit of a value that does not carry its own
+ * @returns {number} The measurement in points
+ * @private
+ */
+function _toPoints(value, unit) {
+  if (typeof value === "string") {
+    var text = value.replace(/\s+/g, "").toLowerCase();
+    var pica = /^(-?)(\d*\.?\d*)p(\d*\.?\d*)$/.exec(text);
+    if (pica && (pica[2] || pica[3])) {
+      var points = Number(pica[2] || 0) * 12 + Number(pica[3] || 0);
+      if (!isNaN(points)) {
+        return pica[1] ? -points : points;
+      }
+    }
+    var match = /^(-?\d*\.?\d+)([a-z]*)$/.exec(text);
+    if (!match) {
+      throw new Error("Invalid measurement: " + value);
+    }
+    value = Number(match[1]);
+    if (match[2]) {
+      unit = match[2];
+    }
+  }
+  if (typeof value !== "number" || isNaN(value)) {
+    throw new Error("Invalid measurement: " + value);
+  }
+  var key = typeof unit === "string" ? unit.toLowerCase() : "";
+  if (key === "in") {
+    key = "inch";
+  }
+  if (!_unitPoints.hasOwnProperty(key)) {
+    throw new Error(
+      "Invalid unit: " +
+        unit +
+        ". Valid units are: " +
+        Object.keys(_unitPoints).join(", ")
+    );
+  }
+  return value * _unitPoints[key];
+}
+
+/**
+ * Converts a measurement argument to a number in the units InDesign reads it in
+ * Numbers, and strings without a unit, keep using the document's units.
+ * Other values (such as an omitted optional argument) are returned unchanged.
+ * @param {number|string} value - A number, or a string such as "10", "10mm", "2in" or "3p6"
+ * @param {string} [axis="x"] - "x" or "y" for the ruler units, "type" for font sizes and stroke weights
+ * @returns {number} The measurement as a number
+ * @private
+ */
+function _measure(value, axis) {
+  if (typeof value === "number" && isNaN(value)) {
+    throw new Error("Invalid measurement: " + value);
+  }
+  if (typeof value !== "string") {
+    return value;
+  }
+  if (/^\s*-?\d*\.?\d+\s*$/.test(value)) {
+    return Number(value);
+  }
+  return _toPoints(value) / _unitSize(axis);
+}
+
+/**
+ * Converts the coordinates of an [x, y] point with _measure
+ * @param {Array<number|string>} point - The point
+ * @returns {Array<number>} The point as numbers
+ * @private
+ */
+function _measurePoint(point) {
+  return [_measure(point[0], "x"), _measure(point[1], "y")];
+}
+
+/**
+ * Gets the size in points of the unit InDesign reads script numbers in
+ * The script preferences win when they set a unit. Otherwise coordinates use the
+ * ruler units and font sizes and stroke weights use points.
+ * @param {string} [axis="x"] - "x", "y" or "type"
+ * @returns {number} Points per unit
+ * @private
+ */
+function _unitSize(axis) {
+  var unit = app.scriptPreferences.measurementUnit;
+  if (unit === AutoEnum.AUTO_VALUE) {
+    if (axis === "type") {
+      return 1;
+    }
+    var prefs = _doc().viewPreferences;
+    unit =
+      axis === "y"
+        ? prefs.verticalMeasurementUnits
+        : prefs.horizontalMeasurementUnits;
+  }
+  // InDesign pixels are the same size as points
+  var sizes = [
+    [MeasurementUnits.POINTS, 1],
+    [MeasurementUnits.PIXELS, 1],
+    [MeasurementUnits.PICAS, _unitPoints.p],
+    [MeasurementUnits.INCHES, _unitPoints.inch],
+    [MeasurementUnits.INCHES_DECIMAL, _unitPoints.inch],
+    [MeasurementUnits.MILLIMETERS, _unitPoints.mm],
+    [MeasurementUnits.CENTIMETERS, _unitPoints.cm],
+    [MeasurementUnits.CICEROS, _unitPoints.c],
+    [MeasurementUnits.AGATES, _unitPoints.ag],
+  ];
+  for (var i = 0; i < sizes.length; i++) {
+    if (sizes[i][0] === unit) {
+      return sizes[i][1];
+    }
+  }
+  throw new Error("Unsupported measurement unit: " + unit);
+}
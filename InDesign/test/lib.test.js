@@ -0,0 +1,2618 @@
+// Tests for lib/lib.js against the mock InDesign object model
+// Run with: node --test InDesign/test/*.test.js
+
+const assert = require("assert");
+const { describe, it, beforeEach } = require("node:test");
+const { loadLib } = require("./mock");
+
+// Values created inside the vm context have their own Array prototype
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function round(values) {
+  return plain(values).map((v) => Math.round(v * 1000) / 1000);
+}
+
+describe("document and pages", () => {
+  let lib;
+  beforeEach(() => {
+    lib = loadLib();
+  });
+
+  it("resizes the page and records the page size", () => {
+    assert.strictEqual(lib._setPageSize(lib._doc(), "tabloid"), true);
+    assert.deepStrictEqual(
+      plain(lib._doc().pages.item(0).bounds),
+      [0, 0, 1224, 792]
+    );
+    assert.strictEqual(lib.evaluate("_width"), 792);
+    assert.strictEqual(lib.evaluate("_marginHeight"), 1224 - 72);
+  });
+
+  it("alerts on an unknown page size", () => {
+    assert.strictEqual(lib._setPageSize(lib._doc(), "postcard"), false);
+    assert.deepStrictEqual(lib.alerts, ["Invalid page size: postcard"]);
+  });
+
+  it("reads the margins of the current page", () => {
+    lib._doc().pages.item(0).marginPreferences.left = 72;
+    assert.strictEqual(lib._getBounds(lib._doc()).left, 72);
+  });
+
+  it("adds pages and draws on the current page", () => {
+    const doc = lib._doc();
+    const second = lib._addPage();
+    assert.strictEqual(doc.pages.length, 2);
+    assert.strictEqual(lib._currentPage(), second);
+
+    const rect = lib._rect(10, 10, 110, 60);
+    assert.strictEqual(rect.rect.parentPage, second);
+    assert.strictEqual(doc.pages.item(0).rectangles.length, 0);
+  });
+
+  it("selects pages with _page and per-call overrides", () => {
+    const doc = lib._doc();
+    lib._addPage();
+    lib._addPage();
+    lib._page(1);
+    assert.strictEqual(
+      lib._circle(0, 0, 10).circle.parentPage,
+      doc.pages.item(1)
+    );
+    assert.strictEqual(
+      lib._line(0, 0, 5, 5, 2).line.parentPage,
+      doc.pages.item(2)
+    );
+    assert.strictEqual(
+      lib._polygon(0, 0, 10, 10, 6, 0, 0, false, 0).polygon.parentPage,
+      doc.pages.item(0)
+    );
+  });
+
+  it("alerts when selecting a page that does not exist", () => {
+    assert.strictEqual(lib._page(3), null);
+    assert.match(lib.alerts[0], /Page 3 does not exist/);
+  });
+
+  it("alerts when drawing on a page that does not exist", () => {
+    assert.strictEqual(lib._rect(0, 0, 10, 10, 5), null);
+    assert.strictEqual(lib._roundedRectangle(0, 0, 10, 10, 2, 5), null);
+    assert.strictEqual(lib._line(0, 0, 10, 10, 5), null);
+    assert.strictEqual(lib._circle(0, 0, 10, 5), null);
+    assert.strictEqual(lib._ellipse(0, 0, 10, 10, 5), null);
+    assert.strictEqual(lib._textFrame(0, 0, 10, 10, "Hi", 5), null);
+    const missing = "Page 5 does not exist (document has 1 pages)";
+    assert.deepStrictEqual(lib.alerts, [
+      "Error creating rectangle: " + missing,
+      "Error creating rectangle: " + missing,
+      "Error creating line: " + missing,
+      "Error creating circle: " + missing,
+      "Error creating ellipse: " + missing,
+      "Error creating text frame: " + missing,
+    ]);
+  });
+
+  it("measures coordinates from the right-hand page of a spread", () => {
+    const doc = lib._doc();
+    doc.documentPreferences.facingPages = true;
+    lib._addPage();
+    const right = lib._addPage();
+    assert.deepStrictEqual(plain(right.bounds), [0, 612, 792, 1224]);
+
+    assert.deepStrictEqual(
+      plain(lib._rect(10, 20, 110, 60).rect.geometricBounds),
+      [20, 622, 60, 722]
+    );
+    assert.deepStrictEqual(
+      plain(lib._rect(10, 20, 110, 60, 1).rect.geometricBounds),
+      [20, 10, 60, 110]
+    );
+    assert.deepStrictEqual(
+      plain(lib._textFrame(10, 20, 110, 60, "Omelas").frame.geometricBounds),
+      [20, 622, 60, 722]
+    );
+    assert.deepStrictEqual(
+      plain(lib._story("Omelas", { page: 2 }).frames[0].geometricBounds),
+      [36, 648, 756, 1188]
+    );
+    assert.deepStrictEqual(
+      plain(
+        lib._story("Omelas", { page: 2, frameBounds: [0, 0, 100, 100] })
+          .frames[0].geometricBounds
+      ),
+      [0, 612, 100, 712]
+    );
+    assert.strictEqual(lib._grid({ rows: 1, cols: 1 }).cells[0].x, 36);
+    assert.strictEqual(lib._guide("vertical", 100).guide.location, 712);
+  });
+
+  it("clears every page but the first", () => {
+    const doc = lib._doc();
+    lib._rect(0, 0, 10, 10);
+    lib._addPage();
+    assert.strictEqual(lib._clear(doc), true);
+    assert.strictEqual(doc.pages.length, 1);
+    assert.strictEqual(doc.pages.item(0).rectangles.length, 0);
+    assert.strictEqual(lib._currentPage(), doc.pages.item(0));
+  });
+
+  it("creates layers once", () => {
+    const layer = lib._layer("Background");
+    assert.strictEqual(lib._layer("Background"), layer);
+    assert.strictEqual(lib._doc().layers.length, 2);
+  });
+});
+
+describe("shapes", () => {
+  let lib;
+  beforeEach(() => {
+    lib = loadLib();
+  });
+
+  it("uses the width and height of _rect as right and bottom edges", () => {
+    const rect = lib._rect(10, 20, 110, 60);
+    assert.deepStrictEqual(plain(rect.rect.geometricBounds), [20, 10, 60, 110]);
+  });
+
+  it("styles rectangles", () => {
+    const rect = lib._rect(0, 0, 10, 10);
+    rect.fillColor("#FF0000");
+    rect.noStroke();
+    rect.rotate(45);
+    rect.flip("horizontal");
+    assert.strictEqual(rect.rect.fillColor.name, "#FF0000");
+    assert.strictEqual(rect.rect.strokeWeight, 0);
+    assert.strictEqual(rect.rect.rotationAngle, 45);
+    assert.deepStrictEqual(rect.rect.flips, [
+      ["Flip.HORIZONTAL", "AnchorPoint.CENTER_ANCHOR"],
+    ]);
+  });
+
+  it("rounds the corners of _roundedRectangle", () => {
+    const rect = lib._roundedRectangle(0, 0, 100, 50, 5);
+    assert.strictEqual(
+      rect.rect.topLeftCornerOption,
+      "CornerOptions.ROUNDED_CORNER"
+    );
+    assert.strictEqual(rect.rect.bottomRightCornerRadius, 5);
+  });
+
+  it("draws circles from their top-left corner", () => {
+    const circle = lib._circle(100, 100, 50);
+    assert.deepStrictEqual(
+      plain(circle.circle.geometricBounds),
+      [100, 100, 150, 150]
+    );
+  });
+
+  it("draws ellipses around their center", () => {
+    const ellipse = lib._ellipse(100, 100, 200, 100);
+    assert.deepStrictEqual(
+      plain(ellipse.ellipse.geometricBounds),
+      [50, 0, 150, 200]
+    );
+  });
+
+  it("sets the anchors of lines", () => {
+    const line = lib._line(0, 10, 100, 110);
+    const points = line.line.paths.item(0).pathPoints;
+    assert.deepStrictEqual(plain(points.item(0).anchor), [0, 10]);
+    assert.deepStrictEqual(plain(points.item(1).anchor), [100, 110]);
+  });
+
+  it("creates polygons and stars", () => {
+    const star = lib._polygon(10, 10, 100, 50, 5, 2, 50, true);
+    assert.deepStrictEqual(
+      plain(star.polygon.geometricBounds),
+      [10, 10, 60, 110]
+    );
+    assert.strictEqual(star.polygon.numberOfSides, 5);
+    assert.strictEqual(star.polygon.insetPercentage, 50);
+    assert.strictEqual(star.polygon.cornerRadius, 2);
+    assert.strictEqual(star.polygon.reversed, true);
+  });
+
+  it("rejects invalid polygons", () => {
+    assert.strictEqual(lib._polygon(0, 0, 10, 10, 2), null);
+    assert.strictEqual(lib._polygon(0, 0, 0, 10, 5), null);
+    assert.strictEqual(lib._polygon(0, 0, 10, 10, 5, -1), null);
+    assert.strictEqual(lib._polygon(0, 0, 10, 10, 5, 0, 150), null);
+    assert.deepStrictEqual(lib.alerts, [
+      "Error creating polygon: Number of sides must be 3 or greater",
+      "Error creating polygon: Width and height must be greater than 0",
+      "Error creating polygon: Corner radius cannot be negative",
+      "Error creating polygon: Star inset must be between 0 and 100",
+    ]);
+  });
+
+  it("creates custom polygons from points", () => {
+    const triangle = lib._rightAngleTriangle(100, 100, 50, 20);
+    assert.deepStrictEqual(plain(triangle.polygon.paths.item(0).entirePath), [
+      [100, 100],
+      [150, 100],
+      [150, 120],
+    ]);
+    assert.strictEqual(
+      lib._polygonCustom(lib.evaluate("[[0, 0], [1, 1]]")),
+      null
+    );
+    assert.deepStrictEqual(lib.alerts, [
+      "Error creating custom polygon: A polygon must have at least 3 points",
+    ]);
+  });
+
+  it("adds guides on the Guides layer", () => {
+    const guide = lib._guide("horizontal", 100).guide;
+    assert.strictEqual(guide.orientation, "HorizontalOrVertical.HORIZONTAL");
+    assert.strictEqual(guide.location, 100);
+    assert.strictEqual(guide.itemLayer.name, "Guides");
+  });
+
+  it("centers frames on the page", () => {
+    const rect = lib._rect(0, 0, 100, 50);
+    lib._centerFrame(rect.rect);
+    assert.deepStrictEqual(
+      plain(rect.rect.geometricBounds),
+      [371, 256, 421, 356]
+    );
+  });
+
+  it("aligns frames through the document", () => {
+    const rect = lib._rect(0, 0, 100, 50);
+    assert.strictEqual(lib._alignFrame(rect.rect, "margin", "top"), true);
+    assert.deepStrictEqual(lib._doc().aligned[0], {
+      items: rect.rect,
+      option: "AlignOptions.TOP_EDGES",
+      bounds: "AlignDistributeBounds.MARGIN_BOUNDS",
+      key: undefined,
+    });
+    assert.strictEqual(lib._alignFrame(rect.rect, "bleed", "top"), false);
+    assert.deepStrictEqual(lib.alerts, [
+      "Error aligning frame: Invalid alignment target: bleed",
+    ]);
+  });
+
+  it("alerts on an invalid flip direction", () => {
+    const rect = lib._rect(0, 0, 10, 10);
+    assert.strictEqual(lib._flip(rect.rect, "diagonal"), false);
+    assert.deepStrictEqual(lib.alerts, [
+      "Error flipping object: Invalid flip direction: diagonal",
+    ]);
+  });
+});
+
+describe("geometry modes", () => {
+  let lib;
+  beforeEach(() => {
+    lib = loadLib();
+  });
+
+  const boundsOf = (wrapper) => plain(wrapper.item.geometricBounds);
+
+  it("reads the same numbers the same way in every rect mode", () => {
+    const shapes = () => [
+      lib._rect(10, 20, 100, 50),
+      lib._textFrame(10, 20, 100, 50, "Hello"),
+      lib._image("/images/a.png", 10, 20, 100, 50),
+      lib._polygon(10, 20, 100, 50, 6),
+    ];
+
+    assert.strictEqual(lib._rectMode("corner"), true);
+    shapes().forEach((shape) => {
+      assert.deepStrictEqual(boundsOf(shape), [20, 10, 70, 110]);
+    });
+    assert.strictEqual(lib._rectMode("CENTER"), true);
+    shapes().forEach((shape) => {
+      assert.deepStrictEqual(boundsOf(shape), [-5, -40, 45, 60]);
+    });
+    assert.strictEqual(lib._rectMode("corners"), true);
+    shapes().forEach((shape) => {
+      assert.deepStrictEqual(boundsOf(shape), [20, 10, 50, 100]);
+    });
+  });
+
+  it("keeps the original conventions without a rect mode", () => {
+    lib._rectMode("center");
+    assert.strictEqual(lib._rectMode(), true);
+    assert.deepStrictEqual(
+      boundsOf(lib._rect(10, 20, 100, 50)),
+      [20, 10, 50, 100]
+    );
+    assert.deepStrictEqual(
+      boundsOf(lib._textFrame(10, 20, 100, 50, "Hello")),
+      [20, 10, 50, 100]
+    );
+    assert.deepStrictEqual(
+      boundsOf(lib._image("/images/a.png", 10, 20, 100, 50)),
+      [20, 10, 70, 110]
+    );
+    assert.deepStrictEqual(
+      boundsOf(lib._square(10, 20, 100)),
+      [20, 10, 100, 100]
+    );
+  });
+
+  it("draws squares and triangles from their side length", () => {
+    lib._rectMode("corners");
+    assert.deepStrictEqual(boundsOf(lib._square(10, 20, 30)), [20, 10, 50, 40]);
+    assert.deepStrictEqual(
+      boundsOf(lib._triangle(10, 20, 30)),
+      [20, 10, 50, 40]
+    );
+    lib._rectMode("center");
+    assert.deepStrictEqual(boundsOf(lib._square(10, 20, 30)), [5, -5, 35, 25]);
+    assert.deepStrictEqual(
+      plain(
+        lib._rightAngleTriangle(10, 20, 30, 10).item.paths.item(0).entirePath
+      ),
+      [
+        [-5, 15],
+        [25, 15],
+        [25, 25],
+      ]
+    );
+  });
+
+  it("accepts opposite corners in any order in corners mode", () => {
+    lib._rectMode("corners");
+    assert.deepStrictEqual(
+      boundsOf(lib._rect(100, 50, 10, 20)),
+      [20, 10, 50, 100]
+    );
+    lib._ellipseMode("corners");
+    assert.deepStrictEqual(
+      boundsOf(lib._ellipse(100, 20, 10, 50)),
+      [20, 10, 50, 100]
+    );
+  });
+
+  it("reads ellipses and circles in the ellipse mode", () => {
+    assert.deepStrictEqual(
+      boundsOf(lib._ellipse(100, 100, 200, 100)),
+      [50, 0, 150, 200]
+    );
+
+    lib._ellipseMode("center");
+    assert.deepStrictEqual(
+      boundsOf(lib._circle(100, 100, 50)),
+      [50, 50, 150, 150]
+    );
+    lib._ellipseMode("radius");
+    assert.deepStrictEqual(
+      boundsOf(lib._ellipse(100, 100, 50, 25)),
+      [75, 50, 125, 150]
+    );
+    assert.deepStrictEqual(
+      boundsOf(lib._circle(100, 100, 50)),
+      [50, 50, 150, 150]
+    );
+    lib._ellipseMode("corner");
+    assert.deepStrictEqual(
+      boundsOf(lib._ellipse(10, 20, 100, 50)),
+      [20, 10, 70, 110]
+    );
+    assert.deepStrictEqual(
+      boundsOf(lib._circle(10, 20, 50)),
+      [20, 10, 120, 110]
+    );
+    lib._ellipseMode("corners");
+    assert.deepStrictEqual(
+      boundsOf(lib._ellipse(10, 20, 100, 50)),
+      [20, 10, 50, 100]
+    );
+    assert.deepStrictEqual(
+      boundsOf(lib._circle(10, 20, 50)),
+      [20, 10, 120, 110]
+    );
+
+    lib._ellipseMode();
+    assert.deepStrictEqual(
+      boundsOf(lib._circle(100, 100, 50)),
+      [100, 100, 150, 150]
+    );
+  });
+
+  it("saves the modes with _push and _pop", () => {
+    lib._rectMode("center");
+    lib._push();
+    lib._rectMode("corner");
+    lib._ellipseMode("corner");
+    lib._pop();
+    assert.deepStrictEqual(boundsOf(lib._rect(0, 0, 20, 10)), [-5, -10, 5, 10]);
+    assert.deepStrictEqual(
+      boundsOf(lib._ellipse(0, 0, 20, 10)),
+      [-5, -10, 5, 10]
+    );
+
+    lib._clear(lib._doc());
+    assert.deepStrictEqual(boundsOf(lib._rect(0, 0, 20, 10)), [0, 0, 10, 20]);
+  });
+
+  it("lays out tables and image folders the same way in every mode", () => {
+    lib._rectMode("center");
+    const frame = lib._table(36, 72, 300, lib.evaluate('[["a", "b"]]')).frame;
+    assert.strictEqual(frame.geometricBounds[0], 72);
+    assert.strictEqual(frame.geometricBounds[1], 36);
+    assert.strictEqual(frame.geometricBounds[3], 336);
+
+    const folder = loadLib({ files: { "/shoot/a.jpg": "" } });
+    folder._rectMode("center");
+    const images = folder._imageFolder("/shoot");
+    assert.deepStrictEqual(
+      round(images[0].frame.geometricBounds),
+      [36, 36, 276, 216]
+    );
+  });
+
+  it("alerts on invalid modes", () => {
+    assert.strictEqual(lib._rectMode("middle"), false);
+    assert.strictEqual(lib._ellipseMode("corner"), true);
+    assert.strictEqual(lib._ellipseMode("diameter"), false);
+    assert.deepStrictEqual(lib.alerts, [
+      "Error setting rect mode: Invalid mode: middle. Valid modes are: corner, corners, center",
+      "Error setting ellipse mode: Invalid mode: diameter. Valid modes are: center, radius, corner, corners",
+    ]);
+    assert.deepStrictEqual(boundsOf(lib._circle(0, 0, 5)), [0, 0, 10, 10]);
+  });
+});
+
+describe("freeform shapes", () => {
+  let lib;
+  beforeEach(() => {
+    lib = loadLib();
+  });
+
+  const pathOf = (wrapper) =>
+    round(plain(wrapper.polygon.paths[0].entirePath).flat(2));
+
+  it("draws straight segments as an open path", () => {
+    lib._beginShape();
+    lib._vertex(0, 0);
+    lib._vertex(100, 0);
+    lib._vertex(100, 50);
+    const shape = lib._endShape();
+    assert.strictEqual(shape.polygon.paths[0].pathType, "PathType.OPEN_PATH");
+    assert.deepStrictEqual(plain(shape.polygon.paths[0].entirePath), [
+      [0, 0],
+      [100, 0],
+      [100, 50],
+    ]);
+  });
+
+  it("sets the handles of bezier and quadratic curves", () => {
+    lib._beginShape();
+    lib._vertex(0, 100);
+    lib._bezierVertex(0, 0, 100, 0, 100, 100);
+    lib._quadraticVertex(150, 200, 200, 100);
+    const shape = lib._endShape("close");
+    assert.strictEqual(shape.polygon.paths[0].pathType, "PathType.CLOSED_PATH");
+    assert.deepStrictEqual(
+      plain(shape.polygon.paths[0].entirePath).map((p) => round(p.flat())),
+      [
+        [0, 100, 0, 100, 0, 0],
+        [100, 0, 100, 100, 133.333, 166.667],
+        [166.667, 166.667, 200, 100, 200, 100],
+      ]
+    );
+  });
+
+  it("runs Catmull-Rom curves through the inner curve points", () => {
+    lib._beginShape();
+    lib._curveVertex(0, 0);
+    lib._curveVertex(60, 0);
+    lib._curveVertex(120, 60);
+    lib._curveVertex(180, 60);
+    lib._curveVertex(240, 0);
+    const points = plain(lib._endShape().polygon.paths[0].entirePath);
+    assert.strictEqual(points.length, 3);
+    assert.deepStrictEqual(
+      points.map((p) => round(p[1])),
+      [
+        [60, 0],
+        [120, 60],
+        [180, 60],
+      ]
+    );
+    // Handles follow the neighbouring points: (p2 - p0) / 6
+    assert.deepStrictEqual(round(points[0][2]), [80, 10]);
+    assert.deepStrictEqual(round(points[1][0]), [100, 50]);
+    assert.deepStrictEqual(round(points[1][2]), [140, 70]);
+  });
+
+  it("merges the end point of a closed shape into its start", () => {
+    lib._beginShape();
+    lib._vertex(0, 50);
+    lib._bezierVertex(0, 0, 100, 0, 100, 50);
+    lib._bezierVertex(100, 100, 0, 100, 0, 50);
+    const shape = lib._endShape(true);
+    const points = plain(shape.polygon.paths[0].entirePath);
+    assert.strictEqual(points.length, 2);
+    assert.deepStrictEqual(points[0], [
+      [0, 100],
+      [0, 50],
+      [0, 0],
+    ]);
+  });
+
+  it("returns the shared wrapper on the chosen page", () => {
+    lib._addPage();
+    lib._beginShape();
+    lib._vertex(0, 0);
+    lib._vertex(10, 10);
+    const shape = lib._endShape(false, 0).stroke(2, "#000");
+    assert.strictEqual(shape.item.parentPage, lib._doc().pages.item(0));
+    assert.strictEqual(shape.item.strokeWeight, 2);
+    assert.strictEqual(pathOf(shape).length, 4);
+  });
+
+  it("alerts on incomplete shapes", () => {
+    assert.strictEqual(lib._vertex(0, 0), false);
+    assert.strictEqual(lib._endShape(), null);
+    lib._beginShape();
+    lib._bezierVertex(0, 0, 10, 10, 20, 20);
+    assert.strictEqual(lib._endShape(), null);
+    lib._beginShape();
+    lib._curveVertex(0, 0);
+    lib._curveVertex(10, 10);
+    lib._curveVertex(20, 0);
+    assert.strictEqual(lib._endShape(), null);
+    lib._beginShape();
+    lib._vertex(0, 0);
+    assert.strictEqual(lib._endShape(), null);
+    assert.deepStrictEqual(lib.alerts, [
+      "Error adding vertex: Call _beginShape before adding vertices",
+      "Error drawing shape: Call _beginShape before _endShape",
+      "Error drawing shape: _bezierVertex needs a vertex before it",
+      "Error drawing shape: _curveVertex needs at least 4 points in a row, got 3",
+      "Error drawing shape: A shape needs at least 2 points",
+    ]);
+  });
+});
+
+describe("transforms", () => {
+  let lib;
+  beforeEach(() => {
+    lib = loadLib({ files: { "/images/a.png": "" } });
+  });
+
+  const pathOf = (item) => round(plain(item.paths[0].entirePath).flat(2));
+
+  it("leaves shapes alone without a transformation", () => {
+    const rect = lib._rect(10, 20, 110, 70).rect;
+    assert.deepStrictEqual(plain(rect.geometricBounds), [20, 10, 70, 110]);
+    assert.deepStrictEqual(pathOf(rect), [10, 20, 10, 70, 110, 70, 110, 20]);
+  });
+
+  it("translates, rotates and scales the points of shapes", () => {
+    lib._translate(100, 50);
+    const moved = lib._line(0, 0, 10, 0).line;
+    assert.deepStrictEqual(pathOf(moved), [100, 50, 110, 50]);
+
+    lib._rotate(90);
+    const rotated = lib._polygonCustom(
+      lib.evaluate("[[0, 0], [10, 0], [10, 20]]")
+    ).polygon;
+    assert.deepStrictEqual(pathOf(rotated), [100, 50, 100, 60, 80, 60]);
+
+    lib._scale(2, 3);
+    const scaled = lib._rect(0, 0, 10, 10).rect;
+    assert.deepStrictEqual(pathOf(scaled), [100, 50, 70, 50, 70, 70, 100, 70]);
+  });
+
+  it("transforms curve handles with their anchors", () => {
+    lib._translate(50, 50);
+    lib._scale(2);
+    const circle = lib._circle(0, 0, 10).circle;
+    // The left point of the oval and its handles, 2x bigger and moved by 50
+    assert.deepStrictEqual(
+      round(plain(circle.paths[0].entirePath[0]).flat()),
+      [50, 65.523, 50, 60, 50, 54.477]
+    );
+
+    lib._beginShape();
+    lib._vertex(0, 0);
+    lib._bezierVertex(0, 10, 10, 10, 10, 0);
+    const shape = lib._endShape().polygon;
+    assert.deepStrictEqual(
+      pathOf(shape),
+      [50, 50, 50, 50, 50, 70, 70, 70, 70, 50, 70, 50]
+    );
+    assert.strictEqual(shape.paths[0].pathType, "PathType.OPEN_PATH");
+  });
+
+  it("restores the transformation with _pop", () => {
+    lib._translate(10, 10);
+    assert.strictEqual(lib._push(), true);
+    lib._translate(100, 0);
+    lib._rotate(45);
+    assert.strictEqual(lib._pop(), true);
+    const line = lib._line(0, 0, 5, 5).line;
+    assert.deepStrictEqual(pathOf(line), [10, 10, 15, 15]);
+
+    lib._resetMatrix();
+    assert.deepStrictEqual(pathOf(lib._line(0, 0, 5, 5).line), [0, 0, 5, 5]);
+
+    assert.strictEqual(lib._pop(), false);
+    assert.strictEqual(lib._translate(null), false);
+    assert.strictEqual(lib._scale(null), false);
+    assert.deepStrictEqual(lib.alerts, [
+      "Error restoring state: _pop called without a matching _push",
+      "Error translating: x and y must be numbers",
+      "Error scaling: Scale factors must be numbers",
+    ]);
+  });
+
+  it("moves text and image frames and transforms them around their corner", () => {
+    lib._translate(100, 200);
+    const text = lib._textFrame(0, 0, 50, 20, "Hi").frame;
+    assert.deepStrictEqual(plain(text.geometricBounds), [200, 100, 220, 150]);
+    assert.strictEqual(text.transforms.length, 0);
+
+    lib._rotate(90);
+    const image = lib._image("/images/a.png", 10, 0, 40, 30).frame;
+    assert.deepStrictEqual(plain(image.geometricBounds), [210, 100, 240, 140]);
+    assert.strictEqual(image.transforms.length, 1);
+    const { space, from, matrix } = image.transforms[0];
+    assert.strictEqual(space, "CoordinateSpaces.PASTEBOARD_COORDINATES");
+    assert.strictEqual(from, "AnchorPoint.TOP_LEFT_ANCHOR");
+    assert.deepStrictEqual(round(matrix.matrixValues), [0, 1, -1, 0, 0, 0]);
+  });
+
+  it("keeps rotating objects when given a page item", () => {
+    const rect = lib._rect(0, 0, 10, 10).rect;
+    assert.strictEqual(lib._rotate(rect, 30), true);
+    assert.strictEqual(rect.rotationAngle, 30);
+    assert.strictEqual(lib._rotate("30"), false);
+    assert.deepStrictEqual(lib.alerts, [
+      "Error rotating: Angle must be a number",
+    ]);
+    assert.deepStrictEqual(
+      pathOf(lib._rect(0, 0, 10, 10).rect),
+      [0, 0, 0, 10, 10, 10, 10, 0]
+    );
+  });
+
+  it("resets the transformation when the document is cleared", () => {
+    lib._push();
+    lib._translate(10, 10);
+    lib._clear(lib.app.activeDocument);
+    assert.deepStrictEqual(pathOf(lib._line(0, 0, 5, 5).line), [0, 0, 5, 5]);
+    assert.strictEqual(lib._pop(), false);
+  });
+});
+
+describe("wrappers", () => {
+  let lib;
+  beforeEach(() => {
+    lib = loadLib({ files: { "/images/a.png": "" } });
+  });
+
+  const methods = [
+    "fillColor",
+    "stroke",
+    "noStroke",
+    "cornerRadius",
+    "centerTo",
+    "flip",
+    "rotate",
+    "opacity",
+    "blendMode",
+    "dropShadow",
+    "innerGlow",
+    "outerGlow",
+    "feather",
+    "directionalFeather",
+  ];
+
+  it("gives every constructor the same chainable methods", () => {
+    const wrappers = {
+      rect: lib._rect(0, 0, 100, 100),
+      roundedRectangle: lib._roundedRectangle(0, 0, 100, 100, 5),
+      square: lib._square(0, 0, 100),
+      line: lib._line(0, 0, 100, 100),
+      circle: lib._circle(0, 0, 50),
+      ellipse: lib._ellipse(50, 50, 100, 60),
+      polygon: lib._polygon(0, 0, 100, 100, 6),
+      polygonCustom: lib._polygonCustom(
+        lib.evaluate("[[0, 0], [10, 0], [10, 10]]")
+      ),
+      triangle: lib._triangle(0, 0, 50),
+      textFrame: lib._textFrame(0, 0, 100, 100, "Hi"),
+      image: lib._image("/images/a.png", 0, 0, 100, 100),
+    };
+    for (const [name, wrapper] of Object.entries(wrappers)) {
+      assert.ok(wrapper.item, name);
+      for (const method of methods) {
+        assert.strictEqual(
+          typeof wrapper[method],
+          "function",
+          name + "." + method
+        );
+      }
+    }
+  });
+
+  it("keeps the original property names", () => {
+    assert.ok(lib._rect(0, 0, 10, 10).rect);
+    assert.ok(lib._line(0, 0, 10, 10).line);
+    assert.ok(lib._circle(0, 0, 10).circle);
+    assert.ok(lib._ellipse(0, 0, 10, 10).ellipse);
+    assert.ok(lib._polygon(0, 0, 10, 10, 5).polygon);
+    assert.ok(lib._textFrame(0, 0, 10, 10, "Hi").frame);
+    assert.ok(lib._image("/images/a.png", 0, 0, 10, 10).frame);
+  });
+
+  it("chains styling calls", () => {
+    const rect = lib._rect(10, 10, 110, 60);
+    assert.strictEqual(
+      rect
+        .fillColor("#f00")
+        .stroke(2, "#000")
+        .rotate(15)
+        .cornerRadius(4)
+        .flip("horizontal")
+        .noStroke(),
+      rect
+    );
+    assert.strictEqual(rect.rect.fillColor.name, "#f00");
+    assert.strictEqual(rect.rect.strokeColor.name, "#000");
+    assert.strictEqual(rect.rect.rotationAngle, 15);
+    assert.strictEqual(rect.rect.topLeftCornerRadius, 4);
+    assert.strictEqual(rect.rect.strokeWeight, 0);
+
+    const text = lib._textFrame(0, 0, 100, 100, "Hello world");
+    assert.strictEqual(
+      text.fontSize(24).fillColor("Paper").noHyphenation().rotate(90),
+      text
+    );
+    assert.strictEqual(text.frame.texts.item(0).pointSize, 24);
+    assert.strictEqual(text.words().length, 2);
+
+    const image = lib._image("/images/a.png", 0, 0, 10, 10);
+    assert.strictEqual(image.fit().textWrap(4).cornerRadius(2), image);
+  });
+
+  it("measures the wrapped item", () => {
+    const ellipse = lib._ellipse(100, 80, 60, 40);
+    assert.deepStrictEqual(plain(ellipse.bounds()), [60, 70, 100, 130]);
+    assert.deepStrictEqual(plain(ellipse.center()), [100, 80]);
+    assert.strictEqual(ellipse.width(), 60);
+    assert.strictEqual(ellipse.height(), 40);
+    // bounds() is a copy
+    ellipse.bounds()[0] = 0;
+    assert.strictEqual(ellipse.ellipse.geometricBounds[0], 60);
+  });
+
+  it("centers on another wrapper", () => {
+    const doc = lib._doc();
+    const key = lib._rect(0, 0, 100, 100);
+    lib._circle(0, 0, 10).centerTo(key);
+    assert.strictEqual(doc.aligned[0].key, key.rect);
+  });
+
+  it("wraps existing page items", () => {
+    const doc = lib._doc();
+    const item = doc.pages.item(0).rectangles.add();
+    item.geometricBounds = [0, 0, 20, 40];
+    const wrapper = lib._wrap(item);
+    assert.strictEqual(wrapper.item, item);
+    assert.strictEqual(wrapper.opacity(30).width(), 40);
+  });
+});
+
+describe("colors", () => {
+  let lib;
+  beforeEach(() => {
+    lib = loadLib();
+  });
+
+  it("converts hex strings to RGB", () => {
+    assert.deepStrictEqual(plain(lib._hexToRGB("#FFC600")), [255, 198, 0]);
+    assert.deepStrictEqual(plain(lib._hexToRGB("FFC600")), [255, 198, 0]);
+    assert.deepStrictEqual(plain(lib._hexToRGB("#fff")), [255, 255, 255]);
+    assert.deepStrictEqual(plain(lib._hexToRGB("#FFC60080")), [255, 198, 0]);
+    assert.throws(() => lib._hexToRGB("#FFC60"), /Invalid hex color: #FFC60/);
+    assert.throws(() => lib._hexToRGB("#GGGGGG"), /Invalid hex color/);
+  });
+
+  it("parses CSS color strings", () => {
+    const parse = (str) => plain(lib._parseColor(str));
+    assert.deepStrictEqual(parse("tomato"), {
+      space: "RGB",
+      values: [255, 99, 71],
+      alpha: 1,
+    });
+    assert.deepStrictEqual(parse("#FF000080").alpha, 0.5);
+    assert.deepStrictEqual(parse("rgb(255, 198, 0)").values, [255, 198, 0]);
+    assert.deepStrictEqual(parse("rgba(100%, 0%, 0%, 0.25)"), {
+      space: "RGB",
+      values: [255, 0, 0],
+      alpha: 0.25,
+    });
+    assert.deepStrictEqual(parse("rgb(0 128 255 / 50%)").alpha, 0.5);
+    assert.deepStrictEqual(parse("hsl(120, 100%, 25%)").values, [0, 128, 0]);
+    assert.deepStrictEqual(
+      parse("hsla(0.5turn 100% 50% / 1)").values,
+      [0, 255, 255]
+    );
+    assert.deepStrictEqual(parse("hsb(30, 100%, 100%)").values, [255, 128, 0]);
+    assert.deepStrictEqual(parse("cmyk(0, 100, 50, 10)"), {
+      space: "CMYK",
+      values: [0, 100, 50, 10],
+      alpha: 1,
+    });
+    assert.deepStrictEqual(parse("lab(50% 40 -20)").values, [50, 40, -20]);
+    assert.throws(() => lib._parseColor("blurple"), /Unrecognized color/);
+    assert.throws(() => lib._parseColor("rgb(1, 2)"), /Unrecognized color/);
+    assert.throws(() => lib._parseColor("rgb(a, b, c)"), /Unrecognized color/);
+  });
+
+  it("converts between color models", () => {
+    const convert = (values, from, to) =>
+      round(plain(lib._convertColor(lib.evaluate(values), from, to)));
+    assert.deepStrictEqual(
+      round(plain(lib._rgbToHSL(255, 0, 0))),
+      [0, 100, 50]
+    );
+    assert.deepStrictEqual(plain(lib._hslToRGB(210, 50, 60)), [102, 153, 204]);
+    assert.deepStrictEqual(
+      round(plain(lib._rgbToHSB(0, 0, 255))),
+      [240, 100, 100]
+    );
+    assert.deepStrictEqual(plain(lib._hsbToRGB(210, 50, 100)), [128, 191, 255]);
+    assert.deepStrictEqual(plain(lib._rgbToCMYK(255, 0, 0)), [0, 100, 100, 0]);
+    assert.deepStrictEqual(plain(lib._rgbToCMYK(0, 0, 0)), [0, 0, 0, 100]);
+    assert.deepStrictEqual(plain(lib._cmykToRGB(0, 100, 100, 0)), [255, 0, 0]);
+    assert.deepStrictEqual(
+      round(plain(lib._rgbToLab(255, 255, 255))),
+      [100, 0, 0]
+    );
+    assert.deepStrictEqual(
+      round(plain(lib._rgbToLab(255, 0, 0))),
+      [54.292, 80.812, 69.885]
+    );
+    assert.deepStrictEqual(
+      plain(lib._labToRGB(54.29, 80.8, 69.89)),
+      [255, 0, 0]
+    );
+    assert.strictEqual(lib._rgbToHex(255, 198, 0), "#FFC600");
+    assert.deepStrictEqual(
+      convert("[0, 100, 50]", "hsl", "cmyk"),
+      [0, 100, 100, 0]
+    );
+    assert.strictEqual(lib._convertColor("#F00", "hex", "hsv")[0], 0);
+    assert.strictEqual(
+      lib._convertColor(lib.evaluate("[0, 100, 100, 0]"), "CMYK", "hex"),
+      "#FF0000"
+    );
+    // Round trips through every model land back on the same RGB values
+    for (const model of ["hex", "hsl", "hsb", "cmyk", "lab"]) {
+      const there = lib._convertColor(
+        lib.evaluate("[18, 200, 99]"),
+        "rgb",
+        model
+      );
+      assert.deepStrictEqual(
+        plain(lib._convertColor(there, model, "rgb")),
+        [18, 200, 99]
+      );
+    }
+    assert.throws(
+      () => lib._convertColor(lib.evaluate("[0, 0, 0]"), "rgb", "xyz"),
+      /Invalid color model/
+    );
+  });
+
+  it("creates colors from any color string", () => {
+    const coral = lib._color("hsl(16, 100%, 66%)");
+    assert.strictEqual(coral.name, "hsl(16, 100%, 66%)");
+    assert.strictEqual(coral.space, "ColorSpace.RGB");
+    assert.deepStrictEqual(plain(coral.colorValue), [255, 128, 82]);
+    assert.deepStrictEqual(
+      plain(lib._color("tomato").colorValue),
+      [255, 99, 71]
+    );
+    assert.deepStrictEqual(
+      plain(lib._color("FFC600").colorValue),
+      [255, 198, 0]
+    );
+    const process = lib._color("cmyk(0, 100, 0, 0)");
+    assert.strictEqual(process.space, "ColorSpace.CMYK");
+    assert.deepStrictEqual(plain(process.colorValue), [0, 100, 0, 0]);
+    assert.strictEqual(lib._color("lab(60 -40 -10)").space, "ColorSpace.LAB");
+  });
+
+  it("prefers existing swatches over CSS color names", () => {
+    const doc = lib._doc();
+    assert.strictEqual(lib._color("Black"), doc.swatches.itemByName("Black"));
+    assert.strictEqual(lib._color("Paper"), doc.swatches.itemByName("Paper"));
+    assert.strictEqual(lib._color("none"), doc.swatches.itemByName("None"));
+    assert.strictEqual(
+      lib._color("transparent"),
+      doc.swatches.itemByName("None")
+    );
+    const brand = lib._colorRGB(10, 20, 30, "Brand");
+    assert.strictEqual(lib._color("Brand"), brand);
+    assert.strictEqual(lib._color(brand), brand);
+    // Lowercase "black" is not a swatch name, so it is the CSS color
+    assert.deepStrictEqual(plain(lib._color("black").colorValue), [0, 0, 0]);
+  });
+
+  it("alerts on unrecognized colors", () => {
+    assert.strictEqual(lib._color("blurple"), null);
+    assert.deepStrictEqual(lib.alerts, [
+      "Error creating color: Unrecognized color: blurple",
+    ]);
+    const rect = lib._rect(0, 0, 10, 10).rect;
+    lib._setFillColor(rect, "blurple");
+    assert.notStrictEqual(rect.fillColor, null);
+  });
+
+  it("creates HSL, HSB and Lab colors", () => {
+    const hsl = lib._colorHSL(390, 100, 50);
+    assert.strictEqual(hsl.name, "HSL_30_100_50");
+    assert.deepStrictEqual(plain(hsl.colorValue), [255, 128, 0]);
+    const hsb = lib._colorHSB(120, 50, 100, "Mint");
+    assert.strictEqual(hsb.name, "Mint");
+    assert.deepStrictEqual(plain(hsb.colorValue), [128, 255, 128]);
+    const lab = lib._colorLab(60, -140, 10.4);
+    assert.strictEqual(lab.name, "LAB_60_-128_10");
+    assert.strictEqual(lab.space, "ColorSpace.LAB");
+    assert.deepStrictEqual(plain(lab.colorValue), [60, -128, 10]);
+  });
+
+  it("sets fills and strokes from color strings", () => {
+    const rect = lib._rect(0, 0, 10, 10).rect;
+    lib._setFillColor(rect, "rgb(255, 0, 0)");
+    assert.deepStrictEqual(plain(rect.fillColor.colorValue), [255, 0, 0]);
+    lib._setStroke(rect, 2, "navy");
+    assert.strictEqual(rect.strokeWeight, 2);
+    assert.deepStrictEqual(plain(rect.strokeColor.colorValue), [0, 0, 128]);
+    lib._setStroke(rect, 4);
+    assert.strictEqual(rect.strokeWeight, 4);
+    assert.strictEqual(rect.strokeColor.name, "navy");
+  });
+
+  it("creates hex colors once and reuses them", () => {
+    const doc = lib._doc();
+    const red = lib._color("#FF0000");
+    assert.strictEqual(red.space, "ColorSpace.RGB");
+    assert.strictEqual(red.model, "ColorModel.PROCESS");
+    assert.deepStrictEqual(plain(red.colorValue), [255, 0, 0]);
+    assert.strictEqual(lib._color("#FF0000"), red);
+    assert.strictEqual(doc.colors.length, 1);
+  });
+
+  it("clamps and names RGB colors", () => {
+    const color = lib._colorRGB(300, -5, 127.6);
+    assert.strictEqual(color.name, "RGB_255_0_128");
+    assert.deepStrictEqual(plain(color.colorValue), [255, 0, 128]);
+    assert.strictEqual(lib._colorRGB(0, 0, 255, "MyBlue").name, "MyBlue");
+  });
+
+  it("clamps and names CMYK colors", () => {
+    const color = lib._colorCMYK(0, 120, 50, -1);
+    assert.strictEqual(color.name, "CMYK_0_100_50_0");
+    assert.strictEqual(color.space, "ColorSpace.CMYK");
+  });
+
+  it("lists the document colors", () => {
+    lib._color("#000000");
+    lib._color("#FFFFFF");
+    assert.strictEqual(lib._colors().length, 2);
+  });
+
+  it("interpolates values and colors", () => {
+    assert.strictEqual(lib._lerp(0, 100, 0.25), 25);
+    assert.strictEqual(lib._map(50, 0, 100, 0, 1), 0.5);
+    assert.deepStrictEqual(
+      plain(
+        lib._lerpColor(
+          lib.evaluate("[255, 0, 0]"),
+          lib.evaluate("[0, 0, 255]"),
+          0.5
+        )
+      ),
+      [128, 0, 128]
+    );
+    assert.deepStrictEqual(
+      plain(lib._lerpColor("red", "#00F", 0.5)),
+      [128, 0, 128]
+    );
+  });
+});
+
+describe("palettes", () => {
+  let lib;
+  beforeEach(() => {
+    lib = loadLib();
+  });
+
+  const values = (colors) =>
+    Array.from(colors, (color) => plain(color.colorValue));
+
+  it("builds each scheme around the base color", () => {
+    assert.deepStrictEqual(values(lib._palette("#FF0000", "complementary")), [
+      [255, 0, 0],
+      [0, 255, 255],
+    ]);
+    assert.deepStrictEqual(values(lib._palette("#FF0000", "triadic")), [
+      [255, 0, 0],
+      [0, 255, 0],
+      [0, 0, 255],
+    ]);
+    assert.deepStrictEqual(values(lib._palette("#FF0000", "tetradic")), [
+      [255, 0, 0],
+      [128, 255, 0],
+      [0, 255, 255],
+      [128, 0, 255],
+    ]);
+    assert.deepStrictEqual(values(lib._palette("#FF0000", "analogous", 3)), [
+      [255, 0, 0],
+      [255, 0, 128],
+      [255, 128, 0],
+    ]);
+    assert.deepStrictEqual(
+      values(lib._palette("hsl(0, 100%, 50%)", "monochrome")),
+      [
+        [255, 0, 0],
+        [194, 0, 0],
+        [255, 61, 61],
+        [133, 0, 0],
+        [255, 122, 122],
+      ]
+    );
+  });
+
+  it("adds shades and tints past the scheme's own hues", () => {
+    const colors = values(lib._palette("#FF0000", "complementary", 4));
+    assert.deepStrictEqual(colors.slice(2), [
+      [179, 0, 0],
+      [0, 179, 179],
+    ]);
+  });
+
+  it("registers the colors in a swatch group", () => {
+    const doc = lib._doc();
+    const colors = lib._palette("#FFC600", "triadic");
+    assert.deepStrictEqual(
+      Array.from(colors, (color) => color.name),
+      ["triadic #FFC600 1", "triadic #FFC600 2", "triadic #FFC600 3"]
+    );
+    const group = doc.colorGroups.itemByName("triadic #FFC600");
+    assert.deepStrictEqual(
+      group.colorGroupSwatches.toArray().map((s) => s.swatchItemRef),
+      Array.from(colors)
+    );
+    assert.ok(colors.includes(lib._randomChoice(colors)));
+  });
+
+  it("updates a named palette in place", () => {
+    const doc = lib._doc();
+    lib._palette("#FFC600", "complementary", 2, "Brand");
+    const colors = lib._palette("#914E72", "complementary", 3, "Brand");
+    assert.deepStrictEqual(plain(colors[0].colorValue), [145, 78, 114]);
+    assert.strictEqual(doc.colors.length, 3);
+    assert.strictEqual(doc.colorGroups.length, 1);
+    assert.strictEqual(
+      doc.colorGroups.itemByName("Brand").colorGroupSwatches.length,
+      3
+    );
+
+    lib._palette("#914E72", "complementary", 2, "Brand");
+    const members = doc.colorGroups
+      .itemByName("Brand")
+      .colorGroupSwatches.everyItem()
+      .getElements()
+      .map((member) => member.swatchItemRef.name);
+    assert.deepStrictEqual(members, ["Brand 1", "Brand 2"]);
+  });
+
+  it("alerts on an unknown scheme or size", () => {
+    assert.strictEqual(lib._palette("#FFC600", "pastel"), null);
+    assert.strictEqual(lib._palette("#FFC600", "triadic", 0), null);
+    assert.deepStrictEqual(lib.alerts, [
+      "Error creating palette: Invalid palette scheme. Valid schemes are: complementary, triadic, analogous, tetradic, monochrome",
+      "Error creating palette: Palette size must be a whole number of at least 1",
+    ]);
+  });
+});
+
+describe("gradients", () => {
+  let lib;
+  beforeEach(() => {
+    lib = loadLib();
+  });
+
+  const stopsOf = (gradient) =>
+    gradient.gradientStops.toArray().map((stop) => ({
+      color: stop.stopColor.name,
+      location: stop.location,
+    }));
+
+  it("creates a named gradient swatch with evenly spread stops", () => {
+    const gradient = lib._gradient(
+      lib.evaluate('["#FFC600", [145, 78, 114], [0, 100, 0, 0]]')
+    );
+    assert.strictEqual(
+      gradient.name,
+      "#FFC600 > RGB_145_78_114 > CMYK_0_100_0_0"
+    );
+    assert.strictEqual(gradient.type, "GradientType.LINEAR");
+    assert.deepStrictEqual(stopsOf(gradient), [
+      { color: "#FFC600", location: 0 },
+      { color: "RGB_145_78_114", location: 50 },
+      { color: "CMYK_0_100_0_0", location: 100 },
+    ]);
+    assert.strictEqual(lib._doc().swatches.itemByName(gradient.name), gradient);
+  });
+
+  it("takes stop locations, midpoints and a radial type", () => {
+    const gradient = lib._gradient(
+      lib.evaluate('[{ color: "white", location: 20, midpoint: 30 }, "Black"]'),
+      { type: "radial", name: "Glow" }
+    );
+    assert.strictEqual(gradient.name, "Glow");
+    assert.strictEqual(gradient.type, "GradientType.RADIAL");
+    assert.deepStrictEqual(stopsOf(gradient), [
+      { color: "white", location: 20 },
+      { color: "Black", location: 100 },
+    ]);
+    assert.strictEqual(gradient.gradientStops.item(0).midpoint, 30);
+  });
+
+  it("updates a gradient with the same name in place", () => {
+    const doc = lib._doc();
+    const first = lib._gradient(lib.evaluate('["red", "green", "blue"]'), {
+      name: "Ramp",
+    });
+    const second = lib._gradient(lib.evaluate('["red", "blue"]'), {
+      name: "Ramp",
+    });
+    assert.strictEqual(second, first);
+    assert.strictEqual(doc.gradients.length, 1);
+    assert.strictEqual(second.gradientStops.length, 2);
+  });
+
+  it("fills and strokes every shape wrapper", () => {
+    const gradient = lib._gradient(lib.evaluate('["#FFC600", "#914E72"]'), {
+      angle: 90,
+      length: 200,
+    });
+    const wrappers = [
+      [lib._rect(0, 0, 100, 100), "rect"],
+      [lib._circle(0, 0, 50), "circle"],
+      [lib._ellipse(50, 50, 100, 60), "ellipse"],
+      [lib._polygon(0, 0, 100, 100, 6), "polygon"],
+      [lib._textFrame(0, 0, 100, 100, "Hi"), "frame"],
+    ];
+    for (const [wrapper, key] of wrappers) {
+      wrapper.fillColor(gradient);
+      wrapper.stroke(4, gradient, { angle: 45 });
+      const item = wrapper[key];
+      assert.strictEqual(item.fillColor, gradient, key);
+      assert.strictEqual(item.gradientFillAngle, 90, key);
+      assert.strictEqual(item.gradientFillLength, 200, key);
+      assert.strictEqual(item.strokeColor, gradient, key);
+      assert.strictEqual(item.strokeWeight, 4, key);
+      assert.strictEqual(item.gradientStrokeAngle, 45, key);
+      assert.strictEqual(item.gradientStrokeLength, 200, key);
+    }
+  });
+
+  it("leaves the angle alone when none is given", () => {
+    const gradient = lib._gradient(lib.evaluate('["#FFC600", "#914E72"]'));
+    const rect = lib._rect(0, 0, 100, 100);
+    rect.fillColor(gradient);
+    assert.strictEqual(rect.rect.gradientFillAngle, undefined);
+    rect.fillColor(gradient, { angle: -30, length: 50 });
+    assert.strictEqual(rect.rect.gradientFillAngle, -30);
+    assert.strictEqual(rect.rect.gradientFillLength, 50);
+  });
+
+  it("alerts on invalid stops or types", () => {
+    assert.strictEqual(lib._gradient(lib.evaluate('["#FFC600"]')), null);
+    assert.strictEqual(
+      lib._gradient(lib.evaluate('["#FFC600", "#000"]'), { type: "conic" }),
+      null
+    );
+    assert.strictEqual(
+      lib._gradient(lib.evaluate('["#FFC600", "nope"]')),
+      null
+    );
+    assert.deepStrictEqual(lib.alerts, [
+      "Error creating gradient: A gradient needs at least 2 stops",
+      "Error creating gradient: Invalid gradient type. Valid types are: linear, radial",
+      "Error creating color: Unrecognized color: nope",
+      "Error creating gradient: Invalid gradient stop 2",
+    ]);
+  });
+});
+
+describe("text", () => {
+  let lib;
+  beforeEach(() => {
+    lib = loadLib();
+  });
+
+  it("creates text frames with content", () => {
+    const text = lib._textFrame(10, 10, 200, 50, "Hello World");
+    assert.deepStrictEqual(
+      plain(text.frame.geometricBounds),
+      [10, 10, 50, 200]
+    );
+    assert.strictEqual(text.frame.contents, "Hello World");
+  });
+
+  it("styles text", () => {
+    const text = lib._textFrame(0, 0, 200, 50, "Hello World");
+    text.fontSize(24);
+    text.fontColor("#00A95C");
+    text.fontName("Helvetica\tBold");
+    text.textJustification("center");
+    text.verticalJustification("bottom");
+    text.noHyphenation();
+    const range = text.frame.texts.item(0);
+    assert.strictEqual(range.pointSize, 24);
+    assert.strictEqual(range.fillColor.name, "#00A95C");
+    assert.strictEqual(range.appliedFont, "Helvetica\tBold");
+    assert.strictEqual(range.justification, "Justification.CENTER_ALIGN");
+    assert.strictEqual(range.hyphenation, false);
+    assert.strictEqual(
+      text.frame.textFramePreferences.verticalJustification,
+      "VerticalJustification.BOTTOM_ALIGN"
+    );
+  });
+
+  it("alerts on invalid justification", () => {
+    const text = lib._textFrame(0, 0, 200, 50, "Hello");
+    assert.strictEqual(lib._setTextJustification(text.frame, "middle"), false);
+    assert.deepStrictEqual(lib.alerts, [
+      "Error setting text justification: Invalid justification value: middle",
+    ]);
+  });
+
+  it("splits text into characters and words", () => {
+    const text = lib._textFrame(0, 0, 200, 50, "Hello big world");
+    assert.strictEqual(text.characters().length, 15);
+    assert.strictEqual(text.words().length, 3);
+  });
+
+  it("runs GREP replacements on the frame", () => {
+    const text = lib._textFrame(0, 0, 200, 50, "Omelas");
+    text.findReplace("Omelas", "City");
+    assert.deepStrictEqual(text.frame.grepChanges, [
+      {
+        findWhat: "Omelas",
+        changeTo: "City",
+        appliedCharacterStyle: undefined,
+      },
+    ]);
+  });
+
+  it("updates existing character styles in place", () => {
+    const first = lib._createCharacterStyle("Accent", { pointSize: 12 });
+    const second = lib._createCharacterStyle("Accent", { pointSize: "14pt" });
+    assert.strictEqual(second, first);
+    assert.strictEqual(first.isValid, true);
+    assert.strictEqual(first.pointSize, 14);
+    assert.strictEqual(lib._doc().characterStyles.length, 1);
+  });
+
+  it("parses Markdown blocks and inline styles", () => {
+    const parsed = plain(
+      lib._parseMarkdown(
+        [
+          "# Omelas ##",
+          "",
+          "The **Festival of *Summer***",
+          "came to the city.",
+          "",
+          "- bells",
+          "* boats",
+          "",
+          "1. first",
+          "2. second",
+          "",
+          "> They leave",
+          "> Omelas.",
+          "",
+          "Read [the story](https://example.com) or `run()` \\*now\\*",
+        ].join("\n")
+      )
+    );
+    assert.strictEqual(
+      parsed.text,
+      [
+        "Omelas",
+        "The Festival of Summer came to the city.",
+        "bells",
+        "boats",
+        "first",
+        "second",
+        "They leave Omelas.",
+        "Read the story or run() *now*",
+      ].join("\r")
+    );
+    assert.deepStrictEqual(parsed.paragraphs, [
+      { style: "h1" },
+      { style: "paragraph" },
+      { style: "bullet" },
+      { style: "bullet" },
+      { style: "number", restart: true },
+      { style: "number" },
+      { style: "quote" },
+      { style: "paragraph" },
+    ]);
+    const spans = parsed.spans.map((span) => [
+      span.style,
+      parsed.text.slice(span.start, span.end),
+      span.href,
+    ]);
+    assert.deepStrictEqual(spans, [
+      ["strong", "Festival of Summer", undefined],
+      ["emphasis", "Summer", undefined],
+      ["link", "the story", "https://example.com"],
+      ["code", "run()", undefined],
+    ]);
+  });
+
+  it("styles a story from Markdown, creating missing styles", () => {
+    const body = lib._paragraphStyle("Essay", { pointSize: 9 });
+    const text = lib._textFrame(0, 0, 300, 200, "");
+    const result = lib._markdown(
+      text,
+      "## Omelas\n\nA **bright** [city](https://example.com)",
+      { paragraph: "Essay" }
+    );
+    assert.strictEqual(result, text);
+    const doc = lib._doc();
+    const story = text.frame.parentStory;
+    assert.strictEqual(story.contents, "Omelas\rA bright city");
+
+    const heading = doc.paragraphStyles.itemByName("Heading 2");
+    assert.strictEqual(heading.pointSize, 23.44);
+    // The default scale sizes the headings without becoming the current scale
+    assert.strictEqual(lib.evaluate("_typeSizes"), null);
+    assert.strictEqual(story.paragraphs.item(0).appliedParagraphStyle, heading);
+    assert.strictEqual(story.paragraphs.item(1).appliedParagraphStyle, body);
+    assert.strictEqual(body.pointSize, 9);
+
+    const [strong, link] = story.ranges;
+    assert.strictEqual(strong.contents, "bright");
+    assert.strictEqual(
+      strong.appliedCharacterStyle,
+      doc.characterStyles.itemByName("Strong")
+    );
+    assert.strictEqual(strong.appliedCharacterStyle.fontStyle, "Bold");
+    assert.strictEqual(link.contents, "city");
+    assert.strictEqual(doc.hyperlinks.length, 1);
+    assert.strictEqual(doc.hyperlinks.item(0).source.sourceText, link);
+    assert.strictEqual(
+      doc.hyperlinks.item(0).destination.destinationURL,
+      "https://example.com"
+    );
+  });
+
+  it("reads Markdown files into stories and reports errors", () => {
+    lib = loadLib({ files: { "/text/essay.md": "1. one\n\ntext\n\n1. two" } });
+    const essay = lib._story("");
+    lib._markdown(essay, lib.File("/text/essay.md"));
+    const paragraphs = essay.story.paragraphs;
+    assert.strictEqual(paragraphs.item(0).numberingContinue, false);
+    assert.strictEqual(paragraphs.item(2).numberingContinue, false);
+    assert.strictEqual(
+      paragraphs.item(0).appliedParagraphStyle.bulletsAndNumberingListType,
+      "ListType.NUMBERED_LIST"
+    );
+
+    assert.strictEqual(lib._markdown(essay, "text", { title: "Big" }), null);
+    assert.deepStrictEqual(lib.alerts, [
+      "Error setting Markdown: Unknown Markdown element: title. Valid elements are: h1, h2, h3, h4, h5, h6, paragraph, bullet, number, quote, strong, emphasis, code, link",
+    ]);
+  });
+
+  it("builds a modular type scale", () => {
+    assert.deepStrictEqual(plain(lib._typeScale(10, "perfect fourth")), {
+      xsmall: 5.63,
+      small: 7.5,
+      body: 10,
+      h4: 13.33,
+      h3: 17.77,
+      h2: 23.69,
+      h1: 31.57,
+      display: 42.09,
+    });
+    assert.strictEqual(lib._typeScale(16, 1.5).h4, 24);
+    assert.strictEqual(lib._typeScale().body, 12);
+
+    assert.strictEqual(lib._typeScale(12, "wide"), null);
+    assert.strictEqual(lib._typeScale(12, 0.8), null);
+    assert.strictEqual(lib._typeScale(-1), null);
+    assert.deepStrictEqual(lib.alerts, [
+      "Error creating type scale: Invalid type scale ratio: wide. Valid ratios are: minor second, major second, minor third, major third, perfect fourth, augmented fourth, perfect fifth, golden",
+      "Error creating type scale: Type scale ratio must be a number greater than 1",
+      "Error creating type scale: Base size must be a number greater than 0",
+    ]);
+  });
+
+  it("accepts type scale steps as font sizes", () => {
+    const text = lib._textFrame(0, 0, 200, 50, "Omelas").fontSize("h1");
+    // Without _typeScale, the default 12pt major third scale is used
+    assert.strictEqual(text.frame.texts.item(0).pointSize, 29.3);
+    lib._typeScale(10, 2);
+    text.fontSize("small");
+    assert.strictEqual(text.frame.texts.item(0).pointSize, 5);
+    assert.strictEqual(text.frame.texts.item(0).leading, undefined);
+
+    text.fontSize("huge");
+    assert.deepStrictEqual(lib.alerts, [
+      "Error setting font size: Unknown type scale step: huge. Valid steps are: xsmall, small, body, h4, h3, h2, h1, display",
+    ]);
+  });
+
+  it("sets up a baseline grid and snaps leading to it", () => {
+    const before = lib._textFrame(0, 0, 200, 50, "Before");
+    assert.strictEqual(lib._baselineGrid(12), true);
+    const grid = lib._doc().gridPreferences;
+    assert.strictEqual(grid.baselineDivision, 12);
+    assert.strictEqual(grid.baselineStart, 36);
+    assert.strictEqual(
+      grid.baselineGridRelativeOption,
+      "BaselineGridRelativeOption.TOP_OF_PAGE_OF_BASELINE_GRID_RELATIVE_OPTION"
+    );
+    assert.strictEqual(before.frame.texts.item(0).alignToBaseline, true);
+
+    const after = lib._textFrame(0, 0, 200, 50, "After");
+    assert.strictEqual(after.frame.texts.item(0).alignToBaseline, true);
+    const leading = (size) => {
+      after.fontSize(size);
+      return after.frame.texts.item(0).leading;
+    };
+    assert.deepStrictEqual(
+      [10, 12, 14, 15, 30].map(leading),
+      [12, 12, 24, 24, 36]
+    );
+
+    const essay = lib._story("Omelas", { frameBounds: [0, 0, 100, 100] });
+    assert.strictEqual(essay.story.texts.item(0).alignToBaseline, true);
+
+    lib._baselineGrid(6, 0);
+    assert.strictEqual(grid.baselineStart, 0);
+    assert.strictEqual(lib._baselineGrid(0), false);
+    assert.deepStrictEqual(lib.alerts, [
+      "Error setting baseline grid: Baseline grid increment must be a number greater than 0",
+    ]);
+  });
+
+  it("snaps leading in points on a metric baseline grid", () => {
+    const prefs = lib._doc().viewPreferences;
+    prefs.horizontalMeasurementUnits = "MeasurementUnits.MILLIMETERS";
+    prefs.verticalMeasurementUnits = "MeasurementUnits.MILLIMETERS";
+    assert.strictEqual(lib._baselineGrid("12pt", 10), true);
+    const grid = lib._doc().gridPreferences;
+    assert.deepStrictEqual(round([grid.baselineDivision]), [4.233]);
+    assert.strictEqual(grid.baselineStart, 10);
+
+    const frame = lib._textFrame(0, 0, 100, 50, "Omelas").fontSize(30);
+    assert.deepStrictEqual(round([frame.frame.texts.item(0).leading]), [36]);
+    lib._baselineGrid(5);
+    frame.fontSize(10);
+    assert.deepStrictEqual(
+      round([frame.frame.texts.item(0).leading]),
+      [14.173]
+    );
+  });
+
+  it("sets text on the path of any shape", () => {
+    const ring = lib._circle(100, 100, 200);
+    const onRing = lib
+      ._textOnPath(ring, "Those who walk away", { align: "center" })
+      .fontSize(18)
+      .fontName("Helvetica")
+      .fontColor("#FF4500");
+    const text = onRing.textPath.texts.item(0);
+    assert.strictEqual(onRing.shape, ring.circle);
+    assert.strictEqual(onRing.item, ring.circle.textPaths.item(0));
+    assert.strictEqual(onRing.textPath.contents, "Those who walk away");
+    assert.strictEqual(text.justification, "Justification.CENTER_ALIGN");
+    assert.strictEqual(text.pointSize, 18);
+    assert.strictEqual(text.appliedFont, "Helvetica");
+    assert.deepStrictEqual(plain(text.fillColor.colorValue), [255, 69, 0]);
+    assert.strictEqual(onRing.words().length, 4);
+
+    const line = lib._line(0, 0, 100, 0).line;
+    const onLine = lib._textOnPath(line, "Waves", {
+      effect: "Stair Step",
+      flip: true,
+      startOffset: 12,
+    }).textPath;
+    assert.strictEqual(onLine.pathEffect, "PathEffect.STAIR_STEP_PATH_EFFECT");
+    assert.strictEqual(onLine.flipPathEffect, "FlipValues.FLIPPED");
+    assert.strictEqual(onLine.startBracket, 12);
+  });
+
+  it("reports invalid text on path options", () => {
+    const ring = lib._ellipse(100, 100, 200, 100);
+    assert.strictEqual(lib._textOnPath(ring, "Hi", { effect: "wobble" }), null);
+    assert.strictEqual(ring.ellipse.textPaths.length, 0);
+    assert.strictEqual(lib._textOnPath(null, "Hi"), null);
+    assert.deepStrictEqual(lib.alerts, [
+      "Error setting text on path: Invalid path effect value: wobble. Valid values are: rainbow, skew, ribbon, stairStep, gravity",
+      "Error setting text on path: Text can only be set on a shape with a path",
+    ]);
+  });
+
+  it("flows a story across new pages until it fits", () => {
+    const text = "x".repeat(250);
+    const essay = lib._story(text, { frameBounds: [0, 0, 100, 100] });
+    const doc = lib._doc();
+    assert.strictEqual(essay.frames.length, 3);
+    assert.strictEqual(doc.pages.length, 3);
+    assert.strictEqual(lib._currentPage(), doc.pages.item(2));
+    assert.strictEqual(essay.frames[2].parentPage, doc.pages.item(2));
+    assert.strictEqual(essay.frames[0].nextTextFrame, essay.frames[1]);
+    assert.strictEqual(essay.story.contents, text);
+    // Composed before every overflow check, and again by overset()
+    assert.strictEqual(essay.story.recomposed, 3);
+    assert.strictEqual(essay.overset(), false);
+    assert.strictEqual(essay.story.recomposed, 4);
+  });
+
+  it("fills the page margins and applies a paragraph style", () => {
+    lib = loadLib({ files: { "/text/essay.txt": "Omelas" } });
+    const body = lib._paragraphStyle("Body", { pointSize: 10 });
+    const essay = lib._story(lib.File("/text/essay.txt"), { style: "Body" });
+    assert.strictEqual(essay.story.contents, "Omelas");
+    assert.strictEqual(essay.story.texts.item(0).appliedParagraphStyle, body);
+    assert.deepStrictEqual(
+      plain(essay.frames[0].geometricBounds),
+      [36, 36, 756, 576]
+    );
+    assert.strictEqual(lib._story("/text/essay.txt").story.contents, "Omelas");
+    assert.strictEqual(
+      lib._story("/text/other.txt").story.contents,
+      "/text/other.txt"
+    );
+  });
+
+  it("reports overset text", () => {
+    const essay = lib._story("x".repeat(500), {
+      frameBounds: [0, 0, 100, 100],
+      maxPages: 2,
+    });
+    assert.strictEqual(essay.frames.length, 2);
+    assert.strictEqual(essay.overset(), true);
+    assert.strictEqual(lib._isOverset(essay.frames[1]), true);
+    assert.strictEqual(lib._isOverset(essay.frames[0]), false);
+
+    const small = lib._textFrame(0, 0, 10, 10, "Too long");
+    assert.strictEqual(small.overset(), true);
+    assert.strictEqual(lib._isOverset(small), true);
+
+    assert.strictEqual(lib._story(lib.File("/missing.txt")), null);
+    assert.deepStrictEqual(lib.alerts, [
+      "Error creating story: File not found: /missing.txt",
+    ]);
+  });
+});
+
+describe("styles", () => {
+  let lib;
+  beforeEach(() => {
+    lib = loadLib();
+  });
+
+  it("creates paragraph styles and updates them in place", () => {
+    const body = lib._paragraphStyle("Body", { pointSize: 10, leading: 14 });
+    const text = lib._textFrame(0, 0, 200, 50, "Omelas").paragraphStyle("Body");
+    assert.strictEqual(text.frame.texts.item(0).appliedParagraphStyle, body);
+
+    const updated = lib._paragraphStyle("Body", { pointSize: 12 });
+    assert.strictEqual(updated, body);
+    assert.strictEqual(body.isValid, true);
+    assert.strictEqual(body.pointSize, 12);
+    assert.strictEqual(body.leading, 14);
+    assert.strictEqual(lib._doc().paragraphStyles.length, 2);
+  });
+
+  it("links paragraph styles with basedOn and nextStyle", () => {
+    const body = lib._paragraphStyle("Body", { pointSize: 10 });
+    const heading = lib._paragraphStyle(
+      "Heading",
+      { pointSize: 24, fillColor: "#FF4500" },
+      { basedOn: "Body", nextStyle: body }
+    );
+    assert.strictEqual(heading.basedOn, body);
+    assert.strictEqual(heading.nextStyle, body);
+    assert.deepStrictEqual(plain(heading.fillColor.colorValue), [255, 69, 0]);
+  });
+
+  it("creates object styles and applies them to shapes", () => {
+    const card = lib._objectStyle("Card", { strokeWeight: 0.5 });
+    const rect = lib._rect(0, 0, 100, 100).objectStyle("Card");
+    assert.strictEqual(rect.rect.appliedObjectStyle, card);
+
+    const outlined = lib._objectStyle(
+      "Outlined",
+      { strokeColor: "black" },
+      { basedOn: card }
+    );
+    assert.strictEqual(outlined.basedOn, card);
+    assert.strictEqual(lib._objectStyle("Card", { strokeWeight: 2 }), card);
+    assert.strictEqual(card.strokeWeight, 2);
+    assert.strictEqual(lib._setObjectStyle(rect.rect, outlined), true);
+    assert.strictEqual(rect.rect.appliedObjectStyle, outlined);
+  });
+
+  it("reports missing styles", () => {
+    const text = lib._textFrame(0, 0, 200, 50, "Omelas");
+    text.paragraphStyle("Missing");
+    assert.strictEqual(lib._setObjectStyle(text.frame, "Missing"), false);
+    assert.strictEqual(
+      lib._paragraphStyle("Heading", {}, { basedOn: "Missing" }),
+      null
+    );
+    assert.strictEqual(lib._objectStyle(""), null);
+    assert.deepStrictEqual(lib.alerts, [
+      "Error setting paragraph style: Paragraph style not found: Missing",
+      "Error setting object style: Object style not found: Missing",
+      "Error creating paragraph style: Paragraph style not found: Missing",
+      "Error creating object style: A style needs a name",
+    ]);
+  });
+});
+
+describe("tables", () => {
+  let lib;
+  beforeEach(() => {
+    lib = loadLib({
+      files: { "/data/prices.csv": 'Item;Price\nBread;$4\n"Milk; whole";$2\n' },
+    });
+  });
+
+  const cellText = (table) =>
+    Array.from(table.rows.toArray(), (row) =>
+      Array.from(row.cells.toArray(), (cell) => cell.contents)
+    );
+
+  it("builds a table from rows of values", () => {
+    const rows = lib.evaluate(
+      '[["Item", "Price", "Stock"], ["Bread", 4], ["Milk", 2, null]]'
+    );
+    const prices = lib._table(36, 72, 300, rows);
+    const table = prices.table;
+    assert.strictEqual(table.headerRowCount, 1);
+    assert.strictEqual(table.bodyRowCount, 2);
+    assert.strictEqual(table.columnCount, 3);
+    assert.deepStrictEqual(cellText(table), [
+      ["Item", "Price", "Stock"],
+      ["Bread", "4", ""],
+      ["Milk", "2", ""],
+    ]);
+    assert.deepStrictEqual(
+      Array.from(table.columns.toArray(), (column) => column.width),
+      [100, 100, 100]
+    );
+    assert.deepStrictEqual(
+      plain(prices.frame.geometricBounds),
+      [72, 36, 132, 336]
+    );
+    assert.strictEqual(prices.frame.fitted, "FitOptions.FRAME_TO_CONTENT");
+  });
+
+  it("reads CSV files and applies styles and stripes", () => {
+    const header = lib._cellStyle("Header", { fillColor: "#222222" });
+    const body = lib._cellStyle("Body Cell", {}, { basedOn: "[None]" });
+    const prices = lib._table(0, 0, 200, "/data/prices.csv", {
+      delimiter: ";",
+      headerRows: 0,
+      columnWidths: lib.evaluate("[150, 50]"),
+      cellStyle: "Body Cell",
+      headerStyle: header,
+      stripe: "#EEEEEE",
+    });
+    const table = prices.table;
+    assert.strictEqual(table.headerRowCount, 0);
+    assert.deepStrictEqual(cellText(table), [
+      ["Item", "Price"],
+      ["Bread", "$4"],
+      ["Milk; whole", "$2"],
+    ]);
+    assert.deepStrictEqual(
+      Array.from(table.columns.toArray(), (column) => column.width),
+      [150, 50]
+    );
+    assert.strictEqual(header.fillColor.name, "#222222");
+    const rows = table.rows.toArray();
+    assert.strictEqual(rows[0].cells.item(1).appliedCellStyle, body);
+    assert.strictEqual(rows[0].cells.item(0).fillColor, undefined);
+    assert.deepStrictEqual(
+      plain(rows[1].cells.item(0).fillColor.colorValue),
+      [238, 238, 238]
+    );
+    assert.strictEqual(rows[2].cells.item(0).fillColor, undefined);
+  });
+
+  it("styles rows, columns and cells", () => {
+    const rows = lib.evaluate('[["Item", "Price"], ["Bread", "$4"]]');
+    const prices = lib._table(0, 0, 200, rows, { headerStyle: "[None]" });
+    const header = prices.row(0).fillColor("black").fontColor("white");
+    assert.strictEqual(header.cells.length, 2);
+    prices.column(1).fontSize(8);
+    prices.cell(1, 0).fillColor("#FF0000").cellStyle("[None]");
+
+    const cells = prices.table.rows.toArray().map((row) => row.cells.toArray());
+    assert.strictEqual(
+      cells[0][0].appliedCellStyle,
+      lib._doc().cellStyles.item(0)
+    );
+    assert.deepStrictEqual(plain(cells[0][1].fillColor.colorValue), [0, 0, 0]);
+    assert.deepStrictEqual(
+      plain(cells[0][0].texts.item(0).fillColor.colorValue),
+      [255, 255, 255]
+    );
+    assert.strictEqual(cells[1][1].texts.item(0).pointSize, 8);
+    assert.strictEqual(cells[1][0].texts.item(0).pointSize, undefined);
+    assert.deepStrictEqual(
+      plain(cells[1][0].fillColor.colorValue),
+      [255, 0, 0]
+    );
+    assert.strictEqual(cells[1][0].appliedCellStyle.name, "[None]");
+  });
+
+  it("reports invalid tables", () => {
+    const rows = lib.evaluate('[["a", "b"]]');
+    assert.strictEqual(lib._table(0, 0, 100, lib.evaluate("[]")), null);
+    assert.strictEqual(
+      lib._table(0, 0, 100, rows, { columnWidths: lib.evaluate("[100]") }),
+      null
+    );
+    assert.strictEqual(
+      lib._table(0, 0, 100, rows, { cellStyle: "Nope" }),
+      null
+    );
+    assert.strictEqual(lib._table(0, 0, 100, "/data/missing.csv"), null);
+    assert.strictEqual(lib._doc().pages.item(0).textFrames.length, 0);
+    assert.deepStrictEqual(lib.alerts, [
+      "Error creating table: A table needs at least one row",
+      "Error creating table: columnWidths has 1 widths for 2 columns",
+      "Error creating table: Cell style not found: Nope",
+      "Error creating table: File not found: /data/missing.csv",
+    ]);
+  });
+});
+
+describe("images", () => {
+  let lib;
+  beforeEach(() => {
+    lib = loadLib({ files: { "/images/a.png": "" } });
+  });
+
+  it("places images in a frame of the given size", () => {
+    const image = lib._image("/images/a.png", 10, 10, 200, 150);
+    assert.deepStrictEqual(
+      plain(image.frame.geometricBounds),
+      [10, 10, 160, 210]
+    );
+    assert.strictEqual(image.frame.placed.fsName, "/images/a.png");
+    assert.strictEqual(image.frame.fitted, "FitOptions.FILL_PROPORTIONALLY");
+    assert.strictEqual(image.frame.strokeWeight, 0);
+  });
+
+  it("sets the blend mode and text wrap", () => {
+    const image = lib._image("/images/a.png", 0, 0, 10, 10);
+    image.blendMode("multiply");
+    image.textWrap(6);
+    assert.strictEqual(
+      image.frame.transparencySettings.blendingSettings.blendMode,
+      "BlendMode.MULTIPLY"
+    );
+    assert.deepStrictEqual(
+      plain(image.frame.textWrapPreferences.textWrapOffset),
+      [6, 6, 6, 6]
+    );
+  });
+
+  it("fits images with named modes", () => {
+    const image = lib._image("/images/a.png", 0, 0, 200, 100);
+    const modes = {
+      cover: "FILL_PROPORTIONALLY",
+      contain: "PROPORTIONALLY",
+      fill: "CONTENT_TO_FRAME",
+      frameToContent: "FRAME_TO_CONTENT",
+      center: "CENTER_CONTENT",
+    };
+    Object.keys(modes).forEach((mode) => {
+      image.fit(mode);
+      assert.strictEqual(image.frame.fitted, "FitOptions." + modes[mode]);
+    });
+    image.fit();
+    assert.strictEqual(image.frame.fitted, "FitOptions.FILL_PROPORTIONALLY");
+  });
+
+  it("crops around a focal point with scale and offset", () => {
+    const image = lib._image("/images/a.png", 0, 0, 200, 100);
+    const graphic = image.frame.graphics[0];
+    // A square image filling the wide frame, centered
+    graphic.geometricBounds = [-50, 0, 150, 200];
+
+    image.fit("cover", { focal: [0.5, 0] });
+    assert.deepStrictEqual(plain(graphic.geometricBounds), [0, 0, 200, 200]);
+    image.fit("cover", { focal: [0.5, 1], offset: [5, 10] });
+    assert.deepStrictEqual(plain(graphic.geometricBounds), [-90, 5, 110, 205]);
+
+    image.fit("contain", { scale: 1.5 });
+    assert.strictEqual(graphic.horizontalScale, 150);
+    assert.strictEqual(graphic.verticalScale, 150);
+    image.fit("frameToContent", { focal: [0, 0], scale: 2 });
+    assert.strictEqual(graphic.horizontalScale, 300);
+    assert.deepStrictEqual(plain(graphic.geometricBounds), [-50, 0, 150, 200]);
+  });
+
+  it("reports invalid fit settings", () => {
+    const image = lib._image("/images/a.png", 0, 0, 200, 100);
+    assert.strictEqual(lib._fitImage(image.frame, "stretch"), false);
+    assert.strictEqual(
+      lib._fitImage(image.frame, "cover", { focal: [1.5, 0] }),
+      false
+    );
+    assert.strictEqual(
+      lib._fitImage(image.frame, "cover", { scale: 0 }),
+      false
+    );
+    assert.strictEqual(lib._fitImage(lib._rect(0, 0, 10, 10).rect), true);
+    assert.deepStrictEqual(lib.alerts, [
+      "Error fitting image: Invalid fit mode: stretch. Valid modes are: cover, contain, fill, frameToContent, center",
+      "Error fitting image: Focal point x must be a number between 0 and 1 (got 1.5)",
+      "Error fitting image: Scale must be a number greater than 0 (got 0)",
+    ]);
+  });
+
+  it("places a folder of images across grid cells and pages", () => {
+    lib = loadLib({
+      files: {
+        "/shoot/img10.jpg": "",
+        "/shoot/img2.JPG": "",
+        "/shoot/img1.png": "",
+        "/shoot/notes.txt": "",
+        "/shoot/raw/img3.jpg": "",
+        "/shoot/cover.psd": "",
+        "/shoot/img02b.tif": "",
+      },
+    });
+    const images = lib._imageFolder("/shoot", {
+      grid: { rows: 1, cols: 2, gutter: 20, order: "reverse" },
+    });
+    const names = Array.from(images, (image) => image.frame.placed.name);
+    assert.deepStrictEqual(names, [
+      "cover.psd",
+      "img1.png",
+      "img2.JPG",
+      "img02b.tif",
+      "img10.jpg",
+    ]);
+    const doc = lib._doc();
+    assert.strictEqual(doc.pages.length, 3);
+    assert.strictEqual(lib._currentPage(), doc.pages.item(2));
+    // Cells are filled right to left
+    assert.deepStrictEqual(
+      plain(images[0].frame.geometricBounds),
+      [36, 316, 756, 576]
+    );
+    assert.deepStrictEqual(
+      plain(images[1].frame.geometricBounds),
+      [36, 36, 756, 296]
+    );
+    assert.strictEqual(images[2].frame.parentPage, doc.pages.item(1));
+    assert.strictEqual(images[4].frame.parentPage, doc.pages.item(2));
+  });
+
+  it("filters, sorts and fits the images of a folder", () => {
+    lib = loadLib({
+      files: { "/shoot/b.jpg": "", "/shoot/a.gif": "", "/shoot/c.png": "" },
+    });
+    const images = lib._imageFolder("/shoot", {
+      extensions: lib.evaluate('[".jpg", "PNG"]'),
+      sort: (a, b) => (a.name < b.name ? 1 : -1),
+      fit: "contain",
+    });
+    assert.deepStrictEqual(
+      Array.from(images, (image) => image.frame.placed.name),
+      ["c.png", "b.jpg"]
+    );
+    assert.strictEqual(images[0].frame.fitted, "FitOptions.PROPORTIONALLY");
+
+    const cropped = lib._imageFolder("/shoot", { focal: [0, 0] });
+    assert.strictEqual(
+      cropped[0].frame.fitted,
+      "FitOptions.FILL_PROPORTIONALLY"
+    );
+    // The default grid is 3 x 3
+    assert.deepStrictEqual(
+      round(images[0].frame.geometricBounds),
+      [36, 36, 276, 216]
+    );
+
+    lib._randomSeed(7);
+    const shuffled = lib._imageFolder("/shoot", { sort: "random" });
+    assert.strictEqual(shuffled.length, 3);
+
+    assert.strictEqual(lib._imageFolder("/missing"), null);
+    assert.strictEqual(
+      lib._imageFolder("/shoot", { extensions: ["tif"] }),
+      null
+    );
+    assert.strictEqual(lib._imageFolder("/shoot", { sort: "size" }), null);
+    assert.deepStrictEqual(lib.alerts, [
+      "Error placing image folder: Folder not found: /missing",
+      "Error placing image folder: No images found in /shoot",
+      "Error placing image folder: Invalid sort: size. Valid sorts are: name, random",
+    ]);
+  });
+});
+
+describe("effects", () => {
+  let lib;
+  beforeEach(() => {
+    lib = loadLib({ files: { "/images/a.png": "" } });
+  });
+
+  it("adds chainable effect methods to every wrapper", () => {
+    const wrappers = [
+      [lib._rect(0, 0, 100, 100), "rect"],
+      [lib._circle(0, 0, 50), "circle"],
+      [lib._ellipse(50, 50, 100, 60), "ellipse"],
+      [lib._polygon(0, 0, 100, 100, 6), "polygon"],
+      [lib._line(0, 0, 100, 100), "line"],
+      [lib._textFrame(0, 0, 100, 100, "Hi"), "frame"],
+      [lib._image("/images/a.png", 0, 0, 100, 100), "frame"],
+    ];
+    for (const [wrapper, key] of wrappers) {
+      assert.strictEqual(
+        wrapper.opacity(40).blendMode("softLight").feather({ width: 4 }),
+        wrapper,
+        key
+      );
+      const settings = wrapper[key].transparencySettings;
+      assert.strictEqual(settings.blendingSettings.opacity, 40, key);
+      assert.strictEqual(
+        settings.blendingSettings.blendMode,
+        "BlendMode.SOFT_LIGHT",
+        key
+      );
+      assert.strictEqual(settings.featherSettings.width, 4, key);
+    }
+  });
+
+  it("accepts blend mode names in any case", () => {
+    const rect = lib._rect(0, 0, 10, 10);
+    for (const name of ["colorDodge", "color-dodge", "COLOR_DODGE"]) {
+      assert.strictEqual(lib._setBlendMode(rect.rect, name), true);
+      assert.strictEqual(
+        rect.rect.transparencySettings.blendingSettings.blendMode,
+        "BlendMode.COLOR_DODGE"
+      );
+    }
+    const image = lib._image("/images/a.png", 0, 0, 10, 10);
+    assert.strictEqual(lib._setImageBlendMode(image.frame, "hardLight"), true);
+    assert.strictEqual(lib._setBlendMode(rect.rect, "glow"), false);
+    assert.deepStrictEqual(lib.alerts, [
+      "Error setting blend mode: Invalid blend mode value: glow",
+    ]);
+  });
+
+  it("adds and removes a drop shadow", () => {
+    const rect = lib._rect(0, 0, 100, 100).dropShadow({
+      color: "#914E72",
+      opacity: 50,
+      blendMode: "multiply",
+      distance: 6,
+      angle: 135,
+      size: 8,
+    });
+    const shadow = rect.rect.transparencySettings.dropShadowSettings;
+    assert.strictEqual(shadow.mode, "ShadowMode.DROP");
+    assert.strictEqual(shadow.effectColor.name, "#914E72");
+    assert.strictEqual(shadow.blendMode, "BlendMode.MULTIPLY");
+    assert.strictEqual(shadow.distance, 6);
+    assert.strictEqual(shadow.angle, 135);
+    assert.strictEqual(shadow.useGlobalLight, false);
+    assert.strictEqual(shadow.size, 8);
+    rect.dropShadow(false);
+    assert.strictEqual(shadow.mode, "ShadowMode.NONE");
+  });
+
+  it("adds glows and feathers", () => {
+    const circle = lib
+      ._circle(0, 0, 50)
+      .innerGlow({ technique: "precise", source: "center", choke: 20 })
+      .outerGlow({ color: "tomato", size: 18, spread: 10 })
+      .directionalFeather({ bottom: 72, shape: "all", choke: 5 });
+    const settings = circle.circle.transparencySettings;
+    assert.strictEqual(settings.innerGlowSettings.applied, true);
+    assert.strictEqual(
+      settings.innerGlowSettings.technique,
+      "GlowTechnique.PRECISE"
+    );
+    assert.strictEqual(
+      settings.innerGlowSettings.source,
+      "InnerGlowSource.CENTER_SOURCED"
+    );
+    assert.strictEqual(settings.innerGlowSettings.choke, 20);
+    assert.strictEqual(settings.outerGlowSettings.applied, true);
+    assert.strictEqual(settings.outerGlowSettings.effectColor.name, "tomato");
+    assert.strictEqual(settings.directionalFeatherSettings.applied, true);
+    assert.strictEqual(settings.directionalFeatherSettings.bottomWidth, 72);
+    assert.strictEqual(
+      settings.directionalFeatherSettings.followShapeMode,
+      "FollowShapeModeOptions.ALL_EDGES"
+    );
+    assert.strictEqual(settings.directionalFeatherSettings.chokeAmount, 5);
+    circle.feather({ corners: "rounded" }).feather(false);
+    assert.strictEqual(
+      settings.featherSettings.cornerType,
+      "FeatherCornerType.ROUNDED"
+    );
+    assert.strictEqual(settings.featherSettings.mode, "FeatherMode.NONE");
+  });
+
+  it("validates effect options with clear errors", () => {
+    const rect = lib._rect(0, 0, 100, 100);
+    rect
+      .opacity(120)
+      .dropShadow({ size: 200 })
+      .outerGlow({ blur: 4 })
+      .innerGlow({ technique: "fuzzy" })
+      .feather({ width: "wide" });
+    assert.deepStrictEqual(lib.alerts, [
+      "Error setting opacity: Opacity must be a number between 0 and 100 (got 120)",
+      "Error setting drop shadow: Size must be a number between 0 and 144 (got 200)",
+      "Error setting outer glow: Unknown outer glow option: blur. Valid options are: color, opacity, blendMode, technique, size, spread, noise",
+      "Error setting inner glow: Invalid technique value: fuzzy. Valid values are: softer, precise",
+      "Error setting feather: Width must be a number between 0 and 144 (got wide)",
+    ]);
+    const settings = rect.rect.transparencySettings;
+    assert.strictEqual(settings.blendingSettings.opacity, undefined);
+    assert.strictEqual(settings.dropShadowSettings.mode, undefined);
+  });
+});
+
+describe("grid", () => {
+  let lib;
+  beforeEach(() => {
+    lib = loadLib();
+  });
+
+  it("divides the margin area into cells", () => {
+    const grid = lib._grid({ rows: 2, cols: 3, gutter: 12 });
+    assert.strictEqual(grid.cells.length, 6);
+    const cell = grid.cell(1, 2);
+    assert.deepStrictEqual(
+      round([cell.x, cell.y, cell.width, cell.height, cell.cx, cell.cy]),
+      [404, 402, 172, 354, 490, 579]
+    );
+    assert.strictEqual(cell.index, 5);
+  });
+
+  it("lays out the page and bleed areas", () => {
+    assert.strictEqual(lib._grid({ bounds: "page" }).width, 612);
+    const bleed = lib._grid({ bounds: "bleed" });
+    assert.deepStrictEqual([bleed.x, bleed.y, bleed.width], [-9, -9, 630]);
+  });
+
+  it("spans cells", () => {
+    const span = lib._grid({ rows: 2, cols: 2, gutter: 10 }).span(0, 0, 2, 2);
+    assert.deepStrictEqual(
+      [span.x, span.y, span.width, span.height],
+      [36, 36, 540, 720]
+    );
+  });
+
+  it("iterates cells in several orders", () => {
+    const grid = lib._grid({ rows: 2, cols: 3 });
+    const indices = (order) => plain(grid.ordered(order)).map((c) => c.index);
+    assert.deepStrictEqual(indices("rows"), [0, 1, 2, 3, 4, 5]);
+    assert.deepStrictEqual(indices("columns"), [0, 3, 1, 4, 2, 5]);
+    assert.deepStrictEqual(indices("snake"), [0, 1, 2, 5, 4, 3]);
+    assert.deepStrictEqual(indices("random").sort(), [0, 1, 2, 3, 4, 5]);
+  });
+
+  it("draws the grid as guides", () => {
+    lib._grid({ rows: 2, cols: 2 }).guides();
+    assert.strictEqual(lib._currentPage().guides.length, 8);
+  });
+
+  it("rejects invalid grids", () => {
+    assert.strictEqual(lib._grid({ rows: 0, cols: 2 }), null);
+    assert.strictEqual(lib._grid({ rows: 2, cols: 2, bounds: "spread" }), null);
+    assert.strictEqual(lib._grid({ rows: 1, cols: 100, gutter: 10 }), null);
+    assert.deepStrictEqual(lib.alerts, [
+      "Error creating grid: Rows and columns must be whole numbers of 1 or more",
+      "Error creating grid: Invalid grid bounds: spread",
+      "Error creating grid: Gutters leave no room for the grid cells",
+    ]);
+  });
+});
+
+describe("random", () => {
+  let lib;
+  beforeEach(() => {
+    lib = loadLib();
+  });
+
+  function sample() {
+    return [
+      lib._random(0, 100),
+      lib._randomFloat(0, 1),
+      lib._randomGaussian(10, 2),
+      lib._randomChoice(lib.evaluate("['a', 'b', 'c']")),
+      plain(lib._shuffle(lib.evaluate("[1, 2, 3, 4, 5]"))),
+    ];
+  }
+
+  it("repeats the same sequence for the same seed", () => {
+    lib._randomSeed(42);
+    const first = sample();
+    lib._randomSeed(42);
+    assert.deepStrictEqual(sample(), first);
+    lib._randomSeed(43);
+    assert.notDeepStrictEqual(sample(), first);
+  });
+
+  it("records the seed on the document", () => {
+    lib._randomSeed(1234);
+    assert.strictEqual(lib._doc().extractLabel("randomSeed"), "1234");
+    assert.strictEqual(lib._recordedSeed(), 1234);
+  });
+
+  it("seeds itself and records the seed on first use", () => {
+    lib._random(0, 10);
+    assert.notStrictEqual(lib._recordedSeed(), null);
+  });
+
+  it("stays within range", () => {
+    lib._randomSeed(7);
+    for (let i = 0; i < 200; i++) {
+      const value = lib._random(3, 6);
+      assert.ok(value >= 3 && value < 6);
+    }
+  });
+
+  it("positions frames randomly inside the bounds", () => {
+    lib._randomSeed(7);
+    const rect = lib._rect(0, 0, 100, 50);
+    assert.strictEqual(lib._randomPosFrame(rect.rect, 500, 700, 10), true);
+    const [top, left, bottom, right] = plain(rect.rect.geometricBounds);
+    assert.ok(left >= 10 && right <= 490 && top >= 10 && bottom <= 690);
+    assert.strictEqual(lib._randomPosFrame(rect.rect, 50, 50), false);
+  });
+});
+
+describe("noise", () => {
+  let lib;
+  beforeEach(() => {
+    lib = loadLib();
+  });
+
+  function sample() {
+    const values = [];
+    for (let i = 0; i < 20; i++) {
+      values.push(lib._noise(i * 0.37, i * 0.11, 2.5));
+    }
+    return values;
+  }
+
+  it("repeats the same values for the same seed", () => {
+    lib._noiseSeed(5);
+    const first = sample();
+    lib._noiseSeed(5);
+    assert.deepStrictEqual(sample(), first);
+    lib._noiseSeed(6);
+    assert.notDeepStrictEqual(sample(), first);
+  });
+
+  it("is seeded from the random generator by default", () => {
+    lib._randomSeed(42);
+    const first = sample();
+    lib = loadLib();
+    lib._randomSeed(42);
+    assert.deepStrictEqual(sample(), first);
+  });
+
+  it("does not disturb the random sequence", () => {
+    lib._randomSeed(3);
+    const expected = lib._randomFloat(0, 1);
+    lib._randomSeed(3);
+    lib._noiseSeed(8);
+    assert.strictEqual(lib._randomFloat(0, 1), expected);
+  });
+
+  it("stays between 0 and 1 and changes smoothly", () => {
+    lib._noiseSeed(1);
+    let previous = lib._noise(0);
+    for (let x = 0.01; x < 20; x += 0.01) {
+      const value = lib._noise(x, 3.2);
+      assert.ok(value >= 0 && value < 1);
+      const next = lib._noise(x);
+      assert.ok(Math.abs(next - previous) < 0.05);
+      previous = next;
+    }
+  });
+
+  it("treats missing coordinates as zero", () => {
+    lib._noiseSeed(2);
+    assert.strictEqual(lib._noise(1.5), lib._noise(1.5, 0, 0));
+  });
+
+  it("uses the octaves and falloff from _noiseDetail", () => {
+    lib._noiseSeed(4);
+    const detailed = lib._noise(3.3);
+    lib._noiseDetail(1);
+    // A single octave at half strength passes through the lattice values
+    assert.ok(lib._noise(3) <= 0.5);
+    assert.notStrictEqual(lib._noise(3.3), detailed);
+    lib._noiseDetail(4, 0.5);
+    assert.strictEqual(lib._noise(3.3), detailed);
+    // Non-positive settings are ignored
+    lib._noiseDetail(0, 0);
+    assert.strictEqual(lib._noise(3.3), detailed);
+  });
+});
+
+describe("data merge", () => {
+  const files = {
+    "/data/badges.csv":
+      'name,photo\n"Ashiatey, Alvin",alvin.png\nAda,missing.png\n',
+    "/data/alvin.png": "",
+    "/data/cards.json":
+      '[{"title": "One"}, {"title": "Two"}, {"title": "Three"}]',
+  };
+  let lib;
+  beforeEach(() => {
+    lib = loadLib({ files });
+  });
+
+  it("parses quoted CSV", () => {
+    assert.deepStrictEqual(plain(lib._parseCSV('a,b\n"1,2","say ""hi"""\n')), [
+      { a: "1,2", b: 'say "hi"' },
+    ]);
+    assert.throws(() => lib._parseCSV('a\n"open'), /Unterminated/);
+  });
+
+  it("adds a page per record and reports failures", () => {
+    const names = [];
+    const report = lib._dataMerge("/data/badges.csv", (record, merge) => {
+      names.push(record.name);
+      lib._textFrame(0, 0, 100, 20, record.name);
+      merge.image("photo", 0, 30, 100, 100);
+    });
+    assert.deepStrictEqual(names, ["Ashiatey, Alvin", "Ada"]);
+    assert.strictEqual(lib._doc().pages.length, 2);
+    assert.strictEqual(
+      lib._doc().pages.item(0).rectangles.item(0).placed.fsName,
+      "/data/alvin.png"
+    );
+    assert.strictEqual(report.records, 2);
+    assert.strictEqual(report.failed.length, 1);
+    assert.strictEqual(report.failed[0].index, 1);
+    assert.strictEqual(
+      report.failed[0].error,
+      "Image not found: /data/missing.png"
+    );
+    assert.match(lib.alerts[0], /1 of 2 records failed/);
+  });
+
+  it("records the errors of failed constructors instead of alerting", () => {
+    const report = lib._dataMerge("/data/badges.csv", (record, merge) => {
+      lib._textFrame(0, 0, 100, 20, record.name);
+      if (merge.index === 1) {
+        lib._rect(0, 0, "1furlong", 10);
+      }
+    });
+    assert.strictEqual(report.failed.length, 1);
+    assert.strictEqual(report.failed[0].index, 1);
+    assert.strictEqual(
+      report.failed[0].error,
+      "Error creating rectangle: Invalid unit: furlong. Valid units are: pt, px, mm, cm, inch, p, pc, ag, c"
+    );
+    assert.strictEqual(lib.alerts.length, 1);
+    assert.match(lib.alerts[0], /1 of 2 records failed/);
+
+    // Alerts show again once the merge is done
+    lib._rect(0, 0, "1furlong", 10);
+    assert.strictEqual(lib.alerts.length, 2);
+  });
+
+  it("reports an image that cannot be placed once, with its record", () => {
+    const report = lib._dataMerge("/data/badges.csv", (record, merge) =>
+      merge.image("photo", 0, 30, "1furlong", 100)
+    );
+    assert.strictEqual(report.failed.length, 2);
+    assert.strictEqual(
+      report.failed[0].error,
+      "Invalid unit: furlong. Valid units are: pt, px, mm, cm, inch, p, pc, ag, c"
+    );
+    assert.strictEqual(lib.alerts.length, 1);
+    assert.match(lib.alerts[0], /2 of 2 records failed/);
+  });
+
+  it("puts several JSON records on a page", () => {
+    const slots = [];
+    const report = lib._dataMerge(
+      "/data/cards.json",
+      (record, merge) =>
+        slots.push([record.title, merge.slot, merge.page.documentOffset]),
+      { perPage: 2 }
+    );
+    assert.deepStrictEqual(slots, [
+      ["One", 0, 0],
+      ["Two", 1, 0],
+      ["Three", 0, 1],
+    ]);
+    assert.strictEqual(report.pages.length, 2);
+    assert.strictEqual(report.failed.length, 0);
+  });
+
+  it("alerts when the data file is missing", () => {
+    assert.strictEqual(
+      lib._dataMerge("/data/nope.csv", () => {}),
+      null
+    );
+    assert.deepStrictEqual(lib.alerts, [
+      "Error merging data: File not found: /data/nope.csv",
+    ]);
+  });
+});
+
+describe("export", () => {
+  let lib;
+  beforeEach(() => {
+    lib = loadLib();
+  });
+
+  it("exports PDFs with a preset and marks", () => {
+    lib.app.pdfExportPresets.add({
+      name: "Proof",
+      cropMarks: false,
+      useDocumentBleedWithPDF: false,
+      exportReaderSpreads: true,
+    });
+    lib._randomSeed(5);
+    const file = lib._exportPDF("/out/{name}-{seed}.pdf", {
+      preset: "Proof",
+      bleed: true,
+      marks: true,
+    });
+    assert.strictEqual(file.fsName, "/out/Untitled-1-5.pdf");
+    const exported = lib._doc().exported[0];
+    assert.strictEqual(exported.format, "ExportFormat.PDF_TYPE");
+    // The preset's settings are copied, and the explicit options win over them
+    const prefs = exported.pdfExportPreferences;
+    assert.strictEqual(prefs.exportReaderSpreads, true);
+    assert.strictEqual(prefs.name, undefined);
+    assert.strictEqual(prefs.pageRange, "PageRange.ALL_PAGES");
+    assert.strictEqual(prefs.cropMarks, true);
+    assert.strictEqual(prefs.useDocumentBleedWithPDF, true);
+  });
+
+  it("does not carry PDF settings over to later exports", () => {
+    lib._addPage();
+    const defaults = plain(lib.app.pdfExportPreferences.properties);
+    lib._exportPDF("/out/a.pdf", {
+      preset: "[Press Quality]",
+      pages: "2",
+      bleed: true,
+      marks: true,
+    });
+    lib._exportPDF("/out/b.pdf");
+    const [first, second] = lib._doc().exported;
+    assert.strictEqual(first.pdfExportPreferences.pageRange, "+2");
+    assert.strictEqual(first.pdfExportPreferences.bleedMarks, true);
+    assert.deepStrictEqual(plain(second.pdfExportPreferences), defaults);
+    assert.deepStrictEqual(
+      plain(lib.app.pdfExportPreferences.properties),
+      defaults
+    );
+  });
+
+  it("exports PDF page ranges as page positions", () => {
+    lib._addPage();
+    lib._addPage();
+    lib._exportPDF("/out/a.pdf", { pages: "2-3" });
+    lib._exportPDF("/out/b.pdf", { pages: lib.evaluate("[1, 3]") });
+    const [a, b] = lib._doc().exported;
+    assert.strictEqual(a.pdfExportPreferences.pageRange, "+2,+3");
+    assert.strictEqual(b.pdfExportPreferences.pageRange, "+1,+3");
+    assert.strictEqual(lib._exportPDF("/out/c.pdf", { pages: "4" }), null);
+    assert.deepStrictEqual(lib.alerts, [
+      "Error exporting PDF: Page 4 does not exist",
+    ]);
+  });
+
+  it("alerts on an unknown PDF preset", () => {
+    assert.strictEqual(lib._exportPDF("/out/a.pdf", { preset: "Nope" }), null);
+    assert.deepStrictEqual(lib.alerts, [
+      "Error exporting PDF: PDF export preset not found: Nope",
+    ]);
+  });
+
+  it("exports one image per page", () => {
+    lib._addPage();
+    lib._addPage();
+    const files = lib._exportImage("/out/page-{page}.png", {
+      resolution: 300,
+      pages: "2-3",
+    });
+    assert.deepStrictEqual(
+      plain(files).map((f) => f.fsName),
+      ["/out/page-2.png", "/out/page-3.png"]
+    );
+    assert.strictEqual(lib.app.pngExportPreferences.exportResolution, 300);
+    assert.strictEqual(lib.app.pngExportPreferences.pageString, "+3");
+  });
+
+  it("exports JPEGs of the whole document at once", () => {
+    const files = lib._exportImage("/out/all.jpg", {
+      format: "jpeg",
+      perPage: false,
+    });
+    assert.strictEqual(files.length, 1);
+    assert.strictEqual(lib._doc().exported[0].format, "ExportFormat.JPG");
+    assert.strictEqual(
+      lib.app.jpegExportPreferences.jpegExportRange,
+      "ExportRangeOrAllPages.EXPORT_ALL"
+    );
+  });
+
+  it("alerts on invalid formats and pages", () => {
+    assert.strictEqual(lib._exportImage("/out/a.gif", { format: "gif" }), null);
+    assert.strictEqual(lib._exportImage("/out/a.png", { pages: "4" }), null);
+    assert.deepStrictEqual(lib.alerts, [
+      "Error exporting image: Invalid image format: gif",
+      "Error exporting image: Page 4 does not exist",
+    ]);
+  });
+});
+
+describe("units", () => {
+  let lib;
+  beforeEach(() => {
+    lib = loadLib();
+  });
+
+  it("converts between units", () => {
+    assert.strictEqual(lib._convertUnits(1, "inch", "pt"), 72);
+    assert.strictEqual(
+      Math.round(lib._convertUnits(72, "pt", "mm") * 100),
+      2540
+    );
+  });
+
+  it("sets the measurement units", () => {
+    assert.strictEqual(lib._setMeasurementUnit(lib._doc(), "mm"), true);
+    assert.strictEqual(
+      lib._doc().viewPreferences.horizontalMeasurementUnits,
+      "MeasurementUnits.MILLIMETERS"
+    );
+    assert.strictEqual(lib._setMeasurementUnit(lib._doc(), "furlong"), false);
+    assert.match(lib.alerts[0], /Invalid measurement unit/);
+  });
+
+  it("converts unit strings, CSS pixels and pica notation", () => {
+    assert.strictEqual(lib._convertUnits("3p6", "pt"), 42);
+    assert.strictEqual(lib._convertUnits("p6", "pt"), 6);
+    assert.strictEqual(lib._convertUnits("-1p", "pt"), -12);
+    assert.strictEqual(lib._convertUnits("96px", "in"), 1);
+    assert.strictEqual(lib._convertUnits(4, "px", "pt"), 3);
+    assert.strictEqual(lib._convertUnits("10", "mm", "cm"), 1);
+    assert.strictEqual(lib._convertUnits("2 in", "pt"), 144);
+
+    assert.strictEqual(lib._convertUnits(5, "pt", "furlong"), 5);
+    assert.strictEqual(lib._convertUnits("5 miles", "pt"), "5 miles");
+    assert.strictEqual(lib._convertUnits("wide", "pt"), "wide");
+    assert.deepStrictEqual(lib.alerts, [
+      "Error converting units: Invalid unit: furlong. Valid units are: pt, px, mm, cm, inch, p, pc, ag, c",
+      "Error converting units: Invalid unit: miles. Valid units are: pt, px, mm, cm, inch, p, pc, ag, c",
+      "Error converting units: Invalid measurement: wide",
+    ]);
+  });
+
+  it("accepts unit strings for coordinates and sizes", () => {
+    const rect = lib._rect("1in", "10mm", "2in", "3p6").rect;
+    assert.deepStrictEqual(round(rect.geometricBounds), [28.346, 72, 42, 144]);
+
+    const circle = lib._circle(0, 0, "1in").item;
+    assert.deepStrictEqual(round(circle.geometricBounds), [0, 0, 72, 72]);
+
+    const image = lib._image("/images/a.png", "1cm", 0, "1in", "36pt");
+    assert.deepStrictEqual(
+      round(image.frame.geometricBounds),
+      [0, 28.346, 36, 100.346]
+    );
+
+    lib._setStroke(rect, "1mm");
+    assert.strictEqual(round([rect.strokeWeight])[0], 2.835);
+
+    const text = lib._textFrame(0, 0, "2in", "1in", "Hello");
+    text.fontSize("12pt");
+    assert.strictEqual(text.frame.texts.item(0).pointSize, 12);
+    text.fontSize("h1");
+    assert.strictEqual(text.frame.texts.item(0).pointSize, 29.3);
+  });
+
+  it("converts unit strings to the document units", () => {
+    lib._setMeasurementUnit(lib._doc(), "mm");
+    const rect = lib._rect("1in", 0, "2in", 10).rect;
+    assert.deepStrictEqual(round(rect.geometricBounds), [0, 25.4, 10, 50.8]);
+
+    // Plain numbers keep using the document units
+    const line = lib._line(0, 0, 10, "1cm").line;
+    assert.deepStrictEqual(round(line.paths[0].pathPoints[1].anchor), [10, 10]);
+
+    // The script units apply to stroke weights and font sizes as well
+    lib._setStroke(rect, "2.834645669pt");
+    assert.strictEqual(round([rect.strokeWeight])[0], 1);
+  });
+
+  it("accepts unit strings for effect lengths and style sizes", () => {
+    const rect = lib._rect(0, 0, 10, 10).rect;
+    assert.strictEqual(
+      lib._dropShadow(rect, { distance: "1in", size: "1p" }),
+      true
+    );
+    const shadow = rect.transparencySettings.dropShadowSettings;
+    assert.strictEqual(shadow.distance, 72);
+    assert.strictEqual(shadow.size, 12);
+    assert.strictEqual(lib._feather(rect, { width: "3in" }), false);
+    assert.deepStrictEqual(lib.alerts, [
+      "Error setting feather: Width must be a number between 0 and 144 (got 216)",
+    ]);
+
+    const body = lib._paragraphStyle("Body", {
+      pointSize: "12pt",
+      leading: "1p3",
+      spaceBefore: "1in",
+    });
+    assert.strictEqual(body.pointSize, 12);
+    assert.strictEqual(body.leading, 15);
+    assert.strictEqual(body.spaceBefore, 72);
+    const cell = lib._cellStyle("Padded", { topInset: "1cm", leftInset: 4 });
+    assert.strictEqual(round([cell.topInset])[0], 28.346);
+    assert.strictEqual(cell.leftInset, 4);
+  });
+
+  it("reads strings without a unit as numbers", () => {
+    assert.deepStrictEqual(
+      plain(lib._ellipse("100", "100", "50", "20").item.geometricBounds),
+      [90, 75, 110, 125]
+    );
+    assert.deepStrictEqual(
+      plain(lib._circle("10", "10", "50").item.geometricBounds),
+      [10, 10, 60, 60]
+    );
+    lib._rectMode("corner");
+    assert.deepStrictEqual(
+      plain(lib._rect("10", "10", "100", "50").item.geometricBounds),
+      [10, 10, 60, 110]
+    );
+    const text = lib._textFrame(0, 0, 100, 100, "Hello");
+    text.fontSize("12");
+    assert.strictEqual(text.frame.texts.item(0).pointSize, 12);
+  });
+
+  it("alerts on invalid measurements", () => {
+    assert.strictEqual(
+      lib._image("/images/a.png", "1 furlong", 0, 10, 10),
+      null
+    );
+    assert.strictEqual(lib._translate("10km"), false);
+    assert.strictEqual(lib._translate(NaN), false);
+    assert.deepStrictEqual(lib.alerts, [
+      "Error placing image: Invalid unit: furlong. Valid units are: pt, px, mm, cm, inch, p, pc, ag, c",
+      "Error translating: Invalid unit: km. Valid units are: pt, px, mm, cm, inch, p, pc, ag, c",
+      "Error translating: Invalid measurement: NaN",
+    ]);
+  });
+});
@@ -0,0 +1,1010 @@
+// A headless mock of the subset of the InDesign object model used by lib/lib.js
+// Loads the library into a Node vm context so it can be tested without InDesign.
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const LIB_PATH = path.join(__dirname, "..", "lib", "lib.js");
+
+/**
+ * Creates an enumeration whose values are readable strings ("Enum.KEY")
+ * Reading a key the real enumeration does not define throws, so typos in the
+ * library fail the tests instead of silently passing undefined to InDesign.
+ */
+function defineEnum(name, keys) {
+  const values = {};
+  keys.forEach((key) => {
+    values[key] = name + "." + key;
+  });
+  return new Proxy(values, {
+    get(target, key) {
+      if (typeof key === "symbol" || key in target) {
+        return target[key];
+      }
+      throw new Error(name + "." + String(key) + " is not defined");
+    },
+  });
+}
+
+const ENUMS = {
+  AlignDistributeBounds: [
+    "ITEM_BOUNDS",
+    "KEY_OBJECT",
+    "MARGIN_BOUNDS",
+    "PAGE_BOUNDS",
+    "SELECTION_BOUNDS",
+    "SPREAD_BOUNDS",
+  ],
+  AlignOptions: [
+    "BOTTOM_EDGES",
+    "HORIZONTAL_CENTERS",
+    "LEFT_EDGES",
+    "RIGHT_EDGES",
+    "TOP_EDGES",
+    "VERTICAL_CENTERS",
+  ],
+  AnchorPoint: [
+    "BOTTOM_CENTER_ANCHOR",
+    "BOTTOM_LEFT_ANCHOR",
+    "BOTTOM_RIGHT_ANCHOR",
+    "CENTER_ANCHOR",
+    "LEFT_CENTER_ANCHOR",
+    "RIGHT_CENTER_ANCHOR",
+    "TOP_CENTER_ANCHOR",
+    "TOP_LEFT_ANCHOR",
+    "TOP_RIGHT_ANCHOR",
+  ],
+  AutoEnum: ["AUTO_VALUE"],
+  BaselineGridRelativeOption: [
+    "TOP_OF_MARGIN_OF_BASELINE_GRID_RELATIVE_OPTION",
+    "TOP_OF_PAGE_OF_BASELINE_GRID_RELATIVE_OPTION",
+  ],
+  BlendMode: [
+    "COLOR",
+    "COLOR_BURN",
+    "COLOR_DODGE",
+    "DARKEN",
+    "DIFFERENCE",
+    "EXCLUSION",
+    "HARD_LIGHT",
+    "HUE",
+    "LIGHTEN",
+    "LUMINOSITY",
+    "MULTIPLY",
+    "NORMAL",
+    "OVERLAY",
+    "SATURATION",
+    "SCREEN",
+    "SOFT_LIGHT",
+  ],
+  ColorModel: ["MIXEDINKMODEL", "PROCESS", "REGISTRATION", "SPOT"],
+  ColorSpace: ["CMYK", "LAB", "MIXEDINK", "RGB"],
+  CoordinateSpaces: [
+    "INNER_COORDINATES",
+    "PAGE_COORDINATES",
+    "PARENT_COORDINATES",
+    "PASTEBOARD_COORDINATES",
+    "SPREAD_COORDINATES",
+  ],
+  CornerOptions: [
+    "BEVEL",
+    "FANCY_CORNER",
+    "INSET_CORNER",
+    "INVERSE_ROUNDED_CORNER",
+    "NONE",
+    "ROUNDED_CORNER",
+  ],
+  ExportFormat: ["JPG", "PDF_TYPE", "PNG_FORMAT"],
+  ExportRangeOrAllPages: ["EXPORT_ALL", "EXPORT_RANGE"],
+  FeatherCornerType: ["DIFFUSION", "ROUNDED", "SHARP"],
+  FeatherMode: ["NONE", "STANDARD"],
+  FitOptions: [
+    "APPLY_FRAME_FITTING_OPTIONS",
+    "CENTER_CONTENT",
+    "CONTENT_AWARE_FIT",
+    "CONTENT_TO_FRAME",
+    "FILL_PROPORTIONALLY",
+    "FRAME_TO_CONTENT",
+    "PROPORTIONALLY",
+  ],
+  Flip: ["BOTH", "HORIZONTAL", "NONE", "VERTICAL"],
+  FlipValues: ["FLIPPED", "NOT_FLIPPED"],
+  FollowShapeModeOptions: ["ALL_EDGES", "LEADING_EDGE", "NONE"],
+  GlowTechnique: ["PRECISE", "SOFTER"],
+  GradientType: ["LINEAR", "RADIAL"],
+  HorizontalOrVertical: ["HORIZONTAL", "VERTICAL"],
+  InnerGlowSource: ["CENTER_SOURCED", "EDGE_SOURCED"],
+  Justification: [
+    "CENTER_ALIGN",
+    "CENTER_JUSTIFIED",
+    "FULLY_JUSTIFIED",
+    "LEFT_ALIGN",
+    "LEFT_JUSTIFIED",
+    "RIGHT_ALIGN",
+    "RIGHT_JUSTIFIED",
+  ],
+  ListType: ["BULLET_LIST", "NO_LIST", "NUMBERED_LIST"],
+  LocationOptions: ["AFTER", "AT_BEGINNING", "AT_END", "BEFORE", "UNKNOWN"],
+  MeasurementUnits: [
+    "AGATES",
+    "CENTIMETERS",
+    "CICEROS",
+    "INCHES",
+    "INCHES_DECIMAL",
+    "MILLIMETERS",
+    "PICAS",
+    "PIXELS",
+    "POINTS",
+  ],
+  PathEffect: [
+    "GRAVITY_PATH_EFFECT",
+    "RAINBOW_PATH_EFFECT",
+    "RIBBON_PATH_EFFECT",
+    "SKEW_PATH_EFFECT",
+    "STAIR_STEP_PATH_EFFECT",
+  ],
+  PathType: ["CLOSED_PATH", "OPEN_PATH"],
+  PageRange: ["ALL_PAGES", "SELECTED_ITEMS"],
+  PNGExportRangeEnum: ["EXPORT_ALL", "EXPORT_RANGE", "EXPORT_SELECTION"],
+  ResizeMethods: [
+    "ADDING_CURRENT_DIMENSIONS_TO",
+    "MULTIPLYING_CURRENT_DIMENSIONS_BY",
+    "REPLACING_CURRENT_DIMENSIONS_WITH",
+  ],
+  RulerOrigin: ["PAGE_ORIGIN", "SPINE_ORIGIN", "SPREAD_ORIGIN"],
+  ShadowMode: ["DROP", "NONE"],
+  TextWrapModes: [
+    "BOUNDING_BOX_TEXT_WRAP",
+    "CONTOUR",
+    "JUMP_OBJECT_TEXT_WRAP",
+    "NEXT_COLUMN_TEXT_WRAP",
+    "NONE",
+  ],
+  VerticalJustification: [
+    "BOTTOM_ALIGN",
+    "CENTER_ALIGN",
+    "JUSTIFY_ALIGN",
+    "TOP_ALIGN",
+  ],
+};
+
+/**
+ * Returns an object standing in for a missing collection item
+ * Like InDesign, reading isValid works but any other access throws.
+ */
+function invalidObject(description) {
+  return new Proxy(
+    {},
+    {
+      get(target, key) {
+        if (key === "isValid") return false;
+        if (typeof key === "symbol") return undefined;
+        throw new Error("Object is invalid: " + description);
+      },
+      set() {
+        throw new Error("Object is invalid: " + description);
+      },
+    }
+  );
+}
+
+/**
+ * A collection of DOM objects such as doc.colors or page.rectangles
+ * Objects can belong to several collections (a rectangle is in page.rectangles,
+ * page.allPageItems and its layer's pageItems); removing it removes it from all.
+ */
+class Collection {
+  constructor(factory) {
+    this._items = [];
+    this._factory = factory;
+    // Support collection[index] as well as collection.item(index)
+    return new Proxy(this, {
+      get(target, key) {
+        if (typeof key === "string" && /^\d+$/.test(key)) {
+          return target._items[Number(key)];
+        }
+        return Reflect.get(target, key, target);
+      },
+    });
+  }
+
+  get length() {
+    return this._items.length;
+  }
+
+  add(...args) {
+    const item = this._factory(...args);
+    this._adopt(item);
+    return item;
+  }
+
+  _adopt(item) {
+    this._items.push(item);
+    item._owners = item._owners || [];
+    item._owners.push(this);
+  }
+
+  item(key) {
+    if (typeof key === "number") {
+      const index = key < 0 ? this._items.length + key : key;
+      return this._items[index] || invalidObject("item " + key);
+    }
+    return this.itemByName(key);
+  }
+
+  itemByName(name) {
+    for (const item of this._items) {
+      if (item.name === name) return item;
+    }
+    return invalidObject('"' + name + '"');
+  }
+
+  firstItem() {
+    return this.item(0);
+  }
+
+  lastItem() {
+    return this.item(-1);
+  }
+
+  everyItem() {
+    const items = this._items;
+    return {
+      getElements: () => items.slice(),
+    };
+  }
+
+  toArray() {
+    return this._items.slice();
+  }
+
+  _remove(item) {
+    const index = this._items.indexOf(item);
+    if (index !== -1) this._items.splice(index, 1);
+  }
+}
+
+/** Base class for DOM objects */
+class DOMObject {
+  constructor(props) {
+    this.isValid = true;
+    this._labels = {};
+    if (props) this.properties = props;
+  }
+
+  get properties() {
+    const props = {};
+    Object.keys(this).forEach((key) => {
+      if (key.charAt(0) !== "_") props[key] = this[key];
+    });
+    return props;
+  }
+
+  set properties(props) {
+    Object.assign(this, props);
+  }
+
+  remove() {
+    (this._owners || []).forEach((owner) => owner._remove(this));
+    this._owners = [];
+    this.isValid = false;
+  }
+
+  insertLabel(key, value) {
+    this._labels[key] = value;
+  }
+
+  extractLabel(key) {
+    return key in this._labels ? this._labels[key] : "";
+  }
+}
+
+class Color extends DOMObject {}
+class Swatch extends DOMObject {}
+class Gradient extends DOMObject {
+  constructor(props) {
+    super();
+    this.type = "GradientType.LINEAR";
+    this.gradientStops = new Collection(
+      () => new DOMObject({ location: 100, midpoint: 50 })
+    );
+    // InDesign starts every gradient with two stops
+    this.gradientStops.add().location = 0;
+    this.gradientStops.add();
+    if (props) this.properties = props;
+  }
+}
+class Layer extends DOMObject {
+  constructor(props) {
+    super(props);
+    this.pageItems = new Collection(() => {
+      throw new Error("Add page items through a page");
+    });
+  }
+}
+class ColorGroup extends DOMObject {
+  constructor(name, swatchList) {
+    super({ name });
+    this.colorGroupSwatches = new Collection(
+      (swatchItemRef) => new DOMObject({ swatchItemRef })
+    );
+    (swatchList || []).forEach((swatch) => this.colorGroupSwatches.add(swatch));
+  }
+}
+class Guide extends DOMObject {}
+class Style extends DOMObject {}
+
+class PathPoint extends DOMObject {
+  constructor(anchor) {
+    super();
+    this._anchor = anchor;
+    this.leftDirection = anchor;
+    this.rightDirection = anchor;
+  }
+
+  get anchor() {
+    return this._anchor;
+  }
+
+  // Moving a corner point moves its (retracted) handles with it
+  set anchor(anchor) {
+    if (this.leftDirection === this._anchor) this.leftDirection = anchor;
+    if (this.rightDirection === this._anchor) this.rightDirection = anchor;
+    this._anchor = anchor;
+  }
+}
+
+class Path extends DOMObject {
+  constructor(points) {
+    super();
+    this.pathPoints = new Collection((anchor) => new PathPoint(anchor));
+    (points || []).forEach((point) => this.pathPoints.add(point));
+  }
+
+  get entirePath() {
+    return this.pathPoints.toArray().map((point) => {
+      if (
+        point.leftDirection === point.anchor &&
+        point.rightDirection === point.anchor
+      ) {
+        return point.anchor;
+      }
+      return [point.leftDirection, point.anchor, point.rightDirection];
+    });
+  }
+
+  set entirePath(points) {
+    this.pathPoints = new Collection((anchor) => new PathPoint(anchor));
+    points.forEach((point) => {
+      // Either [x, y] or [leftDirection, anchor, rightDirection]
+      if (typeof point[0] === "number") {
+        this.pathPoints.add(point);
+      } else {
+        const pathPoint = this.pathPoints.add(point[1]);
+        pathPoint.leftDirection = point[0];
+        pathPoint.rightDirection = point[2];
+      }
+    });
+  }
+}
+
+class Text extends DOMObject {
+  constructor(frame) {
+    super();
+    this.parentTextFrame = frame;
+  }
+}
+
+// A placed image. Fitting is only recorded, so tests set the image's bounds
+class Graphic extends DOMObject {
+  constructor(bounds) {
+    super();
+    this.geometricBounds = bounds.slice();
+    this.horizontalScale = 100;
+    this.verticalScale = 100;
+  }
+
+  move(to, by) {
+    const [dx, dy] = by;
+    const [top, left, bottom, right] = this.geometricBounds;
+    this.geometricBounds = [top + dy, left + dx, bottom + dy, right + dx];
+  }
+}
+
+class PageItem extends DOMObject {
+  constructor(page, props) {
+    super();
+    this.parentPage = page;
+    this.paths = new Collection((points) => new Path(points));
+    this.geometricBounds = [0, 0, 10, 10];
+    this.strokeWeight = 1;
+    this.rotationAngle = 0;
+    this.flips = [];
+    this.transparencySettings = {
+      blendingSettings: {},
+      dropShadowSettings: {},
+      innerGlowSettings: {},
+      outerGlowSettings: {},
+      featherSettings: {},
+      directionalFeatherSettings: {},
+    };
+    this.textWrapPreferences = {};
+    this.transforms = [];
+    this.textPaths = new Collection(() => new TextPath(this));
+    this.graphics = new Collection(() => new Graphic(this.geometricBounds));
+    if (props) this.properties = props;
+  }
+
+  flipItem(direction, referencePoint) {
+    this.flips.push([direction, referencePoint]);
+  }
+
+  place(file) {
+    this.placed = file;
+    this.graphics = new Collection(() => new Graphic(this.geometricBounds));
+    this.graphics.add();
+    return this.graphics.toArray();
+  }
+
+  fit(option) {
+    this.fitted = option;
+  }
+
+  transform(space, from, matrix) {
+    this.transforms.push({ space, from, matrix });
+  }
+}
+
+// Rectangles and ovals redraw their path when their bounds are set, and their
+// bounds follow the anchors of their path
+class BoundedItem extends PageItem {
+  get geometricBounds() {
+    if (!this._bounds) return this._bounds;
+    const anchors = this.paths[0].pathPoints.toArray().map((p) => p.anchor);
+    const xs = anchors.map(([x]) => x);
+    const ys = anchors.map(([, y]) => y);
+    return [Math.min(...ys), Math.min(...xs), Math.max(...ys), Math.max(...xs)];
+  }
+
+  set geometricBounds(bounds) {
+    this._bounds = bounds;
+    this.paths = new Collection((points) => new Path(points));
+    this.paths.add().entirePath = this.pathFor(bounds);
+  }
+}
+class Rectangle extends BoundedItem {
+  pathFor([top, left, bottom, right]) {
+    return [
+      [left, top],
+      [left, bottom],
+      [right, bottom],
+      [right, top],
+    ];
+  }
+}
+class Oval extends BoundedItem {
+  pathFor([top, left, bottom, right]) {
+    const x = (left + right) / 2;
+    const y = (top + bottom) / 2;
+    const kx = ((right - left) / 2) * 0.5523;
+    const ky = ((bottom - top) / 2) * 0.5523;
+    return [
+      [
+        [left, y + ky],
+        [left, y],
+        [left, y - ky],
+      ],
+      [
+        [x - kx, top],
+        [x, top],
+        [x + kx, top],
+      ],
+      [
+        [right, y - ky],
+        [right, y],
+        [right, y + ky],
+      ],
+      [
+        [x + kx, bottom],
+        [x, bottom],
+        [x - kx, bottom],
+      ],
+    ];
+  }
+}
+class Polygon extends PageItem {
+  constructor(page, props) {
+    super(page, props);
+    this.paths.add([]);
+  }
+}
+class GraphicLine extends PageItem {
+  constructor(page, props) {
+    super(page, props);
+    this.paths.add([
+      [0, 0],
+      [0, 0],
+    ]);
+  }
+}
+
+function splitText(parts) {
+  const collection = new Collection((contents) => ({ contents }));
+  parts.forEach((part) => collection.add(part));
+  return collection;
+}
+
+class TextPath extends DOMObject {
+  constructor(shape) {
+    super();
+    this.parent = shape;
+    this.contents = "";
+    this._text = new Text(this);
+    this.texts = new Collection(() => this._text);
+    this.texts.add();
+  }
+
+  get characters() {
+    return splitText(this.contents.split(""));
+  }
+
+  get words() {
+    return splitText(this.contents.split(/\s+/).filter(Boolean));
+  }
+}
+
+class Cell extends DOMObject {
+  constructor() {
+    super();
+    this.contents = "";
+    this._text = new Text(this);
+    this.texts = new Collection(() => this._text);
+    this.texts.add();
+  }
+}
+
+// Rows and columns share their cells; contents fill the cells row by row
+class Table extends DOMObject {
+  constructor(props) {
+    super(props);
+    const rowCount = (this.headerRowCount || 0) + (this.bodyRowCount || 0);
+    const grid = [];
+    for (let r = 0; r < rowCount; r++) {
+      grid.push([]);
+      for (let c = 0; c < this.columnCount; c++) grid[r].push(new Cell());
+    }
+    const line = (cells) => {
+      const collection = new Collection(() => new Cell());
+      cells.forEach((cell) => collection._adopt(cell));
+      return new DOMObject({ cells: collection });
+    };
+    this.rows = new Collection(line);
+    grid.forEach((cells) => this.rows.add(cells));
+    this.columns = new Collection(line);
+    for (let c = 0; c < this.columnCount; c++) {
+      this.columns.add(grid.map((cells) => cells[c]));
+    }
+    this._grid = grid;
+  }
+
+  set contents(values) {
+    this._grid.flat().forEach((cell, i) => {
+      cell.contents = values[i];
+    });
+  }
+}
+
+// Text threaded through one or more frames. Each frame holds one character
+// per 100 square points of its bounds; the rest of the text is overset.
+class Story extends DOMObject {
+  constructor(frame) {
+    super();
+    this.contents = "";
+    this.textContainers = [frame];
+    this._text = new Text(frame);
+    this.texts = new Collection(() => this._text);
+    this.texts.add();
+    this._paragraphs = [];
+    this.ranges = [];
+    this.tables = new Collection((props) => new Table(props));
+    // Tables added at any insertion point are collected in story.tables
+    this.insertionPoints = new Collection(() => new DOMObject());
+    this.insertionPoints.add().tables = this.tables;
+    this.recomposed = 0;
+  }
+
+  recompose() {
+    this.recomposed++;
+  }
+
+  // Paragraphs are kept by index, so their properties survive later lookups
+  get paragraphs() {
+    const paragraphs = new Collection(() => new DOMObject());
+    this.contents.split("\r").forEach((contents, i) => {
+      this._paragraphs[i] = this._paragraphs[i] || new DOMObject();
+      this._paragraphs[i].contents = contents;
+      paragraphs._adopt(this._paragraphs[i]);
+    });
+    return paragraphs;
+  }
+
+  // Ranges of characters are recorded in story.ranges
+  get characters() {
+    return {
+      itemByRange: (start, end) => {
+        const range = new DOMObject({
+          start,
+          end,
+          contents: this.contents.slice(start, end + 1),
+        });
+        this.ranges.push(range);
+        return { texts: { item: () => range } };
+      },
+    };
+  }
+
+  get overflows() {
+    const capacity = this.textContainers.reduce((sum, frame) => {
+      const [top, left, bottom, right] = frame.geometricBounds;
+      return sum + Math.floor(((bottom - top) * (right - left)) / 100);
+    }, 0);
+    return this.contents.length > capacity;
+  }
+}
+
+class TextFrame extends PageItem {
+  constructor(page, props) {
+    super(page, props);
+    this.contents = "";
+    this.textFramePreferences = {};
+    this._text = new Text(this);
+    this.texts = new Collection(() => this._text);
+    this.texts.add();
+    this.grepChanges = [];
+  }
+
+  get parentStory() {
+    if (!this._story) this._story = new Story(this);
+    return this._story;
+  }
+
+  get contents() {
+    return this.parentStory.contents;
+  }
+
+  set contents(contents) {
+    this.parentStory.contents = contents;
+  }
+
+  get overflows() {
+    const containers = this.parentStory.textContainers;
+    return (
+      containers[containers.length - 1] === this && this.parentStory.overflows
+    );
+  }
+
+  recompose() {
+    this.parentStory.recompose();
+  }
+
+  get nextTextFrame() {
+    return this._next || null;
+  }
+
+  // Threading moves the next frame's text into this frame's story
+  set nextTextFrame(frame) {
+    const story = this.parentStory;
+    story.contents += frame.contents;
+    story.textContainers.push(frame);
+    frame._story = story;
+    this._next = frame;
+  }
+
+  get characters() {
+    return splitText(this.contents.split(""));
+  }
+
+  get words() {
+    return splitText(this.contents.split(/\s+/).filter(Boolean));
+  }
+
+  changeGrep() {
+    const app = this.parentPage.parentDocument.app;
+    this.grepChanges.push({
+      findWhat: app.findGrepPreferences.findWhat,
+      changeTo: app.changeGrepPreferences.changeTo,
+      appliedCharacterStyle: app.changeGrepPreferences.appliedCharacterStyle,
+    });
+  }
+}
+
+class Page extends DOMObject {
+  constructor(doc) {
+    super();
+    this.parentDocument = doc;
+    const prefs = doc.documentPreferences;
+    // With facing pages, the spread is the ruler origin: pages after the first
+    // come in pairs, and the right page of a pair starts at the spread's middle
+    const index = doc.pages ? doc.pages.length : 0;
+    const left =
+      prefs.facingPages && index > 0 && index % 2 === 0 ? prefs.pageWidth : 0;
+    this.bounds = [0, left, prefs.pageHeight, left + prefs.pageWidth];
+    this.marginPreferences = { top: 36, left: 36, bottom: 36, right: 36 };
+    this.allPageItems = new Collection(() => {
+      throw new Error("Add page items through a typed collection");
+    });
+
+    const items = (Type) =>
+      new Collection((props) => {
+        const item = new Type(this, props);
+        this.allPageItems._adopt(item);
+        doc.layers.item(0).pageItems._adopt(item);
+        return item;
+      });
+    this.rectangles = items(Rectangle);
+    this.ovals = items(Oval);
+    this.polygons = items(Polygon);
+    this.graphicLines = items(GraphicLine);
+    this.textFrames = items(TextFrame);
+    this.guides = new Collection(
+      (layer, props) => new Guide(Object.assign({ itemLayer: layer }, props))
+    );
+  }
+
+  get documentOffset() {
+    return this.parentDocument.pages.toArray().indexOf(this);
+  }
+
+  get name() {
+    return String(this.documentOffset + 1);
+  }
+
+  resize(coordinateSpace, anchor, method, size) {
+    this.bounds = [0, 0, size[1], size[0]];
+  }
+}
+
+class Document extends DOMObject {
+  constructor(app, props) {
+    super();
+    this.app = app;
+    this.name = "Untitled-1.indd";
+    this.documentPreferences = {
+      facingPages: false,
+      pageWidth: 612,
+      pageHeight: 792,
+      documentBleedTopOffset: 9,
+      documentBleedBottomOffset: 9,
+      documentBleedInsideOrLeftOffset: 9,
+      documentBleedOutsideOrRightOffset: 9,
+    };
+    this.viewPreferences = {
+      horizontalMeasurementUnits: "MeasurementUnits.POINTS",
+      verticalMeasurementUnits: "MeasurementUnits.POINTS",
+    };
+    this.gridPreferences = {};
+    this.aligned = [];
+    this.exported = [];
+
+    this.swatches = new Collection((p) => new Swatch(p));
+    ["None", "Registration", "Paper", "Black"].forEach((name) =>
+      this.swatches.add({ name })
+    );
+    this.colors = new Collection((p) => {
+      const color = new Color(p);
+      this.swatches._adopt(color);
+      return color;
+    });
+    this.gradients = new Collection((p) => {
+      const gradient = new Gradient(p);
+      this.swatches._adopt(gradient);
+      return gradient;
+    });
+    this.hyperlinkTextSources = new Collection(
+      (sourceText) => new DOMObject({ sourceText })
+    );
+    this.hyperlinkURLDestinations = new Collection(
+      (destinationURL) => new DOMObject({ destinationURL })
+    );
+    this.hyperlinks = new Collection(
+      (source, destination) => new DOMObject({ source, destination })
+    );
+    this.colorGroups = new Collection(
+      (name, swatchList) => new ColorGroup(name, swatchList)
+    );
+    this.layers = new Collection((p) => new Layer(p));
+    this.layers.add({ name: "Layer 1" });
+    this.characterStyles = new Collection((p) => new Style(p));
+    this.paragraphStyles = new Collection((p) => new Style(p));
+    this.paragraphStyles.add({ name: "[Basic Paragraph]" });
+    this.objectStyles = new Collection((p) => new Style(p));
+    this.objectStyles.add({ name: "[None]" });
+    this.cellStyles = new Collection((p) => new Style(p));
+    this.cellStyles.add({ name: "[None]" });
+    this.pages = new Collection(() => new Page(this));
+    this.pages.add();
+    this.layoutWindows = [{ activePage: this.pages.item(0) }];
+    if (props) this.properties = props;
+  }
+
+  align(items, option, bounds, key) {
+    this.aligned.push({ items, option, bounds, key });
+  }
+
+  exportFile(format, file, showingOptions, preset) {
+    // The PDF preferences in effect are recorded with each export
+    const pdfExportPreferences = this.app.pdfExportPreferences.properties;
+    this.exported.push({ format, file, preset, pdfExportPreferences });
+    this.app._files[file.fsName] = "";
+  }
+}
+
+/**
+ * Creates File and Folder constructors backed by an in-memory file system
+ * @param {Object<string, string>} files - File contents keyed by absolute path
+ */
+function createFileSystem(files) {
+  const folders = {};
+
+  function normalize(p) {
+    if (p && typeof p === "object" && "fsName" in p) return p.fsName;
+    return String(p).replace(/\/+$/, "") || "/";
+  }
+
+  function Folder(p) {
+    if (!(this instanceof Folder)) return new Folder(p);
+    this.fsName = normalize(p);
+    this.name = path.posix.basename(this.fsName);
+  }
+  Object.defineProperties(Folder.prototype, {
+    exists: {
+      get() {
+        const prefix = this.fsName + "/";
+        return (
+          folders[this.fsName] ||
+          Object.keys(files).some((f) => f.indexOf(prefix) === 0)
+        );
+      },
+    },
+    parent: {
+      get() {
+        return new Folder(path.posix.dirname(this.fsName));
+      },
+    },
+  });
+  Folder.prototype.create = function () {
+    folders[this.fsName] = true;
+    return true;
+  };
+  Folder.prototype.getFiles = function (filter) {
+    const prefix = this.fsName + "/";
+    return Object.keys(files)
+      .filter(
+        (f) =>
+          f.indexOf(prefix) === 0 && f.slice(prefix.length).indexOf("/") === -1
+      )
+      .sort()
+      .map((f) => new File(f))
+      .filter((f) => !filter || filter(f));
+  };
+
+  function File(p) {
+    if (!(this instanceof File)) return new File(p);
+    this.fsName = normalize(p);
+    this.name = path.posix.basename(this.fsName);
+    this.encoding = "BINARY";
+  }
+  Object.defineProperties(File.prototype, {
+    exists: {
+      get() {
+        return this.fsName in files;
+      },
+    },
+    parent: {
+      get() {
+        return new Folder(path.posix.dirname(this.fsName));
+      },
+    },
+  });
+  File.prototype.open = function (mode) {
+    this._mode = mode;
+    if (mode === "w") files[this.fsName] = "";
+    return mode === "w" || this.exists;
+  };
+  File.prototype.read = function () {
+    return files[this.fsName];
+  };
+  File.prototype.write = function (text) {
+    files[this.fsName] += text;
+  };
+  File.prototype.close = function () {
+    this._mode = null;
+  };
+  File.prototype.toString = function () {
+    return this.fsName;
+  };
+
+  return { File, Folder };
+}
+
+/**
+ * Creates the global scope of a mock InDesign session with one open document
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.files] - Files available to File/Folder
+ * @returns {Object} The globals: app, alert, enums, File, Folder and an alerts log
+ */
+function createInDesign(options) {
+  options = options || {};
+  const files = Object.assign({}, options.files);
+  const alerts = [];
+  const { File, Folder } = createFileSystem(files);
+
+  const app = {
+    _files: files,
+    findGrepPreferences: {},
+    changeGrepPreferences: {},
+    scriptPreferences: { measurementUnit: "AutoEnum.AUTO_VALUE" },
+    pdfExportPreferences: new DOMObject({
+      pageRange: "PageRange.ALL_PAGES",
+      useDocumentBleedWithPDF: false,
+      cropMarks: false,
+      bleedMarks: false,
+      registrationMarks: false,
+      exportReaderSpreads: false,
+    }),
+    pngExportPreferences: {},
+    jpegExportPreferences: {},
+    fonts: [],
+  };
+  // Assigning null resets the find/change preferences, as in InDesign
+  ["findGrepPreferences", "changeGrepPreferences"].forEach((key) => {
+    let prefs = {};
+    Object.defineProperty(app, key, {
+      get: () => prefs,
+      set: (value) => {
+        prefs = value || {};
+      },
+    });
+  });
+  app.transformationMatrices = new Collection(
+    (...args) => new DOMObject({ matrixValues: args[6] || [1, 0, 0, 1, 0, 0] })
+  );
+  app.pdfExportPresets = new Collection((p) => new DOMObject(p));
+  app.pdfExportPresets.add({ name: "[High Quality Print]" });
+  app.pdfExportPresets.add({ name: "[Press Quality]" });
+  app.documents = new Collection((p) => new Document(app, p));
+  app.documents.add();
+  Object.defineProperty(app, "activeDocument", {
+    get: () => app.documents.item(0),
+  });
+
+  const globals = {
+    app,
+    File,
+    Folder,
+    alerts,
+    alert: (message) => alerts.push(String(message)),
+  };
+  Object.keys(ENUMS).forEach((name) => {
+    globals[name] = defineEnum(name, ENUMS[name]);
+  });
+  return globals;
+}
+
+/**
+ * Creates a mock InDesign session and loads lib/lib.js into it
+ * @param {Object} [options] - See createInDesign
+ * @returns {Object} The vm context; library functions and globals are available as properties
+ */
+function loadLib(options) {
+  const context = vm.createContext(createInDesign(options));
+  vm.runInContext(fs.readFileSync(LIB_PATH, "utf8"), context, {
+    filename: LIB_PATH,
+  });
+  // Evaluates code inside the session, e.g. to build arrays the library accepts
+  context.evaluate = (code) => vm.runInContext(code, context);
+  return context;
+}
+
+module.exports = { createInDesign, loadLib, defineEnum };